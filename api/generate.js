@@ -1,24 +1,26 @@
-const fetch = require('node-fetch');
-const SiteDetector = require('../src/utils/siteDetector');
-const ContentParser = require('../src/parsers/contentParser');
-const RSSGenerator = require('../src/utils/rssGenerator');
-const CacheManager = require('../src/utils/cacheManager');
+const { resolveFeedFormat, setValidatorHeaders, isNotModified } = require('../src/utils/feedResponse');
+const FeedService = require('../src/utils/feedService');
+const AccessControl = require('../src/utils/accessControl');
 
-// 创建全局实例
-const siteDetector = new SiteDetector();
-const rssGenerator = new RSSGenerator();
-const cacheManager = new CacheManager();
+// 创建全局实例（与server.js的定时刷新共用）
+const feedService = FeedService.getDefault();
+const { rssGenerator, cacheManager } = feedService;
+const accessControl = AccessControl.getDefault();
 
 /**
  * RSSOS RSS生成API
  * 接收网站URL，返回RSS XML
  */
 export default async function handler(req, res) {
+  const startedAt = Date.now();
+
   try {
     // 设置CORS头
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, If-None-Match, If-Modified-Since, X-API-Key, Authorization');
+    res.setHeader('Access-Control-Expose-Headers', 'ETag, Last-Modified, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, RateLimit-Policy, Retry-After, X-Quota-Limit, X-Quota-Remaining');
+    res.setHeader('Vary', 'Accept');
     
     // 处理OPTIONS预检请求
     if (req.method === 'OPTIONS') {
@@ -30,37 +32,33 @@ export default async function handler(req, res) {
       return res.status(405).json({ error: 'Method not allowed' });
     }
 
-    // 获取URL参数
-    const { url, refresh } = req.query;
-    
-    if (!url) {
-      return res.status(400).json({ 
-        error: 'Missing URL parameter',
-        usage: 'GET /api/generate?url=https://example.com'
-      });
+    // 校验API key并限流
+    const access = await accessControl.check(req, res);
+    if (!access.allowed) {
+      return res.status(access.status).json(access.body);
     }
 
-    // 验证URL格式
-    try {
-      new URL(url);
-    } catch (error) {
-      return res.status(400).json({
-        error: 'Invalid URL format',
-        provided: url
-      });
+    // 读取并校验参数
+    const parsed = await feedService.parseRequest(req.query, resolveFeedFormat(req));
+    if (parsed.error) {
+      return res.status(parsed.error.status).json(parsed.error.body);
     }
+    const request = parsed.request;
+    const { url, format } = request;
+    const contentType = rssGenerator.getContentType(format);
 
-    console.log(`RSS generation request for: ${url}`);
+    console.log(`RSS generation request for: ${url} (format: ${format})`);
 
     // 检查错误缓存
-    if (cacheManager.isInErrorCache(url)) {
+    if (await cacheManager.isInErrorCache(url)) {
       console.log(`URL is in error cache: ${url}`);
-      const errorRSS = rssGenerator.generateErrorRSS(
+      const errorRSS = rssGenerator.generateErrorFeed(
         new Error('URL temporarily unavailable due to previous errors'),
-        url
+        url,
+        format
       );
       
-      res.setHeader('Content-Type', 'application/rss+xml; charset=utf-8');
+      res.setHeader('Content-Type', contentType);
       res.setHeader('Cache-Control', 'public, max-age=300'); // 5分钟缓存
       
       if (req.method === 'HEAD') {
@@ -71,100 +69,62 @@ export default async function handler(req, res) {
     }
 
     // 检查RSS缓存（除非强制刷新）
-    if (!refresh) {
-      const cachedRSS = cacheManager.getCachedRSS(url);
-      if (cachedRSS) {
-        console.log(`Returning cached RSS for: ${url}`);
-        
-        res.setHeader('Content-Type', 'application/rss+xml; charset=utf-8');
-        res.setHeader('Cache-Control', 'public, max-age=1800'); // 30分钟缓存
-        res.setHeader('X-Cache', 'HIT');
-        res.setHeader('Content-Length', Buffer.byteLength(cachedRSS.content, 'utf-8'));
-        
-        if (req.method === 'HEAD') {
-          return res.status(200).end();
-        }
-        
-        return res.status(200).send(cachedRSS.content);
+    const cachedRSS = await cacheManager.getCachedRSS(url, request.cacheVariant);
+    if (cachedRSS && !req.query.refresh) {
+      console.log(`Returning cached RSS for: ${url}`);
+      
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Cache-Control', 'public, max-age=1800'); // 30分钟缓存
+      res.setHeader('X-Cache', 'HIT');
+      const cachedDiscovery = await cacheManager.getCachedDiscovery(url);
+      if (cachedDiscovery?.feed) {
+        res.setHeader('X-Discovered-Feed', cachedDiscovery.feed.url);
       }
-    }
+      setValidatorHeaders(res, cachedRSS.hash, cachedRSS.lastModified);
 
-    console.log(`Generating fresh RSS for: ${url}`);
+      if (isNotModified(req, cachedRSS.hash, cachedRSS.lastModified)) {
+        return res.status(304).end();
+      }
 
-    // 获取网站HTML内容
-    let html;
-    const cachedHTML = cacheManager.getCachedHTML(url);
-    
-    if (cachedHTML && !refresh) {
-      html = cachedHTML.html;
-    } else {
-      const htmlResponse = await fetch(url, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (compatible; RSSOS/1.0; +https://rssos.com/bot)',
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-          'Accept-Language': 'en-US,en;q=0.5',
-          'Accept-Encoding': 'gzip, deflate',
-          'Connection': 'keep-alive',
-          'Upgrade-Insecure-Requests': '1'
-        },
-        timeout: 15000,
-        follow: 5
-      });
+      res.setHeader('Content-Length', Buffer.byteLength(cachedRSS.content, 'utf-8'));
       
-      if (!htmlResponse.ok) {
-        throw new Error(`HTTP ${htmlResponse.status}: ${htmlResponse.statusText}`);
+      if (req.method === 'HEAD') {
+        return res.status(200).end();
       }
       
-      html = await htmlResponse.text();
-      
-      // 缓存HTML内容
-      cacheManager.cacheHTML(url, html);
+      return res.status(200).send(cachedRSS.content);
     }
 
-    // 检测网站类型和结构
-    let siteInfo;
-    const cachedSiteInfo = cacheManager.getCachedSiteInfo(url);
-    
-    if (cachedSiteInfo && !refresh) {
-      siteInfo = cachedSiteInfo.siteInfo;
-    } else {
-      siteInfo = await siteDetector.detectSiteType(html, url);
-      console.log(`Detected site type: ${siteInfo.type} (${siteInfo.platform}) - confidence: ${siteInfo.confidence}%`);
-      
-      // 缓存网站信息
-      cacheManager.cacheSiteInfo(url, siteInfo);
-    }
+    console.log(`Generating fresh RSS for: ${url}`);
 
-    // 解析网站内容
-    const contentParser = new ContentParser(siteInfo);
-    const articles = await contentParser.parseContent(html);
-    
-    console.log(`Extracted ${articles.length} articles from ${url}`);
+    const generated = await feedService.generate(request, {
+      refresh: Boolean(req.query.refresh),
+      deadline: startedAt + feedService.requestBudget,
+      cachedRSS
+    });
+    const { siteInfo, articles, feed: rssXML, feedHash, lastModified } = generated;
 
-    // 生成RSS XML
-    let rssXML;
-    
-    if (articles.length > 0) {
-      rssXML = rssGenerator.generateRSS(articles, siteInfo);
-    } else {
-      console.log(`No articles found for ${url}, generating empty RSS`);
-      rssXML = rssGenerator.generateEmptyRSS(url, siteInfo);
+    res.setHeader('X-Upstream', generated.upstreamStatus);
+    if (generated.nativeFeed) {
+      res.setHeader('X-Discovered-Feed', generated.nativeFeed.url);
     }
-
-    // 验证RSS格式
-    if (!rssGenerator.validateRSS(rssXML)) {
-      throw new Error('Generated RSS XML is invalid');
+    if (siteInfo.type !== 'feed') {
+      res.setHeader('X-Selectors', feedService.formatSelectorsHeader(siteInfo.selectors));
     }
 
-    // 缓存生成的RSS
-    cacheManager.cacheRSS(url, rssXML);
-
     // 设置响应头
-    res.setHeader('Content-Type', 'application/rss+xml; charset=utf-8');
+    res.setHeader('Content-Type', contentType);
     res.setHeader('Cache-Control', 'public, max-age=1800'); // 30分钟缓存
     res.setHeader('X-Cache', 'MISS');
     res.setHeader('X-Site-Type', `${siteInfo.type}/${siteInfo.platform}`);
     res.setHeader('X-Articles-Found', articles.length.toString());
+    res.setHeader('X-Feed-Source', siteInfo.type === 'feed' ? 'native' : 'scraped');
+    setValidatorHeaders(res, feedHash, lastModified);
+
+    if (isNotModified(req, feedHash, lastModified)) {
+      return res.status(304).end();
+    }
+
     res.setHeader('Content-Length', Buffer.byteLength(rssXML, 'utf-8'));
 
     // 对于HEAD请求，只返回头信息
@@ -176,24 +136,38 @@ export default async function handler(req, res) {
     
   } catch (error) {
     console.error(`RSS generation error for ${req.query.url}:`, error);
+
+    // 带4xx状态的错误由请求参数引起（如选择器无匹配），与URL本身无关：直接返回JSON，不加入按URL索引的错误缓存
+    if (error.status >= 400 && error.status < 500) {
+      return res.status(error.status).json({ error: error.message });
+    }
     
+    // robots.txt禁止访问不是临时错误：返回说明原因的订阅源，不加入错误缓存
+    const disallowed = error.code === 'ERR_ROBOTS_DISALLOWED';
+
     // 添加到错误缓存
-    if (req.query.url) {
-      cacheManager.addToErrorCache(req.query.url, error);
+    if (req.query.url && !disallowed) {
+      await cacheManager.addToErrorCache(req.query.url, error);
     }
     
     // 生成错误RSS
-    const errorRSS = rssGenerator.generateErrorRSS(error, req.query.url || 'unknown');
+    const format = resolveFeedFormat(req);
+    const errorFormat = rssGenerator.isSupportedFormat(format) ? format : 'rss';
+    const errorRSS = rssGenerator.generateErrorFeed(error, req.query.url || 'unknown', errorFormat);
+    const status = disallowed ? 200 : 500;
     
-    res.setHeader('Content-Type', 'application/rss+xml; charset=utf-8');
-    res.setHeader('Cache-Control', 'public, max-age=300'); // 5分钟缓存错误
+    res.setHeader('Content-Type', rssGenerator.getContentType(errorFormat));
+    res.setHeader('Cache-Control', disallowed ? 'public, max-age=3600' : 'public, max-age=300'); // 5分钟缓存错误
     res.setHeader('Content-Length', Buffer.byteLength(errorRSS, 'utf-8'));
+    if (disallowed) {
+      res.setHeader('X-Upstream', 'robots-disallowed');
+    }
     
     // 对于HEAD请求，只返回头信息
     if (req.method === 'HEAD') {
-      return res.status(500).end();
+      return res.status(status).end();
     }
     
-    return res.status(500).send(errorRSS);
+    return res.status(status).send(errorRSS);
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,351 @@
+const crypto = require('crypto');
+const { URL } = require('url');
+const RSSGenerator = require('../src/utils/rssGenerator');
+const CacheManager = require('../src/utils/cacheManager');
+const SiteRules = require('../src/utils/siteRules');
+const FeedBuilder = require('../src/utils/feedBuilder');
+const FeedLists = require('../src/utils/feedLists');
+const ItemFilter = require('../src/utils/itemFilter');
+const { mapWithConcurrency } = require('../src/utils/concurrency');
+const { resolveFeedFormat, setValidatorHeaders, isNotModified } = require('../src/utils/feedResponse');
+const { assertSafeUrl, UnsafeUrlError } = require('../src/utils/safeFetch');
+const AccessControl = require('../src/utils/accessControl');
+
+// 启动时加载站点规则和订阅列表
+const siteRules = new SiteRules();
+siteRules.load();
+const feedLists = new FeedLists();
+feedLists.load();
+
+// 创建全局实例
+const rssGenerator = new RSSGenerator();
+const cacheManager = new CacheManager();
+const accessControl = AccessControl.getDefault();
+const feedBuilder = new FeedBuilder({ siteRules, cacheManager });
+
+// 单次请求的处理时间预算（Vercel函数最长运行30秒）
+const REQUEST_BUDGET_MS = 25000;
+
+// 单次合并的最多网站数
+const MAX_SOURCES = 10;
+
+// 同时处理的网站数
+const SOURCE_CONCURRENCY = 3;
+
+/**
+ * 获取单个网站的文章，并标记来源
+ * 失败时返回 { url, error }，不影响其他网站
+ */
+async function loadSource(url, deadline) {
+  if (Date.now() >= deadline) {
+    return { url, error: 'Request time budget exhausted' };
+  }
+
+  if (await cacheManager.isInErrorCache(url)) {
+    return { url, error: 'URL temporarily unavailable due to previous errors' };
+  }
+
+  try {
+    const { siteInfo, articles } = await feedBuilder.build(url, { deadline });
+    const source = {
+      title: rssGenerator.extractSiteTitle(siteInfo),
+      url: url,
+      feedUrl: siteInfo.feedUrl || rssGenerator.getRSSUrl(url)
+    };
+
+    return {
+      url,
+      articles: articles.map(article => ({ ...article, source }))
+    };
+  } catch (error) {
+    console.error(`Merge source failed for ${url}:`, error.message);
+    const requestError = error.status >= 400 && error.status < 500;
+    if (error.code !== 'ERR_ROBOTS_DISALLOWED' && !requestError) {
+      await cacheManager.addToErrorCache(url, error);
+    }
+    return { url, error: error.message };
+  }
+}
+
+/**
+ * 为加载失败的网站生成说明条目
+ */
+function buildFailureItem(failure) {
+  const hostname = new URL(failure.url).hostname;
+
+  return {
+    title: `Failed to load ${hostname}`,
+    link: failure.url,
+    description: `Unable to generate feed for ${failure.url}: ${failure.error}`,
+    pubDate: null,
+    guid: `rssos-merge-error-${crypto.createHash('md5').update(failure.url).digest('hex').substring(0, 16)}`,
+    source: { title: hostname, url: failure.url }
+  };
+}
+
+/**
+ * 合并文章：按GUID去重，按发布时间从新到旧排序，没有日期的排在最后
+ */
+function mergeArticles(results) {
+  const seen = new Set();
+  const merged = [];
+
+  results.forEach(result => {
+    (result.articles || []).forEach(article => {
+      if (article.guid && seen.has(article.guid)) return;
+      if (article.guid) seen.add(article.guid);
+      merged.push(article);
+    });
+  });
+
+  const timeOf = article => {
+    const time = Date.parse(article.pubDate);
+    return isNaN(time) ? -Infinity : time;
+  };
+
+  return merged.sort((a, b) => timeOf(b) - timeOf(a));
+}
+
+/**
+ * RSSOS订阅源合并API
+ * 接收多个网站URL或已保存的列表名称，返回合并后的订阅源
+ */
+export default async function handler(req, res) {
+  const startedAt = Date.now();
+  let selfUrl = null;
+
+  try {
+    // 设置CORS头
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, If-None-Match, If-Modified-Since, X-API-Key, Authorization');
+    res.setHeader('Access-Control-Expose-Headers', 'ETag, Last-Modified, X-Merge-Sources, X-Merge-Failed, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, RateLimit-Policy, Retry-After, X-Quota-Limit, X-Quota-Remaining');
+    res.setHeader('Vary', 'Accept');
+
+    // 处理OPTIONS预检请求
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    // 只允许GET和HEAD请求
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    // 确定输出格式
+    const format = resolveFeedFormat(req);
+    if (!rssGenerator.isSupportedFormat(format)) {
+      return res.status(400).json({
+        error: 'Unsupported feed format',
+        provided: format,
+        supported: ['rss', 'atom', 'json']
+      });
+    }
+    const contentType = rssGenerator.getContentType(format);
+
+    // 网站列表：url参数或已保存的列表
+    let list = null;
+    let urls = [].concat(req.query.url || []).map(url => String(url).trim()).filter(Boolean);
+    if (req.query.list) {
+      list = feedLists.get(String(req.query.list));
+      if (!list) {
+        return res.status(404).json({
+          error: 'Unknown feed list',
+          provided: req.query.list
+        });
+      }
+      urls = urls.concat(list.urls);
+    }
+    urls = [...new Set(urls)];
+
+    // 校验API key并限流，每个网站消耗一个令牌
+    const access = await accessControl.check(req, res, Math.max(1, Math.min(urls.length, MAX_SOURCES)));
+    if (!access.allowed) {
+      return res.status(access.status).json(access.body);
+    }
+
+    if (urls.length === 0) {
+      return res.status(400).json({
+        error: 'Missing URL parameter',
+        usage: 'GET /api/merge?url=https://a.example.com&url=https://b.example.com'
+      });
+    }
+
+    if (urls.length > MAX_SOURCES) {
+      return res.status(400).json({
+        error: 'Too many sources',
+        provided: urls.length,
+        maximum: MAX_SOURCES
+      });
+    }
+
+    // 验证URL格式
+    const invalid = urls.filter(url => {
+      try {
+        new URL(url);
+        return false;
+      } catch (error) {
+        return true;
+      }
+    });
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid URL format',
+        provided: invalid
+      });
+    }
+
+    // 拒绝内网地址、非HTTP协议和非常用端口
+    const blocked = [];
+    for (const url of urls) {
+      try {
+        await assertSafeUrl(url);
+      } catch (error) {
+        if (error instanceof UnsafeUrlError) blocked.push(url);
+      }
+    }
+    if (blocked.length > 0) {
+      return res.status(400).json({
+        error: 'URL not allowed',
+        provided: blocked
+      });
+    }
+
+    // 条目过滤条件
+    let itemFilter;
+    try {
+      itemFilter = new ItemFilter({
+        include: req.query.include,
+        exclude: req.query.exclude,
+        limit: req.query.limit,
+        since: req.query.since
+      });
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid filter',
+        message: error.message
+      });
+    }
+
+    selfUrl = rssGenerator.getMergeUrl(list ? { list: list.name } : urls, format);
+
+    // 合并结果以网站集合为键缓存，与顺序无关
+    const cacheKey = `merge:${crypto.createHash('md5').update([...urls].sort().join('\n')).digest('hex')}`;
+    const cacheVariant = [
+      format !== 'rss' ? `format=${format}` : '',
+      itemFilter.isActive()
+        ? `filter=${crypto.createHash('md5').update(itemFilter.describe()).digest('hex').substring(0, 12)}`
+        : ''
+    ].filter(Boolean).join('&');
+
+    console.log(`Feed merge request for ${urls.length} sources (format: ${format})`);
+
+    // 检查缓存（除非强制刷新）
+    const cachedRSS = await cacheManager.getCachedRSS(cacheKey, cacheVariant);
+    if (cachedRSS && !req.query.refresh) {
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Cache-Control', 'public, max-age=1800'); // 30分钟缓存
+      res.setHeader('X-Cache', 'HIT');
+      res.setHeader('X-Merge-Sources', `${urls.length}/${urls.length}`);
+      setValidatorHeaders(res, cachedRSS.hash, cachedRSS.lastModified);
+
+      if (isNotModified(req, cachedRSS.hash, cachedRSS.lastModified)) {
+        return res.status(304).end();
+      }
+
+      res.setHeader('Content-Length', Buffer.byteLength(cachedRSS.content, 'utf-8'));
+
+      if (req.method === 'HEAD') {
+        return res.status(200).end();
+      }
+
+      return res.status(200).send(cachedRSS.content);
+    }
+
+    const deadline = startedAt + REQUEST_BUDGET_MS;
+    const results = await mapWithConcurrency(urls, SOURCE_CONCURRENCY, url => loadSource(url, deadline));
+    const failures = results.filter(result => result.error);
+
+    let articles = mergeArticles(results);
+    if (itemFilter.isActive()) {
+      articles = itemFilter.apply(articles);
+    }
+
+    // 失败的网站以条目形式报告，放在最前面
+    articles = [...failures.map(buildFailureItem), ...articles];
+
+    const hostnames = urls.map(url => new URL(url).hostname);
+    const siteInfo = {
+      url: selfUrl,
+      type: 'merged',
+      platform: 'merge',
+      confidence: 100,
+      selectors: {},
+      features: ['merged']
+    };
+    const feed = rssGenerator.generateFeed(articles, siteInfo, format, {
+      title: list?.title || `RSSOS Merged Feed (${urls.length} sources)`,
+      description: list?.description || `Merged feed from ${hostnames.join(', ')}`,
+      selfUrl
+    });
+
+    // 验证RSS格式
+    if (format === 'rss') {
+      const errors = rssGenerator.getRSSErrors(feed);
+      if (errors.length > 0) {
+        throw new Error(`Generated RSS XML is invalid: ${errors.join('; ')}`);
+      }
+    }
+
+    const feedHash = rssGenerator.getFeedHash(articles, format);
+    const lastModified = cachedRSS && cachedRSS.hash === feedHash ? cachedRSS.lastModified : Date.now();
+
+    // 部分网站失败时不缓存，下次请求重新尝试
+    if (failures.length === 0) {
+      await cacheManager.cacheRSS(cacheKey, feed, cacheVariant, { hash: feedHash, lastModified });
+    }
+
+    // 所有网站都失败时返回502
+    const status = failures.length === urls.length ? 502 : 200;
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Cache-Control', failures.length > 0 ? 'public, max-age=300' : 'public, max-age=1800');
+    res.setHeader('X-Cache', 'MISS');
+    res.setHeader('X-Merge-Sources', `${urls.length - failures.length}/${urls.length}`);
+    if (failures.length > 0) {
+      res.setHeader('X-Merge-Failed', failures.map(failure => encodeURI(failure.url)).join(' '));
+    }
+    res.setHeader('X-Articles-Found', (articles.length - failures.length).toString());
+    setValidatorHeaders(res, feedHash, lastModified);
+
+    if (status === 200 && isNotModified(req, feedHash, lastModified)) {
+      return res.status(304).end();
+    }
+
+    res.setHeader('Content-Length', Buffer.byteLength(feed, 'utf-8'));
+
+    if (req.method === 'HEAD') {
+      return res.status(status).end();
+    }
+
+    return res.status(status).send(feed);
+
+  } catch (error) {
+    console.error('Feed merge error:', error);
+
+    // 生成错误订阅源
+    const format = resolveFeedFormat(req);
+    const errorFormat = rssGenerator.isSupportedFormat(format) ? format : 'rss';
+    const errorFeed = rssGenerator.generateErrorFeed(error, selfUrl || rssGenerator.getMergeUrl([]), errorFormat);
+
+    res.setHeader('Content-Type', rssGenerator.getContentType(errorFormat));
+    res.setHeader('Cache-Control', 'public, max-age=300'); // 5分钟缓存错误
+    res.setHeader('Content-Length', Buffer.byteLength(errorFeed, 'utf-8'));
+
+    if (req.method === 'HEAD') {
+      return res.status(500).end();
+    }
+
+    return res.status(500).send(errorFeed);
+  }
+}
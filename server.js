@@ -1,13 +1,30 @@
 const express = require('express');
 const path = require('path');
 const cors = require('cors');
+const SubscriptionStore = require('./src/utils/subscriptionStore');
+const FeedScheduler = require('./src/utils/feedScheduler');
+const FeedService = require('./src/utils/feedService');
+const { resolveFeedFormat } = require('./src/utils/feedResponse');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// 订阅注册表和定时刷新
+const subscriptionStore = new SubscriptionStore();
+const feedService = FeedService.getDefault();
+const feedScheduler = new FeedScheduler({
+    store: subscriptionStore,
+    refresh: (subscription) => feedService.refresh(subscriptionStore.toQuery(subscription))
+});
+
 // 中间件
 app.use(cors());
 app.use(express.json());
+
+// 订阅数据和配置文件不作为静态文件提供
+app.use(['/data', '/config'], (req, res) => {
+    res.status(404).end();
+});
 app.use(express.static('.'));
 
 // API路由 - 动态导入ES模块
@@ -21,6 +38,56 @@ app.use('/api/generate', async (req, res) => {
     }
 });
 
+app.use('/api/merge', async (req, res) => {
+    try {
+        const mergeModule = await import('./api/merge.js');
+        await mergeModule.default(req, res);
+    } catch (error) {
+        console.error('API error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// 订阅管理 - 需要设置RSSOS_ADMIN_TOKEN，请求时通过Authorization: Bearer传递
+app.use('/api/subscriptions', (req, res, next) => {
+    const token = process.env.RSSOS_ADMIN_TOKEN;
+    if (!token) {
+        return res.status(404).json({ error: 'Subscription management is disabled' });
+    }
+    if (req.headers.authorization !== `Bearer ${token}`) {
+        return res.status(401).json({ error: 'Invalid admin token' });
+    }
+    next();
+});
+
+app.get('/api/subscriptions', (req, res) => {
+    res.json({ subscriptions: subscriptionStore.list() });
+});
+
+app.post('/api/subscriptions', async (req, res) => {
+    const { url, options, interval } = req.body || {};
+    try {
+        // 生成参数使用与/api/generate相同的校验，无效的订阅不会写入
+        const query = subscriptionStore.toQuery(subscriptionStore.validate(url, options, interval));
+        const parsed = await feedService.parseRequest(query, resolveFeedFormat({ query }));
+        if (parsed.error) {
+            return res.status(parsed.error.status).json(parsed.error.body);
+        }
+
+        const subscription = subscriptionStore.add(url, options, interval);
+        res.status(201).json(subscription);
+    } catch (error) {
+        res.status(400).json({ error: 'Invalid subscription', message: error.message });
+    }
+});
+
+app.delete('/api/subscriptions/:id', (req, res) => {
+    if (!subscriptionStore.remove(req.params.id)) {
+        return res.status(404).json({ error: 'Unknown subscription' });
+    }
+    res.status(204).end();
+});
+
 // 主页路由
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'index.html'));
@@ -39,17 +106,26 @@ app.get('/health', (req, res) => {
 app.listen(PORT, () => {
     console.log(`🚀 RSSOS server running at http://localhost:${PORT}`);
     console.log(`📡 API available at http://localhost:${PORT}/api/generate`);
+    console.log(`🔀 Merge API available at http://localhost:${PORT}/api/merge`);
     console.log(`🌐 Frontend available at http://localhost:${PORT}`);
     console.log('');
     console.log('Example usage:');
     console.log(`  curl "http://localhost:${PORT}/api/generate?url=https://jasonspielman.com"`);
     console.log('');
     console.log('Press Ctrl+C to stop the server');
+
+    // 启动时先刷新到期和缓存中没有的订阅，结果记录到订阅中，再按各自的间隔定时刷新
+    if (process.env.RSSOS_SCHEDULER !== 'off') {
+        feedScheduler.warmup(subscription => feedService.isCached(subscriptionStore.toQuery(subscription)))
+            .catch(error => console.error('Cache warmup failed:', error.message))
+            .finally(() => feedScheduler.start(process.env.RSSOS_SCHEDULE || '* * * * *'));
+    }
 });
 
 // 优雅关闭
 process.on('SIGINT', () => {
     console.log('\n👋 Shutting down RSSOS server...');
+    feedScheduler.stop();
     process.exit(0);
 });
 
@@ -1,15 +1,27 @@
 const cheerio = require('cheerio');
-const fetch = require('node-fetch');
 const { URL } = require('url');
+const StructuredDataParser = require('./structuredDataParser');
+const DateParser = require('../utils/dateParser');
+const { generateGuid } = require('../utils/itemIdentity');
+const HttpClient = require('../utils/httpClient');
+const HtmlSanitizer = require('../utils/htmlSanitizer');
+const MediaExtractor = require('./mediaExtractor');
 
 /**
  * 通用内容解析器
  * 根据网站类型和检测结果解析网站内容
+ * options.deadline: 时间戳，解析过程中的额外请求（JSON数据、文章全文）不会超过此时间
  */
 class ContentParser {
-  constructor(siteInfo) {
+  constructor(siteInfo, options = {}) {
     this.siteInfo = siteInfo;
+    this.httpClient = options.httpClient || new HttpClient();
+    this.deadline = options.deadline || Infinity;
     this.baseUrl = new URL(siteInfo.url).origin;
+    this.structuredDataParser = new StructuredDataParser();
+    this.dateParser = new DateParser();
+    this.sanitizer = new HtmlSanitizer();
+    this.mediaExtractor = new MediaExtractor();
   }
 
   /**
@@ -17,8 +29,32 @@ class ContentParser {
    */
   async parseContent(html) {
     const $ = cheerio.load(html);
-    const articles = [];
 
+    // 站点规则或用户指定的选择器优先
+    if (this.siteInfo.rule || this.siteInfo.customSelectors) {
+      return await this.parseSelectorContent($);
+    }
+
+    // 优先使用结构化数据（JSON-LD / 微数据）
+    const structuredArticles = this.parseStructuredData($);
+    if (structuredArticles.length > 1) {
+      return structuredArticles;
+    }
+
+    const articles = await this.parseWithSelectors($, html);
+
+    // 结构化数据只有单个条目时，仅在选择器解析没有找到更多内容时使用
+    if (structuredArticles.length > 0 && articles.length <= structuredArticles.length) {
+      return structuredArticles;
+    }
+
+    return articles;
+  }
+
+  /**
+   * 根据网站类型使用CSS选择器解析内容
+   */
+  async parseWithSelectors($, html) {
     // 根据网站类型选择解析策略
     switch (this.siteInfo.type) {
       case 'portfolio':
@@ -36,6 +72,86 @@ class ContentParser {
     }
   }
 
+  /**
+   * 按站点规则或用户指定的选择器解析内容
+   */
+  async parseSelectorContent($) {
+    const articles = [];
+    const processedLinks = new Set();
+    const selectors = this.siteInfo.selectors;
+    const rule = this.siteInfo.rule || {};
+
+    $(selectors.articles).each((index, element) => {
+      const $el = $(element);
+
+      const title = this.extractText($el, selectors.title).replace(/\s+/g, ' ').trim();
+      const link = this.extractLink($el, selectors.link);
+      const contentEl = selectors.content ? $el.find(selectors.content).first() : null;
+      const content = contentEl && contentEl.length > 0 ? contentEl.html().trim() : '';
+      const date = this.parseDate(this.extractDate($el, selectors.date));
+      const author = this.extractText($el, selectors.author).trim() || rule.author;
+
+      if (!title || processedLinks.has(link)) return;
+      processedLinks.add(link);
+
+      const article = {
+        title: title,
+        link: link,
+        description: this.generateSummary(content ? this.sanitizer.extractText(content) : title, 200),
+        content: content || `<p>${this.escapeHtml(title)}</p>`,
+        pubDate: date,
+        guid: this.generateGuid(link, title)
+      };
+
+      const image = this.extractImage($el, selectors.image);
+      if (image) article.image = image;
+      if (author) article.author = author;
+      if (rule.category) article.category = rule.category;
+
+      // 播放器和下载链接可能在正文选择器之外
+      const media = this.mediaExtractor.extractFromElement($, $el, this.siteInfo.url);
+      if (media.length > 0) article.media = media;
+
+      articles.push(article);
+    });
+
+    // 规则中的fullText设置由FullTextService处理
+    return articles.slice(0, rule.limit || 20);
+  }
+
+  /**
+   * 解析结构化数据中的文章
+   */
+  parseStructuredData($) {
+    const items = this.structuredDataParser.extractItems($);
+    const articles = [];
+
+    items.forEach(item => {
+      const title = item.headline ? item.headline.replace(/\s+/g, ' ').trim() : '';
+      if (!title) return;
+
+      const link = item.url ? this.resolveUrl(item.url) : this.siteInfo.url;
+      const date = this.parseDate(item.datePublished || item.dateModified);
+
+      const article = {
+        title: title,
+        link: link,
+        description: item.description || this.generateSummary(item.body, 200) || title,
+        content: item.body || item.description || '',
+        pubDate: date,
+        guid: this.generateGuid(item.url ? link : null, title)
+      };
+
+      if (item.author) article.author = item.author;
+      if (item.category) article.category = item.category;
+      if (item.image) article.image = this.resolveUrl(item.image);
+
+      articles.push(article);
+    });
+
+    return articles;
+  }
+
   /**
    * 解析作品集内容
    */
@@ -63,8 +179,8 @@ class ContentParser {
           link: link,
           description: content.trim() || `View details of ${title}`,
           content: this.generatePortfolioContent(title, content, image),
-          pubDate: new Date().toUTCString(),
-          guid: this.generateGuid(link || title),
+          pubDate: null,
+          guid: this.generateGuid(link, title),
           image: image
         });
       }
@@ -90,17 +206,7 @@ class ContentParser {
       console.log(`Fetching JSON data from: ${jsonUrl}`);
 
       // 获取JSON数据
-      const jsonResponse = await fetch(jsonUrl, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (compatible; RSSOS/1.0)'
-        }
-      });
-
-      if (!jsonResponse.ok) {
-        throw new Error(`Failed to fetch JSON: ${jsonResponse.status}`);
-      }
-
-      const jsonData = await jsonResponse.json();
+      const jsonData = await this.httpClient.fetchJSON(jsonUrl, { deadline: this.deadline });
       
       // 解析JSON数据中的项目信息
       if (jsonData && jsonData.nodeById) {
@@ -128,8 +234,8 @@ class ContentParser {
                       link: `${this.baseUrl}${action.connectionURL}`,
                       description: `Explore the ${projectName} project featuring innovative design work, UX research, and creative solutions.`,
                       content: this.generateFigmaProjectContent(projectName, action.connectionURL),
-                      pubDate: new Date().toUTCString(),
-                      guid: `figma-project-${nodeId}-${Date.now()}`,
+                      pubDate: null,
+                      guid: this.generateGuid(`${this.baseUrl}${action.connectionURL}`, projectName),
                       category: 'Design'
                     });
                   }
@@ -155,9 +261,9 @@ class ContentParser {
                   title: title.replace(/\n/g, ' ').trim(),
                   link: this.siteInfo.url,
                   description: text.replace(/\n/g, ' ').trim(),
-                  content: `<p>${text.replace(/\n/g, '</p><p>')}</p>`,
-                  pubDate: new Date().toUTCString(),
-                  guid: `figma-text-${nodeId}-${Date.now()}`,
+                  content: `<p>${this.escapeHtml(text).replace(/\n/g, '</p><p>')}</p>`,
+                  pubDate: null,
+                  guid: this.generateGuid(null, text),
                   category: 'Design'
                 });
               }
@@ -199,8 +305,8 @@ class ContentParser {
           link: link,
           description: this.generateSummary(content, 200),
           content: content,
-          pubDate: date ? new Date(date).toUTCString() : new Date().toUTCString(),
-          guid: this.generateGuid(link || title),
+          pubDate: this.parseDate(date),
+          guid: this.generateGuid(link, title),
           author: this.extractText($el, selectors.author) || 'Unknown'
         });
       }
@@ -228,26 +334,17 @@ class ContentParser {
       const content = contentEl.length > 0 ? contentEl.html() : '';
       
       const dateEl = $el.find('.asset-date, .published, time');
-      let pubDate = new Date().toUTCString();
-      if (dateEl.length > 0) {
-        const dateText = dateEl.attr('datetime') || dateEl.text();
-        if (dateText) {
-          const parsedDate = new Date(dateText);
-          if (!isNaN(parsedDate.getTime())) {
-            pubDate = parsedDate.toUTCString();
-          }
-        }
-      }
+      const pubDate = dateEl.length > 0 ? this.parseDate(dateEl.attr('datetime') || dateEl.text()) : null;
       
       if (title && !processedLinks.has(link)) {
         processedLinks.add(link);
         articles.push({
           title: title,
           link: link,
-          description: this.generateSummary(content ? $('<div>').html(content).text() : title, 200),
-          content: content || `<p>${title}</p>`,
+          description: this.generateSummary(content ? this.sanitizer.extractText(content) : title, 200),
+          content: content || `<p>${this.escapeHtml(title)}</p>`,
           pubDate: pubDate,
-          guid: this.generateGuid(link),
+          guid: this.generateGuid(link, title),
           author: '阮一峰',
           category: 'Blog',
           needsFullContent: !content || content.length < 500 // 标记需要获取完整内容
@@ -266,16 +363,7 @@ class ContentParser {
         
         // 提取日期信息
         const dateSpan = $el.find('span').first();
-        let pubDate = new Date().toUTCString();
-        if (dateSpan.length > 0) {
-          const dateText = dateSpan.text().replace('»', '').trim();
-          if (dateText) {
-            const parsedDate = new Date(dateText + ' 00:00:00');
-            if (!isNaN(parsedDate.getTime())) {
-              pubDate = parsedDate.toUTCString();
-            }
-          }
-        }
+        const pubDate = dateSpan.length > 0 ? this.parseDate(dateSpan.text().replace('»', '')) : null;
         
         if (title && !processedLinks.has(link) && !title.includes('更多文章')) {
           processedLinks.add(link);
@@ -283,9 +371,9 @@ class ContentParser {
             title: title,
             link: link,
             description: `阮一峰的网络日志：${title}`,
-            content: `<h2>${title}</h2><p>这是阮一峰网络日志的一篇文章。</p>`,
+            content: `<h2>${this.escapeHtml(title)}</h2><p>这是阮一峰网络日志的一篇文章。</p>`,
             pubDate: pubDate,
-            guid: this.generateGuid(link),
+            guid: this.generateGuid(link, title),
             author: '阮一峰',
             category: 'Blog',
             needsFullContent: true // 需要获取完整内容
@@ -298,6 +386,10 @@ class ContentParser {
     const articlesToFetch = articles.filter(article => article.needsFullContent).slice(0, 5);
     
     for (let i = 0; i < articlesToFetch.length; i++) {
+      if (Date.now() >= this.deadline) {
+        console.log(`Skipping full content for remaining ${articlesToFetch.length - i} articles: time budget exhausted`);
+        break;
+      }
       const article = articlesToFetch[i];
       console.log(`Fetching full content for article ${i + 1}/${articlesToFetch.length}: ${article.title}`);
       
@@ -327,22 +419,9 @@ class ContentParser {
    */
   async fetchRuanyifengArticleContent(articleUrl) {
     try {
-      const fetch = require('node-fetch');
-      
       console.log(`Fetching article content from: ${articleUrl}`);
       
-      const response = await fetch(articleUrl, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (compatible; RSSOS/1.0)'
-        },
-        timeout: 10000
-      });
-      
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
-      }
-      
-      const html = await response.text();
+      const html = await this.httpClient.fetchText(articleUrl, { timeout: 10000, deadline: this.deadline });
       const cheerio = require('cheerio');
       const $page = cheerio.load(html);
       
@@ -373,14 +452,14 @@ class ContentParser {
         const paragraphs = [];
         
         $page('p').each((index, element) => {
-          const text = $page(element).text().trim();
+          const text = this.sanitizer.extractText($page(element)).trim();
           if (text.length > 20 && !text.includes('留言') && !text.includes('Email')) {
-            paragraphs.push(`<p>${text}</p>`);
+            paragraphs.push(`<p>${this.escapeHtml(text)}</p>`);
           }
         });
         
         if (paragraphs.length > 0) {
-          content = `<h2>${title}</h2>\n${paragraphs.slice(0, 10).join('\n')}`;
+          content = `<h2>${this.escapeHtml(title)}</h2>\n${paragraphs.slice(0, 10).join('\n')}`;
           console.log(`Extracted content from paragraphs: ${paragraphs.length} paragraphs`);
         }
       }
@@ -391,7 +470,7 @@ class ContentParser {
       }
       
       // 清理和优化内容
-      content = this.cleanRuanyifengContent(content);
+      content = this.cleanRuanyifengContent(content, articleUrl);
       
       console.log(`Successfully extracted ${content.length} characters of content`);
       return content;
@@ -404,43 +483,17 @@ class ContentParser {
   
   /**
    * 清理阮一峰文章内容
+   * 移除页脚、评论等区块，链接和图片地址按文章地址转换为绝对地址
    */
-  cleanRuanyifengContent(content) {
+  cleanRuanyifengContent(content, articleUrl) {
     if (!content) return content;
     
-    const cheerio = require('cheerio');
-    const $ = cheerio.load(content);
+    const $ = cheerio.load(`<div id="rssos-root">${content}</div>`);
     
     // 移除不需要的元素
-    $('.asset-footer, .entry-footer, .comments, #comments, .trackbacks, .related-posts').remove();
-    $('script, style, .advertisement').remove();
+    $('.asset-footer, .entry-footer, .comments, #comments, .trackbacks, .related-posts, .advertisement').remove();
     
-    // 修复图片链接
-    $('img').each((index, element) => {
-      const $img = $(element);
-      let src = $img.attr('src');
-      if (src && !src.startsWith('http')) {
-        if (src.startsWith('/')) {
-          $img.attr('src', `https://www.ruanyifeng.com${src}`);
-        } else {
-          $img.attr('src', `https://www.ruanyifeng.com/blog/${src}`);
-        }
-      }
-      $img.attr('style', 'max-width: 100%; height: auto;');
-    });
-    
-    // 修复链接
-    $('a').each((index, element) => {
-      const $link = $(element);
-      let href = $link.attr('href');
-      if (href && !href.startsWith('http') && !href.startsWith('mailto')) {
-        if (href.startsWith('/')) {
-          $link.attr('href', `https://www.ruanyifeng.com${href}`);
-        }
-      }
-    });
-    
-    return $.html();
+    return this.sanitizer.sanitize($('#rssos-root').html(), articleUrl);
   }
 
   /**
@@ -465,8 +518,8 @@ class ContentParser {
           link: link,
           description: summary,
           content: content,
-          pubDate: date ? new Date(date).toUTCString() : new Date().toUTCString(),
-          guid: this.generateGuid(link || title),
+          pubDate: this.parseDate(date),
+          guid: this.generateGuid(link, title),
           category: 'News'
         });
       }
@@ -496,8 +549,8 @@ class ContentParser {
           link: link,
           description: `${content || 'Product details'}${price ? ` - ${price}` : ''}`,
           content: this.generateProductContent(title, content, price),
-          pubDate: new Date().toUTCString(),
-          guid: this.generateGuid(link || title),
+          pubDate: null,
+          guid: this.generateGuid(link, title),
           category: 'Product'
         });
       }
@@ -527,8 +580,8 @@ class ContentParser {
           link: link,
           description: content || title,
           content: content,
-          pubDate: date ? new Date(date).toUTCString() : new Date().toUTCString(),
-          guid: this.generateGuid(link || title),
+          pubDate: this.parseDate(date),
+          guid: this.generateGuid(link, title),
           category: 'Repository'
         });
       }
@@ -558,8 +611,8 @@ class ContentParser {
           link: link,
           description: this.generateSummary(content, 200),
           content: content,
-          pubDate: date ? new Date(date).toUTCString() : new Date().toUTCString(),
-          guid: this.generateGuid(link || title)
+          pubDate: this.parseDate(date),
+          guid: this.generateGuid(link, title)
         });
       }
     });
@@ -573,9 +626,9 @@ class ContentParser {
     const element = $el.find(selector).first();
     if (element.length === 0) {
       // 如果找不到子元素，检查当前元素是否匹配
-      return $el.is(selector) ? $el.text() : '';
+      return $el.is(selector) ? this.sanitizer.extractText($el) : '';
     }
-    return element.text();
+    return this.sanitizer.extractText(element);
   }
 
   extractLink($el, selector) {
@@ -602,7 +655,9 @@ class ContentParser {
     if (!selector) return null;
     const imgEl = $el.find(selector).first();
     if (imgEl.length > 0) {
-      const src = imgEl.attr('src') || imgEl.attr('data-src');
+      // 延迟加载的图片使用data-src等属性中的真实地址
+      this.sanitizer.resolveLazyImage(imgEl);
+      const src = imgEl.attr('src');
       return src ? this.resolveUrl(src) : null;
     }
     return null;
@@ -617,12 +672,31 @@ class ContentParser {
     return null;
   }
 
+  /**
+   * 解析日期文本，返回UTC字符串，无法解析时返回null
+   * 站点规则可指定日期格式、时区和日月顺序
+   */
+  parseDate(text) {
+    const rule = this.siteInfo.rule || {};
+    const date = this.dateParser.parse(text, {
+      format: rule.dateFormat,
+      timezone: rule.timezone,
+      dateOrder: rule.dateOrder
+    });
+    return date ? date.toUTCString() : null;
+  }
+
+  /**
+   * 按网站地址解析相对地址，无法解析时返回网站地址
+   */
   resolveUrl(url) {
     if (!url) return this.siteInfo.url;
-    if (url.startsWith('http')) return url;
-    if (url.startsWith('//')) return `https:${url}`;
-    if (url.startsWith('/')) return `${this.baseUrl}${url}`;
-    return `${this.baseUrl}/${url}`;
+
+    try {
+      return new URL(url.trim(), this.siteInfo.url).toString();
+    } catch (error) {
+      return this.siteInfo.url;
+    }
   }
 
   generateSummary(text, maxLength = 200) {
@@ -631,29 +705,39 @@ class ContentParser {
     return clean.length > maxLength ? clean.substring(0, maxLength) + '...' : clean;
   }
 
-  generateGuid(identifier) {
-    const hash = require('crypto').createHash('md5').update(identifier + this.siteInfo.url).digest('hex');
-    return `rssos-${hash.substring(0, 16)}`;
+  generateGuid(link, title) {
+    return generateGuid(link, title, this.siteInfo.url);
   }
 
   capitalize(str) {
     return str.charAt(0).toUpperCase() + str.slice(1);
   }
 
+  /**
+   * 转义插入到HTML中的文本
+   */
+  escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
   generatePortfolioContent(title, content, image) {
-    let html = `<h2>${title}</h2>`;
+    let html = `<h2>${this.escapeHtml(title)}</h2>`;
     if (image) {
-      html += `<img src="${image}" alt="${title}" style="max-width: 100%; height: auto; margin: 10px 0;"/>`;
+      html += `<img src="${this.escapeHtml(image)}" alt="${this.escapeHtml(title)}"/>`;
     }
     if (content) {
-      html += `<p>${content}</p>`;
+      html += `<p>${this.escapeHtml(content)}</p>`;
     }
     return html;
   }
 
   generateFigmaProjectContent(projectName, projectUrl) {
     return `
-      <h2>${this.capitalize(projectName)} - Design Project</h2>
+      <h2>${this.escapeHtml(this.capitalize(projectName))} - Design Project</h2>
       <p>This project showcases innovative design work and creative problem-solving approaches.</p>
       <h3>Key Highlights:</h3>
       <ul>
@@ -662,17 +746,17 @@ class ContentParser {
         <li>Comprehensive research and testing</li>
         <li>Modern, clean aesthetic</li>
       </ul>
-      <p><a href="${this.baseUrl}${projectUrl}">View full project details →</a></p>
+      <p><a href="${this.escapeHtml(this.resolveUrl(projectUrl))}">View full project details →</a></p>
     `;
   }
 
   generateProductContent(title, content, price) {
-    let html = `<h2>${title}</h2>`;
+    let html = `<h2>${this.escapeHtml(title)}</h2>`;
     if (price) {
-      html += `<p><strong>Price: ${price}</strong></p>`;
+      html += `<p><strong>Price: ${this.escapeHtml(price)}</strong></p>`;
     }
     if (content) {
-      html += `<p>${content}</p>`;
+      html += `<p>${this.escapeHtml(content)}</p>`;
     }
     return html;
   }
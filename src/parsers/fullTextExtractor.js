@@ -0,0 +1,169 @@
+const cheerio = require('cheerio');
+
+// 可能是正文的class/id
+const POSITIVE_PATTERN = /article|body|content|entry|main|page|post|text|blog|story/i;
+
+// 通常不是正文的class/id
+const NEGATIVE_PATTERN = /comment|meta|footer|footnote|foot|sidebar|sponsor|share|social|related|promo|advert|\bads?\b|banner|breadcrumb|pagination|pager|popup|subscribe|newsletter|widget|masthead|menu|nav|combx|disqus|outbrain|taboola/i;
+
+// 直接移除的元素
+const UNLIKELY_ELEMENTS = 'script, style, noscript, template, iframe, form, button, input, select, textarea, nav, header, footer, aside, svg, canvas';
+
+/**
+ * 正文提取器
+ * 参考Readability的评分思路，从文章页面中找出主要内容区域
+ */
+class FullTextExtractor {
+  constructor(options = {}) {
+    this.minTextLength = options.minTextLength || 200;
+  }
+
+  /**
+   * 提取正文
+   * selector: 站点规则指定的正文选择器（可选）
+   * 返回 { title, content, text }，未找到时返回null
+   */
+  extract(html, options = {}) {
+    const $ = cheerio.load(html);
+    const title = this.extractTitle($);
+
+    if (options.selector) {
+      const $selected = $(options.selector).first();
+      if ($selected.length > 0) {
+        $selected.find('script, style, noscript, template').remove();
+        if (options.remove) {
+          $selected.find(options.remove).remove();
+        }
+        return this.buildResult($, $selected, title);
+      }
+    }
+
+    $(UNLIKELY_ELEMENTS).remove();
+    if (options.remove) {
+      $(options.remove).remove();
+    }
+
+    // 移除明显不是正文的区块
+    $('body *').each((index, element) => {
+      const $el = $(element);
+      const signature = `${$el.attr('class') || ''} ${$el.attr('id') || ''}`;
+      if (NEGATIVE_PATTERN.test(signature) && !POSITIVE_PATTERN.test(signature) && !$el.is('body, article, main')) {
+        $el.remove();
+      }
+    });
+
+    // 语义化标记的正文区域
+    const semantic = $('[itemprop="articleBody"], article, [role="main"], main').filter((index, element) =>
+      this.textLength($(element)) >= this.minTextLength
+    ).first();
+    if (semantic.length > 0) {
+      return this.buildResult($, semantic, title);
+    }
+
+    const candidate = this.findBestCandidate($);
+    if (!candidate) return null;
+
+    return this.buildResult($, candidate, title);
+  }
+
+  /**
+   * 根据段落对父元素评分，返回得分最高的区域
+   */
+  findBestCandidate($) {
+    const scores = new Map();
+
+    $('p, pre, td, blockquote').each((index, element) => {
+      const $el = $(element);
+      const text = $el.text().trim();
+      if (text.length < 25) return;
+
+      // 段落基础分：逗号数量和长度
+      const score = 1 + text.split(/[,，、]/).length + Math.min(Math.floor(text.length / 100), 3);
+
+      const parent = $el.parent();
+      const grandparent = parent.parent();
+      this.addScore($, scores, parent, score);
+      if (grandparent.length > 0) {
+        this.addScore($, scores, grandparent, score / 2);
+      }
+    });
+
+    let best = null;
+    let bestScore = 0;
+    scores.forEach((score, element) => {
+      // 链接文字过多的区域得分降低
+      const $el = $(element);
+      const adjusted = score * (1 - this.linkDensity($, $el));
+      if (adjusted > bestScore) {
+        best = $el;
+        bestScore = adjusted;
+      }
+    });
+
+    if (!best || this.textLength(best) < this.minTextLength) {
+      return null;
+    }
+
+    return best;
+  }
+
+  addScore($, scores, $el, score) {
+    const element = $el[0];
+    if (!element || element.type !== 'tag') return;
+
+    if (!scores.has(element)) {
+      scores.set(element, this.initialScore($el));
+    }
+    scores.set(element, scores.get(element) + score);
+  }
+
+  initialScore($el) {
+    let score = 0;
+    const signature = `${$el.attr('class') || ''} ${$el.attr('id') || ''}`;
+
+    if (POSITIVE_PATTERN.test(signature)) score += 25;
+    if (NEGATIVE_PATTERN.test(signature)) score -= 25;
+
+    if ($el.is('div, article, section')) score += 5;
+    if ($el.is('pre, td, blockquote')) score += 3;
+    if ($el.is('ol, ul, dl, dd, dt, li, form')) score -= 3;
+    if ($el.is('h1, h2, h3, h4, h5, h6, th')) score -= 5;
+
+    return score;
+  }
+
+  linkDensity($, $el) {
+    const textLength = this.textLength($el);
+    if (textLength === 0) return 0;
+
+    let linkLength = 0;
+    $el.find('a').each((index, element) => {
+      linkLength += $(element).text().trim().length;
+    });
+    return Math.min(linkLength / textLength, 1);
+  }
+
+  textLength($el) {
+    return $el.text().replace(/\s+/g, ' ').trim().length;
+  }
+
+  extractTitle($) {
+    return ($('meta[property="og:title"]').attr('content') ||
+      $('h1').first().text() ||
+      $('title').text() ||
+      '').replace(/\s+/g, ' ').trim();
+  }
+
+  buildResult($, $el, title) {
+    const content = ($el.html() || '').trim();
+    if (!content) return null;
+
+    return {
+      title,
+      content,
+      text: $el.text().replace(/\s+/g, ' ').trim()
+    };
+  }
+}
+
+module.exports = FullTextExtractor;
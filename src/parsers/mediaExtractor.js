@@ -0,0 +1,225 @@
+const cheerio = require('cheerio');
+const { URL } = require('url');
+
+// 按扩展名推断的音视频MIME类型
+const MEDIA_TYPES = {
+  mp3: 'audio/mpeg',
+  m4a: 'audio/mp4',
+  m4b: 'audio/mp4',
+  aac: 'audio/aac',
+  oga: 'audio/ogg',
+  ogg: 'audio/ogg',
+  opus: 'audio/opus',
+  wav: 'audio/wav',
+  flac: 'audio/flac',
+  mp4: 'video/mp4',
+  m4v: 'video/x-m4v',
+  mov: 'video/quicktime',
+  webm: 'video/webm',
+  ogv: 'video/ogg',
+  mkv: 'video/x-matroska'
+};
+
+// 按扩展名推断的图片MIME类型
+const IMAGE_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  svg: 'image/svg+xml'
+};
+
+// 页面级别的音视频meta标签：[地址属性, 类型属性]
+const PAGE_MEDIA_META = [
+  ['og:video:secure_url', 'og:video:type'],
+  ['og:video:url', 'og:video:type'],
+  ['og:video', 'og:video:type'],
+  ['og:audio:secure_url', 'og:audio:type'],
+  ['og:audio:url', 'og:audio:type'],
+  ['og:audio', 'og:audio:type'],
+  ['twitter:player:stream', 'twitter:player:stream:content_type']
+];
+
+/**
+ * 音视频提取器
+ * 从条目HTML中找出<audio>、<video>和指向音视频文件的下载链接，
+ * 从文章页面的og:video / og:audio中找出页面的主要媒体。
+ * 返回 { url, type, medium, length, duration, thumbnail } 列表，
+ * length和duration未知时为null（由MediaService通过HEAD请求补充length）
+ */
+class MediaExtractor {
+  /**
+   * 从HTML片段中提取音视频
+   */
+  extract(html, baseUrl) {
+    if (!html || !/<(?:audio|video|source|a)\b/i.test(html)) return [];
+
+    const $ = cheerio.load(`<div id="rssos-media-root">${html}</div>`);
+    return this.extractFromElement($, $('#rssos-media-root'), baseUrl);
+  }
+
+  /**
+   * 从cheerio元素中提取音视频
+   */
+  extractFromElement($, $root, baseUrl) {
+    const media = [];
+
+    $root.find('audio, video').each((index, element) => {
+      const $el = $(element);
+      const medium = element.tagName.toLowerCase();
+      const sources = [{ src: $el.attr('src'), type: $el.attr('type') }].concat(
+        $el.find('source').map((i, source) => ({ src: $(source).attr('src'), type: $(source).attr('type') })).get()
+      );
+      const poster = medium === 'video' ? this.resolveUrl($el.attr('poster'), baseUrl) : null;
+
+      // 多个<source>是同一媒体的不同格式，只取第一个可用的
+      for (const source of sources) {
+        const entry = this.createEntry(source.src, baseUrl, { type: source.type, medium, thumbnail: poster });
+        if (entry) {
+          media.push(entry);
+          break;
+        }
+      }
+    });
+
+    $root.find('a[href]').each((index, element) => {
+      const $el = $(element);
+      // 下载链接只有通过type属性或扩展名确定是音视频文件时才作为附件
+      const entry = this.createEntry($el.attr('href'), baseUrl, { type: $el.attr('type') });
+      if (entry) media.push(entry);
+    });
+
+    return this.dedupe(media);
+  }
+
+  /**
+   * 从文章页面的meta标签中提取主要媒体
+   * 嵌入播放器（text/html）无法作为附件，会被忽略
+   */
+  extractFromPage(html, baseUrl) {
+    if (!html) return [];
+
+    const $ = cheerio.load(html);
+    const meta = name => $(`meta[property="${name}"], meta[name="${name}"]`).first().attr('content');
+    const thumbnail = this.resolveUrl(meta('og:image'), baseUrl);
+    const duration = this.parseDuration(meta('video:duration') || meta('og:video:duration'));
+    const media = [];
+
+    // secure_url、url和og:video通常是同一文件，每种媒体只取第一个
+    PAGE_MEDIA_META.forEach(([urlName, typeName]) => {
+      const entry = this.createEntry(meta(urlName), baseUrl, {
+        type: meta(typeName),
+        thumbnail: urlName.includes('video') ? thumbnail : null,
+        duration
+      });
+      if (entry && !media.some(item => item.medium === entry.medium)) {
+        media.push(entry);
+      }
+    });
+
+    return media;
+  }
+
+  /**
+   * 创建媒体条目，地址无效或类型不是音视频时返回null
+   * 类型未知时使用options.medium（<audio>/<video>的地址不一定有扩展名）
+   */
+  createEntry(src, baseUrl, options = {}) {
+    const url = this.resolveUrl(src, baseUrl);
+    if (!url) return null;
+
+    const type = this.normalizeType(options.type) || this.guessType(url);
+    const medium = type ? this.getMedium(type) : options.medium;
+    if (medium !== 'audio' && medium !== 'video') return null;
+
+    return {
+      url,
+      type: type || null,
+      medium,
+      length: null,
+      duration: options.duration || null,
+      thumbnail: options.thumbnail || null
+    };
+  }
+
+  /**
+   * 按扩展名推断MIME类型（包括图片），无法推断时返回null
+   */
+  guessType(url) {
+    let pathname;
+    try {
+      pathname = new URL(url).pathname;
+    } catch (error) {
+      return null;
+    }
+
+    const extension = (pathname.match(/\.([a-z0-9]+)$/i) || [])[1];
+    if (!extension) return null;
+    const key = extension.toLowerCase();
+    return MEDIA_TYPES[key] || IMAGE_TYPES[key] || null;
+  }
+
+  /**
+   * 媒体类别：audio、video或image
+   */
+  getMedium(type) {
+    const match = (type || '').match(/^(audio|video|image)\//);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * 去掉MIME类型的参数（如codecs），无效的类型返回null
+   */
+  normalizeType(type) {
+    const normalized = String(type || '').split(';')[0].trim().toLowerCase();
+    return /^[a-z]+\/[\w.+-]+$/.test(normalized) ? normalized : null;
+  }
+
+  /**
+   * 解析时长，支持秒数、HH:MM:SS和ISO 8601（PT1H2M3S），返回秒数
+   */
+  parseDuration(value) {
+    const text = String(value || '').trim();
+    if (!text) return null;
+
+    if (/^\d+(?:\.\d+)?$/.test(text)) {
+      return Math.round(Number(text));
+    }
+
+    const clock = text.match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})$/);
+    if (clock) {
+      return Number(clock[1] || 0) * 3600 + Number(clock[2]) * 60 + Number(clock[3]);
+    }
+
+    const iso = text.match(/^PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?$/i);
+    if (iso && (iso[1] || iso[2] || iso[3])) {
+      return Number(iso[1] || 0) * 3600 + Number(iso[2] || 0) * 60 + Math.round(Number(iso[3] || 0));
+    }
+
+    return null;
+  }
+
+  resolveUrl(src, baseUrl) {
+    if (!src || /^(?:data|blob|javascript):/i.test(src.trim())) return null;
+
+    try {
+      const url = new URL(src.trim(), baseUrl);
+      return ['http:', 'https:'].includes(url.protocol) ? url.toString() : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  dedupe(media) {
+    const seen = new Set();
+    return media.filter(entry => {
+      if (seen.has(entry.url)) return false;
+      seen.add(entry.url);
+      return true;
+    });
+  }
+}
+
+module.exports = MediaExtractor;
@@ -0,0 +1,293 @@
+const HtmlSanitizer = require('../utils/htmlSanitizer');
+
+/**
+ * 结构化数据解析器
+ * 读取页面中的JSON-LD和schema.org微数据，提取文章条目
+ */
+
+// 视为文章的schema.org类型
+const ARTICLE_TYPES = new Set([
+  'Article',
+  'NewsArticle',
+  'AnalysisNewsArticle',
+  'OpinionNewsArticle',
+  'ReportageNewsArticle',
+  'ReviewNewsArticle',
+  'BlogPosting',
+  'LiveBlogPosting',
+  'SocialMediaPosting',
+  'TechArticle',
+  'ScholarlyArticle',
+  'Report'
+]);
+
+class StructuredDataParser {
+  constructor() {
+    this.sanitizer = new HtmlSanitizer();
+  }
+
+  /**
+   * 提取页面中的所有结构化数据条目
+   * 返回原始字段，由ContentParser转换为文章结构
+   */
+  extractItems($) {
+    const items = [
+      ...this.extractJsonLdItems($),
+      ...this.extractMicrodataItems($)
+    ];
+
+    // 按URL或标题去重
+    const seen = new Set();
+    return items.filter(item => {
+      const key = item.url || item.headline;
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * 获取页面声明的所有schema.org类型
+   */
+  getTypes($) {
+    const types = new Set();
+
+    this.getJsonLdNodes($).forEach(node => {
+      this.getNodeTypes(node).forEach(type => types.add(type));
+    });
+
+    $('[itemscope][itemtype]').each((index, element) => {
+      this.getMicrodataTypes($(element)).forEach(type => types.add(type));
+    });
+
+    return types;
+  }
+
+  /**
+   * 判断类型列表中是否包含文章类型
+   */
+  isArticleType(types) {
+    return types.some(type => ARTICLE_TYPES.has(type));
+  }
+
+  // JSON-LD
+
+  /**
+   * 解析所有JSON-LD块并展开为节点列表（包括@graph和嵌套对象）
+   */
+  getJsonLdNodes($) {
+    const nodes = [];
+
+    $('script[type="application/ld+json"]').each((index, element) => {
+      const raw = $(element).html() || '';
+      const json = this.parseJson(raw);
+      if (json) {
+        this.walkJsonLd(json, nodes, new Set());
+      }
+    });
+
+    return nodes;
+  }
+
+  walkJsonLd(value, nodes, visited) {
+    if (!value || typeof value !== 'object' || visited.has(value)) return;
+    visited.add(value);
+
+    if (Array.isArray(value)) {
+      value.forEach(child => this.walkJsonLd(child, nodes, visited));
+      return;
+    }
+
+    if (value['@type']) {
+      nodes.push(value);
+    }
+
+    Object.keys(value).forEach(key => {
+      if (key !== '@context') {
+        this.walkJsonLd(value[key], nodes, visited);
+      }
+    });
+  }
+
+  extractJsonLdItems($) {
+    const items = [];
+
+    this.getJsonLdNodes($).forEach(node => {
+      const types = this.getNodeTypes(node);
+
+      if (this.isArticleType(types)) {
+        items.push(this.jsonLdToItem(node));
+      } else if (types.includes('ItemList')) {
+        // 按列表顺序收集条目（嵌套的文章对象在遍历时重复出现，会被去重）
+        this.toArray(node.itemListElement).forEach(listItem => {
+          if (typeof listItem === 'string') {
+            items.push({ url: listItem });
+            return;
+          }
+          if (!listItem || typeof listItem !== 'object') return;
+
+          const target = listItem.item !== undefined ? listItem.item : listItem;
+          if (typeof target === 'string') {
+            items.push({ url: target, headline: this.textValue(listItem.name) });
+          } else if (target) {
+            items.push(this.jsonLdToItem(target, listItem));
+          }
+        });
+      }
+    });
+
+    return items.filter(item => item.headline || item.url);
+  }
+
+  jsonLdToItem(node, fallback = {}) {
+    const mainEntity = node.mainEntityOfPage;
+    const mainEntityUrl = typeof mainEntity === 'string' ? mainEntity : mainEntity?.['@id'];
+
+    return {
+      headline: this.textValue(node.headline) || this.textValue(node.name) || this.textValue(fallback.name),
+      url: this.urlValue(node.url) || mainEntityUrl || this.urlValue(fallback.url) || null,
+      datePublished: this.textValue(node.datePublished) || this.textValue(node.dateCreated) || this.textValue(node.uploadDate),
+      dateModified: this.textValue(node.dateModified),
+      author: this.personName(node.author) || this.personName(node.creator),
+      image: this.imageValue(node.image) || this.imageValue(node.thumbnailUrl),
+      description: this.textValue(node.description),
+      body: this.textValue(node.articleBody),
+      category: this.textValue(node.articleSection) || this.firstKeyword(node.keywords)
+    };
+  }
+
+  // 微数据
+
+  extractMicrodataItems($) {
+    const items = [];
+
+    $('[itemscope][itemtype]').each((index, element) => {
+      const $scope = $(element);
+      if (!this.isArticleType(this.getMicrodataTypes($scope))) return;
+
+      const authorEl = this.findItemProps($, $scope, 'author').first();
+      let author = '';
+      if (authorEl.length > 0) {
+        author = authorEl.is('[itemscope]')
+          ? this.microdataValue($, this.findItemProps($, authorEl, 'name').first())
+          : this.microdataValue($, authorEl);
+      }
+
+      const prop = (name) => this.microdataValue($, this.findItemProps($, $scope, name).first());
+
+      items.push({
+        headline: prop('headline') || prop('name'),
+        url: prop('url') || prop('mainEntityOfPage') || null,
+        datePublished: prop('datePublished') || prop('dateCreated'),
+        dateModified: prop('dateModified'),
+        author: author,
+        image: prop('image') || prop('thumbnailUrl'),
+        description: prop('description'),
+        body: prop('articleBody'),
+        category: prop('articleSection')
+      });
+    });
+
+    return items.filter(item => item.headline || item.url);
+  }
+
+  /**
+   * 查找属于当前itemscope的itemprop（排除嵌套itemscope内部的属性）
+   */
+  findItemProps($, $scope, name) {
+    return $scope.find(`[itemprop~="${name}"]`).filter((index, element) => {
+      const owner = $(element).parent().closest('[itemscope]');
+      return owner.length > 0 && owner[0] === $scope[0];
+    });
+  }
+
+  microdataValue($, $el) {
+    if (!$el || $el.length === 0) return '';
+
+    if ($el.is('meta')) return ($el.attr('content') || '').trim();
+    if ($el.is('time')) return ($el.attr('datetime') || $el.text()).trim();
+    if ($el.is('a, link, area')) return ($el.attr('href') || '').trim();
+    if ($el.is('img, audio, video, source, iframe, embed')) return ($el.attr('src') || '').trim();
+    if ($el.attr('content')) return $el.attr('content').trim();
+
+    return this.sanitizer.extractText($el).replace(/\s+/g, ' ').trim();
+  }
+
+  getMicrodataTypes($el) {
+    return ($el.attr('itemtype') || '')
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(type => type.replace(/^https?:\/\/schema\.org\//, ''));
+  }
+
+  // 工具方法
+  parseJson(raw) {
+    const text = raw
+      .replace(/^\s*<!--/, '')
+      .replace(/-->\s*$/, '')
+      .replace(/^\s*\/\/\s*<!\[CDATA\[/, '')
+      .replace(/\/\/\s*\]\]>\s*$/, '')
+      .trim();
+
+    if (!text) return null;
+
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      // 部分网站在JSON中包含未转义的控制字符
+      try {
+        return JSON.parse(text.replace(/[\u0000-\u001F]+/g, ' '));
+      } catch (secondError) {
+        return null;
+      }
+    }
+  }
+
+  getNodeTypes(node) {
+    return this.toArray(node['@type'])
+      .filter(type => typeof type === 'string')
+      .map(type => type.replace(/^https?:\/\/schema\.org\//, ''));
+  }
+
+  toArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+
+  textValue(value) {
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) return this.textValue(value[0]);
+    if (typeof value === 'object') return this.textValue(value['@value'] || value.name);
+    return String(value).trim();
+  }
+
+  urlValue(value) {
+    if (!value) return '';
+    if (Array.isArray(value)) return this.urlValue(value[0]);
+    if (typeof value === 'object') return this.urlValue(value['@id'] || value.url);
+    return String(value).trim();
+  }
+
+  imageValue(value) {
+    if (!value) return '';
+    if (Array.isArray(value)) return this.imageValue(value[0]);
+    if (typeof value === 'object') return this.urlValue(value.url || value.contentUrl || value['@id']);
+    return String(value).trim();
+  }
+
+  personName(value) {
+    if (!value) return '';
+    const names = this.toArray(value)
+      .map(person => (typeof person === 'string' ? person : this.textValue(person.name)))
+      .filter(Boolean);
+    return names.join(', ');
+  }
+
+  firstKeyword(keywords) {
+    if (!keywords) return '';
+    const list = Array.isArray(keywords) ? keywords : String(keywords).split(',');
+    return this.textValue(list[0]);
+  }
+}
+
+module.exports = StructuredDataParser;
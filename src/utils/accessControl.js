@@ -0,0 +1,167 @@
+const ApiKeys = require('./apiKeys');
+const RateLimiter = require('./rateLimiter');
+
+// 未携带API key的请求：每个IP每分钟的请求数，可通过RSSOS_RATE_LIMIT修改（0表示不限制）
+const DEFAULT_ANONYMOUS_LIMIT = { requests: 30, per: 60 };
+
+// 未单独设置限流的API key
+const DEFAULT_KEY_LIMIT = { requests: 120, per: 60 };
+
+let defaultAccessControl = null;
+
+/**
+ * API访问控制
+ * 校验API key，按IP（匿名请求）或key做令牌桶限流，并检查key的每日配额
+ */
+class AccessControl {
+  constructor(options = {}) {
+    this.env = options.env || process.env;
+
+    if (options.apiKeys) {
+      this.apiKeys = options.apiKeys;
+    } else {
+      this.apiKeys = new ApiKeys();
+      this.apiKeys.load();
+    }
+    this.rateLimiter = options.rateLimiter || new RateLimiter({ env: this.env });
+  }
+
+  /**
+   * 进程内共享的实例，各API端点使用同一限流状态
+   */
+  static getDefault() {
+    if (!defaultAccessControl) {
+      defaultAccessControl = new AccessControl();
+    }
+    return defaultAccessControl;
+  }
+
+  /**
+   * 匿名请求的限流设置，false表示不限流
+   */
+  getAnonymousLimit() {
+    if (this.env.RSSOS_RATE_LIMIT !== undefined) {
+      const requests = parseInt(this.env.RSSOS_RATE_LIMIT, 10);
+      return requests > 0 ? { requests, per: 60 } : false;
+    }
+    return this.apiKeys.anonymous ?? DEFAULT_ANONYMOUS_LIMIT;
+  }
+
+  /**
+   * 读取请求中的API key：X-API-Key头、Authorization: Bearer或key参数（供无法设置请求头的阅读器使用）
+   */
+  getApiKey(req) {
+    const header = req.headers?.['x-api-key'];
+    if (header) return String(header).trim();
+
+    const authorization = String(req.headers?.authorization || '').match(/^Bearer\s+(.+)$/i);
+    if (authorization) return authorization[1].trim();
+
+    return req.query?.key ? String(req.query.key).trim() : null;
+  }
+
+  /**
+   * 客户端IP
+   * 只在Vercel或设置了RSSOS_TRUST_PROXY时信任X-Forwarded-For，避免伪造请求头绕过限流
+   */
+  getClientIp(req) {
+    if (this.env.VERCEL || this.env.RSSOS_TRUST_PROXY) {
+      const forwarded = String(req.headers?.['x-forwarded-for'] || '').split(',')[0].trim();
+      if (forwarded) return forwarded;
+    }
+    return req.socket?.remoteAddress || req.connection?.remoteAddress || 'unknown';
+  }
+
+  /**
+   * 检查请求是否允许，并设置RateLimit-*响应头
+   * cost: 本次请求消耗的令牌数（合并多个网站时按网站数计算）
+   * 返回 { allowed: true, client } 或 { allowed: false, status, body }
+   */
+  async check(req, res, cost = 1) {
+    // 配置文件无效时无法校验key和限流，拒绝所有请求
+    if (this.apiKeys.error) {
+      return {
+        allowed: false,
+        status: 503,
+        body: { error: 'API key configuration is invalid', message: 'The server cannot accept requests until the API key file is fixed' }
+      };
+    }
+
+    const apiKey = this.getApiKey(req);
+    let client = null;
+    let limit;
+    let bucket;
+
+    if (apiKey) {
+      client = this.apiKeys.find(apiKey);
+      if (!client) {
+        return { allowed: false, status: 401, body: { error: 'Invalid API key' } };
+      }
+      limit = client.rateLimit ?? DEFAULT_KEY_LIMIT;
+      bucket = `key:${client.name}`;
+    } else {
+      if (this.apiKeys.required) {
+        return {
+          allowed: false,
+          status: 401,
+          body: { error: 'API key required', usage: 'Pass the key in the X-API-Key header or the key parameter' }
+        };
+      }
+      limit = this.getAnonymousLimit();
+      bucket = `ip:${this.getClientIp(req)}`;
+    }
+
+    // 先检查配额，配额用完的请求不消耗限流令牌
+    if (client?.quota) {
+      const quota = await this.rateLimiter.peekQuota(client.name, client.quota.daily, cost);
+      if (!quota.allowed) {
+        return this.rejectQuota(res, quota);
+      }
+    }
+
+    if (limit) {
+      const result = await this.rateLimiter.consume(bucket, limit, cost);
+      res.setHeader('RateLimit-Policy', `${limit.requests};w=${limit.per}`);
+      res.setHeader('RateLimit-Limit', result.limit);
+      res.setHeader('RateLimit-Remaining', result.remaining);
+      res.setHeader('RateLimit-Reset', result.reset);
+
+      if (!result.allowed) {
+        res.setHeader('Retry-After', result.retryAfter);
+        return {
+          allowed: false,
+          status: 429,
+          body: { error: 'Rate limit exceeded', retryAfter: result.retryAfter }
+        };
+      }
+    }
+
+    if (client?.quota) {
+      const quota = await this.rateLimiter.consumeQuota(client.name, client.quota.daily, cost);
+      res.setHeader('X-Quota-Limit', quota.limit);
+      res.setHeader('X-Quota-Remaining', quota.remaining);
+
+      if (!quota.allowed) {
+        return this.rejectQuota(res, quota);
+      }
+    }
+
+    return { allowed: true, client };
+  }
+
+  /**
+   * 配额用完时的响应
+   */
+  rejectQuota(res, quota) {
+    res.setHeader('X-Quota-Limit', quota.limit);
+    res.setHeader('X-Quota-Remaining', quota.remaining);
+    res.setHeader('Retry-After', quota.reset);
+    return {
+      allowed: false,
+      status: 429,
+      body: { error: 'Daily quota exceeded', quota: quota.limit, retryAfter: quota.reset }
+    };
+  }
+}
+
+module.exports = AccessControl;
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+
+// API key配置文件默认路径
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '../../config/api-keys.yaml');
+
+/**
+ * 计算API key的SHA-256摘要
+ * 配置文件只保存摘要：静态文件服务会暴露仓库中的文件，不能保存明文key
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * API key管理器
+ * 从JSON/YAML配置文件加载API key及其限流和配额设置
+ */
+class ApiKeys {
+  constructor(configFile = process.env.RSSOS_API_KEYS_FILE || DEFAULT_CONFIG_FILE) {
+    this.configFile = configFile;
+    this.required = false;
+    this.anonymous = null;
+    this.keys = new Map();
+    this.error = null;
+  }
+
+  /**
+   * 加载配置文件，文件不存在时不启用API key
+   * 文件无法解析或包含无效的条目时不加载任何key，并设置error和required，
+   * 由AccessControl拒绝所有请求，避免在配置错误时放行
+   */
+  load() {
+    this.required = false;
+    this.anonymous = null;
+    this.keys = new Map();
+    this.error = null;
+
+    if (!fs.existsSync(this.configFile)) {
+      return this.keys;
+    }
+
+    try {
+      const raw = fs.readFileSync(this.configFile, 'utf-8');
+      const config = /\.json$/i.test(this.configFile) ? JSON.parse(raw) : yaml.load(raw);
+
+      // 全部校验通过后再替换，不会留下部分加载的key
+      const keys = new Map();
+      [].concat(config?.keys || []).forEach((entry, index) => {
+        const compiled = this.compileKey(entry, `keys#${index}`);
+        keys.set(compiled.sha256, compiled);
+      });
+      const anonymous = config?.anonymous === undefined ? null : this.compileRateLimit(config.anonymous, 'anonymous');
+
+      this.required = !!config?.required;
+      this.anonymous = anonymous;
+      this.keys = keys;
+    } catch (error) {
+      console.error(`Failed to load API keys from ${this.configFile}:`, error.message);
+      this.required = true;
+      this.error = error.message;
+      return this.keys;
+    }
+
+    console.log(`Loaded ${this.keys.size} API keys from ${this.configFile}`);
+    return this.keys;
+  }
+
+  /**
+   * 校验单个key的配置
+   */
+  compileKey(entry, source) {
+    if (!entry || typeof entry !== 'object' || !entry.name) {
+      throw new Error(`API key ${source} must be an object with a name`);
+    }
+
+    const sha256 = String(entry.sha256 || '').toLowerCase();
+    if (!/^[0-9a-f]{64}$/.test(sha256)) {
+      throw new Error(`API key ${entry.name} must declare sha256 as a 64-character hex digest`);
+    }
+
+    const daily = entry.quota?.daily;
+    if (daily !== undefined && (!Number.isInteger(daily) || daily < 1)) {
+      throw new Error(`API key ${entry.name} has an invalid daily quota`);
+    }
+
+    return {
+      name: String(entry.name),
+      sha256: sha256,
+      rateLimit: entry.rateLimit === undefined ? null : this.compileRateLimit(entry.rateLimit, entry.name),
+      quota: daily ? { daily } : null
+    };
+  }
+
+  /**
+   * 校验限流设置：{ requests, per }，per为秒数（默认60）；false表示不限流
+   */
+  compileRateLimit(rateLimit, source) {
+    if (rateLimit === false) return false;
+
+    const requests = rateLimit?.requests;
+    const per = rateLimit?.per === undefined ? 60 : rateLimit.per;
+    if (!Number.isInteger(requests) || requests < 1 || !(per > 0)) {
+      throw new Error(`Rate limit for ${source} must declare a positive integer requests and per (seconds)`);
+    }
+
+    return { requests, per };
+  }
+
+  /**
+   * 是否配置了任何API key
+   */
+  isEnabled() {
+    return this.keys.size > 0;
+  }
+
+  /**
+   * 查找API key，不存在时返回null
+   */
+  find(key) {
+    if (!key) return null;
+    return this.keys.get(hashApiKey(key)) || null;
+  }
+}
+
+module.exports = ApiKeys;
+module.exports.hashApiKey = hashApiKey;
@@ -1,46 +1,138 @@
-const LRU = require('lru-cache');
+const { createCacheStore } = require('./cacheStores');
+const { mapWithConcurrency } = require('./concurrency');
+
+// HTML缓存的新鲜期，超过后需要向源站重新验证
+const HTML_FRESH_TIME = 15 * 60 * 1000;
+
+// 各命名空间的容量和过期时间
+const CACHE_NAMESPACES = {
+  // RSS内容缓存 - 存储生成的RSS XML
+  rss: {
+    max: 100, // 最多缓存100个RSS feed
+    ttl: 30 * 60 * 1000, // 30分钟过期
+    updateAgeOnGet: true
+  },
+  // 网站信息缓存 - 存储网站检测结果
+  siteinfo: {
+    max: 200, // 最多缓存200个网站信息
+    ttl: 60 * 60 * 1000, // 1小时过期
+    updateAgeOnGet: true
+  },
+  // HTML内容缓存 - 存储原始HTML及源站的ETag/Last-Modified
+  // 15分钟内直接使用，之后保留用于条件请求重新验证
+  html: {
+    max: 50, // 最多缓存50个HTML页面
+    ttl: 24 * 60 * 60 * 1000, // 24小时过期
+    updateAgeOnGet: true
+  },
+  // 渲染结果缓存 - 无头浏览器渲染后的DOM，渲染开销大且无法条件请求
+  rendered: {
+    max: 30,
+    ttl: 15 * 60 * 1000, // 15分钟过期
+    updateAgeOnGet: false
+  },
+  // 解析结果缓存 - 源站HTML未变化时复用解析出的文章
+  parsed: {
+    max: 100,
+    ttl: 24 * 60 * 60 * 1000, // 24小时过期
+    updateAgeOnGet: false
+  },
+  // 文章全文缓存 - 避免重复抓取未变化的文章
+  article: {
+    max: 500, // 最多缓存500篇文章
+    ttl: 24 * 60 * 60 * 1000, // 24小时过期
+    updateAgeOnGet: false
+  },
+  // robots.txt缓存 - 按网站origin保存，暂时无法获取时使用更短的过期时间
+  robots: {
+    max: 200,
+    ttl: 24 * 60 * 60 * 1000, // 24小时过期
+    updateAgeOnGet: false
+  },
+  // 条目历史 - 记录每个网站条目首次出现的时间
+  history: {
+    max: 1000,
+    ttl: 90 * 24 * 60 * 60 * 1000, // 90天未更新则删除
+    updateAgeOnGet: false
+  },
+  // 页面快照 - mode=diff时保存上一版本的页面文本和检测到的变化
+  snapshots: {
+    max: 500,
+    ttl: 90 * 24 * 60 * 60 * 1000, // 90天未更新则删除
+    updateAgeOnGet: false
+  },
+  // 媒体文件信息 - HEAD请求得到的MIME类型和文件大小，文件发布后很少变化
+  media: {
+    max: 1000,
+    ttl: 7 * 24 * 60 * 60 * 1000, // 7天过期
+    updateAgeOnGet: false
+  },
+  // 错误缓存 - 避免频繁请求失败的网站
+  error: {
+    max: 100,
+    ttl: 60 * 60 * 1000, // 1小时过期
+    updateAgeOnGet: false
+  }
+};
 
 /**
  * 缓存管理器
  * 管理RSS feed的缓存，避免频繁抓取同一网站
+ * 数据保存在可替换的存储后端中（内存、文件系统或Redis），由RSSOS_CACHE_STORE选择
  */
 class CacheManager {
-  constructor() {
-    // RSS内容缓存 - 存储生成的RSS XML
-    this.rssCache = new LRU({
-      max: 100, // 最多缓存100个RSS feed
-      ttl: 30 * 60 * 1000, // 30分钟过期
-      updateAgeOnGet: true
+  constructor(options = {}) {
+    // 复制配置，setCacheExpiry只影响当前实例
+    this.namespaces = {};
+    Object.entries(CACHE_NAMESPACES).forEach(([namespace, config]) => {
+      this.namespaces[namespace] = { ...config };
     });
 
-    // 网站信息缓存 - 存储网站检测结果
-    this.siteInfoCache = new LRU({
-      max: 200, // 最多缓存200个网站信息
-      ttl: 60 * 60 * 1000, // 1小时过期
-      updateAgeOnGet: true
-    });
+    // options.env用于替换读取存储配置的环境变量
+    this.store = options.store || createCacheStore(this.namespaces, options.env);
+    this.stats = { hits: 0, misses: 0 };
+  }
 
-    // HTML内容缓存 - 存储原始HTML
-    this.htmlCache = new LRU({
-      max: 50, // 最多缓存50个HTML页面
-      ttl: 15 * 60 * 1000, // 15分钟过期
-      updateAgeOnGet: true
-    });
+  /**
+   * 从存储读取，存储不可用时视为未命中
+   */
+  async read(namespace, key) {
+    try {
+      return await this.store.get(namespace, key);
+    } catch (error) {
+      console.error(`Cache store read failed (${namespace}):`, error.message);
+      return null;
+    }
+  }
 
-    // 错误缓存 - 避免频繁请求失败的网站
-    this.errorCache = new LRU({
-      max: 100,
-      ttl: 60 * 60 * 1000, // 1小时过期
-      updateAgeOnGet: false
-    });
+  /**
+   * 写入存储，失败时只记录日志
+   */
+  async write(namespace, key, value) {
+    try {
+      await this.store.set(namespace, key, value);
+      return true;
+    } catch (error) {
+      console.error(`Cache store write failed (${namespace}):`, error.message);
+      return false;
+    }
+  }
+
+  async remove(namespace, key) {
+    try {
+      await this.store.delete(namespace, key);
+    } catch (error) {
+      console.error(`Cache store delete failed (${namespace}):`, error.message);
+    }
   }
 
   /**
    * 生成缓存键
    */
-  generateCacheKey(url, type = 'rss') {
+  generateCacheKey(url, type = 'rss', variant = '') {
     const normalizedUrl = this.normalizeUrl(url);
-    return `${type}:${normalizedUrl}`;
+    // variant区分同一URL的不同输出（如订阅源格式）
+    return variant ? `${type}:${normalizedUrl}#${variant}` : `${type}:${normalizedUrl}`;
   }
 
   /**
@@ -62,44 +154,53 @@ class CacheManager {
   /**
    * 获取缓存的RSS
    */
-  getCachedRSS(url) {
-    const key = this.generateCacheKey(url, 'rss');
-    const cached = this.rssCache.get(key);
+  async getCachedRSS(url, variant = '') {
+    const key = this.generateCacheKey(url, 'rss', variant);
+    const cached = await this.read('rss', key);
     
     if (cached) {
+      this.stats.hits++;
       console.log(`RSS cache hit for ${url}`);
       return {
         content: cached.content,
         cachedAt: cached.timestamp,
+        hash: cached.hash || null,
+        lastModified: cached.lastModified || cached.timestamp,
         hit: true
       };
     }
     
+    this.stats.misses++;
     console.log(`RSS cache miss for ${url}`);
     return null;
   }
 
   /**
    * 缓存RSS内容
+   * validators: { hash, lastModified } 条目哈希及内容最后变化时间，用于条件请求
    */
-  cacheRSS(url, content) {
-    const key = this.generateCacheKey(url, 'rss');
+  async cacheRSS(url, content, variant = '', validators = {}) {
+    const key = this.generateCacheKey(url, 'rss', variant);
+    const timestamp = Date.now();
     const cacheData = {
       content: content,
-      timestamp: Date.now(),
+      timestamp: timestamp,
+      hash: validators.hash || null,
+      lastModified: validators.lastModified || timestamp,
       url: url
     };
     
-    this.rssCache.set(key, cacheData);
-    console.log(`RSS cached for ${url}`);
+    if (await this.write('rss', key, cacheData)) {
+      console.log(`RSS cached for ${url}`);
+    }
   }
 
   /**
    * 获取缓存的网站信息
    */
-  getCachedSiteInfo(url) {
+  async getCachedSiteInfo(url) {
     const key = this.generateCacheKey(url, 'siteinfo');
-    const cached = this.siteInfoCache.get(key);
+    const cached = await this.read('siteinfo', key);
     
     if (cached) {
       console.log(`Site info cache hit for ${url}`);
@@ -116,7 +217,7 @@ class CacheManager {
   /**
    * 缓存网站信息
    */
-  cacheSiteInfo(url, siteInfo) {
+  async cacheSiteInfo(url, siteInfo) {
     const key = this.generateCacheKey(url, 'siteinfo');
     const cacheData = {
       siteInfo: siteInfo,
@@ -124,22 +225,61 @@ class CacheManager {
       url: url
     };
     
-    this.siteInfoCache.set(key, cacheData);
-    console.log(`Site info cached for ${url}`);
+    if (await this.write('siteinfo', key, cacheData)) {
+      console.log(`Site info cached for ${url}`);
+    }
+  }
+
+  /**
+   * 获取缓存的订阅源发现结果
+   */
+  async getCachedDiscovery(url) {
+    const key = this.generateCacheKey(url, 'discovery');
+    const cached = await this.read('siteinfo', key);
+    
+    if (cached) {
+      console.log(`Feed discovery cache hit for ${url}`);
+      return {
+        feed: cached.feed,
+        cachedAt: cached.timestamp,
+        hit: true
+      };
+    }
+    
+    return null;
+  }
+
+  /**
+   * 缓存订阅源发现结果（未发现时feed为null，同样缓存以避免重复探测）
+   */
+  async cacheDiscovery(url, feed) {
+    const key = this.generateCacheKey(url, 'discovery');
+    const cacheData = {
+      feed: feed,
+      timestamp: Date.now(),
+      url: url
+    };
+    
+    if (await this.write('siteinfo', key, cacheData)) {
+      console.log(`Feed discovery cached for ${url}`);
+    }
   }
 
   /**
    * 获取缓存的HTML
    */
-  getCachedHTML(url) {
+  async getCachedHTML(url) {
     const key = this.generateCacheKey(url, 'html');
-    const cached = this.htmlCache.get(key);
+    const cached = await this.read('html', key);
     
     if (cached) {
       console.log(`HTML cache hit for ${url}`);
       return {
         html: cached.html,
+        etag: cached.etag || null,
+        lastModified: cached.lastModified || null,
         cachedAt: cached.timestamp,
+        fresh: Date.now() - cached.timestamp < HTML_FRESH_TIME,
         hit: true
       };
     }
@@ -149,31 +289,243 @@ class CacheManager {
 
   /**
    * 缓存HTML内容
+   * validators: 源站返回的 { etag, lastModified }，用于下次条件请求
    */
-  cacheHTML(url, html) {
+  async cacheHTML(url, html, validators = {}) {
     const key = this.generateCacheKey(url, 'html');
     const cacheData = {
       html: html,
+      etag: validators.etag || null,
+      lastModified: validators.lastModified || null,
+      timestamp: Date.now(),
+      url: url
+    };
+    
+    if (await this.write('html', key, cacheData)) {
+      console.log(`HTML cached for ${url}`);
+    }
+  }
+
+  /**
+   * 获取缓存的渲染结果
+   * variant区分等待条件
+   */
+  async getCachedRendered(url, variant = '') {
+    const key = this.generateCacheKey(url, 'rendered', variant);
+    const cached = await this.read('rendered', key);
+
+    if (cached) {
+      console.log(`Rendered HTML cache hit for ${url}`);
+      return {
+        html: cached.html,
+        cachedAt: cached.timestamp,
+        hit: true
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * 缓存无头浏览器渲染后的HTML
+   */
+  async cacheRendered(url, variant, html) {
+    const key = this.generateCacheKey(url, 'rendered', variant);
+    const cacheData = {
+      html: html,
+      timestamp: Date.now(),
+      url: url
+    };
+
+    if (await this.write('rendered', key, cacheData)) {
+      console.log(`Rendered HTML cached for ${url}`);
+    }
+  }
+
+  /**
+   * 获取缓存的解析结果
+   * variant区分影响解析的参数（模式、选择器、全文）
+   */
+  async getCachedParsed(url, variant = '') {
+    const key = this.generateCacheKey(url, 'parsed', variant);
+    const cached = await this.read('parsed', key);
+    
+    if (cached) {
+      return {
+        htmlHash: cached.htmlHash,
+        siteInfo: cached.siteInfo,
+        articles: cached.articles,
+        cachedAt: cached.timestamp,
+        hit: true
+      };
+    }
+    
+    return null;
+  }
+
+  /**
+   * 缓存解析结果，htmlHash为解析所用HTML的哈希
+   */
+  async cacheParsed(url, variant, htmlHash, siteInfo, articles) {
+    const key = this.generateCacheKey(url, 'parsed', variant);
+    const cacheData = {
+      htmlHash: htmlHash,
+      siteInfo: siteInfo,
+      articles: articles,
+      timestamp: Date.now(),
+      url: url
+    };
+    
+    await this.write('parsed', key, cacheData);
+  }
+
+  /**
+   * 获取缓存的文章全文
+   */
+  async getCachedArticle(url) {
+    const key = this.generateCacheKey(url, 'article');
+    const cached = await this.read('article', key);
+    
+    if (cached) {
+      return {
+        article: cached.article,
+        cachedAt: cached.timestamp,
+        hit: true
+      };
+    }
+    
+    return null;
+  }
+
+  /**
+   * 缓存文章全文
+   */
+  async cacheArticle(url, article) {
+    const key = this.generateCacheKey(url, 'article');
+    const cacheData = {
+      article: article,
       timestamp: Date.now(),
       url: url
     };
     
-    this.htmlCache.set(key, cacheData);
-    console.log(`HTML cached for ${url}`);
+    await this.write('article', key, cacheData);
+  }
+
+  /**
+   * 获取缓存的robots.txt
+   */
+  async getCachedRobots(origin) {
+    const key = `robots:${origin.toLowerCase()}`;
+    const cached = await this.read('robots', key);
+
+    if (cached && (!cached.expiresAt || cached.expiresAt > Date.now())) {
+      return cached.robots;
+    }
+
+    return null;
+  }
+
+  /**
+   * 缓存robots.txt，ttl可以短于命名空间的过期时间
+   */
+  async cacheRobots(origin, robots, ttl) {
+    const key = `robots:${origin.toLowerCase()}`;
+    const cacheData = {
+      robots: robots,
+      timestamp: Date.now(),
+      expiresAt: ttl ? Date.now() + ttl : null
+    };
+
+    await this.write('robots', key, cacheData);
+  }
+
+  /**
+   * 获取网站的条目历史（GUID到首次出现时间的映射）
+   */
+  async getItemHistory(url) {
+    const key = this.generateCacheKey(url, 'history');
+    const cached = await this.read('history', key);
+    return cached ? cached.items : null;
+  }
+
+  /**
+   * 保存网站的条目历史
+   */
+  async cacheItemHistory(url, items) {
+    const key = this.generateCacheKey(url, 'history');
+    const cacheData = {
+      items: items,
+      timestamp: Date.now(),
+      url: url
+    };
+    
+    await this.write('history', key, cacheData);
+  }
+
+  /**
+   * 获取页面快照
+   * variant区分监控区域和比较参数
+   */
+  async getCachedSnapshot(url, variant = '') {
+    const key = this.generateCacheKey(url, 'snapshot', variant);
+    const cached = await this.read('snapshots', key);
+    return cached ? cached.snapshot : null;
+  }
+
+  /**
+   * 保存页面快照
+   */
+  async cacheSnapshot(url, variant, snapshot) {
+    const key = this.generateCacheKey(url, 'snapshot', variant);
+    const cacheData = {
+      snapshot: snapshot,
+      timestamp: Date.now(),
+      url: url
+    };
+
+    await this.write('snapshots', key, cacheData);
+  }
+
+  /**
+   * 获取缓存的媒体文件信息 { type, length }
+   */
+  async getCachedMedia(url) {
+    const key = this.generateCacheKey(url, 'media');
+    const cached = await this.read('media', key);
+    return cached ? cached.media : null;
+  }
+
+  /**
+   * 缓存媒体文件信息
+   */
+  async cacheMedia(url, media) {
+    const key = this.generateCacheKey(url, 'media');
+    const cacheData = {
+      media: media,
+      timestamp: Date.now(),
+      url: url
+    };
+
+    await this.write('media', key, cacheData);
   }
 
   /**
    * 检查是否在错误缓存中
    */
-  isInErrorCache(url) {
+  async isInErrorCache(url) {
     const key = this.generateCacheKey(url, 'error');
-    return this.errorCache.has(key);
+    try {
+      return await this.store.has('error', key);
+    } catch (error) {
+      console.error('Cache store read failed (error):', error.message);
+      return false;
+    }
   }
 
   /**
    * 添加到错误缓存
    */
-  addToErrorCache(url, error) {
+  async addToErrorCache(url, error) {
     const key = this.generateCacheKey(url, 'error');
     const errorData = {
       error: error.message,
@@ -181,35 +533,64 @@ class CacheManager {
       url: url
     };
     
-    this.errorCache.set(key, errorData);
+    await this.write('error', key, errorData);
     console.log(`Added to error cache: ${url} - ${error.message}`);
   }
 
+  /**
+   * 从错误缓存中移除
+   */
+  async removeFromErrorCache(url) {
+    await this.remove('error', this.generateCacheKey(url, 'error'));
+  }
+
   /**
    * 清除特定URL的缓存
    */
-  clearCache(url) {
+  async clearCache(url) {
     const rssKey = this.generateCacheKey(url, 'rss');
     const siteInfoKey = this.generateCacheKey(url, 'siteinfo');
     const htmlKey = this.generateCacheKey(url, 'html');
     const errorKey = this.generateCacheKey(url, 'error');
+    const discoveryKey = this.generateCacheKey(url, 'discovery');
+    const parsedKey = this.generateCacheKey(url, 'parsed');
+    const renderedKey = this.generateCacheKey(url, 'rendered');
     
-    this.rssCache.delete(rssKey);
-    this.siteInfoCache.delete(siteInfoKey);
-    this.htmlCache.delete(htmlKey);
-    this.errorCache.delete(errorKey);
+    // 同时清除该URL其他输出格式和参数的缓存
+    await this.removeVariants('rss', rssKey);
+    await this.removeVariants('parsed', parsedKey);
+    await this.removeVariants('rendered', renderedKey);
+    await this.remove('siteinfo', siteInfoKey);
+    await this.remove('siteinfo', discoveryKey);
+    await this.remove('html', htmlKey);
+    await this.remove('error', errorKey);
     
     console.log(`Cleared all cache for ${url}`);
   }
 
+  /**
+   * 删除缓存键及其所有变体
+   */
+  async removeVariants(namespace, baseKey) {
+    await this.remove(namespace, baseKey);
+    try {
+      for (const key of await this.store.keys(namespace)) {
+        if (key.startsWith(`${baseKey}#`)) {
+          await this.remove(namespace, key);
+        }
+      }
+    } catch (error) {
+      console.error(`Cache store keys failed (${namespace}):`, error.message);
+    }
+  }
+
   /**
    * 清除所有缓存
    */
-  clearAllCache() {
-    this.rssCache.reset();
-    this.siteInfoCache.reset();
-    this.htmlCache.reset();
-    this.errorCache.reset();
+  async clearAllCache() {
+    for (const namespace of Object.keys(this.namespaces)) {
+      await this.store.clear(namespace);
+    }
     
     console.log('Cleared all caches');
   }
@@ -217,54 +598,104 @@ class CacheManager {
   /**
    * 获取缓存统计信息
    */
-  getCacheStats() {
+  async getCacheStats() {
+    const size = async (namespace) => {
+      try {
+        return await this.store.size(namespace);
+      } catch (error) {
+        return null;
+      }
+    };
+
     return {
+      store: this.store.name,
       rss: {
-        size: this.rssCache.size,
-        maxSize: this.rssCache.max,
-        hits: this.rssCache.hits || 0,
-        misses: this.rssCache.misses || 0
+        size: await size('rss'),
+        maxSize: this.namespaces.rss.max,
+        hits: this.stats.hits,
+        misses: this.stats.misses
       },
       siteInfo: {
-        size: this.siteInfoCache.size,
-        maxSize: this.siteInfoCache.max
+        size: await size('siteinfo'),
+        maxSize: this.namespaces.siteinfo.max
       },
       html: {
-        size: this.htmlCache.size,
-        maxSize: this.htmlCache.max
+        size: await size('html'),
+        maxSize: this.namespaces.html.max
+      },
+      rendered: {
+        size: await size('rendered'),
+        maxSize: this.namespaces.rendered.max
+      },
+      article: {
+        size: await size('article'),
+        maxSize: this.namespaces.article.max
+      },
+      parsed: {
+        size: await size('parsed'),
+        maxSize: this.namespaces.parsed.max
+      },
+      robots: {
+        size: await size('robots'),
+        maxSize: this.namespaces.robots.max
+      },
+      history: {
+        size: await size('history'),
+        maxSize: this.namespaces.history.max
+      },
+      snapshots: {
+        size: await size('snapshots'),
+        maxSize: this.namespaces.snapshots.max
+      },
+      media: {
+        size: await size('media'),
+        maxSize: this.namespaces.media.max
       },
       error: {
-        size: this.errorCache.size,
-        maxSize: this.errorCache.max
+        size: await size('error'),
+        maxSize: this.namespaces.error.max
       }
     };
   }
 
   /**
    * 预热缓存
+   * entries: URL或 { url, variant } 列表
+   * generate(entry): 生成并缓存订阅源，由调用方提供（通常是RSS生成流程）
+   * 只处理没有缓存或缓存超过options.maxAge的条目，返回 { warmed, skipped, failed }
    */
-  async warmupCache(urls) {
-    console.log(`Starting cache warmup for ${urls.length} URLs`);
-    
-    const promises = urls.map(async (url) => {
+  async warmupCache(entries, generate, options = {}) {
+    const { concurrency = 3, maxAge = 30 * 60 * 1000 } = options;
+    const result = { warmed: 0, skipped: 0, failed: 0 };
+    console.log(`Starting cache warmup for ${entries.length} URLs`);
+
+    await mapWithConcurrency(entries, concurrency, async (item) => {
+      const entry = typeof item === 'string' ? { url: item, variant: '' } : item;
+
+      if (!(await this.shouldRefreshCache(entry.url, maxAge, entry.variant))) {
+        result.skipped++;
+        return;
+      }
+
       try {
-        // 这里可以预先获取和缓存内容
-        // 实际实现会调用主要的RSS生成流程
-        console.log(`Warmed up cache for ${url}`);
+        await generate(entry);
+        result.warmed++;
+        console.log(`Warmed up cache for ${entry.url}`);
       } catch (error) {
-        console.error(`Cache warmup failed for ${url}:`, error);
+        result.failed++;
+        console.error(`Cache warmup failed for ${entry.url}:`, error.message);
       }
     });
-    
-    await Promise.all(promises);
-    console.log('Cache warmup completed');
+
+    console.log(`Cache warmup completed: ${result.warmed} warmed, ${result.skipped} fresh, ${result.failed} failed`);
+    return result;
   }
 
   /**
    * 检查缓存是否应该刷新
    */
-  shouldRefreshCache(url, maxAge = 30 * 60 * 1000) { // 默认30分钟
-    const cached = this.getCachedRSS(url);
+  async shouldRefreshCache(url, maxAge = 30 * 60 * 1000, variant = '') { // 默认30分钟
+    const cached = await this.getCachedRSS(url, variant);
     if (!cached) return true;
     
     const age = Date.now() - cached.cachedAt;
@@ -274,7 +705,7 @@ class CacheManager {
   /**
    * 获取缓存中的所有URL
    */
-  getCachedUrls() {
+  async getCachedUrls() {
     const urls = {
       rss: [],
       siteInfo: [],
@@ -282,63 +713,40 @@ class CacheManager {
       error: []
     };
 
-    // RSS缓存中的URL
-    this.rssCache.forEach((value, key) => {
-      if (key.startsWith('rss:')) {
-        urls.rss.push(key.replace('rss:', ''));
-      }
-    });
-
-    // 网站信息缓存中的URL
-    this.siteInfoCache.forEach((value, key) => {
-      if (key.startsWith('siteinfo:')) {
-        urls.siteInfo.push(key.replace('siteinfo:', ''));
+    const collect = async (namespace, prefix, list) => {
+      for (const key of await this.store.keys(namespace)) {
+        if (key.startsWith(prefix)) {
+          list.push(key.replace(prefix, ''));
+        }
       }
-    });
-
-    // HTML缓存中的URL
-    this.htmlCache.forEach((value, key) => {
-      if (key.startsWith('html:')) {
-        urls.html.push(key.replace('html:', ''));
-      }
-    });
+    };
 
-    // 错误缓存中的URL
-    this.errorCache.forEach((value, key) => {
-      if (key.startsWith('error:')) {
-        urls.error.push(key.replace('error:', ''));
-      }
-    });
+    await collect('rss', 'rss:', urls.rss);
+    await collect('siteinfo', 'siteinfo:', urls.siteInfo);
+    await collect('html', 'html:', urls.html);
+    await collect('error', 'error:', urls.error);
 
     return urls;
   }
 
   /**
-   * 设置缓存过期时间
+   * 设置缓存过期时间（对之后写入的条目生效）
    */
   setCacheExpiry(type, maxAge) {
-    switch (type) {
-      case 'rss':
-        // 重新创建缓存以更新maxAge
-        const rssItems = [];
-        this.rssCache.forEach((value, key) => {
-          rssItems.push({ key, value });
-        });
-        
-        this.rssCache = new LRU({
-          max: this.rssCache.max,
-          maxAge: maxAge,
-          updateAgeOnGet: true
-        });
-        
-        rssItems.forEach(item => {
-          this.rssCache.set(item.key, item.value);
-        });
-        break;
-        
-      // 可以为其他缓存类型添加类似逻辑
+    const namespace = type === 'siteInfo' ? 'siteinfo' : type;
+    if (!this.namespaces[namespace]) {
+      throw new Error(`Unknown cache type: ${type}`);
     }
+
+    this.namespaces[namespace].ttl = maxAge;
+  }
+
+  /**
+   * 关闭存储连接
+   */
+  async close() {
+    await this.store.close();
   }
 }
 
-module.exports = CacheManager;
\ No newline at end of file
+module.exports = CacheManager;
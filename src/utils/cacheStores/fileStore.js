@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// 每写入多少次检查一次命名空间的条目上限
+const PRUNE_INTERVAL = 20;
+
+/**
+ * 文件系统缓存存储
+ * 每个条目保存为 <目录>/<命名空间>/<键的哈希>.json，
+ * 过期时间由文件修改时间加命名空间TTL计算，读取时刷新修改时间即可延长有效期
+ */
+class FileStore {
+  constructor(namespaces, options = {}) {
+    this.name = 'file';
+    this.namespaces = namespaces;
+    this.directory = options.directory;
+    this.writeCounts = {};
+
+    Object.keys(namespaces).forEach(namespace => {
+      fs.mkdirSync(path.join(this.directory, namespace), { recursive: true });
+      this.writeCounts[namespace] = 0;
+    });
+  }
+
+  filePath(namespace, key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.directory, namespace, `${hash}.json`);
+  }
+
+  /**
+   * 读取条目，过期或损坏的文件会被删除
+   */
+  async readEntry(namespace, file) {
+    let stat;
+    try {
+      stat = await fs.promises.stat(file);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    if (stat.mtimeMs + this.namespaces[namespace].ttl <= Date.now()) {
+      await this.unlink(file);
+      return null;
+    }
+
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      await this.unlink(file);
+      return null;
+    }
+  }
+
+  async get(namespace, key) {
+    const file = this.filePath(namespace, key);
+    const entry = await this.readEntry(namespace, file);
+    if (!entry || entry.key !== key) return null;
+
+    if (this.namespaces[namespace].updateAgeOnGet) {
+      const now = new Date();
+      await fs.promises.utimes(file, now, now).catch(() => {});
+    }
+
+    return entry.value;
+  }
+
+  async set(namespace, key, value) {
+    const file = this.filePath(namespace, key);
+    // 随机后缀保证同一毫秒内对同一键的并发写入使用不同的临时文件
+    const tempFile = `${file}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+    // 先写临时文件再重命名，避免并发读取到不完整的内容
+    await fs.promises.writeFile(tempFile, JSON.stringify({ key, value }));
+    await fs.promises.rename(tempFile, file);
+
+    this.writeCounts[namespace]++;
+    if (this.writeCounts[namespace] % PRUNE_INTERVAL === 0) {
+      await this.prune(namespace);
+    }
+  }
+
+  async has(namespace, key) {
+    const entry = await this.readEntry(namespace, this.filePath(namespace, key));
+    return Boolean(entry && entry.key === key);
+  }
+
+  async delete(namespace, key) {
+    await this.unlink(this.filePath(namespace, key));
+  }
+
+  async keys(namespace) {
+    const keys = [];
+    for (const file of await this.listFiles(namespace)) {
+      const entry = await this.readEntry(namespace, file);
+      if (entry) keys.push(entry.key);
+    }
+    return keys;
+  }
+
+  async size(namespace) {
+    return (await this.keys(namespace)).length;
+  }
+
+  async clear(namespace) {
+    await Promise.all((await this.listFiles(namespace)).map(file => this.unlink(file)));
+  }
+
+  /**
+   * 删除过期条目，并按修改时间淘汰超出上限的旧条目
+   */
+  async prune(namespace) {
+    const { ttl, max } = this.namespaces[namespace];
+    const now = Date.now();
+    const entries = [];
+
+    for (const file of await this.listFiles(namespace)) {
+      try {
+        const stat = await fs.promises.stat(file);
+        if (stat.mtimeMs + ttl <= now) {
+          await this.unlink(file);
+        } else {
+          entries.push({ file, mtimeMs: stat.mtimeMs });
+        }
+      } catch (error) {
+        // 文件可能已被其他进程删除
+      }
+    }
+
+    if (entries.length > max) {
+      entries.sort((a, b) => a.mtimeMs - b.mtimeMs);
+      await Promise.all(entries.slice(0, entries.length - max).map(entry => this.unlink(entry.file)));
+    }
+  }
+
+  async listFiles(namespace) {
+    const directory = path.join(this.directory, namespace);
+    try {
+      return (await fs.promises.readdir(directory))
+        .filter(file => file.endsWith('.json'))
+        .map(file => path.join(directory, file));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async unlink(file) {
+    try {
+      await fs.promises.unlink(file);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  async close() {}
+}
+
+module.exports = FileStore;
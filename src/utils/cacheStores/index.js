@@ -0,0 +1,39 @@
+const os = require('os');
+const path = require('path');
+const MemoryStore = require('./memoryStore');
+const FileStore = require('./fileStore');
+const RedisStore = require('./redisStore');
+
+/**
+ * 根据环境变量创建缓存存储
+ * RSSOS_CACHE_STORE: memory（默认）、file 或 redis
+ * RSSOS_CACHE_DIR: 文件存储目录，默认为系统临时目录下的rssos-cache
+ * REDIS_URL: Redis连接地址，如 redis://:password@localhost:6379/0
+ * RSSOS_CACHE_PREFIX: Redis键前缀，默认为rssos:
+ */
+function createCacheStore(namespaces, env = process.env) {
+  const type = (env.RSSOS_CACHE_STORE || 'memory').toLowerCase();
+
+  switch (type) {
+    case 'memory':
+      return new MemoryStore(namespaces);
+    case 'file':
+      return new FileStore(namespaces, {
+        directory: env.RSSOS_CACHE_DIR || path.join(os.tmpdir(), 'rssos-cache')
+      });
+    case 'redis':
+      return new RedisStore(namespaces, {
+        url: env.REDIS_URL || 'redis://127.0.0.1:6379',
+        prefix: env.RSSOS_CACHE_PREFIX
+      });
+    default:
+      throw new Error(`Unknown cache store: ${type}`);
+  }
+}
+
+module.exports = {
+  createCacheStore,
+  MemoryStore,
+  FileStore,
+  RedisStore
+};
@@ -0,0 +1,55 @@
+const LRU = require('lru-cache');
+
+/**
+ * 内存缓存存储
+ * 每个命名空间使用独立的LRU实例，进程重启后数据丢失
+ */
+class MemoryStore {
+  constructor(namespaces) {
+    this.name = 'memory';
+    this.namespaces = namespaces;
+    this.caches = {};
+
+    Object.entries(namespaces).forEach(([namespace, config]) => {
+      this.caches[namespace] = new LRU({
+        max: config.max,
+        ttl: config.ttl,
+        updateAgeOnGet: config.updateAgeOnGet
+      });
+    });
+  }
+
+  async get(namespace, key) {
+    const value = this.caches[namespace].get(key);
+    return value === undefined ? null : value;
+  }
+
+  async set(namespace, key, value) {
+    // 按当前配置的TTL写入，使setCacheExpiry对新条目生效
+    this.caches[namespace].set(key, value, { ttl: this.namespaces[namespace].ttl });
+  }
+
+  async has(namespace, key) {
+    return this.caches[namespace].has(key);
+  }
+
+  async delete(namespace, key) {
+    this.caches[namespace].delete(key);
+  }
+
+  async keys(namespace) {
+    return [...this.caches[namespace].keys()];
+  }
+
+  async size(namespace) {
+    return this.caches[namespace].size;
+  }
+
+  async clear(namespace) {
+    this.caches[namespace].clear();
+  }
+
+  async close() {}
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,208 @@
+const net = require('net');
+const { URL } = require('url');
+
+/**
+ * 精简的Redis客户端
+ * 通过RESP协议发送命令，只实现缓存需要的功能，兼容Redis及其协议兼容服务
+ */
+class RedisClient {
+  constructor(redisUrl, options = {}) {
+    const url = new URL(redisUrl);
+    if (url.protocol !== 'redis:') {
+      throw new Error(`Unsupported Redis URL protocol: ${url.protocol}`);
+    }
+
+    this.host = url.hostname || '127.0.0.1';
+    this.port = parseInt(url.port, 10) || 6379;
+    this.username = decodeURIComponent(url.username || '');
+    this.password = decodeURIComponent(url.password || '');
+    this.database = parseInt(url.pathname.replace('/', ''), 10) || 0;
+    this.timeout = options.timeout || 5000;
+
+    // socket在认证和选择数据库完成后才设置，其他命令不会在握手完成前发送
+    this.socket = null;
+    this.connection = null;
+    this.connecting = null;
+    this.buffer = Buffer.alloc(0);
+    this.pending = [];
+  }
+
+  /**
+   * 发送命令，返回解析后的回复
+   */
+  async command(...args) {
+    await this.connect();
+    return this.send(args);
+  }
+
+  async connect() {
+    if (this.socket) return;
+    if (!this.connecting) {
+      this.connecting = this.open().finally(() => {
+        this.connecting = null;
+      });
+    }
+    return this.connecting;
+  }
+
+  /**
+   * 建立连接，认证并选择数据库
+   */
+  async open() {
+    const socket = await new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      this.connection = socket;
+      socket.setTimeout(this.timeout);
+
+      socket.once('connect', () => {
+        socket.setTimeout(0);
+        // 空闲连接不阻止进程退出
+        socket.unref();
+        resolve(socket);
+      });
+      socket.on('data', data => {
+        if (this.connection === socket) this.onData(data);
+      });
+      socket.on('timeout', () => socket.destroy(new Error(`Redis connection to ${this.host}:${this.port} timed out`)));
+      socket.on('error', error => {
+        reject(error);
+        if (this.connection === socket) this.reset(error);
+      });
+      socket.on('close', () => {
+        if (this.connection === socket) this.reset(new Error('Redis connection closed'));
+      });
+    });
+
+    try {
+      if (this.password) {
+        await this.send(this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password], socket);
+      }
+      if (this.database) {
+        await this.send(['SELECT', String(this.database)], socket);
+      }
+    } catch (error) {
+      if (this.connection === socket) this.reset(error);
+      throw error;
+    }
+
+    this.socket = socket;
+  }
+
+  send(args, socket = this.socket) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.reset(new Error(`Redis command ${args[0]} timed out`));
+      }, this.timeout);
+
+      this.pending.push({
+        resolve: value => { clearTimeout(timer); resolve(value); },
+        reject: error => { clearTimeout(timer); reject(error); }
+      });
+      socket.write(this.encode(args));
+    });
+  }
+
+  encode(args) {
+    let payload = `*${args.length}\r\n`;
+    args.forEach(arg => {
+      const value = String(arg);
+      payload += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+    });
+    return payload;
+  }
+
+  onData(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+
+    while (this.pending.length > 0) {
+      let reply;
+      try {
+        reply = this.parse(this.buffer, 0);
+      } catch (error) {
+        // 无法解析的回复之后的数据都不可信，断开连接并让等待中的命令失败
+        this.reset(error);
+        return;
+      }
+      if (!reply) break;
+
+      this.buffer = this.buffer.subarray(reply.offset);
+      const handler = this.pending.shift();
+      if (reply.value instanceof Error) {
+        handler.reject(reply.value);
+      } else {
+        handler.resolve(reply.value);
+      }
+    }
+  }
+
+  /**
+   * 解析一个RESP回复，数据不完整时返回null
+   */
+  parse(buffer, offset) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf-8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+      case '+':
+        return { value: line, offset: next };
+      case '-':
+        return { value: new Error(line), offset: next };
+      case ':':
+        return { value: parseInt(line, 10), offset: next };
+      case '$': {
+        const length = parseInt(line, 10);
+        if (length === -1) return { value: null, offset: next };
+        if (buffer.length < next + length + 2) return null;
+        return { value: buffer.toString('utf-8', next, next + length), offset: next + length + 2 };
+      }
+      case '*': {
+        const count = parseInt(line, 10);
+        if (count === -1) return { value: null, offset: next };
+
+        const items = [];
+        let position = next;
+        for (let i = 0; i < count; i++) {
+          const item = this.parse(buffer, position);
+          if (!item) return null;
+          items.push(item.value);
+          position = item.offset;
+        }
+        return { value: items, offset: position };
+      }
+      default:
+        throw new Error(`Unexpected Redis reply type: ${type}`);
+    }
+  }
+
+  /**
+   * 断开连接并让等待中的命令失败，下次调用时重新连接
+   */
+  reset(error) {
+    if (this.connection) {
+      this.connection.removeAllListeners('close');
+      this.connection.destroy();
+      this.connection = null;
+    }
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+
+    const pending = this.pending;
+    this.pending = [];
+    pending.forEach(handler => handler.reject(error));
+  }
+
+  async close() {
+    if (this.connection) {
+      this.connection.removeAllListeners('close');
+      this.connection.end();
+      this.connection = null;
+    }
+    this.socket = null;
+  }
+}
+
+module.exports = RedisClient;
@@ -0,0 +1,91 @@
+const RedisClient = require('./redisClient');
+
+/**
+ * Redis缓存存储
+ * 键格式为 <前缀><命名空间>:<缓存键>，过期由Redis的PX参数处理。
+ * 不使用命名空间配置中的max，条目数由Redis的maxmemory和淘汰策略限制
+ */
+class RedisStore {
+  constructor(namespaces, options = {}) {
+    this.name = 'redis';
+    this.namespaces = namespaces;
+    this.prefix = options.prefix || 'rssos:';
+    this.client = options.client || new RedisClient(options.url || 'redis://127.0.0.1:6379');
+  }
+
+  redisKey(namespace, key) {
+    return `${this.prefix}${namespace}:${key}`;
+  }
+
+  async get(namespace, key) {
+    const redisKey = this.redisKey(namespace, key);
+    const raw = await this.client.command('GET', redisKey);
+    if (raw === null) return null;
+
+    const config = this.namespaces[namespace];
+    if (config.updateAgeOnGet) {
+      await this.client.command('PEXPIRE', redisKey, config.ttl);
+    }
+
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async set(namespace, key, value) {
+    await this.client.command('SET', this.redisKey(namespace, key), JSON.stringify(value), 'PX', this.namespaces[namespace].ttl);
+  }
+
+  /**
+   * 对单个键原子地执行Lua脚本，返回脚本的结果
+   */
+  async eval(script, namespace, key, ...args) {
+    return await this.client.command('EVAL', script, 1, this.redisKey(namespace, key), ...args);
+  }
+
+  async has(namespace, key) {
+    return (await this.client.command('EXISTS', this.redisKey(namespace, key))) === 1;
+  }
+
+  async delete(namespace, key) {
+    await this.client.command('DEL', this.redisKey(namespace, key));
+  }
+
+  /**
+   * 使用SCAN遍历命名空间中的键，避免KEYS阻塞服务器
+   */
+  async keys(namespace) {
+    const namespacePrefix = this.redisKey(namespace, '');
+    const pattern = `${namespacePrefix.replace(/[*?[\]\\]/g, '\\$&')}*`;
+    const keys = [];
+    let cursor = '0';
+
+    do {
+      const [nextCursor, batch] = await this.client.command('SCAN', cursor, 'MATCH', pattern, 'COUNT', 100);
+      batch.forEach(key => keys.push(key.substring(namespacePrefix.length)));
+      cursor = nextCursor;
+    } while (cursor !== '0');
+
+    return [...new Set(keys)];
+  }
+
+  async size(namespace) {
+    return (await this.keys(namespace)).length;
+  }
+
+  async clear(namespace) {
+    const keys = await this.keys(namespace);
+    // 分批删除，避免单条命令过大
+    for (let i = 0; i < keys.length; i += 100) {
+      await this.client.command('DEL', ...keys.slice(i, i + 100).map(key => this.redisKey(namespace, key)));
+    }
+  }
+
+  async close() {
+    await this.client.close();
+  }
+}
+
+module.exports = RedisStore;
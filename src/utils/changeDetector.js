@@ -0,0 +1,337 @@
+const cheerio = require('cheerio');
+const crypto = require('crypto');
+
+// 比较前移除的元素：脚本和常见的广告/推广区块
+const NOISE_ELEMENTS = [
+  'script', 'style', 'noscript', 'template', 'iframe', 'svg', 'canvas', 'form',
+  '[aria-hidden="true"]', '[hidden]',
+  'ins.adsbygoogle', '[class*="advert"]', '[id*="advert"]', '[class~="ad"]', '[class~="ads"]',
+  '[id^="ad-"]', '[class*="sponsor"]', '[class*="cookie"]', '[id*="cookie"]'
+].join(', ');
+
+// 未指定区域时额外移除的页面框架
+const LAYOUT_ELEMENTS = 'nav, header, footer, aside';
+
+// 作为独立文本块的元素
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'blockquote', 'br', 'caption', 'dd', 'details', 'div', 'dl', 'dt',
+  'figcaption', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'li', 'main', 'ol', 'p',
+  'pre', 'section', 'summary', 'table', 'tr', 'ul'
+]);
+
+// 比较时忽略的易变内容（日期、时间、相对时间、时间戳），替换为占位符
+// 10位以上的数字视为Unix时间戳、构建号等计数器；需要监控的长数字无法通过此方式比较
+const VOLATILE_PATTERNS = [
+  /\b\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2})?(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?)?\b/g,
+  /\b\d{4}\/\d{1,2}\/\d{1,2}\b/g,
+  /\b\d{1,2}\/\d{1,2}\/\d{2,4}\b/g,
+  /\b\d{1,2}\.\d{1,2}\.\d{4}\b/g,
+  /\b(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\s+\d{1,2}(?:st|nd|rd|th)?,?(?:\s+\d{4})?\b/gi,
+  /\b\d{1,2}\s+(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?(?:\s+\d{4})?\b/gi,
+  /\b\d{1,2}:\d{2}(?::\d{2})?(?:\s*[ap]\.?m\.?)?(?:\s*(?:utc|gmt|[a-z]{2,4}t))?\b/gi,
+  /\b\d+\s+(?:second|minute|hour|day|week|month|year)s?\s+ago\b/gi,
+  /\bjust now\b/gi,
+  /\d{4}年\d{1,2}月\d{1,2}日/g,
+  /\d+\s*(?:秒|分钟|小时|天|周|个月|年)前/g,
+  /刚刚/g,
+  /\b\d{10,}\b/g
+];
+
+// 计算变化量时的最小单位：中日文按字，其他文字按词
+const WORD_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]|[\p{L}\p{N}_]+/gu;
+
+/**
+ * 页面变化检测
+ * 保存页面主要内容（或指定区域）的文本快照，与上一版本逐块比较，
+ * 每次有效变化生成一条包含增删内容的条目。适用于没有文章列表的页面（价格、政策、文档等）
+ */
+class ChangeDetector {
+  constructor(options = {}) {
+    this.cacheManager = options.cacheManager;
+    this.maxBlocks = options.maxBlocks || 2000; // 每个快照最多保存的文本块数
+    this.maxChanges = options.maxChanges || 20; // 订阅源中保留的变化条目数
+    this.contextBlocks = options.contextBlocks ?? 1; // 变化前后显示的未变化文本块数
+  }
+
+  /**
+   * 比较页面与上一次的快照，返回订阅源条目（最新的变化在前）
+   * options.selector: 只监控该区域，默认为main元素或整个body
+   * options.ignore: 比较前移除的元素
+   * options.threshold: 变化的词数少于该值时忽略（保留原快照，小变化会累积）
+   * options.variant: 快照的缓存变体
+   */
+  async detect(url, html, options = {}, now = Date.now()) {
+    const { selector, ignore, threshold = 1, variant = '' } = options;
+    const blocks = this.extractBlocks(html, { selector, ignore });
+    const previous = await this.cacheManager.getCachedSnapshot(url, variant);
+    let snapshot = previous;
+
+    if (!previous) {
+      console.log(`Saving first snapshot of ${url} (${blocks.length} blocks)`);
+      snapshot = {
+        blocks,
+        capturedAt: now,
+        changes: [this.createInitialChange(url, blocks, now)]
+      };
+      await this.cacheManager.cacheSnapshot(url, variant, snapshot);
+    } else {
+      const diff = this.diff(previous.blocks, blocks);
+
+      if (diff.changedWords >= threshold) {
+        console.log(`Detected change on ${url}: ${diff.added} blocks added, ${diff.removed} removed`);
+        snapshot = {
+          blocks,
+          capturedAt: now,
+          changes: [this.createChange(url, diff, now), ...previous.changes].slice(0, this.maxChanges)
+        };
+        await this.cacheManager.cacheSnapshot(url, variant, snapshot);
+      } else if (diff.changedWords > 0) {
+        console.log(`Ignoring change on ${url}: ${diff.changedWords} words changed, threshold is ${threshold}`);
+      }
+    }
+
+    return snapshot.changes.map(change => ({
+      title: change.title,
+      link: url,
+      description: change.summary,
+      content: change.diff,
+      pubDate: new Date(change.detectedAt).toUTCString(),
+      guid: change.id,
+      category: 'Change'
+    }));
+  }
+
+  /**
+   * 提取要比较的文本块
+   * 指定的区域不存在时抛出状态为400的错误，避免把选择器失效当作内容被删除，也不会让整个URL进入错误缓存
+   */
+  extractBlocks(html, options = {}) {
+    const $ = cheerio.load(html);
+
+    let $region;
+    if (options.selector) {
+      $region = $(options.selector);
+      if ($region.length === 0) {
+        const error = new Error(`No element matches the selector "${options.selector}"`);
+        error.status = 400;
+        throw error;
+      }
+      $region.find(NOISE_ELEMENTS).remove();
+    } else {
+      $(`${NOISE_ELEMENTS}, ${LAYOUT_ELEMENTS}`).remove();
+      const $main = $('main, [role="main"]').first();
+      $region = $main.length > 0 && $main.text().trim() ? $main : $('body');
+    }
+
+    if (options.ignore) {
+      $region.find(options.ignore).remove();
+    }
+
+    const blocks = [];
+    let current = '';
+    const flush = () => {
+      const text = current.replace(/\s+/g, ' ').trim();
+      if (text && blocks.length < this.maxBlocks) blocks.push(text);
+      current = '';
+    };
+    const walk = (node) => {
+      if (node.type === 'text') {
+        current += node.data;
+        return;
+      }
+      if (node.type !== 'tag') return;
+
+      const tag = node.tagName.toLowerCase();
+      const isBlock = BLOCK_TAGS.has(tag);
+      if (isBlock) flush();
+      if (tag === 'td' || tag === 'th') current += ' ';
+      (node.children || []).forEach(walk);
+      if (isBlock) flush();
+    };
+
+    $region.each((index, element) => walk(element));
+    flush();
+    return blocks;
+  }
+
+  /**
+   * 比较两个版本的文本块（忽略易变内容）
+   * 返回 { ops, added, removed, changedWords }，ops为 { type: equal|added|removed, text } 列表
+   */
+  diff(oldBlocks, newBlocks) {
+    const oldKeys = oldBlocks.map(block => this.normalize(block));
+    const newKeys = newBlocks.map(block => this.normalize(block));
+
+    // 跳过相同的开头和结尾，只对中间部分计算最长公共子序列
+    let start = 0;
+    while (start < oldKeys.length && start < newKeys.length && oldKeys[start] === newKeys[start]) {
+      start++;
+    }
+    let oldEnd = oldKeys.length;
+    let newEnd = newKeys.length;
+    while (oldEnd > start && newEnd > start && oldKeys[oldEnd - 1] === newKeys[newEnd - 1]) {
+      oldEnd--;
+      newEnd--;
+    }
+
+    const rows = oldEnd - start;
+    const cols = newEnd - start;
+    const lengths = new Uint32Array((rows + 1) * (cols + 1));
+    for (let i = rows - 1; i >= 0; i--) {
+      for (let j = cols - 1; j >= 0; j--) {
+        lengths[i * (cols + 1) + j] = oldKeys[start + i] === newKeys[start + j]
+          ? lengths[(i + 1) * (cols + 1) + j + 1] + 1
+          : Math.max(lengths[(i + 1) * (cols + 1) + j], lengths[i * (cols + 1) + j + 1]);
+      }
+    }
+
+    const ops = oldBlocks.slice(0, start).map(text => ({ type: 'equal', text }));
+    let i = 0;
+    let j = 0;
+    while (i < rows || j < cols) {
+      if (i < rows && j < cols && oldKeys[start + i] === newKeys[start + j]) {
+        ops.push({ type: 'equal', text: newBlocks[start + j] });
+        i++;
+        j++;
+      } else if (i < rows && (j === cols || lengths[(i + 1) * (cols + 1) + j] >= lengths[i * (cols + 1) + j + 1])) {
+        // 被替换的段落先显示删除的内容
+        ops.push({ type: 'removed', text: oldBlocks[start + i] });
+        i++;
+      } else {
+        ops.push({ type: 'added', text: newBlocks[start + j] });
+        j++;
+      }
+    }
+    newBlocks.slice(newEnd).forEach(text => ops.push({ type: 'equal', text }));
+
+    const addedBlocks = ops.filter(op => op.type === 'added').map(op => op.text);
+    const removedBlocks = ops.filter(op => op.type === 'removed').map(op => op.text);
+
+    return {
+      ops,
+      added: addedBlocks.length,
+      removed: removedBlocks.length,
+      changedWords: this.countChangedWords(removedBlocks, addedBlocks)
+    };
+  }
+
+  /**
+   * 替换易变内容并合并空白，作为比较用的键
+   */
+  normalize(text) {
+    return VOLATILE_PATTERNS
+      .reduce((result, pattern) => result.replace(pattern, '{time}'), text)
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * 统计变化的词数：删除和新增内容中不能互相抵消的词
+   * 只改了一个词的段落计为2（删除1个、新增1个），而不是整段的词数
+   */
+  countChangedWords(removedBlocks, addedBlocks) {
+    const counts = new Map();
+    const tally = (blocks, delta) => blocks.forEach(block => {
+      (this.normalize(block).replace(/\{time\}/g, ' ').match(WORD_PATTERN) || []).forEach(word => {
+        counts.set(word, (counts.get(word) || 0) + delta);
+      });
+    });
+
+    tally(removedBlocks, -1);
+    tally(addedBlocks, 1);
+
+    let changed = 0;
+    counts.forEach(count => {
+      changed += Math.abs(count);
+    });
+    return changed;
+  }
+
+  /**
+   * 生成变化条目，diff为HTML：删除的内容用<del>，新增的内容用<ins>，并附带前后的上下文
+   */
+  createChange(url, diff, now) {
+    const changedIndexes = [];
+    diff.ops.forEach((op, index) => {
+      if (op.type !== 'equal') changedIndexes.push(index);
+    });
+
+    // 变化附近的文本块，相隔较远的变化之间用省略号分隔
+    const visible = new Set();
+    changedIndexes.forEach(index => {
+      for (let offset = -this.contextBlocks; offset <= this.contextBlocks; offset++) {
+        visible.add(index + offset);
+      }
+    });
+
+    const parts = [];
+    let previousIndex = null;
+    diff.ops.forEach((op, index) => {
+      if (!visible.has(index)) return;
+      if (previousIndex !== null && index > previousIndex + 1) {
+        parts.push('<p>…</p>');
+      }
+      previousIndex = index;
+
+      const text = this.escapeHtml(op.text);
+      if (op.type === 'added') {
+        parts.push(`<p><ins>${text}</ins></p>`);
+      } else if (op.type === 'removed') {
+        parts.push(`<p><del>${text}</del></p>`);
+      } else {
+        parts.push(`<p>${text}</p>`);
+      }
+    });
+
+    const firstChange = diff.ops[changedIndexes[0]];
+    const summary = [
+      diff.added > 0 ? `${diff.added} ${diff.added === 1 ? 'block' : 'blocks'} added` : '',
+      diff.removed > 0 ? `${diff.removed} ${diff.removed === 1 ? 'block' : 'blocks'} removed` : ''
+    ].filter(Boolean).join(', ');
+
+    return {
+      id: this.generateChangeId(url, diff.ops.filter(op => op.type !== 'removed').map(op => op.text), now),
+      detectedAt: now,
+      title: `Changed: ${this.truncate(firstChange.text, 80)}`,
+      summary: `${summary}.`,
+      diff: parts.join('\n')
+    };
+  }
+
+  /**
+   * 首次快照的条目，内容为当前页面文本
+   */
+  createInitialChange(url, blocks, now) {
+    const preview = blocks.slice(0, 50).map(block => `<p>${this.escapeHtml(block)}</p>`);
+    if (blocks.length > 50) {
+      preview.push('<p>…</p>');
+    }
+
+    return {
+      id: this.generateChangeId(url, blocks, now),
+      detectedAt: now,
+      title: 'Started monitoring this page for changes',
+      summary: `RSSOS saved the first snapshot of ${url} (${blocks.length} text blocks). New items appear when the content changes.`,
+      diff: preview.join('\n')
+    };
+  }
+
+  generateChangeId(url, blocks, now) {
+    const hash = crypto.createHash('md5').update(`${url}\n${now}\n${blocks.join('\n')}`).digest('hex');
+    return `rssos-change-${hash.substring(0, 16)}`;
+  }
+
+  truncate(text, length) {
+    return text.length > length ? `${text.substring(0, length - 1)}…` : text;
+  }
+
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+module.exports = ChangeDetector;
@@ -0,0 +1,50 @@
+/**
+ * 并发控制工具
+ */
+
+/**
+ * 以有限并发处理列表，结果顺序与输入一致
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const workers = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  });
+
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * 创建并发限制器，返回的函数按调用顺序排队执行任务，同时最多运行limit个
+ */
+function createLimiter(limit) {
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= Math.max(limit, 1) || queue.length === 0) return;
+
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return task => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+module.exports = { mapWithConcurrency, createLimiter };
@@ -0,0 +1,64 @@
+const HtmlSanitizer = require('./htmlSanitizer');
+const MediaExtractor = require('../parsers/mediaExtractor');
+const { stripTrackingParams } = require('./itemIdentity');
+
+/**
+ * 条目内容处理流程
+ * 生成订阅源前统一处理所有来源（页面解析、原生订阅源、全文抓取）的条目：
+ * 清理content和description中的HTML，将相对地址转换为绝对地址，并移除链接和图片地址中的跟踪参数；
+ * 解析时没有找到音视频的条目，从内容中的<audio>、<video>和下载链接查找
+ */
+class ContentPipeline {
+  constructor(options = {}) {
+    this.sanitizer = options.sanitizer || new HtmlSanitizer();
+    this.mediaExtractor = options.mediaExtractor || new MediaExtractor();
+  }
+
+  /**
+   * 处理条目列表，返回新的数组，不修改传入的对象
+   * options.baseUrl: 解析相对地址所用的页面地址
+   * options.itemBase: 为true时按每个条目自己的链接解析（原生订阅源的内容相对于条目页面）
+   */
+  process(articles, options = {}) {
+    return articles.map(article => this.processArticle(article, options));
+  }
+
+  processArticle(article, options = {}) {
+    const baseUrl = (options.itemBase && article.link) || options.baseUrl || article.link;
+    const result = { ...article };
+
+    if (article.link) {
+      result.link = stripTrackingParams(article.link);
+    }
+
+    if (!article.media || article.media.length === 0) {
+      const media = this.mediaExtractor.extract(article.content, baseUrl);
+      if (media.length > 0) result.media = media;
+    }
+
+    // 没有图片时使用视频的封面
+    const poster = (result.media || []).find(item => item.thumbnail);
+    const imageSource = article.image || (poster && poster.thumbnail);
+    if (imageSource) {
+      const image = this.sanitizer.resolveSafeUrl(String(imageSource), baseUrl);
+      if (image && /^https?:/i.test(image)) {
+        result.image = stripTrackingParams(image);
+      } else {
+        delete result.image;
+      }
+    }
+
+    if (article.content) {
+      result.content = this.sanitizer.sanitize(article.content, baseUrl);
+    }
+
+    // 摘要通常是纯文本，包含HTML时同样清理
+    if (article.description && /<[a-z!/]/i.test(article.description)) {
+      result.description = this.sanitizer.sanitize(article.description, baseUrl);
+    }
+
+    return result;
+  }
+}
+
+module.exports = ContentPipeline;
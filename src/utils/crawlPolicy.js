@@ -0,0 +1,167 @@
+const { URL } = require('url');
+const RobotsTxt = require('./robotsTxt');
+
+// robots.txt中使用的产品名称
+const ROBOTS_AGENT = 'RSSOS';
+
+// 同一主机两次请求之间的默认间隔，可通过RSSOS_HOST_INTERVAL修改
+const DEFAULT_HOST_INTERVAL = 500;
+
+// 遵守的最大Crawl-delay，更长的延迟按此值处理
+const MAX_CRAWL_DELAY = 10000;
+
+// robots.txt暂时无法获取（5xx/429）时，按禁止访问处理的时长
+const UNREACHABLE_TTL = 10 * 60 * 1000;
+
+// 记录的主机数超过此值时清理已过期的记录
+const MAX_TRACKED_HOSTS = 500;
+
+/**
+ * robots.txt禁止访问时抛出的错误
+ */
+class RobotsDisallowedError extends Error {
+  constructor(url) {
+    super(`Access to ${url} is disallowed by robots.txt`);
+    this.name = 'RobotsDisallowedError';
+    this.code = 'ERR_ROBOTS_DISALLOWED';
+    this.url = url;
+  }
+}
+
+/**
+ * 抓取礼仪
+ * 请求前检查目标网站的robots.txt，并按Crawl-delay或默认间隔限制对同一主机的请求频率。
+ * 站点规则可以用 robots: false 忽略robots.txt，用 crawlDelay（秒）指定请求间隔
+ */
+class CrawlPolicy {
+  constructor(options = {}) {
+    const env = options.env || process.env;
+
+    this.cacheManager = options.cacheManager || null;
+    this.siteRules = options.siteRules || null;
+    this.agent = options.agent || ROBOTS_AGENT;
+    this.hostInterval = options.hostInterval ?? (env.RSSOS_HOST_INTERVAL !== undefined
+      ? parseInt(env.RSSOS_HOST_INTERVAL, 10) || 0
+      : DEFAULT_HOST_INTERVAL);
+    this.maxCrawlDelay = options.maxCrawlDelay || MAX_CRAWL_DELAY;
+
+    this.nextSlots = new Map();
+    this.pending = new Map();
+  }
+
+  /**
+   * 检查并等待对URL的访问
+   * options.request(url): 获取robots.txt的函数，返回fetch响应
+   * options.deadline: 时间戳，需要等待到此时间之后时抛出错误
+   * 禁止访问时抛出RobotsDisallowedError
+   */
+  async enforce(url, options = {}) {
+    const parsed = new URL(url);
+    const rule = this.siteRules ? this.siteRules.match(url) : null;
+
+    let robots = null;
+    if (rule?.robots !== false) {
+      robots = await this.getRobots(parsed.origin, options.request);
+      if (!robots.isAllowed(`${parsed.pathname}${parsed.search}`, this.agent)) {
+        throw new RobotsDisallowedError(url);
+      }
+    }
+
+    await this.waitForHost(parsed.host, this.getInterval(rule, robots), options.deadline);
+  }
+
+  /**
+   * 计算同一主机两次请求的间隔（毫秒）
+   */
+  getInterval(rule, robots) {
+    if (typeof rule?.crawlDelay === 'number') {
+      return rule.crawlDelay * 1000;
+    }
+
+    const crawlDelay = robots ? robots.getCrawlDelay(this.agent) : null;
+    return Math.max(this.hostInterval, Math.min((crawlDelay || 0) * 1000, this.maxCrawlDelay));
+  }
+
+  /**
+   * 按主机排队，返回前保证与上一个请求至少间隔interval毫秒
+   */
+  async waitForHost(host, interval, deadline = Infinity) {
+    const now = Date.now();
+    const start = Math.max(now, this.nextSlots.get(host) || 0);
+
+    if (start >= deadline) {
+      const error = new Error(`Crawl delay for ${host} exceeds the request time budget`);
+      error.code = 'ERR_REQUEST_BUDGET';
+      throw error;
+    }
+
+    this.nextSlots.set(host, start + interval);
+    this.pruneHosts(now);
+
+    if (start > now) {
+      await new Promise(resolve => setTimeout(resolve, start - now));
+    }
+  }
+
+  pruneHosts(now) {
+    if (this.nextSlots.size <= MAX_TRACKED_HOSTS) return;
+    this.nextSlots.forEach((slot, host) => {
+      if (slot <= now) this.nextSlots.delete(host);
+    });
+  }
+
+  /**
+   * 获取网站的robots.txt规则，同一网站的并发请求共用一次获取
+   */
+  async getRobots(origin, request) {
+    if (!this.pending.has(origin)) {
+      this.pending.set(origin, this.loadRobots(origin, request).finally(() => this.pending.delete(origin)));
+    }
+    return this.pending.get(origin);
+  }
+
+  async loadRobots(origin, request) {
+    const cached = this.cacheManager ? await this.cacheManager.getCachedRobots(origin) : null;
+    if (cached) {
+      return this.toRobots(cached);
+    }
+
+    const entry = await this.fetchRobots(origin, request);
+    if (this.cacheManager) {
+      await this.cacheManager.cacheRobots(origin, entry, entry.unreachable ? UNREACHABLE_TTL : undefined);
+    }
+    return this.toRobots(entry);
+  }
+
+  /**
+   * 获取robots.txt
+   * 4xx视为没有限制；5xx和429视为暂时禁止访问；网络错误时不限制（由页面请求本身报告错误）
+   */
+  async fetchRobots(origin, request) {
+    try {
+      const response = await request(`${origin}/robots.txt`);
+
+      if (response.ok) {
+        return { text: await response.text() };
+      }
+      if (response.status === 429 || response.status >= 500) {
+        console.log(`robots.txt for ${origin} unavailable (HTTP ${response.status}), treating as disallowed`);
+        return { unreachable: true };
+      }
+      return { missing: true };
+    } catch (error) {
+      console.error(`Failed to fetch robots.txt for ${origin}:`, error.message);
+      return { missing: true };
+    }
+  }
+
+  toRobots(entry) {
+    return new RobotsTxt(entry.text || '', {
+      allowAll: !!entry.missing,
+      disallowAll: !!entry.unreachable
+    });
+  }
+}
+
+module.exports = CrawlPolicy;
+module.exports.RobotsDisallowedError = RobotsDisallowedError;
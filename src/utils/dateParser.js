@@ -0,0 +1,409 @@
+/**
+ * 日期解析器
+ * 将页面中提取的日期文本转换为Date对象，支持：
+ * - 站点规则指定的日期格式
+ * - ISO 8601 和 RFC 2822
+ * - 相对时间（"3 hours ago"、"3小时前"、"昨天"、"vor 2 Tagen"等）
+ * - 中日韩格式（"2024年5月3日"、"2024년 5월 3일"）
+ * - 数字日期（"03/05/2024"、"03.05.2024"），按站点配置的日月顺序解析
+ * - 多语言月份名称（英、德、法、西、意、葡、荷）
+ * 没有时区信息的日期按站点时区（默认UTC）解释
+ */
+
+// 日期格式中的占位符及其对应的正则
+const FORMAT_TOKENS = {
+  YYYY: '(\\d{4})',
+  YY: '(\\d{2})',
+  MM: '(\\d{2})',
+  M: '(\\d{1,2})',
+  DD: '(\\d{2})',
+  D: '(\\d{1,2})',
+  HH: '(\\d{2})',
+  H: '(\\d{1,2})',
+  mm: '(\\d{2})',
+  ss: '(\\d{2})'
+};
+
+const TOKEN_PATTERN = /YYYY|YY|MM|M|DD|D|HH|H|mm|ss/g;
+
+// 各语言的月份名称（含常见缩写）
+const MONTH_NAMES = {
+  1: ['january', 'jan', 'januar', 'jän', 'janvier', 'janv', 'enero', 'ene', 'gennaio', 'gen', 'janeiro', 'januari'],
+  2: ['february', 'feb', 'februar', 'février', 'fevrier', 'févr', 'fevr', 'fév', 'febrero', 'febbraio', 'fevereiro', 'fev', 'februari'],
+  3: ['march', 'mar', 'märz', 'maerz', 'mär', 'mars', 'marzo', 'março', 'marco', 'maart', 'mrt'],
+  4: ['april', 'apr', 'avril', 'avr', 'abril', 'abr', 'aprile'],
+  5: ['may', 'mai', 'mayo', 'maggio', 'mag', 'maio', 'mei'],
+  6: ['june', 'jun', 'juni', 'juin', 'junio', 'giugno', 'giu', 'junho'],
+  7: ['july', 'jul', 'juli', 'juillet', 'juil', 'julio', 'luglio', 'lug', 'julho'],
+  8: ['august', 'aug', 'août', 'aout', 'agosto', 'ago', 'augustus'],
+  9: ['september', 'sep', 'sept', 'septembre', 'septiembre', 'set', 'settembre', 'setembro'],
+  10: ['october', 'oct', 'oktober', 'okt', 'octobre', 'octubre', 'ottobre', 'ott', 'outubro', 'out'],
+  11: ['november', 'nov', 'novembre', 'noviembre', 'novembro'],
+  12: ['december', 'dec', 'dezember', 'dez', 'décembre', 'decembre', 'déc', 'diciembre', 'dic', 'dicembre', 'dezembro']
+};
+
+const MONTH_LOOKUP = {};
+Object.entries(MONTH_NAMES).forEach(([month, names]) => {
+  names.forEach(name => { MONTH_LOOKUP[name] = parseInt(month, 10); });
+});
+
+// 按长度降序排列，保证优先匹配完整名称
+const MONTH_PATTERN = Object.keys(MONTH_LOOKUP)
+  .sort((a, b) => b.length - a.length)
+  .join('|');
+
+// 相对时间单位（毫秒）
+const UNIT_MS = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+  year: 365 * 24 * 60 * 60 * 1000
+};
+
+// 各语言的相对时间单位写法
+const RELATIVE_UNITS = [
+  { unit: 'second', pattern: 'seconds?|secs?|sekunden?|secondes?|segundos?|secondi|seconden|秒钟?|초' },
+  { unit: 'minute', pattern: 'minutes?|mins?|minuten?|minutos?|minuti|分钟|分鐘|分|분' },
+  { unit: 'hour', pattern: 'hours?|hrs?|stunden?|heures?|horas?|ore|uur|小时|小時|時間|个小时|個小時|시간' },
+  { unit: 'day', pattern: 'days?|tagen?|tag|jours?|días?|dias?|giorni|dagen?|天|日|일' },
+  { unit: 'week', pattern: 'weeks?|wochen?|semaines?|semanas?|settimane|weken|周|週|星期|个星期|주' },
+  { unit: 'month', pattern: 'months?|monaten?|monat|mois|meses|mes|mesi|maanden?|个月|個月|ヶ月|か月|月|개월|달' },
+  { unit: 'year', pattern: 'years?|jahren?|jahr|ans?|années?|años?|anni|jaren?|jaar|年|년' }
+];
+
+// 今天/昨天/前天等关键词对应的天数偏移（拉丁字母关键词需为完整单词）
+const DAY_KEYWORDS = [
+  { offset: 0, pattern: /^(?:just now|now|today|heute|gerade eben|aujourd'hui|à l'instant|hoy|ahora|oggi|hoje|vandaag|刚刚|剛剛|今天|今日|방금|오늘)(?![a-z])/i },
+  { offset: 1, pattern: /^(?:yesterday|gestern|hier|ayer|ieri|ontem|gisteren|昨天|昨日|어제)(?![a-z])/i },
+  { offset: 2, pattern: /^(?:vorgestern|avant-hier|anteayer|l'altro ieri|anteontem|eergisteren|前天|一昨日|그저께)(?![a-z])/i }
+];
+
+class DateParser {
+  constructor(options = {}) {
+    this.now = options.now || (() => Date.now());
+  }
+
+  /**
+   * 解析日期文本，无法解析时返回null
+   * options.format: 日期格式或格式数组，如 "YYYY-MM-DD"、"YYYY年M月D日 HH:mm"
+   * options.timezone: 没有时区信息的日期所在时区，IANA名称（"Asia/Shanghai"）或偏移（"+08:00"）
+   * options.dateOrder: 数字日期的顺序，"DMY" 或 "MDY"（未指定时点号分隔按DMY，斜杠分隔按MDY）
+   */
+  parse(text, options = {}) {
+    if (!text) return null;
+    const value = String(text).replace(/\s+/g, ' ').trim();
+    if (!value) return null;
+
+    for (const format of [].concat(options.format || [])) {
+      const formatted = this.parseWithFormat(value, format, options.timezone);
+      if (formatted) return formatted;
+    }
+
+    return this.parseISO(value, options) ||
+      this.parseRelative(value) ||
+      this.parseCJK(value, options) ||
+      this.parseNumeric(value, options) ||
+      this.parseMonthName(value, options) ||
+      this.parseNative(value);
+  }
+
+  /**
+   * 按指定格式解析日期
+   */
+  parseWithFormat(text, format, timezone) {
+    const tokens = [];
+    const pattern = format
+      .split(TOKEN_PATTERN)
+      .map(literal => literal.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s*'));
+
+    let source = pattern[0];
+    (format.match(TOKEN_PATTERN) || []).forEach((token, index) => {
+      tokens.push(token);
+      source += FORMAT_TOKENS[token] + pattern[index + 1];
+    });
+
+    const match = text.match(new RegExp(source));
+    if (!match) return null;
+
+    const parts = { year: 1970, month: 1, day: 1, hour: 0, minute: 0, second: 0 };
+    tokens.forEach((token, index) => {
+      const number = parseInt(match[index + 1], 10);
+      switch (token) {
+        case 'YYYY':
+          parts.year = number;
+          break;
+        case 'YY':
+          parts.year = this.expandYear(number);
+          break;
+        case 'MM':
+        case 'M':
+          parts.month = number;
+          break;
+        case 'DD':
+        case 'D':
+          parts.day = number;
+          break;
+        case 'HH':
+        case 'H':
+          parts.hour = number;
+          break;
+        case 'mm':
+          parts.minute = number;
+          break;
+        case 'ss':
+          parts.second = number;
+          break;
+      }
+    });
+
+    return this.buildDate(parts, timezone);
+  }
+
+  /**
+   * ISO 8601日期，带时区偏移时直接使用，否则按站点时区解释
+   */
+  parseISO(text, options) {
+    const match = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?)?$/i);
+    if (!match) return null;
+
+    if (match[7]) {
+      const date = new Date(text.replace(' ', 'T'));
+      return isNaN(date.getTime()) ? null : date;
+    }
+
+    return this.buildDate({
+      year: parseInt(match[1], 10),
+      month: parseInt(match[2], 10),
+      day: parseInt(match[3], 10),
+      hour: parseInt(match[4] || '0', 10),
+      minute: parseInt(match[5] || '0', 10),
+      second: parseInt(match[6] || '0', 10)
+    }, options.timezone);
+  }
+
+  /**
+   * 相对时间
+   */
+  parseRelative(text) {
+    const now = this.now();
+    const lower = text.toLowerCase();
+
+    for (const keyword of DAY_KEYWORDS) {
+      if (keyword.pattern.test(lower)) {
+        return new Date(now - keyword.offset * UNIT_MS.day);
+      }
+    }
+
+    for (const { unit, pattern } of RELATIVE_UNITS) {
+      // "3 hours ago"、"发布于3小时前"、"3時間前"、"3시간 전"
+      const suffix = lower.match(new RegExp(`(?:(?<!\\d)(\\d+)|\\b(an?|one))\\s*(?:${pattern})\\s*(?:ago|前|전)`, 'i'));
+      // "vor 3 Stunden"、"il y a 3 heures"、"hace 3 horas"、"há 3 horas"
+      const prefix = lower.match(new RegExp(`(?:^|\\s)(?:vor|il y a|hace|há)\\s+(?:(\\d+)|(einer?|un|une|una|uno|um|uma))\\s*(?:${pattern})\\b`, 'i')) ||
+        // "3 ore fa"、"3 uur geleden"
+        lower.match(new RegExp(`(?:(?<!\\d)(\\d+)|\\b(un|una|uno|een))\\s*(?:${pattern})\\s+(?:fa|geleden)\\b`, 'i'));
+
+      const match = suffix || prefix;
+      if (match) {
+        const amount = match[1] ? parseInt(match[1], 10) : 1;
+        return new Date(now - amount * UNIT_MS[unit]);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 中日韩格式：2024年5月3日 10:20、2024년 5월 3일、5月3日
+   */
+  parseCJK(text, options) {
+    const match = text.match(/(?:(\d{2,4})\s*[年년]\s*)?(\d{1,2})\s*[月월]\s*(\d{1,2})\s*[日号號일]?(?:\D{0,6}?(上午|下午|午前|午後|오전|오후)?\s*(\d{1,2})\s*[:：時时点點시]\s*(\d{1,2})?)?/);
+    if (!match) return null;
+
+    let hour = parseInt(match[5] || '0', 10);
+    if (/下午|午後|오후/.test(match[4] || '') && hour < 12) hour += 12;
+    if (/上午|午前|오전/.test(match[4] || '') && hour === 12) hour = 0;
+
+    const parts = {
+      year: match[1] ? this.expandYear(parseInt(match[1], 10)) : null,
+      month: parseInt(match[2], 10),
+      day: parseInt(match[3], 10),
+      hour: hour,
+      minute: parseInt(match[6] || '0', 10),
+      second: 0
+    };
+
+    return this.buildDateWithYear(parts, options.timezone);
+  }
+
+  /**
+   * 数字日期：2024/05/03、03/05/2024、03.05.24，可带时间
+   */
+  parseNumeric(text, options) {
+    const time = this.matchTime(text);
+
+    const ymd = text.match(/\b(\d{4})[./-](\d{1,2})[./-](\d{1,2})\b/);
+    if (ymd) {
+      return this.buildDate({
+        year: parseInt(ymd[1], 10),
+        month: parseInt(ymd[2], 10),
+        day: parseInt(ymd[3], 10),
+        ...time
+      }, options.timezone);
+    }
+
+    const match = text.match(/\b(\d{1,2})([./-])(\d{1,2})\2(\d{4}|\d{2})\b/);
+    if (!match) return null;
+
+    const first = parseInt(match[1], 10);
+    const second = parseInt(match[3], 10);
+
+    let dayFirst;
+    if (first > 12) {
+      dayFirst = true;
+    } else if (second > 12) {
+      dayFirst = false;
+    } else if (options.dateOrder) {
+      dayFirst = options.dateOrder.toUpperCase() === 'DMY';
+    } else {
+      dayFirst = match[2] !== '/';
+    }
+
+    return this.buildDate({
+      year: this.expandYear(parseInt(match[4], 10)),
+      month: dayFirst ? second : first,
+      day: dayFirst ? first : second,
+      ...time
+    }, options.timezone);
+  }
+
+  /**
+   * 月份名称：3 May 2024、May 3rd, 2024、3. März 2024、3 de mayo de 2024、3 mai 2024
+   */
+  parseMonthName(text, options) {
+    // 带时区的RFC 2822日期交给内置解析
+    if (/\b(?:GMT|UTC|UT)\b|[+-]\d{4}\b/.test(text)) return null;
+
+    const lower = text.toLowerCase();
+    const time = this.matchTime(lower);
+
+    const dayFirst = lower.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th|er|\\.|º)?\\s+(?:de\\s+)?(${MONTH_PATTERN})\\.?,?\\s+(?:de\\s+)?(\\d{4})`, 'i'));
+    const monthFirst = lower.match(new RegExp(`(?:^|[^\\p{L}])(${MONTH_PATTERN})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})`, 'iu'));
+
+    let parts = null;
+    if (dayFirst) {
+      parts = { day: parseInt(dayFirst[1], 10), month: MONTH_LOOKUP[dayFirst[2]], year: parseInt(dayFirst[3], 10) };
+    } else if (monthFirst) {
+      parts = { day: parseInt(monthFirst[2], 10), month: MONTH_LOOKUP[monthFirst[1]], year: parseInt(monthFirst[3], 10) };
+    }
+
+    if (!parts) return null;
+    return this.buildDate({ ...parts, ...time }, options.timezone);
+  }
+
+  /**
+   * 最后尝试JavaScript内置解析（RFC 2822等）
+   */
+  parseNative(text) {
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * 提取文本中的时间部分（支持am/pm）
+   */
+  matchTime(text) {
+    const match = text.match(/\b(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?\b/i);
+    if (!match) return { hour: 0, minute: 0, second: 0 };
+
+    let hour = parseInt(match[1], 10);
+    const meridiem = (match[4] || '').toLowerCase();
+    if (meridiem === 'pm' && hour < 12) hour += 12;
+    if (meridiem === 'am' && hour === 12) hour = 0;
+
+    return {
+      hour: hour,
+      minute: parseInt(match[2], 10),
+      second: parseInt(match[3] || '0', 10)
+    };
+  }
+
+  expandYear(year) {
+    if (year >= 100) return year;
+    return year < 70 ? 2000 + year : 1900 + year;
+  }
+
+  /**
+   * 没有年份时使用今年，若结果在未来则视为去年
+   */
+  buildDateWithYear(parts, timezone) {
+    if (parts.year) return this.buildDate(parts, timezone);
+
+    const now = this.now();
+    const thisYear = new Date(now).getUTCFullYear();
+    const date = this.buildDate({ ...parts, year: thisYear }, timezone);
+    if (date && date.getTime() > now + UNIT_MS.day) {
+      return this.buildDate({ ...parts, year: thisYear - 1 }, timezone);
+    }
+    return date;
+  }
+
+  /**
+   * 将站点时区的日期时间转换为Date对象
+   */
+  buildDate(parts, timezone) {
+    const { year, month, day, hour = 0, minute = 0, second = 0 } = parts;
+    if (!month || month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59 || second > 59) {
+      return null;
+    }
+
+    const utc = Date.UTC(year, month - 1, day, hour, minute, second);
+    // 拒绝溢出的日期（如2月30日）
+    if (new Date(utc).getUTCDate() !== day) return null;
+
+    if (!timezone) return new Date(utc);
+
+    // 时区偏移随夏令时变化，用第一次的结果再计算一次
+    let offset = this.getTimezoneOffset(utc, timezone);
+    if (offset === null) return new Date(utc);
+    offset = this.getTimezoneOffset(utc - offset, timezone);
+    return new Date(utc - offset);
+  }
+
+  /**
+   * 获取时区在某一时刻相对UTC的偏移（毫秒），无效时区返回null
+   */
+  getTimezoneOffset(timestamp, timezone) {
+    const fixed = String(timezone).match(/^(?:UTC|GMT)?\s*([+-])(\d{1,2}):?(\d{2})?$/i);
+    if (fixed) {
+      const minutes = parseInt(fixed[2], 10) * 60 + parseInt(fixed[3] || '0', 10);
+      return (fixed[1] === '-' ? -1 : 1) * minutes * 60 * 1000;
+    }
+
+    try {
+      const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      });
+      const values = {};
+      formatter.formatToParts(new Date(timestamp)).forEach(part => {
+        values[part.type] = parseInt(part.value, 10);
+      });
+
+      const wallClock = Date.UTC(values.year, values.month - 1, values.day, values.hour, values.minute, values.second);
+      return wallClock - Math.floor(timestamp / 1000) * 1000;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = DateParser;
@@ -0,0 +1,411 @@
+const crypto = require('crypto');
+const SiteDetector = require('./siteDetector');
+const ContentParser = require('../parsers/contentParser');
+const CacheManager = require('./cacheManager');
+const FeedDiscovery = require('./feedDiscovery');
+const SiteRules = require('./siteRules');
+const FullTextService = require('./fullTextService');
+const ItemHistory = require('./itemHistory');
+const Paginator = require('./paginator');
+const PageRenderer = require('./pageRenderer');
+const HttpClient = require('./httpClient');
+const CrawlPolicy = require('./crawlPolicy');
+const ChangeDetector = require('./changeDetector');
+const ContentPipeline = require('./contentPipeline');
+const MediaService = require('./mediaService');
+
+// 描述单个条目的选择器，全部指定时跳过网站检测
+const ITEM_SELECTOR_FIELDS = ['articles', 'title', 'link', 'date', 'content', 'image'];
+
+/**
+ * 订阅源构建器
+ * 获取网站HTML，查找原生订阅源或检测网站结构并解析文章，
+ * 供单站点生成和多站点合并共用
+ */
+class FeedBuilder {
+  constructor(options = {}) {
+    this.siteRules = options.siteRules || new SiteRules();
+    this.cacheManager = options.cacheManager || new CacheManager();
+    this.httpClient = options.httpClient || new HttpClient({
+      crawlPolicy: new CrawlPolicy({ siteRules: this.siteRules, cacheManager: this.cacheManager })
+    });
+    this.siteDetector = options.siteDetector || new SiteDetector({ siteRules: this.siteRules, httpClient: this.httpClient });
+    this.feedDiscovery = options.feedDiscovery || new FeedDiscovery({ httpClient: this.httpClient });
+    this.fullTextService = options.fullTextService || new FullTextService({
+      cacheManager: this.cacheManager,
+      httpClient: this.httpClient
+    });
+    this.itemHistory = options.itemHistory || new ItemHistory({ cacheManager: this.cacheManager });
+    this.changeDetector = options.changeDetector || new ChangeDetector({ cacheManager: this.cacheManager });
+    this.contentPipeline = options.contentPipeline || new ContentPipeline();
+    this.mediaService = options.mediaService || new MediaService({
+      cacheManager: this.cacheManager,
+      httpClient: this.httpClient
+    });
+    this.paginator = options.paginator || new Paginator();
+    this.pageRenderer = options.pageRenderer || new PageRenderer({ userAgent: this.httpClient.userAgent });
+  }
+
+  /**
+   * 获取网站的文章列表
+   * options.mode: auto | discover | scrape | diff
+   * options.refresh: 忽略缓存
+   * options.fulltext: 抓取文章全文
+   * options.pages: 最多抓取的列表页数
+   * options.render: 使用无头浏览器渲染，true或 { waitFor }；未指定时由站点规则决定
+   * options.customSelectors: 用户指定的选择器（siteInfo.selectors的字段名）
+   * options.parseVariant: 解析结果的缓存变体
+   * options.diff: mode=diff时的比较参数 { ignore, threshold }，监控区域为customSelectors.content
+   * options.deadline: 时间戳，超过后不再发起新的请求
+   * 返回 { siteInfo, articles, upstreamStatus, nativeFeed, parsedReused }
+   */
+  async build(url, options = {}) {
+    const {
+      mode = 'auto',
+      refresh = false,
+      fulltext = false,
+      pages = 1,
+      render = false,
+      customSelectors = {},
+      parseVariant = '',
+      diff = {},
+      deadline
+    } = options;
+    const hasCustomSelectors = Object.keys(customSelectors).length > 0;
+    const renderOptions = this.resolveRenderOptions(render, this.siteRules.match(url));
+
+    // 获取网站HTML内容（缓存过期后向源站发送条件请求，或由无头浏览器渲染）
+    const { html, status: upstreamStatus } = await this.loadPage(url, refresh, renderOptions, deadline);
+
+    // 页面变化检测：条目为检测到的变化，不解析文章列表
+    if (mode === 'diff') {
+      const siteInfo = {
+        url: url,
+        type: 'diff',
+        platform: 'change-detection',
+        confidence: 100,
+        selectors: customSelectors.content ? { content: customSelectors.content } : {},
+        features: ['change-detection'],
+        metadata: await this.siteDetector.extractMetadata(html, url)
+      };
+      const articles = await this.changeDetector.detect(url, html, {
+        selector: customSelectors.content,
+        ignore: diff.ignore,
+        threshold: diff.threshold,
+        variant: parseVariant
+      });
+      return { siteInfo, articles, upstreamStatus, nativeFeed: null, parsedReused: false };
+    }
+
+    let siteInfo;
+    let articles = null;
+
+    // HTML未变化时复用之前的解析结果
+    const htmlHash = crypto.createHash('sha1').update(html).digest('hex');
+    const cachedParsed = refresh ? null : await this.cacheManager.getCachedParsed(url, parseVariant);
+    const parsedReused = Boolean(cachedParsed && cachedParsed.htmlHash === htmlHash);
+    if (parsedReused) {
+      console.log(`Reusing parsed articles for ${url}`);
+      ({ siteInfo, articles } = cachedParsed);
+    }
+
+    // 查找原生订阅源（auto模式下指定了选择器或匹配站点规则的网站直接抓取）
+    const useDiscovery = mode === 'discover' ||
+      (mode === 'auto' && !hasCustomSelectors && !this.siteRules.match(url));
+    const nativeFeed = useDiscovery && !parsedReused ? await this.findNativeFeed(html, url, refresh, deadline) : null;
+    if (nativeFeed) {
+      try {
+        ({ siteInfo, articles } = await this.loadNativeFeed(nativeFeed, url, html, deadline));
+        console.log(`Using native feed for ${url}: ${nativeFeed.url}`);
+      } catch (error) {
+        if (mode === 'discover') throw error;
+        console.error(`Failed to load native feed ${nativeFeed.url}, falling back to scraping:`, error.message);
+      }
+    } else if (mode === 'discover') {
+      // 只影响discover模式的请求，标记为404以免整个URL进入错误缓存
+      const error = new Error('No native feed found for this site');
+      error.status = 404;
+      throw error;
+    }
+
+    if (!articles) {
+      siteInfo = await this.detectSite(html, url, refresh, customSelectors);
+
+      // 解析网站内容
+      const contentParser = new ContentParser(siteInfo, { httpClient: this.httpClient, deadline });
+      articles = await contentParser.parseContent(html);
+
+      // 继续抓取后续列表页
+      if (pages > 1) {
+        const crawled = await this.paginator.crawl(url, html, articles, {
+          pages,
+          selector: siteInfo.selectors.next,
+          deadline,
+          fetchPage: async (pageUrl, timeout) =>
+            (await this.loadPage(pageUrl, refresh, renderOptions, Date.now() + timeout)).html,
+          parsePage: pageHtml => contentParser.parseContent(pageHtml)
+        });
+        articles = crawled.articles;
+        console.log(`Crawled ${crawled.pages} pages for ${url}`);
+      }
+    }
+
+    console.log(`Extracted ${articles.length} articles from ${url}`);
+
+    if (!parsedReused) {
+      // 抓取文章全文（fulltext参数或站点规则启用）
+      const ruleFullText = siteInfo.rule?.fullText?.enabled ? siteInfo.rule.fullText : null;
+      if ((fulltext || ruleFullText) && articles.length > 0) {
+        await this.fullTextService.enrich(articles, url, {
+          selector: ruleFullText?.selector,
+          remove: ruleFullText?.remove,
+          limit: fulltext ? undefined : ruleFullText.limit,
+          deadline
+        });
+      }
+
+      // 清理条目HTML：原生订阅源的内容相对于条目链接，页面中解析的内容相对于页面
+      articles = this.contentPipeline.process(articles, {
+        baseUrl: siteInfo.type === 'feed' ? siteInfo.feedUrl : url,
+        itemBase: siteInfo.type === 'feed'
+      });
+
+      // 确定附件的MIME类型和大小（<enclosure>需要）
+      await this.mediaService.enrich(articles, { deadline });
+
+      // 原生订阅源的内容不取决于页面HTML，不缓存
+      if (siteInfo.type !== 'feed') {
+        await this.cacheManager.cacheParsed(url, parseVariant, htmlHash, siteInfo, articles);
+      }
+    }
+
+    // 没有日期的条目使用首次出现时间
+    articles = await this.itemHistory.apply(url, articles);
+
+    return { siteInfo, articles, upstreamStatus, nativeFeed, parsedReused };
+  }
+
+  /**
+   * 检测网站类型和结构，用户指定的选择器覆盖检测结果
+   */
+  async detectSite(html, url, refresh, customSelectors) {
+    let siteInfo;
+    const cachedSiteInfo = await this.cacheManager.getCachedSiteInfo(url);
+
+    if (ITEM_SELECTOR_FIELDS.every(field => customSelectors[field])) {
+      // 指定了全部选择器时跳过检测，只读取网站信息
+      siteInfo = {
+        url: url,
+        type: 'custom',
+        platform: 'custom',
+        confidence: 100,
+        selectors: {},
+        features: ['custom-selectors'],
+        metadata: await this.siteDetector.extractMetadata(html, url)
+      };
+    } else if (cachedSiteInfo && !refresh) {
+      siteInfo = cachedSiteInfo.siteInfo;
+    } else {
+      siteInfo = await this.siteDetector.detectSiteType(html, url);
+      console.log(`Detected site type: ${siteInfo.type} (${siteInfo.platform}) - confidence: ${siteInfo.confidence}%`);
+
+      // 缓存网站信息
+      await this.cacheManager.cacheSiteInfo(url, siteInfo);
+    }
+
+    if (Object.keys(customSelectors).length > 0) {
+      siteInfo = {
+        ...siteInfo,
+        selectors: { ...siteInfo.selectors, ...customSelectors },
+        customSelectors: true
+      };
+    }
+
+    return siteInfo;
+  }
+
+  /**
+   * 确定渲染选项，不需要渲染时返回null
+   * 站点规则的render可以是true或 { waitFor, timeout }；
+   * 规则要求渲染但未安装无头浏览器时退回普通抓取
+   */
+  resolveRenderOptions(render, rule) {
+    const ruleRender = rule && rule.render
+      ? (typeof rule.render === 'object' ? rule.render : {})
+      : null;
+
+    if (render) {
+      return {
+        waitFor: (typeof render === 'object' && render.waitFor) || ruleRender?.waitFor || null,
+        timeout: ruleRender?.timeout || null
+      };
+    }
+
+    if (!ruleRender) return null;
+
+    if (!this.pageRenderer.isAvailable()) {
+      console.log(`Site rule ${rule.name} requests rendering but no headless browser is available, fetching HTML instead`);
+      return null;
+    }
+
+    return { waitFor: ruleRender.waitFor || null, timeout: ruleRender.timeout || null };
+  }
+
+  /**
+   * 读取页面内容，需要渲染时使用无头浏览器，否则直接获取HTML
+   * deadline: 时间戳，限制本次请求的超时时间
+   */
+  async loadPage(url, refresh, renderOptions, deadline) {
+    const remaining = deadline ? Math.max(deadline - Date.now(), 1000) : undefined;
+
+    if (!renderOptions) {
+      return this.loadHTML(url, refresh, remaining ? Math.min(remaining, 15000) : undefined);
+    }
+
+    const variant = renderOptions.waitFor || '';
+    const cached = refresh ? null : await this.cacheManager.getCachedRendered(url, variant);
+    if (cached) {
+      return { html: cached.html, status: 'rendered-cached' };
+    }
+
+    // 浏览器不经过HTTP客户端，渲染前单独检查robots.txt
+    await this.httpClient.enforceCrawlPolicy(url, deadline);
+
+    console.log(`Rendering ${url} with headless browser${renderOptions.waitFor ? ` (waiting for ${renderOptions.waitFor})` : ''}`);
+    const html = await this.pageRenderer.render(url, {
+      waitFor: renderOptions.waitFor,
+      timeout: Math.min(renderOptions.timeout || Infinity, remaining || Infinity),
+      deadline
+    });
+
+    await this.cacheManager.cacheRendered(url, variant, html);
+    return { html, status: 'rendered' };
+  }
+
+  /**
+   * 获取网站HTML
+   * 有缓存时携带源站的ETag/Last-Modified发送条件请求，源站返回304时notModified为true
+   */
+  async fetchHTML(url, cachedHTML, timeout = 15000) {
+    const headers = {
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+      'Accept-Language': 'en-US,en;q=0.5',
+      'Accept-Encoding': 'gzip, deflate',
+      'Connection': 'keep-alive',
+      'Upgrade-Insecure-Requests': '1'
+    };
+    if (cachedHTML?.etag) {
+      headers['If-None-Match'] = cachedHTML.etag;
+    }
+    if (cachedHTML?.lastModified) {
+      headers['If-Modified-Since'] = cachedHTML.lastModified;
+    }
+
+    const response = await this.httpClient.request(url, {
+      headers,
+      timeout,
+      deadline: Date.now() + timeout
+    });
+
+    const etag = response.headers.get('etag');
+    const lastModified = response.headers.get('last-modified');
+
+    if (response.status === 304 && cachedHTML) {
+      return {
+        notModified: true,
+        html: cachedHTML.html,
+        etag: etag || cachedHTML.etag,
+        lastModified: lastModified || cachedHTML.lastModified
+      };
+    }
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    return {
+      notModified: false,
+      html: await this.httpClient.readText(response),
+      etag,
+      lastModified
+    };
+  }
+
+  /**
+   * 读取页面HTML，优先使用未过期的缓存
+   * 返回 { html, status }，status为cached、not-modified或fetched
+   */
+  async loadHTML(url, refresh, timeout) {
+    const cachedHTML = await this.cacheManager.getCachedHTML(url);
+
+    if (cachedHTML && cachedHTML.fresh && !refresh) {
+      return { html: cachedHTML.html, status: 'cached' };
+    }
+
+    const page = await this.fetchHTML(url, cachedHTML, timeout);
+    if (page.notModified) {
+      console.log(`Upstream not modified for ${url}, reusing cached HTML`);
+    }
+
+    // 缓存HTML内容（304时刷新缓存时间）
+    await this.cacheManager.cacheHTML(url, page.html, { etag: page.etag, lastModified: page.lastModified });
+    return { html: page.html, status: page.notModified ? 'not-modified' : 'fetched' };
+  }
+
+  /**
+   * 查找网站的原生订阅源（结果会被缓存，包括未找到的情况）
+   * 超过deadline没有探测完时视为未找到，但不缓存结果
+   */
+  async findNativeFeed(html, url, refresh, deadline) {
+    const cached = await this.cacheManager.getCachedDiscovery(url);
+    if (cached && !refresh) {
+      return cached.feed;
+    }
+
+    let feed;
+    try {
+      feed = await this.feedDiscovery.discover(html, url, { deadline });
+    } catch (error) {
+      if (error.code !== 'ERR_REQUEST_BUDGET') throw error;
+      console.log(`Feed discovery for ${url} stopped: ${error.message}`);
+      return null;
+    }
+    if (feed) {
+      console.log(`Discovered native ${feed.type} feed for ${url}: ${feed.url} (via ${feed.source})`);
+    }
+
+    // 缓存中不保存订阅源正文
+    const { content, ...feedInfo } = feed || {};
+    await this.cacheManager.cacheDiscovery(url, feed ? feedInfo : null);
+    return feed;
+  }
+
+  /**
+   * 获取并规范化原生订阅源的文章
+   * 订阅源自身的标题和描述优先于页面中的网站信息
+   */
+  async loadNativeFeed(feed, url, html, deadline) {
+    const content = feed.content || await this.feedDiscovery.fetchFeed(feed.url, { deadline });
+    const parsed = this.feedDiscovery.parseFeed(content, feed.url);
+    const metadata = await this.siteDetector.extractMetadata(html, url);
+
+    const siteInfo = {
+      url: url,
+      type: 'feed',
+      platform: `native-${parsed.type}`,
+      confidence: 100,
+      selectors: {},
+      features: ['native-feed'],
+      feedUrl: feed.url,
+      metadata: {
+        ...metadata,
+        title: parsed.title || metadata.title,
+        description: parsed.description || metadata.description
+      }
+    };
+
+    return { siteInfo, articles: parsed.articles };
+  }
+}
+
+module.exports = FeedBuilder;
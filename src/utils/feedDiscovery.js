@@ -0,0 +1,423 @@
+const cheerio = require('cheerio');
+const DateParser = require('./dateParser');
+const { generateGuid } = require('./itemIdentity');
+const HttpClient = require('./httpClient');
+const MediaExtractor = require('../parsers/mediaExtractor');
+const HtmlSanitizer = require('./htmlSanitizer');
+const { URL } = require('url');
+
+// 订阅源链接可能使用的MIME类型
+// 不包含application/json：WordPress等站点用它声明REST API链接（wp-json），并不是JSON Feed
+const FEED_LINK_TYPES = {
+  'application/rss+xml': 'rss',
+  'application/atom+xml': 'atom',
+  'application/feed+json': 'json',
+  'application/rdf+xml': 'rdf'
+};
+
+/**
+ * 原生订阅源发现器
+ * 在抓取HTML之前查找网站已发布的RSS/Atom/JSON Feed，并将其规范化为文章列表
+ */
+class FeedDiscovery {
+  constructor(options = {}) {
+    // 常见的订阅源路径
+    this.wellKnownPaths = options.wellKnownPaths || [
+      '/feed',
+      '/rss.xml',
+      '/atom.xml',
+      '/feed.xml',
+      '/index.xml',
+      '/feed.json'
+    ];
+    this.timeout = options.timeout || 8000;
+    this.httpClient = options.httpClient || new HttpClient();
+    this.maxItems = options.maxItems || 50;
+    this.dateParser = new DateParser();
+    this.mediaExtractor = new MediaExtractor();
+    this.sanitizer = new HtmlSanitizer();
+  }
+
+  /**
+   * 发现网站的原生订阅源
+   * 先检查HTML中的<link rel="alternate">，再探测常见路径
+   * options.deadline: 时间戳，超过后不再探测
+   */
+  async discover(html, pageUrl, options = {}) {
+    // 页面本身就是订阅源
+    const selfType = this.detectFeedType(html);
+    if (selfType) {
+      return { url: pageUrl, type: selfType, source: 'self', content: html };
+    }
+
+    const linked = this.discoverFromHTML(html, pageUrl);
+    if (linked.length > 0) {
+      return { ...linked[0], source: 'link' };
+    }
+
+    const probed = await this.probeWellKnownPaths(pageUrl, options.deadline);
+    if (probed) {
+      return { ...probed, source: 'well-known' };
+    }
+
+    return null;
+  }
+
+  /**
+   * 从HTML的<link rel="alternate">中提取订阅源
+   */
+  discoverFromHTML(html, pageUrl) {
+    const $ = cheerio.load(html);
+    const feeds = [];
+    const seen = new Set();
+
+    $('link[rel~="alternate"][type][href]').each((index, element) => {
+      const $link = $(element);
+      const type = FEED_LINK_TYPES[($link.attr('type') || '').toLowerCase().trim()];
+      if (!type) return;
+
+      let feedUrl;
+      try {
+        feedUrl = new URL($link.attr('href'), pageUrl).toString();
+      } catch (error) {
+        return;
+      }
+
+      // 忽略评论订阅源
+      const title = ($link.attr('title') || '').trim();
+      if (/comments?/i.test(title) || /comments/i.test(feedUrl)) return;
+
+      if (!seen.has(feedUrl)) {
+        seen.add(feedUrl);
+        feeds.push({ url: feedUrl, type, title });
+      }
+    });
+
+    return feeds;
+  }
+
+  /**
+   * 并行探测常见订阅源路径，按路径顺序返回第一个有效结果
+   * 超过deadline（或Crawl-delay排队超过deadline）时跳过其余路径；没有找到订阅源且有路径被跳过时
+   * 抛出code为ERR_REQUEST_BUDGET的错误，表示结果不完整
+   */
+  async probeWellKnownPaths(pageUrl, deadline = Infinity) {
+    const origin = new URL(pageUrl).origin;
+    let skipped = false;
+
+    const results = await Promise.all(this.wellKnownPaths.map(async (path) => {
+      const feedUrl = `${origin}${path}`;
+      if (Date.now() >= deadline) {
+        skipped = true;
+        return null;
+      }
+      try {
+        const content = await this.fetchFeed(feedUrl, { deadline });
+        const type = this.detectFeedType(content);
+        return type ? { url: feedUrl, type, content } : null;
+      } catch (error) {
+        if (error.code === 'ERR_REQUEST_BUDGET') skipped = true;
+        return null;
+      }
+    }));
+
+    const found = results.find(result => result);
+    if (!found && skipped) {
+      const error = new Error(`Feed discovery for ${origin} exceeds the request time budget`);
+      error.code = 'ERR_REQUEST_BUDGET';
+      throw error;
+    }
+    return found || null;
+  }
+
+  /**
+   * 获取订阅源内容
+   * options.deadline: 时间戳，限制请求和Crawl-delay排队的总时间
+   */
+  async fetchFeed(feedUrl, options = {}) {
+    return await this.httpClient.fetchText(feedUrl, {
+      headers: {
+        'Accept': 'application/rss+xml, application/atom+xml, application/feed+json, application/xml;q=0.9, */*;q=0.8'
+      },
+      timeout: this.timeout,
+      deadline: options.deadline
+    });
+  }
+
+  /**
+   * 根据内容判断订阅源类型
+   */
+  detectFeedType(content) {
+    if (!content) return null;
+    const head = content.slice(0, 2048).trim();
+
+    if (head.startsWith('{')) {
+      return /"version"\s*:\s*"https?:\/\/jsonfeed\.org\/version\//.test(head) ? 'json' : null;
+    }
+
+    // 排除HTML页面
+    if (/<html[\s>]/i.test(head)) return null;
+    if (/<rss[\s>]/i.test(head)) return 'rss';
+    if (/<feed[\s>]/i.test(head) && head.includes('http://www.w3.org/2005/Atom')) return 'atom';
+    if (/<rdf:RDF[\s>]/i.test(head)) return 'rdf';
+
+    return null;
+  }
+
+  /**
+   * 解析订阅源并规范化为文章列表
+   */
+  parseFeed(content, feedUrl) {
+    const type = this.detectFeedType(content);
+
+    switch (type) {
+      case 'json':
+        return this.parseJSONFeed(content, feedUrl);
+      case 'atom':
+        return this.parseAtomFeed(content, feedUrl);
+      case 'rss':
+      case 'rdf':
+        return this.parseRSSFeed(content, feedUrl, type);
+      default:
+        throw new Error(`Unrecognized feed format at ${feedUrl}`);
+    }
+  }
+
+  /**
+   * 解析RSS 2.0 / RSS 1.0 (RDF)
+   */
+  parseRSSFeed(content, feedUrl, type = 'rss') {
+    const $ = cheerio.load(content, { xmlMode: true });
+    const channel = $('channel').first();
+    const siteLink = channel.children('link').first().text().trim() || feedUrl;
+    const articles = [];
+
+    $('item').slice(0, this.maxItems).each((index, element) => {
+      const $item = $(element);
+      const title = this.childText($item, 'title');
+      const link = this.resolveUrl(this.childText($item, 'link') || $item.attr('rdf:about'), siteLink);
+      const content = this.childText($item, 'content\\:encoded');
+      const description = this.childText($item, 'description');
+      const date = this.childText($item, 'pubDate') || this.childText($item, 'dc\\:date');
+      const guid = this.childText($item, 'guid');
+
+      const enclosure = $item.children('enclosure').first();
+      const thumbnail = $item.find('media\\:thumbnail, media\\:content[medium="image"]').first();
+      let image = null;
+      if (enclosure.length > 0 && (enclosure.attr('type') || '').startsWith('image/')) {
+        image = enclosure.attr('url');
+      } else if (thumbnail.length > 0) {
+        image = thumbnail.attr('url');
+      }
+
+      // 音视频附件：<enclosure>和Media RSS的<media:content>（可能在<media:group>中）
+      const duration = this.mediaExtractor.parseDuration(this.childText($item, 'itunes\\:duration'));
+      const media = $item.children('enclosure').map((i, el) => ({
+        url: $(el).attr('url'),
+        type: $(el).attr('type'),
+        length: $(el).attr('length')
+      })).get().concat($item.find('media\\:content').map((i, el) => ({
+        url: $(el).attr('url'),
+        type: $(el).attr('type'),
+        medium: $(el).attr('medium'),
+        length: $(el).attr('fileSize'),
+        duration: $(el).attr('duration')
+      })).get());
+
+      articles.push(this.normalizeArticle({
+        title,
+        link,
+        description,
+        content,
+        date,
+        guid,
+        author: this.childText($item, 'dc\\:creator') || this.childText($item, 'author') ||
+          this.childText($item, 'itunes\\:author'),
+        category: this.childText($item, 'category'),
+        image: image || $item.children('itunes\\:image').attr('href'),
+        media: this.normalizeMedia(media, link || feedUrl, duration)
+      }, feedUrl));
+    });
+
+    return {
+      type,
+      title: channel.children('title').first().text().trim(),
+      description: channel.children('description').first().text().trim(),
+      link: siteLink,
+      articles
+    };
+  }
+
+  /**
+   * 解析Atom 1.0
+   */
+  parseAtomFeed(content, feedUrl) {
+    const $ = cheerio.load(content, { xmlMode: true });
+    const feed = $('feed').first();
+    const siteLink = this.atomLink($, feed) || feedUrl;
+    const articles = [];
+
+    $('entry').slice(0, this.maxItems).each((index, element) => {
+      const $entry = $(element);
+      const link = this.resolveUrl(this.atomLink($, $entry), siteLink);
+      const enclosures = $entry.children('link[rel="enclosure"]');
+      const image = enclosures.filter((i, el) =>
+        ($(el).attr('type') || '').startsWith('image/')
+      ).first().attr('href');
+      const media = enclosures.map((i, el) => ({
+        url: $(el).attr('href'),
+        type: $(el).attr('type'),
+        length: $(el).attr('length')
+      })).get();
+
+      articles.push(this.normalizeArticle({
+        title: this.childText($entry, 'title'),
+        link,
+        description: this.childText($entry, 'summary'),
+        content: this.childText($entry, 'content'),
+        date: this.childText($entry, 'published') || this.childText($entry, 'updated'),
+        guid: this.childText($entry, 'id'),
+        author: $entry.children('author').first().children('name').first().text().trim(),
+        category: $entry.children('category').first().attr('term'),
+        image: image || null,
+        media: this.normalizeMedia(media, link || feedUrl)
+      }, feedUrl));
+    });
+
+    return {
+      type: 'atom',
+      title: feed.children('title').first().text().trim(),
+      description: feed.children('subtitle').first().text().trim(),
+      link: siteLink,
+      articles
+    };
+  }
+
+  /**
+   * 解析JSON Feed
+   */
+  parseJSONFeed(content, feedUrl) {
+    const feed = JSON.parse(content);
+    const siteLink = feed.home_page_url || feedUrl;
+    const items = Array.isArray(feed.items) ? feed.items.slice(0, this.maxItems) : [];
+
+    const articles = items.map(item => {
+      // authors应为对象数组，兼容单个对象和字符串的写法
+      const authors = [].concat(item.authors || item.author || []);
+      const author = authors.map(value => (typeof value === 'string' ? value : value?.name))
+        .find(name => typeof name === 'string' && name.trim());
+      return this.normalizeArticle({
+        title: item.title || '',
+        link: this.resolveUrl(item.url || item.external_url, siteLink),
+        description: item.summary || item.content_text || '',
+        content: item.content_html || '',
+        date: item.date_published || item.date_modified,
+        guid: item.id !== undefined ? String(item.id) : '',
+        author,
+        category: Array.isArray(item.tags) ? item.tags.find(tag => typeof tag === 'string' && tag.trim()) : undefined,
+        image: item.image || item.banner_image || null,
+        media: this.normalizeMedia((Array.isArray(item.attachments) ? item.attachments : []).map(attachment => ({
+          url: attachment.url,
+          type: attachment.mime_type,
+          length: attachment.size_in_bytes,
+          duration: attachment.duration_in_seconds
+        })), feedUrl)
+      }, feedUrl);
+    });
+
+    return {
+      type: 'json',
+      title: feed.title || '',
+      description: feed.description || '',
+      link: siteLink,
+      articles
+    };
+  }
+
+  /**
+   * 将订阅源条目规范化为RSSOS文章结构
+   */
+  normalizeArticle(entry, feedUrl) {
+    const plainDescription = this.stripHtml(entry.description || '');
+    const plainContent = this.stripHtml(entry.content || '');
+    const title = (entry.title ? this.stripHtml(entry.title) : '') ||
+      this.generateSummary(plainDescription || plainContent, 80) || 'Untitled';
+
+    const date = this.dateParser.parse(entry.date);
+    const pubDate = date ? date.toUTCString() : null;
+
+    const article = {
+      title,
+      link: entry.link || feedUrl,
+      description: this.generateSummary(plainDescription || plainContent, 300),
+      content: entry.content || entry.description || '',
+      pubDate,
+      guid: entry.guid || generateGuid(entry.link, title, feedUrl)
+    };
+
+    if (typeof entry.author === 'string' && entry.author.trim()) article.author = entry.author.trim();
+    if (typeof entry.category === 'string' && entry.category.trim()) article.category = entry.category.trim();
+    if (entry.image) article.image = this.resolveUrl(entry.image, feedUrl);
+    if (entry.media && entry.media.length > 0) article.media = entry.media;
+
+    return article;
+  }
+
+  /**
+   * 规范化订阅源中的音视频附件，忽略图片和无法识别的类型
+   * duration: 条目级别的时长（如itunes:duration），用于没有时长的第一个附件
+   */
+  normalizeMedia(attachments, baseUrl, duration = null) {
+    const media = [];
+
+    attachments.forEach(attachment => {
+      const entry = this.mediaExtractor.createEntry(attachment.url, baseUrl, {
+        type: attachment.type,
+        medium: attachment.medium,
+        duration: this.mediaExtractor.parseDuration(attachment.duration) || (media.length === 0 ? duration : null)
+      });
+      if (!entry || media.some(item => item.url === entry.url)) return;
+
+      const length = parseInt(attachment.length, 10);
+      entry.length = length > 0 ? length : null;
+      media.push(entry);
+    });
+
+    return media;
+  }
+
+  // 工具方法
+  childText($el, selector) {
+    return $el.children(selector).first().text().trim();
+  }
+
+  atomLink($, $el) {
+    const links = $el.children('link');
+    const alternate = links.filter((index, element) => {
+      const rel = $(element).attr('rel');
+      return !rel || rel === 'alternate';
+    }).first();
+    return (alternate.length > 0 ? alternate : links.first()).attr('href') || '';
+  }
+
+  resolveUrl(url, base) {
+    if (!url) return '';
+    try {
+      return new URL(url.trim(), base).toString();
+    } catch (error) {
+      return url.trim();
+    }
+  }
+
+  stripHtml(html) {
+    if (!html) return '';
+    return this.sanitizer.extractText(html).replace(/\s+/g, ' ').trim();
+  }
+
+  generateSummary(text, maxLength = 200) {
+    if (!text) return '';
+    return text.length > maxLength ? text.substring(0, maxLength) + '...' : text;
+  }
+}
+
+module.exports = FeedDiscovery;
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// 列表文件默认目录
+const DEFAULT_LISTS_DIR = path.join(__dirname, '../../lists');
+
+/**
+ * 订阅列表管理器
+ * 从列表目录加载JSON/YAML格式的网站列表，供合并订阅源按名称引用
+ */
+class FeedLists {
+  constructor(listsDir = process.env.RSSOS_LISTS_DIR || DEFAULT_LISTS_DIR) {
+    this.listsDir = listsDir;
+    this.lists = new Map();
+  }
+
+  /**
+   * 加载列表目录中的所有列表文件
+   */
+  load() {
+    this.lists = new Map();
+
+    if (!fs.existsSync(this.listsDir)) {
+      return this.lists;
+    }
+
+    const files = fs.readdirSync(this.listsDir)
+      .filter(file => /\.(json|ya?ml)$/i.test(file))
+      .sort();
+
+    for (const file of files) {
+      const filePath = path.join(this.listsDir, file);
+      try {
+        const raw = fs.readFileSync(filePath, 'utf-8');
+        const data = /\.json$/i.test(file) ? JSON.parse(raw) : yaml.load(raw);
+
+        // 一个文件可以包含单个列表或列表数组，单个列表默认以文件名命名
+        const lists = Array.isArray(data) ? data : [{ name: path.parse(file).name, ...data }];
+        lists.forEach((list, index) => {
+          const compiled = this.compileList(list, `${file}#${index}`);
+          this.lists.set(compiled.name, compiled);
+        });
+      } catch (error) {
+        console.error(`Failed to load feed list ${file}:`, error.message);
+      }
+    }
+
+    console.log(`Loaded ${this.lists.size} feed lists from ${this.listsDir}`);
+    return this.lists;
+  }
+
+  /**
+   * 校验列表
+   */
+  compileList(list, source) {
+    if (!list || typeof list !== 'object' || !list.name) {
+      throw new Error(`List ${source} must be an object with a name`);
+    }
+
+    const urls = [].concat(list.urls || []).map(url => String(url).trim()).filter(Boolean);
+    if (urls.length === 0) {
+      throw new Error(`List ${source} must declare at least one URL`);
+    }
+
+    return {
+      name: String(list.name),
+      title: list.title || null,
+      description: list.description || null,
+      urls: urls
+    };
+  }
+
+  /**
+   * 按名称查找列表
+   */
+  get(name) {
+    return this.lists.get(name) || null;
+  }
+}
+
+module.exports = FeedLists;
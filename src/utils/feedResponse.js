@@ -0,0 +1,79 @@
+/**
+ * 订阅源HTTP响应工具
+ * 格式协商和条件请求处理，供各API端点共用
+ */
+
+// Accept头中的媒体类型与订阅源格式的对应关系
+const ACCEPT_FORMATS = {
+  'application/rss+xml': 'rss',
+  'application/atom+xml': 'atom',
+  'application/feed+json': 'json',
+  'application/json': 'json'
+};
+
+/**
+ * 根据format参数或Accept头确定输出格式
+ */
+function resolveFeedFormat(req) {
+  const { format } = req.query;
+  if (format) {
+    return String(format).toLowerCase();
+  }
+
+  const accept = req.headers?.accept;
+  if (!accept) return 'rss';
+
+  // 按q值从高到低选择第一个支持的格式
+  const candidates = accept.split(',')
+    .map((part, index) => {
+      const [type, ...params] = part.trim().split(';');
+      const qParam = params.find(param => param.trim().startsWith('q='));
+      const q = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+      return { type: type.trim().toLowerCase(), q: isNaN(q) ? 0 : q, index };
+    })
+    .filter(candidate => candidate.q > 0 && ACCEPT_FORMATS[candidate.type])
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+
+  return candidates.length > 0 ? ACCEPT_FORMATS[candidates[0].type] : 'rss';
+}
+
+/**
+ * 设置订阅源的验证器响应头
+ * 内容哈希不包含生成时间，字节可能不同，因此使用弱ETag
+ */
+function setValidatorHeaders(res, hash, lastModified) {
+  if (hash) {
+    res.setHeader('ETag', `W/"${hash}"`);
+  }
+  if (lastModified) {
+    res.setHeader('Last-Modified', new Date(lastModified).toUTCString());
+  }
+}
+
+/**
+ * 判断条件请求是否可以返回304
+ * If-None-Match优先，存在时忽略If-Modified-Since
+ */
+function isNotModified(req, hash, lastModified) {
+  const ifNoneMatch = req.headers?.['if-none-match'];
+  if (ifNoneMatch) {
+    if (!hash) return false;
+    if (ifNoneMatch.trim() === '*') return true;
+
+    // 弱比较：忽略W/前缀
+    return ifNoneMatch.split(',')
+      .map(tag => tag.trim().replace(/^W\//, ''))
+      .includes(`"${hash}"`);
+  }
+
+  const ifModifiedSince = req.headers?.['if-modified-since'];
+  if (ifModifiedSince && lastModified) {
+    const since = Date.parse(ifModifiedSince);
+    // HTTP日期精确到秒
+    return !isNaN(since) && Math.floor(lastModified / 1000) <= Math.floor(since / 1000);
+  }
+
+  return false;
+}
+
+module.exports = { resolveFeedFormat, setValidatorHeaders, isNotModified };
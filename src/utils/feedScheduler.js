@@ -0,0 +1,132 @@
+const cron = require('node-cron');
+const { mapWithConcurrency } = require('./concurrency');
+
+// 连续失败后的最长等待时间
+// 与订阅间隔的上限（25分钟）无关，长时间失败的订阅逐渐降低到几小时请求一次源站
+const MAX_BACKOFF = 6 * 60 * 60 * 1000;
+
+/**
+ * 订阅源定时刷新
+ * 每次触发时刷新到期的订阅：成功后按订阅的间隔安排下一次刷新，
+ * 失败后按间隔的2^失败次数退避（最长6小时）
+ */
+class FeedScheduler {
+  /**
+   * options.store: SubscriptionStore
+   * options.refresh(subscription): 生成并缓存订阅源，失败时抛出错误
+   * options.concurrency: 同时刷新的订阅数
+   */
+  constructor(options = {}) {
+    this.store = options.store;
+    this.refresh = options.refresh;
+    this.concurrency = options.concurrency || 2;
+    this.maxBackoff = options.maxBackoff || MAX_BACKOFF;
+    this.task = null;
+    this.running = false;
+  }
+
+  /**
+   * 按cron表达式定时触发（默认每分钟检查一次）
+   */
+  start(expression = '* * * * *') {
+    if (this.task) return;
+
+    this.task = cron.schedule(expression, () => {
+      this.tick().catch(error => console.error('Scheduled refresh failed:', error.message));
+    });
+    console.log(`Feed scheduler started (${expression})`);
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  /**
+   * 刷新所有到期的订阅
+   * 上一次触发还未完成时跳过，返回 { refreshed, failed } 或null
+   */
+  async tick(now = Date.now()) {
+    return this.refreshAll(subscription => this.isDue(subscription, now));
+  }
+
+  /**
+   * 启动时刷新：除到期的订阅外，也刷新缓存中没有内容的订阅（如内存缓存在重启后为空）
+   * 结果与定时刷新一样记录到store，之后的触发按nextRefreshAt继续，不会立即重复获取
+   * isCached(subscription): 返回订阅源是否已有有效的缓存
+   */
+  async warmup(isCached, now = Date.now()) {
+    return this.refreshAll(async subscription => this.isDue(subscription, now) || !(await isCached(subscription)));
+  }
+
+  isDue(subscription, now) {
+    return !subscription.nextRefreshAt || Date.parse(subscription.nextRefreshAt) <= now;
+  }
+
+  /**
+   * 刷新select(subscription)为真的订阅，上一次刷新还未完成时跳过
+   */
+  async refreshAll(select) {
+    if (this.running) return null;
+    this.running = true;
+
+    try {
+      const due = [];
+      for (const subscription of this.store.list()) {
+        if (await select(subscription)) due.push(subscription);
+      }
+      const result = { refreshed: 0, failed: 0 };
+
+      await mapWithConcurrency(due, this.concurrency, async (subscription) => {
+        if (await this.refreshSubscription(subscription)) {
+          result.refreshed++;
+        } else {
+          result.failed++;
+        }
+      });
+
+      if (due.length > 0) {
+        console.log(`Scheduled refresh: ${result.refreshed} refreshed, ${result.failed} failed`);
+      }
+      return result;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * 刷新单个订阅并记录结果，返回是否成功
+   */
+  async refreshSubscription(subscription) {
+    const startedAt = Date.now();
+    const interval = subscription.interval * 60 * 1000;
+
+    try {
+      await this.refresh(subscription);
+      this.store.update(subscription.id, {
+        lastRefreshAt: new Date(startedAt).toISOString(),
+        lastSuccessAt: new Date().toISOString(),
+        lastError: null,
+        failures: 0,
+        nextRefreshAt: new Date(startedAt + interval).toISOString()
+      });
+      return true;
+    } catch (error) {
+      const failures = (subscription.failures || 0) + 1;
+      const backoff = Math.min(interval * Math.pow(2, failures), this.maxBackoff);
+      console.error(`Scheduled refresh failed for ${subscription.url} (${failures} in a row):`, error.message);
+
+      this.store.update(subscription.id, {
+        lastRefreshAt: new Date(startedAt).toISOString(),
+        lastError: error.message,
+        failures,
+        nextRefreshAt: new Date(startedAt + backoff).toISOString()
+      });
+      return false;
+    }
+  }
+}
+
+module.exports = FeedScheduler;
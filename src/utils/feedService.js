@@ -0,0 +1,363 @@
+const cheerio = require('cheerio');
+const crypto = require('crypto');
+const RSSGenerator = require('./rssGenerator');
+const CacheManager = require('./cacheManager');
+const SiteRules = require('./siteRules');
+const FeedBuilder = require('./feedBuilder');
+const ItemFilter = require('./itemFilter');
+const { resolveFeedFormat } = require('./feedResponse');
+const { assertSafeUrl, UnsafeUrlError } = require('./safeFetch');
+
+// 单次请求的处理时间预算（Vercel函数最长运行30秒）
+const REQUEST_BUDGET_MS = 25000;
+
+// 用户可指定的选择器参数及其在siteInfo.selectors中的名称
+const SELECTOR_PARAMS = {
+  item: 'articles',
+  title: 'title',
+  link: 'link',
+  date: 'date',
+  content: 'content',
+  image: 'image',
+  next: 'next'
+};
+
+// 内容获取模式：discover仅使用原生订阅源，scrape仅抓取HTML，auto优先原生订阅源，
+// diff监控页面内容的变化
+const GENERATION_MODES = ['auto', 'discover', 'scrape', 'diff'];
+
+let defaultService = null;
+
+/**
+ * 单站点订阅源服务
+ * 校验生成参数、生成订阅源并写入RSS缓存，
+ * 供/api/generate和server.js的定时刷新、缓存预热共用
+ */
+class FeedService {
+  constructor(options = {}) {
+    this.siteRules = options.siteRules;
+    if (!this.siteRules) {
+      // 启动时加载站点规则
+      this.siteRules = new SiteRules();
+      this.siteRules.load();
+    }
+    this.cacheManager = options.cacheManager || new CacheManager();
+    this.rssGenerator = options.rssGenerator || new RSSGenerator();
+    this.feedBuilder = options.feedBuilder || new FeedBuilder({
+      siteRules: this.siteRules,
+      cacheManager: this.cacheManager
+    });
+    this.requestBudget = options.requestBudget || REQUEST_BUDGET_MS;
+  }
+
+  /**
+   * 进程内共享的实例，API和定时任务使用同一缓存
+   */
+  static getDefault() {
+    if (!defaultService) {
+      defaultService = new FeedService();
+    }
+    return defaultService;
+  }
+
+  /**
+   * 读取并校验查询参数中的选择器
+   * 返回 { selectors, invalid }，selectors使用siteInfo.selectors的字段名
+   */
+  getSelectorOverrides(query) {
+    const selectors = {};
+    const invalid = [];
+    const $ = cheerio.load('');
+
+    Object.entries(SELECTOR_PARAMS).forEach(([param, field]) => {
+      const value = typeof query[param] === 'string' ? query[param].trim() : '';
+      if (!value) return;
+
+      try {
+        $(value);
+        selectors[field] = value;
+      } catch (error) {
+        invalid.push(param);
+      }
+    });
+
+    return { selectors, invalid };
+  }
+
+  /**
+   * 将选择器编码为响应头（非ASCII字符使用\u转义）
+   */
+  formatSelectorsHeader(selectors) {
+    const echoed = {};
+    Object.entries(SELECTOR_PARAMS).forEach(([param, field]) => {
+      if (selectors[field]) echoed[param] = selectors[field];
+    });
+    return JSON.stringify(echoed).replace(/[\u007f-\uffff]/g, char =>
+      `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`
+    );
+  }
+
+  /**
+   * 读取并校验生成参数
+   * format: 已确定的输出格式（format参数或Accept头）
+   * 返回 { request } 或 { error: { status, body } }
+   */
+  async parseRequest(query, format) {
+    const { url } = query;
+    const fulltext = ['1', 'true'].includes(String(query.fulltext || '').toLowerCase());
+    const mode = String(query.mode || 'auto').toLowerCase();
+    const pages = query.pages === undefined ? 1 : Number(query.pages);
+    const render = ['1', 'true'].includes(String(query.render || '').toLowerCase());
+    const waitFor = typeof query.wait === 'string' ? query.wait.trim() : '';
+    const ignore = typeof query.ignore === 'string' ? query.ignore.trim() : '';
+    const threshold = query.threshold === undefined ? 1 : Number(query.threshold);
+    const fail = (status, body) => ({ error: { status, body } });
+
+    if (!url) {
+      return fail(400, {
+        error: 'Missing URL parameter',
+        usage: 'GET /api/generate?url=https://example.com'
+      });
+    }
+
+    if (!this.rssGenerator.isSupportedFormat(format)) {
+      return fail(400, {
+        error: 'Unsupported feed format',
+        provided: format,
+        supported: ['rss', 'atom', 'json']
+      });
+    }
+
+    if (!GENERATION_MODES.includes(mode)) {
+      return fail(400, {
+        error: 'Unsupported mode',
+        provided: mode,
+        supported: GENERATION_MODES
+      });
+    }
+
+    if (!Number.isInteger(pages) || pages < 1 || pages > this.feedBuilder.paginator.maxPages) {
+      return fail(400, {
+        error: 'Invalid pages parameter',
+        provided: query.pages,
+        supported: `1-${this.feedBuilder.paginator.maxPages}`
+      });
+    }
+
+    // 用户指定的选择器
+    const selectorOverrides = this.getSelectorOverrides(query);
+    if (selectorOverrides.invalid.length > 0) {
+      return fail(400, {
+        error: 'Invalid CSS selector',
+        parameters: selectorOverrides.invalid
+      });
+    }
+    const customSelectors = selectorOverrides.selectors;
+    const hasCustomSelectors = Object.keys(customSelectors).length > 0;
+
+    // 变化检测参数
+    if (ignore) {
+      try {
+        cheerio.load('')(ignore);
+      } catch (error) {
+        return fail(400, {
+          error: 'Invalid CSS selector',
+          parameters: ['ignore']
+        });
+      }
+    }
+    if (!Number.isInteger(threshold) || threshold < 1) {
+      return fail(400, {
+        error: 'Invalid threshold parameter',
+        provided: query.threshold,
+        supported: 'A positive integer (changed words)'
+      });
+    }
+    const diff = mode === 'diff' ? { ignore, threshold } : undefined;
+
+    // 无头浏览器渲染
+    if (waitFor) {
+      try {
+        cheerio.load('')(waitFor);
+      } catch (error) {
+        return fail(400, {
+          error: 'Invalid CSS selector',
+          parameters: ['wait']
+        });
+      }
+    }
+    if (render && !this.feedBuilder.pageRenderer.isAvailable()) {
+      return fail(501, {
+        error: 'Headless rendering is not available',
+        message: 'Install the optional "playwright" package and Chromium to enable render=1'
+      });
+    }
+
+    // 条目过滤条件
+    let itemFilter;
+    try {
+      itemFilter = new ItemFilter({
+        include: query.include,
+        exclude: query.exclude,
+        limit: query.limit,
+        since: query.since
+      });
+    } catch (error) {
+      return fail(400, {
+        error: 'Invalid filter',
+        message: error.message
+      });
+    }
+
+    // 影响解析结果的参数
+    const parseVariant = [
+      mode !== 'auto' ? `mode=${mode}` : '',
+      fulltext ? 'fulltext=1' : '',
+      pages > 1 ? `pages=${pages}` : '',
+      render ? 'render=1' : '',
+      render && waitFor ? `wait=${crypto.createHash('md5').update(waitFor).digest('hex').substring(0, 12)}` : '',
+      hasCustomSelectors
+        ? `selectors=${crypto.createHash('md5').update(JSON.stringify(customSelectors)).digest('hex').substring(0, 12)}`
+        : '',
+      diff && ignore ? `ignore=${crypto.createHash('md5').update(ignore).digest('hex').substring(0, 12)}` : '',
+      diff && threshold > 1 ? `threshold=${threshold}` : ''
+    ].filter(Boolean).join('&');
+
+    // 默认参数沿用原有缓存键
+    const cacheVariant = [
+      format !== 'rss' ? `format=${format}` : '',
+      parseVariant,
+      itemFilter.isActive()
+        ? `filter=${crypto.createHash('md5').update(itemFilter.describe()).digest('hex').substring(0, 12)}`
+        : ''
+    ].filter(Boolean).join('&');
+
+    // 验证URL格式
+    try {
+      new URL(url);
+    } catch (error) {
+      return fail(400, {
+        error: 'Invalid URL format',
+        provided: url
+      });
+    }
+
+    // 拒绝内网地址、非HTTP协议和非常用端口（DNS解析失败留给后续抓取报告）
+    try {
+      await assertSafeUrl(url);
+    } catch (error) {
+      if (error instanceof UnsafeUrlError) {
+        return fail(400, {
+          error: 'URL not allowed',
+          provided: url,
+          message: error.message
+        });
+      }
+    }
+
+    return {
+      request: {
+        url, format, mode, fulltext, pages, render, waitFor,
+        customSelectors, diff, itemFilter, parseVariant, cacheVariant
+      }
+    };
+  }
+
+  /**
+   * 生成订阅源并写入RSS缓存
+   * options.cachedRSS: 之前的缓存，条目未变化时沿用其最后修改时间
+   * 返回 { feed, feedHash, lastModified, siteInfo, articles, upstreamStatus, nativeFeed }
+   */
+  async generate(request, options = {}) {
+    const { url, format, itemFilter } = request;
+    const { cachedRSS = null } = options;
+
+    const { siteInfo, articles: builtArticles, upstreamStatus, nativeFeed } = await this.feedBuilder.build(url, {
+      mode: request.mode,
+      refresh: Boolean(options.refresh),
+      fulltext: request.fulltext,
+      pages: request.pages,
+      render: request.render ? { waitFor: request.waitFor } : false,
+      customSelectors: request.customSelectors,
+      diff: request.diff,
+      parseVariant: request.parseVariant,
+      deadline: options.deadline
+    });
+    let articles = builtArticles;
+
+    // 按include/exclude/since/limit过滤条目
+    if (itemFilter.isActive()) {
+      const total = articles.length;
+      articles = itemFilter.apply(articles);
+      console.log(`Filtered articles for ${url}: ${articles.length} of ${total} kept`);
+    }
+
+    // 生成RSS XML
+    let feed;
+    
+    if (articles.length > 0) {
+      feed = this.rssGenerator.generateFeed(articles, siteInfo, format);
+    } else {
+      console.log(`No articles found for ${url}, generating empty RSS`);
+      feed = this.rssGenerator.generateEmptyFeed(url, siteInfo, format);
+    }
+
+    // 验证RSS格式
+    if (format === 'rss') {
+      const errors = this.rssGenerator.getRSSErrors(feed);
+      if (errors.length > 0) {
+        throw new Error(`Generated RSS XML is invalid: ${errors.join('; ')}`);
+      }
+    }
+
+    // 条目未变化时沿用之前的最后修改时间
+    const feedHash = this.rssGenerator.getFeedHash(articles, format);
+    const lastModified = cachedRSS && cachedRSS.hash === feedHash ? cachedRSS.lastModified : Date.now();
+
+    // 缓存生成的RSS
+    await this.cacheManager.cacheRSS(url, feed, request.cacheVariant, { hash: feedHash, lastModified });
+
+    return { feed, feedHash, lastModified, siteInfo, articles, upstreamStatus, nativeFeed };
+  }
+
+  /**
+   * 刷新订阅源（供server.js的定时任务使用）
+   * query: 与API相同的查询参数；不经过限流和错误缓存检查，结果写入请求使用的同一RSS缓存
+   * 参数无效或生成失败时抛出错误；返回 { url, articles, changed }
+   */
+  async refresh(query) {
+    const parsed = await this.parseRequest(query, resolveFeedFormat({ query }));
+    if (parsed.error) {
+      throw new Error(`${parsed.error.body.error}${parsed.error.body.message ? `: ${parsed.error.body.message}` : ''}`);
+    }
+
+    const { request } = parsed;
+    const cachedRSS = await this.cacheManager.getCachedRSS(request.url, request.cacheVariant);
+    const generated = await this.generate(request, {
+      refresh: true,
+      deadline: Date.now() + this.requestBudget,
+      cachedRSS
+    });
+
+    // 刷新成功后不再返回之前的错误订阅源
+    await this.cacheManager.removeFromErrorCache(request.url);
+
+    return {
+      url: request.url,
+      articles: generated.articles.length,
+      changed: !cachedRSS || cachedRSS.hash !== generated.feedHash
+    };
+  }
+
+  /**
+   * 订阅源是否已有未过期的缓存（供启动时的预热判断）
+   * query: 与API相同的查询参数；参数无效时返回true，由定时刷新记录错误
+   */
+  async isCached(query, maxAge = 30 * 60 * 1000) {
+    const parsed = await this.parseRequest(query, resolveFeedFormat({ query }));
+    if (parsed.error) return true;
+    return !(await this.cacheManager.shouldRefreshCache(parsed.request.url, maxAge, parsed.request.cacheVariant));
+  }
+}
+
+module.exports = FeedService;
@@ -0,0 +1,113 @@
+const FullTextExtractor = require('../parsers/fullTextExtractor');
+const MediaExtractor = require('../parsers/mediaExtractor');
+const HtmlSanitizer = require('./htmlSanitizer');
+const { mapWithConcurrency } = require('./concurrency');
+const HttpClient = require('./httpClient');
+
+/**
+ * 全文抓取服务
+ * 以有限并发访问每篇文章的链接，提取并清理正文，结果按文章缓存
+ */
+class FullTextService {
+  constructor(options = {}) {
+    this.cacheManager = options.cacheManager || null;
+    this.httpClient = options.httpClient || new HttpClient();
+    this.concurrency = options.concurrency || 3;
+    this.timeout = options.timeout || 10000;
+    this.extractor = new FullTextExtractor();
+    this.mediaExtractor = new MediaExtractor();
+    this.sanitizer = new HtmlSanitizer();
+  }
+
+  /**
+   * 为文章列表补充全文
+   * options.selector / options.remove: 站点规则指定的正文选择器和需移除的元素
+   * options.limit: 最多抓取的文章数
+   * options.deadline: 时间戳，超过后不再发起新的请求
+   */
+  async enrich(articles, siteUrl, options = {}) {
+    const seen = new Set();
+    const targets = articles.filter(article => {
+      if (!article.link || article.link === siteUrl || seen.has(article.link)) return false;
+      seen.add(article.link);
+      return true;
+    }).slice(0, options.limit || articles.length);
+
+    let fetched = 0;
+    let cached = 0;
+
+    await mapWithConcurrency(targets, this.concurrency, async (article) => {
+      const cachedArticle = this.cacheManager ? await this.cacheManager.getCachedArticle(article.link) : null;
+      let result = cachedArticle ? cachedArticle.article : null;
+
+      if (result) {
+        cached++;
+      } else {
+        if (options.deadline && Date.now() >= options.deadline) return;
+
+        try {
+          result = await this.fetchArticle(article.link, options);
+          fetched++;
+        } catch (error) {
+          console.error(`Failed to fetch full text for ${article.link}:`, error.message);
+          return;
+        }
+
+        if (result && this.cacheManager) {
+          await this.cacheManager.cacheArticle(article.link, result);
+        }
+      }
+
+      // 文章页面声明的音视频（og:video / og:audio）
+      if (result && result.media && result.media.length > 0 && !(article.media && article.media.length > 0)) {
+        article.media = result.media;
+      }
+
+      if (result && result.content) {
+        article.content = result.content;
+        if (!article.description || article.description.length < 50 || article.description === article.title) {
+          article.description = this.summarize(result.text, 300);
+        }
+      }
+    });
+
+    console.log(`Full text: ${fetched} fetched, ${cached} from cache, ${targets.length} candidates`);
+    return articles;
+  }
+
+  /**
+   * 获取并提取单篇文章的正文
+   */
+  async fetchArticle(articleUrl, options = {}) {
+    const html = await this.httpClient.fetchText(articleUrl, {
+      headers: {
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+      },
+      timeout: this.timeout,
+      deadline: options.deadline
+    });
+    const extracted = this.extractor.extract(html, {
+      selector: options.selector,
+      remove: options.remove
+    });
+
+    const media = this.mediaExtractor.extractFromPage(html, articleUrl);
+    if (!extracted) {
+      return media.length > 0 ? { media } : null;
+    }
+
+    return {
+      content: this.sanitizer.sanitize(extracted.content, articleUrl),
+      text: extracted.text,
+      title: extracted.title,
+      media
+    };
+  }
+
+  summarize(text, maxLength) {
+    if (!text) return '';
+    return text.length > maxLength ? text.substring(0, maxLength) + '...' : text;
+  }
+}
+
+module.exports = FullTextService;
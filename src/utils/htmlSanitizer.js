@@ -0,0 +1,249 @@
+const cheerio = require('cheerio');
+const { URL } = require('url');
+const { stripTrackingParams } = require('./itemIdentity');
+
+// 允许保留的标签
+const ALLOWED_TAGS = new Set([
+  'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'cite', 'code', 'dd', 'del', 'details',
+  'div', 'dl', 'dt', 'em', 'figcaption', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr',
+  'i', 'img', 'ins', 'kbd', 'li', 'mark', 'ol', 'p', 'picture', 'pre', 'q', 's', 'section',
+  'small', 'source', 'span', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td',
+  'tfoot', 'th', 'thead', 'time', 'tr', 'u', 'ul', 'audio', 'video'
+]);
+
+// 连同内容一起删除的标签
+const DROPPED_TAGS = 'script, style, noscript, template, iframe, frame, frameset, object, embed, applet, form, input, button, select, textarea, link, meta, base, svg, math';
+
+// 各标签允许的属性
+const ALLOWED_ATTRIBUTES = {
+  '*': ['title', 'lang', 'dir'],
+  a: ['href', 'name'],
+  img: ['src', 'srcset', 'sizes', 'alt', 'width', 'height'],
+  source: ['src', 'srcset', 'sizes', 'type', 'media'],
+  audio: ['src', 'controls'],
+  video: ['src', 'controls', 'poster', 'width', 'height'],
+  td: ['colspan', 'rowspan'],
+  th: ['colspan', 'rowspan', 'scope'],
+  time: ['datetime'],
+  ol: ['start', 'type'],
+  blockquote: ['cite'],
+  q: ['cite']
+};
+
+// 包含URL的属性
+const URL_ATTRIBUTES = ['href', 'src', 'poster', 'cite'];
+
+// 延迟加载图片保存真实地址的属性，按优先级排列
+const LAZY_SRC_ATTRIBUTES = ['data-src', 'data-original', 'data-lazy-src', 'data-actualsrc', 'data-url'];
+const LAZY_SRCSET_ATTRIBUTES = ['data-srcset', 'data-lazy-srcset', 'data-original-set'];
+
+// 延迟加载使用的占位图
+const PLACEHOLDER_PATTERN = /^data:|(?:^|\/)(?:placeholder|blank|spacer|transparent|lazy|lazyload|loading|grey|gray|pixel)(?:[-_][\w-]*)?\.(?:gif|png|svg)(?:$|\?)/i;
+
+// 跟踪像素所在的域名
+const TRACKING_PIXEL_HOSTS = /(?:^|\.)(?:doubleclick\.net|google-analytics\.com|googletagmanager\.com|pixel\.wp\.com|stats\.wp\.com|pixel\.quantserve\.com|scorecardresearch\.com|bat\.bing\.com|ct\.pinterest\.com|feedsportal\.com)$/i;
+
+/**
+ * HTML清理器
+ * 按白名单过滤标签和属性，将相对链接（包括srcset）转换为绝对链接，
+ * 还原延迟加载的图片，并移除跟踪像素和链接中的跟踪参数
+ */
+class HtmlSanitizer {
+  /**
+   * 清理HTML
+   * baseUrl: 用于解析相对链接的地址
+   */
+  sanitize(html, baseUrl) {
+    if (!html) return '';
+
+    const $ = cheerio.load(`<div id="rssos-root">${html}</div>`);
+    const $root = $('#rssos-root');
+
+    $root.find(DROPPED_TAGS).remove();
+
+    // 移除注释
+    $root.find('*').addBack().contents().filter((index, node) => node.type === 'comment').remove();
+
+    // 从内到外处理，避免替换父元素后遗漏子元素
+    $root.find('*').get().reverse().forEach(element => {
+      const $el = $(element);
+      const tag = element.tagName.toLowerCase();
+
+      if (!ALLOWED_TAGS.has(tag)) {
+        $el.replaceWith($el.contents());
+        return;
+      }
+
+      if (tag === 'img' || tag === 'source') {
+        this.resolveLazyImage($el);
+      }
+
+      this.filterAttributes($, $el, tag, baseUrl);
+
+      // 跟踪像素和没有地址的图片没有可显示的内容
+      if (tag === 'img' && (!$el.attr('src') || this.isTrackingPixel($el))) {
+        $el.remove();
+      }
+    });
+
+    return $root.html().trim();
+  }
+
+  /**
+   * 提取纯文本，先删除script、style等标签，摘要和过滤条件中不会出现脚本和样式代码
+   * source: HTML字符串或cheerio元素（不修改传入的元素）
+   */
+  extractText(source) {
+    if (!source) return '';
+
+    const $el = typeof source === 'string'
+      ? cheerio.load(`<div id="rssos-root">${source}</div>`)('#rssos-root')
+      : source.clone();
+    $el.find(DROPPED_TAGS).remove();
+    return $el.text();
+  }
+
+  /**
+   * 过滤属性并处理URL
+   */
+  filterAttributes($, $el, tag, baseUrl) {
+    const allowed = [...ALLOWED_ATTRIBUTES['*'], ...(ALLOWED_ATTRIBUTES[tag] || [])];
+
+    Object.keys($el.attr() || {}).forEach(name => {
+      if (!allowed.includes(name.toLowerCase())) {
+        $el.removeAttr(name);
+      }
+    });
+
+    URL_ATTRIBUTES.forEach(name => {
+      const value = $el.attr(name);
+      if (value === undefined) return;
+
+      const safeUrl = this.resolveSafeUrl(value, baseUrl);
+      if (safeUrl) {
+        $el.attr(name, stripTrackingParams(safeUrl));
+      } else {
+        $el.removeAttr(name);
+      }
+    });
+
+    const srcset = $el.attr('srcset');
+    if (srcset !== undefined) {
+      const resolved = this.resolveSrcset(srcset, baseUrl);
+      if (resolved) {
+        $el.attr('srcset', resolved);
+      } else {
+        $el.removeAttr('srcset');
+      }
+    }
+
+    // 外部链接在新窗口打开时不泄露来源
+    if (tag === 'a' && $el.attr('href')) {
+      $el.attr('rel', 'noopener noreferrer');
+    }
+  }
+
+  /**
+   * 用data-src等属性中的真实地址替换延迟加载的占位图
+   */
+  resolveLazyImage($el) {
+    const src = ($el.attr('src') || '').trim();
+    const lazySrc = LAZY_SRC_ATTRIBUTES.map(name => $el.attr(name)).find(value => value && value.trim());
+    const lazySrcset = LAZY_SRCSET_ATTRIBUTES.map(name => $el.attr(name)).find(value => value && value.trim());
+
+    if (lazySrc) {
+      $el.attr('src', lazySrc.trim());
+    } else if (src && PLACEHOLDER_PATTERN.test(src)) {
+      $el.removeAttr('src');
+    }
+
+    if (lazySrcset) {
+      $el.attr('srcset', lazySrcset.trim());
+    }
+
+    // 只有srcset的图片使用其中的第一个地址作为src
+    if (!$el.attr('src') && $el.attr('srcset') && $el.is('img')) {
+      const first = this.parseSrcset($el.attr('srcset'))[0];
+      if (first) $el.attr('src', first.url);
+    }
+  }
+
+  /**
+   * 是否为跟踪像素：尺寸不超过1像素或来自统计服务的图片
+   */
+  isTrackingPixel($el) {
+    const width = parseInt($el.attr('width'), 10);
+    const height = parseInt($el.attr('height'), 10);
+    if (width <= 1 && height <= 1) return true;
+
+    try {
+      const url = new URL($el.attr('src'));
+      return TRACKING_PIXEL_HOSTS.test(url.hostname) ||
+        (/(?:^|\.)feedburner\.com$/i.test(url.hostname) && url.pathname.startsWith('/~r/'));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 解析srcset，返回 [{ url, descriptor }]
+   * 地址中可能包含逗号（如图片服务的裁剪参数），只有后面跟着空白或位于末尾的逗号才是分隔符
+   */
+  parseSrcset(value) {
+    const candidates = [];
+    let rest = String(value || '').replace(/^[\s,]+/, '');
+
+    while (rest) {
+      let url = rest.match(/^\S+/)[0];
+      rest = rest.slice(url.length);
+      let descriptor = '';
+
+      if (/,$/.test(url)) {
+        url = url.replace(/,+$/, '');
+      } else {
+        descriptor = rest.match(/^[^,]*/)[0];
+        rest = rest.slice(descriptor.length);
+      }
+
+      if (url) candidates.push({ url, descriptor: descriptor.trim() });
+      rest = rest.replace(/^[\s,]+/, '');
+    }
+
+    return candidates;
+  }
+
+  /**
+   * 将srcset中的地址转换为绝对地址，丢弃不安全的地址
+   */
+  resolveSrcset(value, baseUrl) {
+    return this.parseSrcset(value)
+      .map(candidate => {
+        const safeUrl = this.resolveSafeUrl(candidate.url, baseUrl);
+        if (!safeUrl || safeUrl.startsWith('#') || safeUrl.startsWith('mailto:')) return null;
+        return [stripTrackingParams(safeUrl), candidate.descriptor].filter(Boolean).join(' ');
+      })
+      .filter(Boolean)
+      .join(', ');
+  }
+
+  /**
+   * 解析URL并拒绝危险协议
+   */
+  resolveSafeUrl(value, baseUrl) {
+    const trimmed = value.trim();
+    if (!trimmed) return null;
+    if (trimmed.startsWith('#')) return trimmed;
+
+    try {
+      const url = baseUrl ? new URL(trimmed, baseUrl) : new URL(trimmed);
+      if (!['http:', 'https:', 'mailto:'].includes(url.protocol)) {
+        return null;
+      }
+      return url.toString();
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = HtmlSanitizer;
@@ -0,0 +1,230 @@
+const { safeFetch } = require('./safeFetch');
+
+// 默认用户代理，可通过RSSOS_USER_AGENT修改
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (compatible; RSSOS/1.0; +https://rssos.com/bot)';
+
+// 默认的响应大小上限（5MB），可通过RSSOS_MAX_BODY_SIZE修改
+const DEFAULT_MAX_BODY_SIZE = 5 * 1024 * 1024;
+
+// 需要重试的状态码
+const RETRY_STATUSES = [429, 500, 502, 503, 504];
+
+// 从HTML/XML开头查找编码声明的字节数
+const SNIFF_BYTES = 2048;
+
+/**
+ * 统一的HTTP客户端
+ * 所有请求经过safeFetch，统一设置用户代理，
+ * 对429/5xx按Retry-After或指数退避重试，限制响应大小，并按声明的编码解码正文。
+ * 设置crawlPolicy时，请求前检查robots.txt并限制对同一主机的请求频率
+ */
+class HttpClient {
+  constructor(options = {}) {
+    const env = options.env || process.env;
+
+    this.userAgent = options.userAgent || env.RSSOS_USER_AGENT || DEFAULT_USER_AGENT;
+    this.timeout = options.timeout || 15000;
+    this.retries = options.retries ?? (env.RSSOS_HTTP_RETRIES !== undefined ? parseInt(env.RSSOS_HTTP_RETRIES, 10) || 0 : 2);
+    this.retryDelay = options.retryDelay || 500;
+    this.maxRetryDelay = options.maxRetryDelay || 10000;
+    this.maxBodySize = options.maxBodySize || parseInt(env.RSSOS_MAX_BODY_SIZE, 10) || DEFAULT_MAX_BODY_SIZE;
+    this.fetch = options.fetch || safeFetch;
+    this.crawlPolicy = options.crawlPolicy || null;
+  }
+
+  /**
+   * 发送请求并返回响应，不检查状态码
+   * options.headers: 附加的请求头（可覆盖User-Agent）
+   * options.timeout: 单次请求的超时时间
+   * options.deadline: 时间戳，重试不会超过此时间
+   * options.retries: 最多重试次数
+   * options.skipCrawlPolicy: 不检查robots.txt和请求间隔
+   */
+  async request(url, options = {}) {
+    const {
+      headers = {},
+      timeout = this.timeout,
+      deadline = Infinity,
+      retries = this.retries,
+      skipCrawlPolicy = false,
+      ...fetchOptions
+    } = options;
+
+    if (!skipCrawlPolicy) {
+      await this.enforceCrawlPolicy(url, deadline);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      const remaining = deadline - Date.now();
+      const response = await this.fetch(url, {
+        follow: 5,
+        ...fetchOptions,
+        headers: { 'User-Agent': this.userAgent, ...headers },
+        timeout: Math.max(1, Math.min(timeout, remaining)),
+        size: this.maxBodySize
+      });
+
+      if (!RETRY_STATUSES.includes(response.status) || attempt >= retries) {
+        return response;
+      }
+
+      const delay = this.getRetryDelay(response, attempt);
+      if (delay === null || Date.now() + delay >= deadline) {
+        return response;
+      }
+
+      // 丢弃本次响应的正文，释放连接
+      if (response.body && response.body.resume) {
+        response.body.resume();
+      }
+
+      console.log(`HTTP ${response.status} from ${url}, retrying in ${delay}ms (attempt ${attempt + 1}/${retries})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  /**
+   * 检查robots.txt并等待主机的请求间隔，禁止访问时抛出RobotsDisallowedError
+   */
+  async enforceCrawlPolicy(url, deadline = Infinity) {
+    if (!this.crawlPolicy) return;
+
+    await this.crawlPolicy.enforce(url, {
+      deadline,
+      request: robotsUrl => this.request(robotsUrl, {
+        headers: { 'Accept': 'text/plain' },
+        timeout: 5000,
+        deadline,
+        retries: 0,
+        skipCrawlPolicy: true
+      })
+    });
+  }
+
+  /**
+   * 计算重试等待时间（毫秒）
+   * 优先使用Retry-After（秒数或HTTP日期），否则指数退避；超过上限时返回null表示不再重试
+   */
+  getRetryDelay(response, attempt) {
+    const retryAfter = response.headers.get('retry-after');
+    let delay = this.retryDelay * Math.pow(2, attempt);
+
+    if (retryAfter) {
+      const seconds = Number(retryAfter.trim());
+      const date = Date.parse(retryAfter);
+      if (Number.isFinite(seconds)) {
+        delay = Math.max(0, seconds * 1000);
+      } else if (!isNaN(date)) {
+        delay = Math.max(0, date - Date.now());
+      }
+    }
+
+    return delay > this.maxRetryDelay ? null : delay;
+  }
+
+  /**
+   * 读取响应正文，超过大小上限时抛出错误
+   */
+  async readBuffer(response) {
+    const contentLength = parseInt(response.headers.get('content-length'), 10);
+    if (contentLength > this.maxBodySize) {
+      if (response.body && response.body.resume) {
+        response.body.resume();
+      }
+      throw new Error(`Response body exceeds ${this.maxBodySize} bytes`);
+    }
+
+    let buffer;
+    try {
+      buffer = await response.buffer();
+    } catch (error) {
+      if (error.type === 'max-size') {
+        throw new Error(`Response body exceeds ${this.maxBodySize} bytes`);
+      }
+      throw error;
+    }
+
+    if (buffer.length > this.maxBodySize) {
+      throw new Error(`Response body exceeds ${this.maxBodySize} bytes`);
+    }
+    return buffer;
+  }
+
+  /**
+   * 读取并解码响应正文
+   */
+  async readText(response) {
+    const buffer = await this.readBuffer(response);
+    return this.decode(buffer, response.headers.get('content-type'));
+  }
+
+  /**
+   * 获取文本内容，状态码不是2xx时抛出错误
+   */
+  async fetchText(url, options = {}) {
+    const response = await this.request(url, options);
+    if (!response.ok) {
+      if (response.body && response.body.resume) {
+        response.body.resume();
+      }
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    return await this.readText(response);
+  }
+
+  /**
+   * 获取JSON内容，状态码不是2xx时抛出错误
+   */
+  async fetchJSON(url, options = {}) {
+    return JSON.parse(await this.fetchText(url, {
+      ...options,
+      headers: { 'Accept': 'application/json', ...options.headers }
+    }));
+  }
+
+  /**
+   * 按检测到的编码解码正文
+   */
+  decode(buffer, contentType) {
+    const charset = this.detectCharset(buffer, contentType);
+    return new TextDecoder(charset).decode(buffer);
+  }
+
+  /**
+   * 检测正文编码：BOM > Content-Type的charset > <meta charset> / XML声明 > UTF-8
+   */
+  detectCharset(buffer, contentType) {
+    if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) return 'utf-8';
+    if (buffer[0] === 0xFE && buffer[1] === 0xFF) return 'utf-16be';
+    if (buffer[0] === 0xFF && buffer[1] === 0xFE) return 'utf-16le';
+
+    const headerCharset = (contentType || '').match(/charset\s*=\s*["']?([^"';\s]+)/i);
+    const fromHeader = headerCharset && this.normalizeCharset(headerCharset[1]);
+    if (fromHeader) return fromHeader;
+
+    // 编码声明只包含ASCII字符，按latin1读取开头部分即可
+    const head = buffer.subarray(0, SNIFF_BYTES).toString('latin1');
+    const declared =
+      head.match(/<meta[^>]+charset\s*=\s*["']?\s*([^"'\s/>;]+)/i) ||
+      head.match(/<\?xml[^>]+encoding\s*=\s*["']([^"']+)["']/i);
+    const fromDocument = declared && this.normalizeCharset(declared[1]);
+
+    // 文档内声明的UTF-16不可信（能读出ASCII声明说明不是UTF-16）
+    if (fromDocument && !fromDocument.startsWith('utf-16')) return fromDocument;
+
+    return 'utf-8';
+  }
+
+  /**
+   * 规范化编码名称，不支持的编码返回null
+   */
+  normalizeCharset(label) {
+    try {
+      return new TextDecoder(label.trim().toLowerCase()).encoding;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = HttpClient;
@@ -0,0 +1,287 @@
+const vm = require('vm');
+const DateParser = require('./dateParser');
+const HtmlSanitizer = require('./htmlSanitizer');
+
+// 可用于过滤的字段
+const FILTER_FIELDS = ['title', 'description', 'author', 'category'];
+
+// 单个过滤表达式的最大长度，避免过于复杂的正则
+const MAX_EXPRESSION_LENGTH = 200;
+
+// 一次过滤中所有正则匹配的总时间（毫秒），超过时中断匹配，之后的匹配视为不匹配
+const REGEX_TIME_BUDGET = 250;
+
+// 在独立的上下文中执行正则，超时后可以被中断
+const REGEX_CONTEXT = vm.createContext({});
+const REGEX_SCRIPT = new vm.Script('regex.test(text)');
+
+// since参数支持的相对时长单位
+const DURATION_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * 条目过滤器
+ * include/exclude 表达式格式为 [字段:]关键词 或 [字段:]/正则/标志，
+ * 未指定字段时匹配标题、描述、作者和分类；关键词不区分大小写。
+ * 正则不能使用反向引用和嵌套的重复量词，且在可中断的上下文中执行，超过总时间后视为不匹配
+ */
+class ItemFilter {
+  /**
+   * options.include / options.exclude: 表达式或表达式数组
+   * options.limit: 最多保留的条目数
+   * options.since: 日期或相对时长（如 7d、12h），只保留此后发布的条目
+   * 参数无效时抛出错误
+   */
+  constructor(options = {}) {
+    this.include = this.toList(options.include).map(expression => this.compile(expression));
+    this.exclude = this.toList(options.exclude).map(expression => this.compile(expression));
+    this.limit = this.parseLimit(options.limit);
+    this.since = options.since ? String(options.since).trim() : null;
+    this.dateParser = new DateParser();
+    this.sanitizer = new HtmlSanitizer();
+
+    // 提前校验since
+    if (this.since && this.resolveSince(Date.now()) === null) {
+      throw new Error(`Invalid since value: ${this.since}`);
+    }
+  }
+
+  toList(value) {
+    return [].concat(value || [])
+      .map(expression => String(expression).trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * 编译过滤表达式
+   */
+  compile(expression) {
+    if (expression.length > MAX_EXPRESSION_LENGTH) {
+      throw new Error(`Filter expression is longer than ${MAX_EXPRESSION_LENGTH} characters`);
+    }
+
+    let fields = FILTER_FIELDS;
+    let pattern = expression;
+
+    const fieldMatch = expression.match(/^([a-z]+):(.+)$/i);
+    if (fieldMatch && FILTER_FIELDS.includes(fieldMatch[1].toLowerCase())) {
+      fields = [fieldMatch[1].toLowerCase()];
+      pattern = fieldMatch[2].trim();
+    }
+
+    const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/i);
+    if (regexMatch) {
+      let regex;
+      try {
+        // 忽略g/y标志，避免test()受lastIndex影响
+        regex = new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, ''));
+      } catch (error) {
+        throw new Error(`Invalid filter regex ${pattern}: ${error.message}`);
+      }
+
+      const unsafe = this.findUnsafeConstruct(regexMatch[1]);
+      if (unsafe) {
+        throw new Error(`Filter regex ${pattern} is not allowed: ${unsafe}`);
+      }
+      return { expression, fields, test: text => this.testRegex(regex, text, expression) };
+    }
+
+    const keyword = pattern.toLowerCase();
+    return { expression, fields, test: text => text.toLowerCase().includes(keyword) };
+  }
+
+  /**
+   * 检查可能导致灾难性回溯的写法，返回原因，安全时返回null
+   * 拒绝反向引用，以及对包含量词或分支的分组再次使用重复量词（如 (a+)+、(a|aa)*）
+   */
+  findUnsafeConstruct(source) {
+    const groups = [];
+    let inClass = false;
+
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+
+      if (char === '\\') {
+        const next = source[i + 1] || '';
+        if (!inClass && (/[1-9]/.test(next) || next === 'k')) {
+          return 'backreferences are not supported';
+        }
+        i++;
+        continue;
+      }
+
+      if (inClass) {
+        if (char === ']') inClass = false;
+        continue;
+      }
+
+      const quantifier = this.readQuantifier(source, i);
+      if (quantifier) {
+        // 量词属于所在的分组
+        if (groups.length > 0) groups[groups.length - 1].quantified = true;
+        i += quantifier.length - 1;
+        continue;
+      }
+
+      if (char === '[') {
+        inClass = true;
+      } else if (char === '(') {
+        groups.push({ quantified: false, alternation: false });
+      } else if (char === '|') {
+        if (groups.length > 0) groups[groups.length - 1].alternation = true;
+      } else if (char === ')') {
+        const group = groups.pop() || { quantified: false, alternation: false };
+        const quantifier = this.readQuantifier(source, i + 1);
+
+        if (quantifier && quantifier.repeats && (group.quantified || group.alternation)) {
+          return 'nested quantifiers';
+        }
+
+        // 分组内的量词对外层分组同样有效
+        if (groups.length > 0 && (group.quantified || quantifier)) {
+          groups[groups.length - 1].quantified = true;
+        }
+        if (quantifier) i += quantifier.length;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 读取position处的量词，返回 { length, repeats }（repeats表示可以重复多次），不是量词时返回null
+   */
+  readQuantifier(source, position) {
+    const match = source.slice(position).match(/^(?:[*+?]|\{(\d+)(,(\d*))?\})\??/);
+    if (!match) return null;
+
+    const repeats = match[0][0] === '*' || match[0][0] === '+' ||
+      (match[0][0] === '{' && (match[2] ? match[3] === '' || Number(match[3]) > 1 : Number(match[1]) > 1));
+    return { length: match[0].length, repeats };
+  }
+
+  /**
+   * 执行正则匹配，整次过滤的匹配时间超过REGEX_TIME_BUDGET后视为不匹配
+   * （过滤条件由请求指定，超时不能导致订阅源生成失败）
+   */
+  testRegex(regex, text, expression) {
+    const remaining = (this.regexDeadline || Date.now() + REGEX_TIME_BUDGET) - Date.now();
+    if (remaining <= 0) {
+      this.reportTimeout(expression);
+      return false;
+    }
+
+    REGEX_CONTEXT.regex = regex;
+    REGEX_CONTEXT.text = text;
+    try {
+      return REGEX_SCRIPT.runInContext(REGEX_CONTEXT, { timeout: Math.ceil(remaining) });
+    } catch (error) {
+      if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+        this.reportTimeout(expression);
+        return false;
+      }
+      throw error;
+    } finally {
+      REGEX_CONTEXT.regex = null;
+      REGEX_CONTEXT.text = null;
+    }
+  }
+
+  /**
+   * 每次过滤只记录一次超时
+   */
+  reportTimeout(expression) {
+    if (this.timedOut) return;
+    this.timedOut = true;
+    console.warn(`Filter regex ${expression} exceeded ${REGEX_TIME_BUDGET}ms, remaining matches treated as no match`);
+  }
+
+  parseLimit(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error(`Invalid limit value: ${value}`);
+    }
+    return limit;
+  }
+
+  /**
+   * 计算since对应的时间戳，无法解析时返回null
+   */
+  resolveSince(now) {
+    const duration = this.since.match(/^(\d+)\s*([mhdw])$/i);
+    if (duration) {
+      return now - parseInt(duration[1], 10) * DURATION_UNITS[duration[2].toLowerCase()];
+    }
+
+    const date = this.dateParser.parse(this.since);
+    return date ? date.getTime() : null;
+  }
+
+  /**
+   * 是否设置了任何过滤条件
+   */
+  isActive() {
+    return this.include.length > 0 || this.exclude.length > 0 || this.limit !== null || this.since !== null;
+  }
+
+  /**
+   * 用于缓存键的规范化描述
+   */
+  describe() {
+    return JSON.stringify({
+      include: this.include.map(filter => filter.expression),
+      exclude: this.exclude.map(filter => filter.expression),
+      limit: this.limit,
+      since: this.since
+    });
+  }
+
+  /**
+   * 过滤文章，返回新数组
+   */
+  apply(articles, now = Date.now()) {
+    const since = this.since ? this.resolveSince(now) : null;
+    this.regexDeadline = Date.now() + REGEX_TIME_BUDGET;
+    this.timedOut = false;
+
+    const filtered = articles.filter(article => {
+      if (this.include.length > 0 && !this.include.some(filter => this.matches(filter, article))) {
+        return false;
+      }
+      if (this.exclude.some(filter => this.matches(filter, article))) {
+        return false;
+      }
+      if (since !== null) {
+        const published = Date.parse(article.pubDate);
+        if (isNaN(published) || published < since) return false;
+      }
+      return true;
+    });
+
+    return this.limit !== null ? filtered.slice(0, this.limit) : filtered;
+  }
+
+  matches(filter, article) {
+    return filter.fields.some(field => this.fieldValues(article, field).some(value => filter.test(value)));
+  }
+
+  fieldValues(article, field) {
+    const values = [].concat(article[field] || []).map(value => String(value));
+
+    // 描述可能包含HTML，只匹配文本（不包括脚本和样式）
+    if (field === 'description') {
+      return values.map(value =>
+        (/<[a-z!/]/i.test(value) ? this.sanitizer.extractText(value) : value).replace(/\s+/g, ' ').trim()
+      );
+    }
+    return values;
+  }
+}
+
+module.exports = ItemFilter;
@@ -0,0 +1,63 @@
+/**
+ * 条目历史记录
+ * 按网站记录每个GUID第一次出现的时间，为没有日期的条目提供稳定的发布时间，
+ * 避免缓存过期后重新生成时阅读器把旧条目当作新条目
+ */
+class ItemHistory {
+  constructor(options = {}) {
+    this.cacheManager = options.cacheManager;
+    this.maxItems = options.maxItems || 500; // 每个网站最多记录的GUID数量
+  }
+
+  /**
+   * 记录条目并为缺少日期的条目补充首次出现时间
+   * 返回新的文章数组，不修改传入的对象
+   */
+  async apply(siteUrl, articles, now = Date.now()) {
+    const history = (await this.cacheManager.getItemHistory(siteUrl)) || {};
+    let changed = false;
+
+    const result = articles.map((article, index) => {
+      if (!article.guid) return article;
+
+      if (!history[article.guid]) {
+        // 同一批新条目按页面顺序依次递减1秒，保持阅读器中的排列顺序
+        history[article.guid] = now - index * 1000;
+        changed = true;
+      }
+
+      if (article.pubDate) return article;
+
+      return {
+        ...article,
+        pubDate: new Date(history[article.guid]).toUTCString(),
+        dateEstimated: true
+      };
+    });
+
+    if (changed) {
+      await this.cacheManager.cacheItemHistory(siteUrl, this.prune(history, articles));
+    }
+
+    return result;
+  }
+
+  /**
+   * 超出上限时删除最早出现且不在当前页面中的记录
+   */
+  prune(history, articles) {
+    const guids = Object.keys(history);
+    if (guids.length <= this.maxItems) return history;
+
+    const current = new Set(articles.map(article => article.guid));
+    const removable = guids
+      .filter(guid => !current.has(guid))
+      .sort((a, b) => history[a] - history[b])
+      .slice(0, guids.length - this.maxItems);
+
+    removable.forEach(guid => delete history[guid]);
+    return history;
+  }
+}
+
+module.exports = ItemHistory;
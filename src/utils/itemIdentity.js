@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const { URL } = require('url');
+
+/**
+ * 条目标识工具
+ * 根据规范化的链接或标题生成稳定的GUID，同一条目在每次生成时保持一致
+ */
+
+// 不影响页面内容的跟踪参数（另外还有所有utm_*参数）
+const TRACKING_PARAMS = [
+  'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'igshid', 'mc_cid', 'mc_eid', '_ga',
+  'twclid', 'ttclid', 'li_fat_id', '_hsenc', '_hsmi', 'mkt_tok', 'vero_id', 'srsltid'
+];
+
+function isTrackingParam(name) {
+  const lower = name.toLowerCase();
+  return lower.startsWith('utm_') || TRACKING_PARAMS.includes(lower);
+}
+
+/**
+ * 移除链接中的跟踪参数，保留fragment和其他参数
+ * 无法解析的链接原样返回
+ */
+function stripTrackingParams(link) {
+  if (!link) return link;
+
+  try {
+    const url = new URL(String(link).trim());
+    const names = [...url.searchParams.keys()].filter(isTrackingParam);
+    if (names.length === 0) return link;
+
+    names.forEach(name => url.searchParams.delete(name));
+    return url.toString();
+  } catch (error) {
+    return link;
+  }
+}
+
+/**
+ * 规范化链接：移除fragment和跟踪参数，统一协议和主机名大小写
+ * 无法解析时返回去除空白的原始值
+ */
+function canonicalizeLink(link) {
+  if (!link) return '';
+
+  try {
+    const url = new URL(String(link).trim());
+    url.hash = '';
+    [...url.searchParams.keys()].forEach(name => {
+      if (isTrackingParam(name)) {
+        url.searchParams.delete(name);
+      }
+    });
+    return url.toString();
+  } catch (error) {
+    return String(link).trim();
+  }
+}
+
+/**
+ * 生成条目GUID
+ * 有独立链接时使用规范化链接，链接缺失或指向网站首页时使用标题
+ * scopeUrl: 网站或订阅源地址，避免不同网站的同名条目冲突
+ */
+function generateGuid(link, title, scopeUrl) {
+  const canonicalLink = canonicalizeLink(link);
+  const identifier = canonicalLink && canonicalLink !== canonicalizeLink(scopeUrl)
+    ? canonicalLink
+    : String(title || '').replace(/\s+/g, ' ').trim();
+
+  const hash = crypto.createHash('md5').update(identifier + scopeUrl).digest('hex');
+  return `rssos-${hash.substring(0, 16)}`;
+}
+
+module.exports = {
+  stripTrackingParams,
+  canonicalizeLink,
+  generateGuid
+};
@@ -0,0 +1,157 @@
+const MediaExtractor = require('../parsers/mediaExtractor');
+const { mapWithConcurrency } = require('./concurrency');
+const HttpClient = require('./httpClient');
+
+// 不能说明文件类型的Content-Type，出现时使用按扩展名推断的类型
+const GENERIC_TYPES = ['application/octet-stream', 'binary/octet-stream', 'application/download', 'application/force-download'];
+
+// 类型未知的<audio>/<video>使用的类型
+const DEFAULT_TYPES = {
+  audio: 'audio/mpeg',
+  video: 'video/mp4'
+};
+
+/**
+ * 媒体附件服务
+ * 为每个条目确定RSS的<enclosure>（第一个音视频，没有时使用条目图片），
+ * 通过HEAD请求获取附件的MIME类型和文件大小，结果按地址缓存。
+ * 服务器不支持HEAD时改用只请求第一个字节的GET
+ */
+class MediaService {
+  constructor(options = {}) {
+    this.cacheManager = options.cacheManager || null;
+    this.httpClient = options.httpClient || new HttpClient();
+    this.concurrency = options.concurrency || 3;
+    this.timeout = options.timeout || 5000;
+    this.limit = options.limit || 20;
+    this.extractor = new MediaExtractor();
+  }
+
+  /**
+   * 为文章列表补充附件信息（修改传入的文章）
+   * options.deadline: 时间戳，超过后不再发起新的请求，未探测的附件使用推断的类型
+   */
+  async enrich(articles, options = {}) {
+    const targets = [];
+    articles.forEach(article => {
+      const enclosure = this.selectEnclosure(article);
+      if (enclosure) targets.push({ article, enclosure });
+    });
+
+    let probed = 0;
+    let cached = 0;
+
+    await mapWithConcurrency(targets, this.concurrency, async ({ article, enclosure }) => {
+      // 原生订阅源通常已提供类型和大小
+      let info = enclosure.type && enclosure.length ? { type: enclosure.type, length: enclosure.length } : null;
+
+      if (!info && this.cacheManager) {
+        info = await this.cacheManager.getCachedMedia(enclosure.url);
+        if (info) cached++;
+      }
+
+      if (!info && probed < this.limit && !(options.deadline && Date.now() >= options.deadline)) {
+        probed++;
+        try {
+          info = await this.probe(enclosure.url, options.deadline);
+        } catch (error) {
+          console.error(`Failed to probe media ${enclosure.url}:`, error.message);
+        }
+
+        if (info && this.cacheManager) {
+          await this.cacheManager.cacheMedia(enclosure.url, info);
+        }
+      }
+
+      const type = this.chooseType(info?.type, enclosure.type);
+      if (!type) return;
+
+      article.enclosure = {
+        url: enclosure.url,
+        type,
+        length: info?.length || enclosure.length || 0
+      };
+
+      // 同步到media列表，生成media:content时使用
+      const entry = (article.media || []).find(item => item.url === enclosure.url);
+      if (entry) {
+        entry.type = article.enclosure.type;
+        entry.length = article.enclosure.length || null;
+      }
+    });
+
+    if (targets.length > 0) {
+      console.log(`Media: ${probed} probed, ${cached} from cache, ${targets.length} enclosures`);
+    }
+    return articles;
+  }
+
+  /**
+   * 选择作为<enclosure>的附件：第一个音视频，否则为条目图片
+   * 返回 { url, type, length }，没有可用附件时返回null
+   */
+  selectEnclosure(article) {
+    const media = (article.media || []).find(item => item.medium === 'audio' || item.medium === 'video');
+    if (media) {
+      return { url: media.url, type: media.type || DEFAULT_TYPES[media.medium], length: media.length };
+    }
+
+    if (article.image) {
+      return { url: article.image, type: this.extractor.guessType(article.image), length: null };
+    }
+
+    return null;
+  }
+
+  /**
+   * 获取文件的MIME类型和大小，返回 { type, length }
+   */
+  async probe(url, deadline) {
+    const requestOptions = {
+      timeout: this.timeout,
+      deadline: deadline || Date.now() + this.timeout,
+      retries: 0
+    };
+
+    let response = await this.httpClient.request(url, { ...requestOptions, method: 'HEAD' });
+
+    if (!response.ok) {
+      // 部分服务器（如对象存储的签名地址）不支持HEAD
+      response = await this.httpClient.request(url, {
+        ...requestOptions,
+        headers: { 'Range': 'bytes=0-0' }
+      });
+    }
+
+    // 不读取正文，服务器忽略Range时也不会下载整个文件
+    if (response.body && response.body.destroy) {
+      response.body.destroy();
+    }
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const contentRange = (response.headers.get('content-range') || '').match(/\/(\d+)\s*$/);
+    const contentLength = response.status === 206 ? null : response.headers.get('content-length');
+    const length = parseInt(contentRange ? contentRange[1] : contentLength, 10);
+
+    return {
+      type: this.extractor.normalizeType(response.headers.get('content-type')),
+      length: Number.isFinite(length) && length > 0 ? length : null
+    };
+  }
+
+  /**
+   * 优先使用服务器返回的类型，不能说明文件类型时使用推断的类型
+   * 服务器返回网页（如登录页）时类型不可信，同样使用推断的类型；都没有时返回null
+   */
+  chooseType(probedType, guessedType) {
+    if (probedType && !GENERIC_TYPES.includes(probedType) && !probedType.startsWith('text/')) {
+      return probedType;
+    }
+    return guessedType || null;
+  }
+}
+
+module.exports = MediaService;
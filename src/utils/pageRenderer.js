@@ -0,0 +1,193 @@
+const { createLimiter } = require('./concurrency');
+const { safeFetch } = require('./safeFetch');
+
+// 浏览器空闲多久后关闭
+const BROWSER_IDLE_TIME = 60 * 1000;
+
+// 渲染时不需要加载的资源类型
+const SKIPPED_RESOURCE_TYPES = ['image', 'media', 'font'];
+
+// 页面单个请求的响应大小上限
+const MAX_RESOURCE_SIZE = 10 * 1024 * 1024;
+
+// 转发给浏览器时去掉的响应头：正文已由node-fetch解压，长度可能变化
+const DROPPED_RESPONSE_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding'];
+
+/**
+ * 使用Playwright启动Chromium（可选依赖，未安装时抛出错误）
+ */
+async function launchChromium() {
+  let playwright;
+  try {
+    playwright = require('playwright');
+  } catch (error) {
+    throw new Error('Headless rendering requires the optional "playwright" package (npm install playwright && npx playwright install chromium)');
+  }
+
+  return playwright.chromium.launch({ headless: true });
+}
+
+/**
+ * 无头浏览器渲染器
+ * 加载需要JavaScript才能显示内容的页面，等待指定元素或网络空闲后返回渲染后的HTML。
+ * 浏览器按需启动、空闲后关闭，同时渲染的页面数受concurrency限制
+ */
+class PageRenderer {
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || parseInt(process.env.RSSOS_RENDER_CONCURRENCY, 10) || 2;
+    this.timeout = options.timeout || 20000;
+    this.userAgent = options.userAgent || 'Mozilla/5.0 (compatible; RSSOS/1.0; +https://rssos.com/bot)';
+    this.launcher = options.launcher || launchChromium;
+    this.fetch = options.fetch || safeFetch;
+    this.limit = createLimiter(this.concurrency);
+
+    this.browser = null;
+    this.launching = null;
+    this.active = 0;
+    this.idleTimer = null;
+  }
+
+  /**
+   * 是否可以使用无头浏览器（已安装playwright或提供了自定义启动函数）
+   */
+  isAvailable() {
+    if (this.launcher !== launchChromium) return true;
+
+    try {
+      require.resolve('playwright');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 渲染页面
+   * options.waitFor: 等待出现的CSS选择器，未指定时等待网络空闲
+   * options.timeout: 超时时间（毫秒），加载页面和等待元素共用
+   * options.deadline: 调用方的截止时间戳；排队等待的时间也计入，排队期间超过时不再渲染
+   */
+  async render(url, options = {}) {
+    const deadline = Math.min(
+      options.deadline || Infinity,
+      Date.now() + Math.min(options.timeout || this.timeout, this.timeout)
+    );
+
+    return this.limit(async () => {
+      if (Date.now() >= deadline) {
+        throw new Error(`Rendering ${url} timed out while waiting for a free browser slot`);
+      }
+
+      this.active++;
+      clearTimeout(this.idleTimer);
+
+      let context = null;
+
+      try {
+        const browser = await this.getBrowser();
+        context = await browser.newContext({ userAgent: this.userAgent });
+        // WebSocket不经过page.route，全部拒绝，避免页面脚本借此访问内网
+        await context.routeWebSocket(/.*/, ws => ws.close({ code: 1008, reason: 'Blocked by RSSOS' }));
+        const page = await context.newPage();
+        await page.route('**/*', route => this.handleRoute(route));
+
+        await page.goto(url, {
+          waitUntil: options.waitFor ? 'domcontentloaded' : 'networkidle',
+          timeout: Math.max(1, deadline - Date.now())
+        });
+        if (options.waitFor) {
+          await page.waitForSelector(options.waitFor, { timeout: Math.max(1, deadline - Date.now()) });
+        }
+
+        return await page.content();
+      } finally {
+        if (context) {
+          await context.close().catch(() => {});
+        }
+        this.active--;
+        this.scheduleIdleClose();
+      }
+    });
+  }
+
+  /**
+   * 检查页面发出的每个请求
+   * 请求由safeFetch代为获取（连接时检查解析出的IP，避免DNS重绑定）且不跟随重定向，
+   * 浏览器跟随重定向时新的请求会再次经过检查
+   */
+  async handleRoute(route) {
+    const request = route.request();
+    if (SKIPPED_RESOURCE_TYPES.includes(request.resourceType())) {
+      return route.abort('blockedbyclient');
+    }
+
+    let response;
+    let body;
+    try {
+      response = await this.fetch(request.url(), {
+        method: request.method(),
+        headers: request.headers(),
+        body: request.postDataBuffer() || undefined,
+        redirect: 'manual',
+        timeout: this.timeout,
+        size: MAX_RESOURCE_SIZE
+      });
+      body = await response.buffer();
+    } catch (error) {
+      // 连接时的地址检查失败会被node-fetch包装为FetchError，保留原错误的code
+      if (error.code === 'ERR_UNSAFE_URL') {
+        console.log(`Blocked request from rendered page: ${request.url()} (${error.message})`);
+        return route.abort('blockedbyclient').catch(() => {});
+      }
+      // 连接失败等错误按网络错误处理，不产生未处理的Promise拒绝
+      return route.abort('failed').catch(() => {});
+    }
+
+    const headers = {};
+    Object.entries(response.headers.raw()).forEach(([name, values]) => {
+      if (DROPPED_RESPONSE_HEADERS.includes(name)) return;
+      headers[name] = values.join(name === 'set-cookie' ? '\n' : ', ');
+    });
+    return route.fulfill({ status: response.status, headers, body }).catch(() => {});
+  }
+
+  async getBrowser() {
+    if (this.browser) return this.browser;
+
+    if (!this.launching) {
+      this.launching = this.launcher()
+        .then(browser => {
+          this.browser = browser;
+          return browser;
+        })
+        .finally(() => {
+          this.launching = null;
+        });
+    }
+
+    return this.launching;
+  }
+
+  /**
+   * 没有渲染任务时延迟关闭浏览器，释放内存
+   */
+  scheduleIdleClose() {
+    if (this.active > 0 || !this.browser) return;
+
+    this.idleTimer = setTimeout(() => this.close(), BROWSER_IDLE_TIME);
+    // 空闲计时器不阻止进程退出
+    if (this.idleTimer.unref) this.idleTimer.unref();
+  }
+
+  async close() {
+    clearTimeout(this.idleTimer);
+
+    const browser = this.browser;
+    this.browser = null;
+    if (browser) {
+      await browser.close().catch(() => {});
+    }
+  }
+}
+
+module.exports = PageRenderer;
@@ -0,0 +1,148 @@
+const cheerio = require('cheerio');
+const { URL } = require('url');
+
+// 单次请求最多抓取的页数
+const MAX_PAGES = 10;
+
+// 常见的"下一页/更早文章"链接（WordPress的nav-previous指向更早的文章）
+const NEXT_LINK_SELECTORS = [
+  'a.next', '.next > a', 'a.next-page', '.pagination-next a', '.pager-next a',
+  '.nav-previous a', 'a.older-posts', '.older-posts a', '.older a', 'a.older'
+].join(', ');
+
+// 表示下一页的链接文字
+const NEXT_TEXT_PATTERN = /^(?:next(?:\s+page)?|older(?:\s+(?:posts|entries|articles))?|more\s+posts|下一页|下页|后一页|更早的?文章|次へ|次のページ|다음(?:\s*페이지)?|nächste\s+seite|ältere\s+beiträge|page\s+suivante|articles\s+plus\s+anciens|siguiente|entradas\s+anteriores)\s*[»›→>]*$|^[»›→]$/i;
+
+/**
+ * 分页抓取器
+ * 沿着rel="next"、"更早的文章"等链接或规则指定的选择器继续抓取列表页，
+ * 合并各页的文章并按GUID去重
+ */
+class Paginator {
+  constructor(options = {}) {
+    this.maxPages = options.maxPages || MAX_PAGES;
+  }
+
+  /**
+   * 查找下一页的地址，没有找到时返回null
+   * selector: 规则或用户指定的下一页链接选择器（可选）
+   */
+  findNextPage(html, pageUrl, selector) {
+    const $ = cheerio.load(html);
+
+    const candidates = [];
+    if (selector) {
+      $(selector).each((index, element) => {
+        const $el = $(element);
+        candidates.push($el.attr('href') || $el.find('a[href]').first().attr('href'));
+      });
+    }
+
+    $('link[rel~="next"], a[rel~="next"]').each((index, element) => {
+      candidates.push($(element).attr('href'));
+    });
+
+    $(NEXT_LINK_SELECTORS).each((index, element) => {
+      candidates.push($(element).attr('href'));
+    });
+
+    $('a[href]').each((index, element) => {
+      const $el = $(element);
+      const text = ($el.text() || $el.attr('aria-label') || $el.attr('title') || '').replace(/\s+/g, ' ').trim();
+      if (NEXT_TEXT_PATTERN.test(text)) {
+        candidates.push($el.attr('href'));
+      }
+    });
+
+    for (const href of candidates) {
+      const nextUrl = this.resolvePageUrl(href, pageUrl);
+      if (nextUrl) return nextUrl;
+    }
+
+    return null;
+  }
+
+  /**
+   * 解析下一页地址，只接受同一网站的http(s)链接
+   */
+  resolvePageUrl(href, pageUrl) {
+    if (!href || href.trim().startsWith('#')) return null;
+
+    try {
+      const url = new URL(href.trim(), pageUrl);
+      const current = new URL(pageUrl);
+      if (!['http:', 'https:'].includes(url.protocol) || url.hostname !== current.hostname) {
+        return null;
+      }
+
+      url.hash = '';
+      current.hash = '';
+      return url.toString() === current.toString() ? null : url.toString();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 从第一页开始抓取后续页面并合并文章
+   * options.pages: 最多抓取的页数（包括第一页）
+   * options.selector: 下一页链接选择器
+   * options.deadline: 时间戳，超过后不再请求新的页面
+   * options.fetchPage(url, timeout): 返回页面HTML
+   * options.parsePage(html, url): 返回页面中的文章
+   * 返回 { articles, pages }
+   */
+  async crawl(url, html, articles, options = {}) {
+    const maxPages = Math.min(options.pages || 1, this.maxPages);
+    const merged = [];
+    const seen = new Set();
+    const visited = new Set([url]);
+
+    const addArticles = (pageArticles) => {
+      let added = 0;
+      pageArticles.forEach(article => {
+        const key = article.guid || article.link;
+        if (key && seen.has(key)) return;
+        if (key) seen.add(key);
+        merged.push(article);
+        added++;
+      });
+      return added;
+    };
+
+    addArticles(articles);
+
+    let pages = 1;
+    let pageUrl = url;
+    let pageHtml = html;
+
+    while (pages < maxPages) {
+      const nextUrl = this.findNextPage(pageHtml, pageUrl, options.selector);
+      if (!nextUrl || visited.has(nextUrl)) break;
+
+      const remaining = options.deadline ? options.deadline - Date.now() : Infinity;
+      if (remaining <= 0) {
+        console.log(`Pagination stopped at page ${pages} for ${url}: time budget exhausted`);
+        break;
+      }
+
+      visited.add(nextUrl);
+
+      try {
+        pageHtml = await options.fetchPage(nextUrl, remaining);
+      } catch (error) {
+        console.error(`Failed to fetch page ${nextUrl}:`, error.message);
+        break;
+      }
+      pageUrl = nextUrl;
+      pages++;
+
+      // 没有新文章说明已经到头或页面在重复
+      if (addArticles(await options.parsePage(pageHtml, pageUrl)) === 0) break;
+    }
+
+    return { articles: merged, pages };
+  }
+}
+
+module.exports = Paginator;
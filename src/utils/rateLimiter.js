@@ -0,0 +1,219 @@
+const { createCacheStore } = require('./cacheStores');
+
+// 限流状态的命名空间，与缓存共用存储后端
+const RATE_LIMIT_NAMESPACES = {
+  // 令牌桶 - 按IP或API key保存剩余令牌数
+  ratelimit: {
+    max: 10000,
+    ttl: 24 * 60 * 60 * 1000, // 24小时未访问则删除（桶早已装满）
+    updateAgeOnGet: false
+  },
+  // 每日配额 - 按API key和日期计数
+  quota: {
+    max: 1000,
+    ttl: 48 * 60 * 60 * 1000, // 48小时过期
+    updateAgeOnGet: false
+  }
+};
+
+// Redis上原子执行的令牌桶：读取、补充、扣除和写回在同一个脚本中完成，
+// 多个实例同时请求时不会读到相同的剩余令牌数。状态格式与其他存储相同
+const CONSUME_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local now = tonumber(ARGV[4])
+local tokens = capacity
+local state = redis.call('GET', KEYS[1])
+if state then
+  local decoded = cjson.decode(state)
+  tokens = math.min(capacity, decoded.tokens + (now - decoded.updatedAt) * rate)
+end
+local allowed = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+end
+redis.call('SET', KEYS[1], cjson.encode({ tokens = tokens, updatedAt = now }), 'PX', ARGV[5])
+return { allowed, tostring(tokens) }
+`;
+
+// Redis上原子执行的每日配额计数，返回 [是否允许, 之前的用量]
+const QUOTA_SCRIPT = `
+local cost = tonumber(ARGV[1])
+local used = 0
+local state = redis.call('GET', KEYS[1])
+if state then
+  used = cjson.decode(state).used or 0
+end
+if used + cost > tonumber(ARGV[2]) then
+  return { 0, used }
+end
+redis.call('SET', KEYS[1], cjson.encode({ used = used + cost }), 'PX', ARGV[3])
+return { 1, used }
+`;
+
+/**
+ * 令牌桶限流器
+ * 桶的容量为limit.requests，每limit.per秒补满；状态保存在可替换的存储后端中。
+ * Redis存储通过Lua脚本原子地扣减；其他存储在同一进程内按键串行读写
+ * （内存存储只在单个进程内计数，file存储在多个实例同时请求时可能少计，多实例部署应使用redis存储）。
+ * 存储不可用时放行请求（fail open），并在日志中说明请求未被限流
+ */
+class RateLimiter {
+  constructor(options = {}) {
+    this.store = options.store || createCacheStore(RATE_LIMIT_NAMESPACES, options.env);
+    this.locks = new Map();
+  }
+
+  /**
+   * 从桶中取出cost个令牌（超过桶容量时按容量计算，保证请求最终可以通过）
+   * 返回 { allowed, limit, remaining, reset, retryAfter }，时间单位为秒
+   */
+  async consume(bucket, limit, cost = 1, now = Date.now()) {
+    cost = Math.min(cost, limit.requests);
+    const rate = limit.requests / (limit.per * 1000); // 每毫秒补充的令牌数
+
+    const { allowed, tokens } = this.isAtomic()
+      ? await this.consumeAtomic(bucket, limit.requests, rate, cost, now)
+      : await this.withLock(`ratelimit:${bucket}`, async () => {
+        const state = await this.read('ratelimit', bucket);
+
+        let available = limit.requests;
+        if (state) {
+          available = Math.min(limit.requests, state.tokens + (now - state.updatedAt) * rate);
+        }
+
+        const taken = available >= cost;
+        if (taken) {
+          available -= cost;
+        }
+        await this.write('ratelimit', bucket, { tokens: available, updatedAt: now });
+        return { allowed: taken, tokens: available };
+      });
+
+    return {
+      allowed,
+      limit: limit.requests,
+      remaining: Math.floor(tokens),
+      reset: Math.ceil((limit.requests - tokens) / rate / 1000),
+      retryAfter: allowed ? 0 : Math.ceil((cost - tokens) / rate / 1000)
+    };
+  }
+
+  /**
+   * 查询当天（UTC）的剩余配额是否足够cost，不记录用量
+   * 返回值与consumeQuota相同
+   */
+  async peekQuota(name, daily, cost = 1, now = Date.now()) {
+    const { day, key } = this.quotaKey(name, now);
+    const used = (await this.read('quota', key))?.used || 0;
+    return this.quotaResult(day, daily, used, cost, used + cost <= daily, now);
+  }
+
+  /**
+   * 记录当天（UTC）的用量，超过daily时拒绝
+   * 返回 { allowed, limit, remaining, reset }
+   */
+  async consumeQuota(name, daily, cost = 1, now = Date.now()) {
+    const { day, key } = this.quotaKey(name, now);
+
+    const { allowed, used } = this.isAtomic()
+      ? await this.consumeQuotaAtomic(key, daily, cost)
+      : await this.withLock(`quota:${key}`, async () => {
+        const previous = (await this.read('quota', key))?.used || 0;
+        const taken = previous + cost <= daily;
+        if (taken) {
+          await this.write('quota', key, { used: previous + cost });
+        }
+        return { allowed: taken, used: previous };
+      });
+
+    return this.quotaResult(day, daily, used, cost, allowed, now);
+  }
+
+  quotaKey(name, now) {
+    const day = new Date(now).toISOString().slice(0, 10);
+    return { day, key: `${name}:${day}` };
+  }
+
+  quotaResult(day, daily, used, cost, allowed, now) {
+    const nextDay = Date.parse(`${day}T00:00:00Z`) + 24 * 60 * 60 * 1000;
+    return {
+      allowed,
+      limit: daily,
+      remaining: Math.max(0, daily - used - (allowed ? cost : 0)),
+      reset: Math.ceil((nextDay - now) / 1000)
+    };
+  }
+
+  /**
+   * 存储是否支持原子执行脚本（Redis）
+   */
+  isAtomic() {
+    return typeof this.store.eval === 'function';
+  }
+
+  async consumeAtomic(bucket, capacity, rate, cost, now) {
+    try {
+      const [allowed, tokens] = await this.store.eval(
+        CONSUME_SCRIPT, 'ratelimit', bucket,
+        capacity, rate, cost, now, RATE_LIMIT_NAMESPACES.ratelimit.ttl
+      );
+      return { allowed: allowed === 1, tokens: Number(tokens) };
+    } catch (error) {
+      console.error('Rate limit store update failed (ratelimit), allowing the request without rate limiting:', error.message);
+      return { allowed: true, tokens: capacity - cost };
+    }
+  }
+
+  async consumeQuotaAtomic(key, daily, cost) {
+    try {
+      const [allowed, used] = await this.store.eval(
+        QUOTA_SCRIPT, 'quota', key,
+        cost, daily, RATE_LIMIT_NAMESPACES.quota.ttl
+      );
+      return { allowed: allowed === 1, used };
+    } catch (error) {
+      console.error('Rate limit store update failed (quota), allowing the request without counting quota:', error.message);
+      return { allowed: true, used: 0 };
+    }
+  }
+
+  /**
+   * 同一进程内按键串行执行任务，避免并发请求在读取和写回之间读到相同的状态
+   */
+  async withLock(key, task) {
+    const previous = this.locks.get(key) || Promise.resolve();
+    const result = previous.then(task);
+    const tail = result.catch(() => {});
+    this.locks.set(key, tail);
+
+    try {
+      return await result;
+    } finally {
+      if (this.locks.get(key) === tail) {
+        this.locks.delete(key);
+      }
+    }
+  }
+
+  async read(namespace, key) {
+    try {
+      return await this.store.get(namespace, key);
+    } catch (error) {
+      console.error(`Rate limit store read failed (${namespace}), treating the ${namespace === 'quota' ? 'quota as unused' : 'bucket as full'}:`, error.message);
+      return null;
+    }
+  }
+
+  async write(namespace, key, value) {
+    try {
+      await this.store.set(namespace, key, value);
+    } catch (error) {
+      console.error(`Rate limit store write failed (${namespace}):`, error.message);
+    }
+  }
+}
+
+module.exports = RateLimiter;
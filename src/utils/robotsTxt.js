@@ -0,0 +1,117 @@
+/**
+ * robots.txt解析器（RFC 9309）
+ * 按产品名称选择规则组，没有匹配的组时使用 "*" 组；
+ * 路径按最长匹配规则判断，长度相同时Allow优先，支持 "*" 通配符和 "$" 结尾
+ */
+class RobotsTxt {
+  /**
+   * text: robots.txt内容
+   * options.allowAll / options.disallowAll: 无法获取robots.txt时的默认策略
+   */
+  constructor(text = '', options = {}) {
+    this.groups = this.parse(text);
+    this.allowAll = !!options.allowAll;
+    this.disallowAll = !!options.disallowAll;
+  }
+
+  /**
+   * 解析为规则组 [{ agents, rules, crawlDelay }]
+   */
+  parse(text) {
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    String(text).split(/\r\n|\r|\n/).forEach(rawLine => {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+      if (separator === -1) return;
+
+      const key = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (key === 'user-agent') {
+        // 连续的User-agent行属于同一组
+        if (!current || !lastWasAgent) {
+          current = { agents: [], rules: [], crawlDelay: null };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+        return;
+      }
+
+      lastWasAgent = false;
+      if (!current) return;
+
+      if ((key === 'allow' || key === 'disallow') && value) {
+        current.rules.push({
+          allow: key === 'allow',
+          length: value.length,
+          regex: this.compilePattern(value)
+        });
+      } else if (key === 'crawl-delay') {
+        const delay = parseFloat(value);
+        if (Number.isFinite(delay) && delay >= 0) {
+          current.crawlDelay = delay;
+        }
+      }
+    });
+
+    return groups;
+  }
+
+  /**
+   * 将路径模式转换为正则
+   */
+  compilePattern(pattern) {
+    const anchored = pattern.endsWith('$');
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+  }
+
+  /**
+   * 选择适用于指定产品名称的规则组，多个同名组合并
+   */
+  findGroups(agent) {
+    const name = agent.toLowerCase();
+    const matched = this.groups.filter(group => group.agents.includes(name));
+    return matched.length > 0 ? matched : this.groups.filter(group => group.agents.includes('*'));
+  }
+
+  /**
+   * 判断路径（包括查询字符串）是否允许访问
+   */
+  isAllowed(path, agent) {
+    if (this.allowAll) return true;
+    if (this.disallowAll) return false;
+    if (path === '/robots.txt') return true;
+
+    let matched = null;
+    this.findGroups(agent).forEach(group => {
+      group.rules.forEach(rule => {
+        if (!rule.regex.test(path)) return;
+        if (!matched || rule.length > matched.length || (rule.length === matched.length && rule.allow)) {
+          matched = rule;
+        }
+      });
+    });
+
+    return !matched || matched.allow;
+  }
+
+  /**
+   * 获取Crawl-delay（秒），未设置时返回null
+   */
+  getCrawlDelay(agent) {
+    const delays = this.findGroups(agent)
+      .map(group => group.crawlDelay)
+      .filter(delay => delay !== null);
+    return delays.length > 0 ? Math.max(...delays) : null;
+  }
+}
+
+module.exports = RobotsTxt;
@@ -1,4 +1,17 @@
 const { URL } = require('url');
+const crypto = require('crypto');
+const { element, cdata, serializeXml, parseXml, childElements, textContent } = require('./xml');
+const MediaExtractor = require('../parsers/mediaExtractor');
+
+// 各订阅源格式对应的Content-Type
+const FEED_CONTENT_TYPES = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8'
+};
+
+// RSS 2.0日期格式（RFC 822，年份允许4位）
+const RFC822_DATE = /^(?:(?:Mon|Tue|Wed|Thu|Fri|Sat|Sun), )?\d{1,2} (?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec) \d{2,4} \d{2}:\d{2}(?::\d{2})? (?:UT|GMT|[ECMP][SD]T|[A-IK-Z]|[+-]\d{4})$/;
 
 /**
  * RSS生成器
@@ -16,6 +29,7 @@ class RSSGenerator {
       ttl: 60, // 分钟
       generator: 'RSSOS Universal RSS Generator v1.0'
     };
+    this.mediaExtractor = new MediaExtractor();
   }
 
   /**
@@ -24,38 +38,300 @@ class RSSGenerator {
   generateRSS(articles, siteInfo, customConfig = {}) {
     const config = { ...this.defaultConfig, ...customConfig };
     const siteUrl = siteInfo.url;
-    const siteTitle = this.extractSiteTitle(siteInfo) || config.title;
-    const siteDescription = this.extractSiteDescription(siteInfo) || config.description;
+    const siteTitle = customConfig.title || this.extractSiteTitle(siteInfo) || config.title;
+    const siteDescription = customConfig.description || this.extractSiteDescription(siteInfo) || config.description;
     
-    const rssUrl = this.getRSSUrl(siteUrl);
+    const rssUrl = customConfig.selfUrl || this.getRSSUrl(siteUrl);
     const now = new Date().toUTCString();
 
-    // 生成RSS items
-    const rssItems = articles.map(article => this.generateRSSItem(article)).join('\n');
-
-    // 生成完整RSS XML
-    return `<?xml version="1.0" encoding="UTF-8"?>
-<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
-  <channel>
-    <title><![CDATA[${siteTitle}]]></title>
-    <link>${siteUrl}</link>
-    <description><![CDATA[${siteDescription}]]></description>
-    <language>${config.language}</language>
-    <lastBuildDate>${now}</lastBuildDate>
-    <managingEditor>${config.managingEditor}</managingEditor>
-    <webMaster>${config.webMaster}</webMaster>
-    <generator>${config.generator}</generator>
-    <category>${this.getSiteCategory(siteInfo)}</category>
-    <ttl>${config.ttl}</ttl>
-    <atom:link href="${rssUrl}" rel="self" type="application/rss+xml"/>
-    ${this.generateImageSection(siteInfo)}
-    ${rssItems}
-  </channel>
-</rss>`;
+    const favicon = this.getFavicon(siteInfo);
+    const podcast = articles.some(article => this.getPlayableMedia(article).length > 0);
+
+    return serializeXml(element('rss', {
+      version: '2.0',
+      'xmlns:atom': 'http://www.w3.org/2005/Atom',
+      'xmlns:content': 'http://purl.org/rss/1.0/modules/content/',
+      'xmlns:media': 'http://search.yahoo.com/mrss/',
+      'xmlns:itunes': 'http://www.itunes.com/dtds/podcast-1.0.dtd'
+    },
+      element('channel', {},
+        element('title', {}, cdata(siteTitle)),
+        element('link', {}, this.getSiteLink(siteUrl)),
+        element('description', {}, cdata(siteDescription)),
+        element('language', {}, this.getLanguage(siteInfo, customConfig)),
+        element('lastBuildDate', {}, now),
+        element('managingEditor', {}, config.managingEditor),
+        element('webMaster', {}, config.webMaster),
+        element('generator', {}, config.generator),
+        element('category', {}, this.getSiteCategory(siteInfo)),
+        element('ttl', {}, String(config.ttl)),
+        element('atom:link', { href: rssUrl, rel: 'self', type: 'application/rss+xml' }),
+        this.generateImageSection(siteInfo, siteTitle),
+        // 包含音视频时添加播客应用需要的频道信息
+        podcast && [
+          element('itunes:author', {}, siteTitle),
+          element('itunes:summary', {}, siteDescription),
+          favicon && element('itunes:image', { href: favicon }),
+          element('itunes:explicit', {}, 'false')
+        ],
+        articles.map(article => this.generateRSSItem(article))
+      )
+    ));
+  }
+
+  /**
+   * 按指定格式生成订阅源
+   * format: rss | atom | json
+   */
+  generateFeed(articles, siteInfo, format = 'rss', customConfig = {}) {
+    switch (format) {
+      case 'atom':
+        return this.generateAtom(articles, siteInfo, customConfig);
+      case 'json':
+        return this.generateJSONFeed(articles, siteInfo, customConfig);
+      default:
+        return this.generateRSS(articles, siteInfo, customConfig);
+    }
+  }
+
+  /**
+   * 获取订阅源格式对应的Content-Type
+   */
+  getContentType(format = 'rss') {
+    return FEED_CONTENT_TYPES[format] || FEED_CONTENT_TYPES.rss;
+  }
+
+  /**
+   * 检查是否为支持的订阅源格式
+   */
+  isSupportedFormat(format) {
+    return Object.prototype.hasOwnProperty.call(FEED_CONTENT_TYPES, format);
+  }
+
+  /**
+   * 计算订阅源条目的内容哈希
+   * 只包含条目字段，不受lastBuildDate等生成时间影响，用于ETag
+   */
+  getFeedHash(articles, format = 'rss') {
+    const items = articles.map(article => [
+      article.guid,
+      article.title,
+      article.link,
+      article.description,
+      article.content,
+      article.pubDate,
+      article.author,
+      article.category,
+      article.image,
+      article.source?.url,
+      this.getAttachments(article).map(attachment => [attachment.url, attachment.type, attachment.length])
+    ]);
+
+    return crypto.createHash('sha1')
+      .update(JSON.stringify({ format, items }))
+      .digest('hex');
+  }
+
+  /**
+   * 生成Atom 1.0 XML
+   */
+  generateAtom(articles, siteInfo, customConfig = {}) {
+    const config = { ...this.defaultConfig, ...customConfig };
+    const siteUrl = siteInfo.url;
+    const siteTitle = customConfig.title || this.extractSiteTitle(siteInfo) || config.title;
+    const siteDescription = customConfig.description || this.extractSiteDescription(siteInfo) || config.description;
+    const selfUrl = customConfig.selfUrl || this.getRSSUrl(siteUrl, 'atom');
+    const favicon = this.getFavicon(siteInfo);
+
+    // feed的更新时间取最新条目的时间
+    const updated = articles
+      .map(article => this.toISODate(article.pubDate))
+      .sort()
+      .pop() || new Date().toISOString();
+
+    return serializeXml(element('feed', { xmlns: 'http://www.w3.org/2005/Atom', 'xml:lang': this.getLanguage(siteInfo, customConfig) },
+      element('title', { type: 'text' }, siteTitle),
+      element('subtitle', { type: 'text' }, siteDescription),
+      element('link', { href: this.getSiteLink(siteUrl), rel: 'alternate', type: 'text/html' }),
+      element('link', { href: selfUrl, rel: 'self', type: 'application/atom+xml' }),
+      element('id', {}, this.getSiteLink(siteUrl)),
+      element('updated', {}, updated),
+      element('author', {}, element('name', {}, siteTitle)),
+      element('generator', {}, config.generator),
+      favicon && element('icon', {}, favicon),
+      element('category', { term: this.getSiteCategory(siteInfo) }),
+      articles.map(article => this.generateAtomEntry(article))
+    ));
+  }
+
+  /**
+   * 生成单个Atom条目
+   */
+  generateAtomEntry(article) {
+    const {
+      title,
+      link,
+      description,
+      content,
+      pubDate,
+      guid,
+      author,
+      category,
+      source
+    } = article;
+
+    const date = this.toISODate(pubDate) || new Date().toISOString();
+    const hasContent = content && content.length > (description?.length || 0);
+
+    return element('entry', {},
+      element('title', { type: 'text' }, title),
+      this.isAbsoluteUrl(link) && element('link', { href: link, rel: 'alternate', type: 'text/html' }),
+      element('id', {}, this.getEntryId(guid)),
+      element('published', {}, date),
+      element('updated', {}, date),
+      element('summary', { type: 'html' }, description || title),
+      hasContent && element('content', { type: 'html' }, content),
+      author && element('author', {}, element('name', {}, author)),
+      category && element('category', { term: category }),
+      source && [
+        element('category', { term: source.title, scheme: source.url }),
+        element('source', {},
+          element('id', {}, source.url),
+          element('title', {}, source.title),
+          element('link', { href: source.url, rel: 'alternate', type: 'text/html' }),
+          source.feedUrl && element('link', { href: source.feedUrl, rel: 'self' })
+        )
+      ],
+      this.getAttachments(article).map(attachment =>
+        element('link', { href: attachment.url, rel: 'enclosure', type: attachment.type, length: attachment.length || null })
+      )
+    );
+  }
+
+  /**
+   * 生成JSON Feed 1.1
+   */
+  generateJSONFeed(articles, siteInfo, customConfig = {}) {
+    const config = { ...this.defaultConfig, ...customConfig };
+    const siteUrl = siteInfo.url;
+    const favicon = this.getFavicon(siteInfo);
+
+    const feed = {
+      version: 'https://jsonfeed.org/version/1.1',
+      title: customConfig.title || this.extractSiteTitle(siteInfo) || config.title,
+      home_page_url: this.getSiteLink(siteUrl),
+      feed_url: customConfig.selfUrl || this.getRSSUrl(siteUrl, 'json'),
+      description: customConfig.description || this.extractSiteDescription(siteInfo) || config.description,
+      language: this.getLanguage(siteInfo, customConfig),
+      items: articles.map(article => this.generateJSONFeedItem(article))
+    };
+
+    if (favicon) {
+      feed.favicon = favicon;
+    }
+
+    return JSON.stringify(feed, null, 2);
+  }
+
+  /**
+   * 生成单个JSON Feed条目
+   */
+  generateJSONFeedItem(article) {
+    const {
+      title,
+      link,
+      description,
+      content,
+      pubDate,
+      guid,
+      author,
+      category,
+      image,
+      source
+    } = article;
+
+    const item = {
+      id: guid,
+      url: link,
+      title: title,
+      content_html: content || description || title,
+      summary: description || title
+    };
+
+    const datePublished = this.toISODate(pubDate);
+    if (datePublished) {
+      item.date_published = datePublished;
+    }
+
+    if (author) {
+      item.authors = [{ name: author }];
+    }
+
+    if (category || source) {
+      item.tags = [category, source?.title].filter(Boolean);
+    }
+
+    // 合并订阅源中条目的来源（JSON Feed扩展字段以下划线开头）
+    if (source) {
+      item._source = { title: source.title, url: source.url, feed_url: source.feedUrl };
+    }
+
+    if (image && this.isValidImageUrl(image)) {
+      item.image = image;
+    }
+
+    const attachments = this.getAttachments(article);
+    if (attachments.length > 0) {
+      item.attachments = attachments.map(attachment => {
+        const result = { url: attachment.url, mime_type: attachment.type };
+        if (attachment.length) result.size_in_bytes = attachment.length;
+        if (attachment.duration) result.duration_in_seconds = attachment.duration;
+        return result;
+      });
+    }
+
+    return item;
+  }
+
+  /**
+   * 由文章GUID生成Atom条目ID（需要是合法的IRI）
+   */
+  getEntryId(guid) {
+    return /^[a-z][a-z0-9+.-]*:/i.test(guid) ? guid : `urn:rssos:${guid}`;
+  }
+
+  /**
+   * 将RSS日期转换为ISO 8601格式
+   */
+  toISODate(pubDate) {
+    if (!pubDate) return null;
+    const date = new Date(pubDate);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  /**
+   * 是否为绝对http(s)地址
+   */
+  isAbsoluteUrl(url) {
+    try {
+      return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 将日期转换为RSS使用的RFC 822格式，无法解析时返回null
+   */
+  toRFC822Date(pubDate) {
+    if (!pubDate) return null;
+    const date = new Date(pubDate);
+    return isNaN(date.getTime()) ? null : date.toUTCString();
   }
 
   /**
    * 生成单个RSS项目
+   * 链接不是绝对地址、日期无法解析时省略对应元素，保证输出符合RSS 2.0
    */
   generateRSSItem(article) {
     const {
@@ -67,58 +343,122 @@ class RSSGenerator {
       guid,
       author,
       category,
-      image
+      image,
+      source
     } = article;
 
     // 处理完整内容
-    let contentSection = '';
-    if (content && content.length > (description?.length || 0)) {
-      contentSection = `
-      <content:encoded><![CDATA[${content}]]></content:encoded>`;
+    const hasContent = content && content.length > (description?.length || 0);
+    const date = this.toRFC822Date(pubDate);
+    const enclosure = this.getAttachments(article)[0];
+    const media = this.getPlayableMedia(article);
+    const thumbnail = image && this.isAbsoluteUrl(image) ? image : null;
+
+    return element('item', {},
+      element('title', {}, cdata(title)),
+      this.isAbsoluteUrl(link) && element('link', {}, link),
+      element('description', {}, cdata(description || title)),
+      hasContent && element('content:encoded', {}, cdata(content)),
+      date && element('pubDate', {}, date),
+      guid && element('guid', { isPermaLink: 'false' }, guid),
+      author && element('author', {}, author),
+      category && element('category', {}, category),
+      source && [
+        element('category', { domain: source.url }, source.title),
+        element('source', { url: source.feedUrl || source.url }, source.title)
+      ],
+      // RSS 2.0每个条目只有一个附件，大小未知时length为0
+      enclosure && element('enclosure', { url: enclosure.url, length: String(enclosure.length || 0), type: enclosure.type }),
+      media.map(item => element('media:content', {
+        url: item.url,
+        type: item.type,
+        medium: item.medium,
+        fileSize: item.length ? String(item.length) : null,
+        duration: item.duration ? String(item.duration) : null
+      })),
+      thumbnail && element('media:thumbnail', { url: thumbnail }),
+      media.length > 0 && [
+        author && element('itunes:author', {}, author),
+        media[0].duration && element('itunes:duration', {}, this.formatDuration(media[0].duration)),
+        thumbnail && element('itunes:image', { href: thumbnail })
+      ]
+    );
+  }
+
+  /**
+   * 条目中可播放的音视频
+   */
+  getPlayableMedia(article) {
+    return (article.media || []).filter(item =>
+      (item.medium === 'audio' || item.medium === 'video') && this.isAbsoluteUrl(item.url)
+    );
+  }
+
+  /**
+   * 条目的附件 { url, type, length, duration }，第一个作为RSS的<enclosure>
+   * 优先使用MediaService确定的附件，其次为音视频，没有时使用条目图片（类型按扩展名推断）
+   */
+  getAttachments(article) {
+    const attachments = this.getPlayableMedia(article).map(item => ({
+      url: item.url,
+      type: item.type || `${item.medium}/${item.medium === 'audio' ? 'mpeg' : 'mp4'}`,
+      length: item.length || 0,
+      duration: item.duration || null
+    }));
+
+    const enclosure = article.enclosure;
+    if (enclosure && enclosure.type && this.isAbsoluteUrl(enclosure.url)) {
+      const rest = attachments.filter(attachment => attachment.url !== enclosure.url);
+      const media = attachments.find(attachment => attachment.url === enclosure.url);
+      return [{
+        url: enclosure.url,
+        type: enclosure.type,
+        length: parseInt(enclosure.length, 10) || 0,
+        duration: media ? media.duration : null
+      }].concat(rest);
     }
 
-    // 处理图片
-    let enclosureSection = '';
-    if (image && this.isValidImageUrl(image)) {
-      enclosureSection = `
-      <enclosure url="${image}" type="image/jpeg"/>`;
+    if (attachments.length === 0 && article.image && this.isValidImageUrl(article.image)) {
+      attachments.push({ url: article.image, type: this.mediaExtractor.guessType(article.image), length: 0, duration: null });
     }
 
-    return `
-    <item>
-      <title><![CDATA[${title}]]></title>
-      <link>${link}</link>
-      <description><![CDATA[${description || title}]]></description>${contentSection}
-      <pubDate>${pubDate}</pubDate>
-      <guid isPermaLink="false">${guid}</guid>${author ? `
-      <author>${author}</author>` : ''}${category ? `
-      <category>${category}</category>` : ''}${enclosureSection}
-    </item>`;
+    return attachments;
+  }
+
+  /**
+   * 将秒数格式化为itunes:duration使用的H:MM:SS
+   */
+  formatDuration(seconds) {
+    const total = Math.round(seconds);
+    const pad = value => String(value).padStart(2, '0');
+    return `${Math.floor(total / 3600)}:${pad(Math.floor(total / 60) % 60)}:${pad(total % 60)}`;
   }
 
   /**
    * 生成图片部分
    */
-  generateImageSection(siteInfo) {
+  generateImageSection(siteInfo, title = this.extractSiteTitle(siteInfo)) {
     const favicon = this.getFavicon(siteInfo);
-    if (favicon) {
-      return `
-    <image>
-      <url>${favicon}</url>
-      <title><![CDATA[${this.extractSiteTitle(siteInfo)}]]></title>
-      <link>${siteInfo.url}</link>
-    </image>`;
-    }
-    return '';
+    if (!favicon) return null;
+
+    return element('image', {},
+      element('url', {}, favicon),
+      element('title', {}, cdata(title)),
+      element('link', {}, siteInfo.url)
+    );
   }
 
   /**
    * 提取网站标题
    */
   extractSiteTitle(siteInfo) {
-    // 从网站信息中提取标题的逻辑
-    const url = new URL(siteInfo.url);
-    const domain = url.hostname.replace('www.', '');
+    // 优先使用页面中的网站名称
+    const name = siteInfo.metadata?.title;
+    if (name) {
+      return siteInfo.type === 'diff' ? `${name} - Page Changes` : name;
+    }
+
+    const domain = this.getDomain(siteInfo.url).replace('www.', '');
     
     // 根据网站类型生成合适的标题
     switch (siteInfo.type) {
@@ -132,6 +472,8 @@ class RSSGenerator {
         return `${this.capitalize(domain.split('.')[0])} - Product Updates`;
       case 'repository':
         return `${this.capitalize(domain.split('.')[0])} - Repository Activity`;
+      case 'diff':
+        return `${this.capitalize(domain.split('.')[0])} - Page Changes`;
       default:
         return `${this.capitalize(domain.split('.')[0])} - Site Updates`;
     }
@@ -141,8 +483,12 @@ class RSSGenerator {
    * 提取网站描述
    */
   extractSiteDescription(siteInfo) {
-    const url = new URL(siteInfo.url);
-    const domain = url.hostname;
+    // 变化检测订阅源的描述说明条目的含义，不使用网站描述
+    if (siteInfo.metadata?.description && siteInfo.type !== 'diff') {
+      return siteInfo.metadata.description;
+    }
+
+    const domain = this.getDomain(siteInfo.url);
     
     // 根据网站类型生成合适的描述
     switch (siteInfo.type) {
@@ -156,6 +502,8 @@ class RSSGenerator {
         return `New products and deals from ${domain}. Get notified about latest items and special offers.`;
       case 'repository':
         return `Latest commits, releases, and repository activity from ${domain}. Track development progress.`;
+      case 'diff':
+        return `Content changes detected on ${siteInfo.url}. Each item shows what was added and removed.`;
       default:
         return `Latest updates and content from ${domain}. Automatically generated RSS feed by RSSOS.`;
     }
@@ -182,35 +530,52 @@ class RSSGenerator {
   }
 
   /**
-   * 获取网站图标
+   * 获取网站图标（SiteDetector从页面、Manifest或/favicon.ico中找到的图标），没有时返回null
    */
   getFavicon(siteInfo) {
-    const url = new URL(siteInfo.url);
-    const baseUrl = url.origin;
-    
-    // 常见的favicon路径
-    const faviconPaths = [
-      '/favicon.ico',
-      '/favicon.png',
-      '/apple-touch-icon.png',
-      '/android-chrome-192x192.png'
-    ];
-    
-    // 返回第一个可能的favicon URL
-    return `${baseUrl}/favicon.ico`;
+    const icon = siteInfo.metadata?.icon;
+    return icon && this.isAbsoluteUrl(icon) ? icon : null;
+  }
+
+  /**
+   * 订阅源语言：参数指定 > 页面声明的语言 > 默认值
+   */
+  getLanguage(siteInfo, customConfig = {}) {
+    return customConfig.language || siteInfo.metadata?.language || this.defaultConfig.language;
   }
 
   /**
    * 生成RSS订阅URL
    */
-  getRSSUrl(siteUrl) {
-    // 如果是在Vercel部署，使用实际的RSS API URL
+  getRSSUrl(siteUrl, format = 'rss') {
+    const formatParam = format !== 'rss' ? `&format=${format}` : '';
+    return `${this.getApiBaseUrl()}/api/generate?url=${encodeURIComponent(siteUrl)}${formatParam}`;
+  }
+
+  /**
+   * 生成合并订阅源的URL
+   * sources: 源站URL数组，或 { list: 列表名称 }
+   */
+  getMergeUrl(sources, format = 'rss') {
+    const params = Array.isArray(sources)
+      ? sources.map(url => `url=${encodeURIComponent(url)}`)
+      : [`list=${encodeURIComponent(sources.list)}`];
+    if (format !== 'rss') params.push(`format=${format}`);
+
+    return `${this.getApiBaseUrl()}/api/merge?${params.join('&')}`;
+  }
+
+  /**
+   * API的访问地址
+   */
+  getApiBaseUrl() {
+    // 如果是在Vercel部署，使用实际的API URL
     if (process.env.VERCEL_URL) {
-      return `https://${process.env.VERCEL_URL}/api/generate?url=${encodeURIComponent(siteUrl)}`;
+      return `https://${process.env.VERCEL_URL}`;
     }
-    
+
     // 本地开发环境
-    return `http://localhost:3000/api/generate?url=${encodeURIComponent(siteUrl)}`;
+    return 'http://localhost:3000';
   }
 
   /**
@@ -232,24 +597,152 @@ class RSSGenerator {
     return str.charAt(0).toUpperCase() + str.slice(1);
   }
 
+  /**
+   * 网站的域名，地址无法解析时（例如'unknown'）原样返回
+   */
+  getDomain(siteUrl) {
+    try {
+      return new URL(siteUrl).hostname;
+    } catch (error) {
+      return String(siteUrl || 'unknown');
+    }
+  }
+
+  /**
+   * 频道的<link>：地址无效时使用RSSOS自身的地址，保证频道链接有效
+   */
+  getSiteLink(siteUrl) {
+    return this.isAbsoluteUrl(siteUrl) ? siteUrl : this.getApiBaseUrl();
+  }
+
   /**
    * 验证RSS XML格式
    */
   validateRSS(rssXml) {
+    const errors = this.getRSSErrors(rssXml);
+    if (errors.length > 0) {
+      console.error('RSS validation failed:', errors.join('; '));
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * 解析XML并按RSS 2.0规范检查结构，返回发现的问题列表（为空表示有效）
+   */
+  getRSSErrors(rssXml) {
+    let root;
     try {
-      // 基本XML结构验证
-      if (!rssXml.includes('<?xml')) return false;
-      if (!rssXml.includes('<rss')) return false;
-      if (!rssXml.includes('<channel>')) return false;
-      if (!rssXml.includes('<title>')) return false;
-      if (!rssXml.includes('<link>')) return false;
-      if (!rssXml.includes('<description>')) return false;
-      
-      return true;
+      root = parseXml(String(rssXml || ''));
     } catch (error) {
-      console.error('RSS validation error:', error);
-      return false;
+      return [`Malformed XML: ${error.message}`];
+    }
+
+    const errors = [];
+    if (root.name !== 'rss') {
+      return [`Root element must be <rss>, found <${root.name}>`];
     }
+    if (root.attributes.version !== '2.0') {
+      errors.push(`<rss> version must be "2.0", found ${root.attributes.version ? `"${root.attributes.version}"` : 'none'}`);
+    }
+
+    const channels = childElements(root, 'channel');
+    if (channels.length !== 1) {
+      errors.push(`<rss> must contain exactly one <channel>, found ${channels.length}`);
+      return errors;
+    }
+    const channel = channels[0];
+
+    ['title', 'link', 'description'].forEach(name => {
+      if (childElements(channel, name).length === 0) {
+        errors.push(`<channel> is missing required <${name}>`);
+      }
+    });
+    this.checkUrlElements(channel, 'link', '<channel>', errors);
+    this.checkDateElements(channel, ['pubDate', 'lastBuildDate'], '<channel>', errors);
+
+    childElements(channel, 'ttl').forEach(ttl => {
+      if (!/^\d+$/.test(textContent(ttl).trim())) {
+        errors.push(`<channel> <ttl> must be a number of minutes, found "${textContent(ttl).trim()}"`);
+      }
+    });
+
+    childElements(channel, 'atom:link').forEach(link => {
+      if (!link.attributes.href) {
+        errors.push('<atom:link> is missing href');
+      }
+    });
+
+    childElements(channel, 'image').forEach(image => {
+      ['url', 'title', 'link'].forEach(name => {
+        if (childElements(image, name).length === 0) {
+          errors.push(`<image> is missing required <${name}>`);
+        }
+      });
+      this.checkUrlElements(image, 'url', '<image>', errors);
+    });
+
+    childElements(channel, 'item').forEach((item, index) => {
+      const label = `<item> #${index + 1}`;
+
+      if (childElements(item, 'title').length === 0 && childElements(item, 'description').length === 0) {
+        errors.push(`${label} must have a <title> or <description>`);
+      }
+      this.checkUrlElements(item, 'link', label, errors);
+      this.checkDateElements(item, ['pubDate'], label, errors);
+
+      childElements(item, 'guid').forEach(guid => {
+        const permaLink = guid.attributes.isPermaLink !== 'false';
+        if (permaLink && !this.isAbsoluteUrl(textContent(guid).trim())) {
+          errors.push(`${label} <guid> is a permalink but not an absolute URL (add isPermaLink="false")`);
+        }
+      });
+
+      childElements(item, 'enclosure').forEach(enclosure => {
+        ['url', 'length', 'type'].forEach(name => {
+          if (enclosure.attributes[name] === undefined) {
+            errors.push(`${label} <enclosure> is missing ${name}`);
+          }
+        });
+        if (enclosure.attributes.length !== undefined && !/^\d+$/.test(enclosure.attributes.length)) {
+          errors.push(`${label} <enclosure> length must be a number of bytes`);
+        }
+      });
+
+      childElements(item, 'source').forEach(source => {
+        if (!source.attributes.url) {
+          errors.push(`${label} <source> is missing url`);
+        }
+      });
+    });
+
+    return errors;
+  }
+
+  /**
+   * 检查元素内容是否为绝对URL
+   */
+  checkUrlElements(parent, name, label, errors) {
+    childElements(parent, name).forEach(node => {
+      const value = textContent(node).trim();
+      if (!this.isAbsoluteUrl(value)) {
+        errors.push(`${label} <${name}> must be an absolute URL, found "${value}"`);
+      }
+    });
+  }
+
+  /**
+   * 检查日期元素是否为RFC 822格式
+   */
+  checkDateElements(parent, names, label, errors) {
+    names.forEach(name => {
+      childElements(parent, name).forEach(node => {
+        const value = textContent(node).trim();
+        if (!RFC822_DATE.test(value)) {
+          errors.push(`${label} <${name}> must be an RFC 822 date, found "${value}"`);
+        }
+      });
+    });
   }
 
   /**
@@ -257,26 +750,75 @@ class RSSGenerator {
    */
   generateErrorRSS(error, siteUrl) {
     const now = new Date().toUTCString();
-    const domain = new URL(siteUrl).hostname;
-    
-    return `<?xml version="1.0" encoding="UTF-8"?>
-<rss version="2.0">
-  <channel>
-    <title>RSSOS Error - ${domain}</title>
-    <link>${siteUrl}</link>
-    <description>Error generating RSS feed for ${domain}</description>
-    <lastBuildDate>${now}</lastBuildDate>
-    <generator>RSSOS Universal RSS Generator v1.0</generator>
-    
-    <item>
-      <title>RSS Generation Error</title>
-      <link>${siteUrl}</link>
-      <description><![CDATA[Unable to generate RSS feed: ${error.message}. Please check the URL and try again later.]]></description>
-      <pubDate>${now}</pubDate>
-      <guid isPermaLink="false">rssos-error-${Date.now()}</guid>
-    </item>
-  </channel>
-</rss>`;
+    const domain = this.getDomain(siteUrl);
+    const link = this.getSiteLink(siteUrl);
+    const errorItem = this.describeError(error, siteUrl);
+
+    return serializeXml(element('rss', { version: '2.0' },
+      element('channel', {},
+        element('title', {}, `RSSOS Error - ${domain}`),
+        element('link', {}, link),
+        element('description', {}, `Error generating RSS feed for ${domain}`),
+        element('lastBuildDate', {}, now),
+        element('generator', {}, this.defaultConfig.generator),
+        element('item', {},
+          element('title', {}, errorItem.title),
+          element('link', {}, link),
+          element('description', {}, cdata(errorItem.description)),
+          element('pubDate', {}, now),
+          element('guid', { isPermaLink: 'false' }, errorItem.guid)
+        )
+      )
+    ));
+  }
+
+  /**
+   * 错误条目的标题、描述和GUID
+   * robots.txt禁止访问时说明原因，并使用固定的GUID，避免阅读器重复显示
+   */
+  describeError(error, siteUrl) {
+    if (error.code === 'ERR_ROBOTS_DISALLOWED') {
+      const domain = this.getDomain(siteUrl);
+      return {
+        title: 'Blocked by robots.txt',
+        description: `${domain} does not allow RSSOS to access ${error.url || siteUrl} (robots.txt). ` +
+          'Ask the site owner to allow the "RSSOS" user agent, or subscribe to the site\'s own feed if it has one.',
+        guid: `rssos-robots-${crypto.createHash('md5').update(siteUrl).digest('hex').substring(0, 16)}`
+      };
+    }
+
+    return {
+      title: 'RSS Generation Error',
+      description: `Unable to generate RSS feed: ${error.message}. Please check the URL and try again later.`,
+      guid: `rssos-error-${Date.now()}`
+    };
+  }
+
+  /**
+   * 按指定格式生成错误订阅源
+   */
+  generateErrorFeed(error, siteUrl, format = 'rss') {
+    if (format === 'rss') {
+      return this.generateErrorRSS(error, siteUrl);
+    }
+
+    const errorArticle = {
+      ...this.describeError(error, siteUrl),
+      link: this.getSiteLink(siteUrl),
+      pubDate: new Date().toUTCString()
+    };
+
+    return this.generateFeed([errorArticle], { url: siteUrl, type: 'unknown' }, format);
+  }
+
+  /**
+   * 按指定格式生成空订阅源
+   */
+  generateEmptyFeed(siteUrl, siteInfo, format = 'rss') {
+    if (format === 'rss') {
+      return this.generateEmptyRSS(siteUrl, siteInfo);
+    }
+    return this.generateFeed([], siteInfo, format);
   }
 
   /**
@@ -286,25 +828,24 @@ class RSSGenerator {
     const now = new Date().toUTCString();
     const siteTitle = this.extractSiteTitle(siteInfo);
     const siteDescription = this.extractSiteDescription(siteInfo);
-    
-    return `<?xml version="1.0" encoding="UTF-8"?>
-<rss version="2.0">
-  <channel>
-    <title><![CDATA[${siteTitle}]]></title>
-    <link>${siteUrl}</link>
-    <description><![CDATA[${siteDescription} (No content found)]]></description>
-    <lastBuildDate>${now}</lastBuildDate>
-    <generator>RSSOS Universal RSS Generator v1.0</generator>
-    
-    <item>
-      <title>No Content Found</title>
-      <link>${siteUrl}</link>
-      <description><![CDATA[No suitable content was found on this website for RSS generation. The site might not have parseable content or might require special handling.]]></description>
-      <pubDate>${now}</pubDate>
-      <guid isPermaLink="false">rssos-empty-${Date.now()}</guid>
-    </item>
-  </channel>
-</rss>`;
+    const link = this.getSiteLink(siteUrl);
+
+    return serializeXml(element('rss', { version: '2.0' },
+      element('channel', {},
+        element('title', {}, cdata(siteTitle)),
+        element('link', {}, link),
+        element('description', {}, cdata(`${siteDescription} (No content found)`)),
+        element('lastBuildDate', {}, now),
+        element('generator', {}, this.defaultConfig.generator),
+        element('item', {},
+          element('title', {}, 'No Content Found'),
+          element('link', {}, link),
+          element('description', {}, cdata('No suitable content was found on this website for RSS generation. The site might not have parseable content or might require special handling.')),
+          element('pubDate', {}, now),
+          element('guid', { isPermaLink: 'false' }, `rssos-empty-${Date.now()}`)
+        )
+      )
+    ));
   }
 }
 
@@ -0,0 +1,218 @@
+const fetch = require('node-fetch');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { URL } = require('url');
+
+// 允许的协议
+const ALLOWED_PROTOCOLS = ['http:', 'https:'];
+
+// 默认允许的端口，可通过RSSOS_ALLOWED_PORTS修改（"*"表示不限制）
+const DEFAULT_ALLOWED_PORTS = [80, 443, 8080, 8443];
+
+// 重定向状态码
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// 禁止访问的地址段：本机、私有网络、链路本地（含云服务元数据地址）、保留和组播地址
+const BLOCKED_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.0.2.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['198.51.100.0', 24, 'ipv4'],
+  ['203.0.113.0', 24, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['100::', 64, 'ipv6'],
+  ['2001:db8::', 32, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const blockList = new net.BlockList();
+BLOCKED_SUBNETS.forEach(([address, prefix, type]) => blockList.addSubnet(address, prefix, type));
+
+/**
+ * 目标地址不允许访问时抛出的错误
+ */
+class UnsafeUrlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnsafeUrlError';
+    this.code = 'ERR_UNSAFE_URL';
+  }
+}
+
+/**
+ * 读取访问策略，每次调用时读取环境变量以便测试和本地开发调整
+ */
+function getPolicy(env = process.env) {
+  const ports = (env.RSSOS_ALLOWED_PORTS || '').trim();
+
+  return {
+    allowPrivate: ['1', 'true'].includes(String(env.RSSOS_ALLOW_PRIVATE_NETWORKS || '').toLowerCase()),
+    allowedPorts: ports === '*'
+      ? null
+      : (ports ? ports.split(',').map(port => parseInt(port, 10)).filter(Boolean) : DEFAULT_ALLOWED_PORTS)
+  };
+}
+
+/**
+ * 判断IP地址是否属于禁止访问的地址段
+ */
+function isPrivateAddress(address) {
+  const type = net.isIP(address);
+  if (type === 0) return false;
+
+  // IPv4映射的IPv6地址按IPv4检查
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return blockList.check(mapped[1], 'ipv4');
+  }
+
+  return blockList.check(address, type === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * 检查URL的协议、端口和IP字面量主机名（不进行DNS解析）
+ */
+function checkUrl(url, policy = getPolicy()) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new UnsafeUrlError(`Invalid URL: ${url}`);
+  }
+
+  if (!ALLOWED_PROTOCOLS.includes(parsed.protocol)) {
+    throw new UnsafeUrlError(`URL scheme ${parsed.protocol} is not allowed`);
+  }
+
+  const port = parsed.port ? parseInt(parsed.port, 10) : (parsed.protocol === 'https:' ? 443 : 80);
+  if (policy.allowedPorts && !policy.allowedPorts.includes(port)) {
+    throw new UnsafeUrlError(`Port ${port} is not allowed`);
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (!policy.allowPrivate && isPrivateAddress(hostname)) {
+    throw new UnsafeUrlError(`Address ${hostname} is not allowed`);
+  }
+
+  return parsed;
+}
+
+/**
+ * 检查URL并解析DNS，任一解析结果为内网地址时抛出UnsafeUrlError
+ * DNS解析失败时抛出原始错误
+ */
+async function assertSafeUrl(url, policy = getPolicy()) {
+  const parsed = checkUrl(url, policy);
+  if (policy.allowPrivate) return parsed;
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname)) return parsed;
+
+  const addresses = await dns.promises.lookup(hostname, { all: true });
+  const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+  if (blocked) {
+    throw new UnsafeUrlError(`Host ${hostname} resolves to disallowed address ${blocked.address}`);
+  }
+
+  return parsed;
+}
+
+/**
+ * 连接时使用的DNS解析函数
+ * 在建立连接前检查解析结果，避免检查后DNS记录被替换（DNS重绑定）
+ */
+function safeLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (!getPolicy().allowPrivate) {
+      const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+      if (blocked) {
+        return callback(new UnsafeUrlError(`Host ${hostname} resolves to disallowed address ${blocked.address}`));
+      }
+    }
+
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+}
+
+const httpAgent = new http.Agent({ keepAlive: true, lookup: safeLookup });
+const httpsAgent = new https.Agent({ keepAlive: true, lookup: safeLookup });
+
+/**
+ * 安全的fetch
+ * 与node-fetch参数相同；每次请求（包括重定向后的地址）都检查协议、端口和解析出的IP，
+ * 重定向次数由options.follow限制（默认5次）；options.redirect为'manual'时直接返回重定向响应
+ */
+async function safeFetch(url, options = {}) {
+  const { follow = 5, redirect = 'follow', ...fetchOptions } = options;
+  let currentUrl = url;
+  let method = (fetchOptions.method || 'GET').toUpperCase();
+  let body = fetchOptions.body;
+
+  for (let redirects = 0; ; redirects++) {
+    const parsed = checkUrl(currentUrl);
+
+    const response = await fetch(parsed.toString(), {
+      ...fetchOptions,
+      method,
+      body,
+      redirect: 'manual',
+      agent: parsed.protocol === 'https:' ? httpsAgent : httpAgent
+    });
+
+    const location = response.headers.get('location');
+    if (redirect === 'manual' || !REDIRECT_STATUSES.includes(response.status) || !location) {
+      return response;
+    }
+
+    // 丢弃重定向响应的正文，释放连接
+    if (response.body && response.body.resume) {
+      response.body.resume();
+    }
+
+    if (redirects >= follow) {
+      throw new Error(`Maximum redirect reached at: ${currentUrl}`);
+    }
+
+    // 303以及POST的301/302改为GET
+    if (response.status === 303 || ((response.status === 301 || response.status === 302) && method === 'POST')) {
+      method = 'GET';
+      body = undefined;
+    }
+
+    currentUrl = new URL(location, currentUrl).toString();
+  }
+}
+
+module.exports = {
+  safeFetch,
+  assertSafeUrl,
+  checkUrl,
+  isPrivateAddress,
+  UnsafeUrlError
+};
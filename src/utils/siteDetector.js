@@ -1,11 +1,28 @@
 const cheerio = require('cheerio');
+const { URL } = require('url');
+const StructuredDataParser = require('../parsers/structuredDataParser');
+
+// 未声明尺寸的图标按此尺寸比较
+const DEFAULT_ICON_SIZES = {
+  'apple-touch-icon': 180,
+  'apple-touch-icon-precomposed': 180,
+  icon: 32
+};
+
+// 页面声明的图标小于此尺寸时读取Web App Manifest中的图标（RSS的<image>最宽144像素）
+const MANIFEST_ICON_SIZE = 144;
 
 /**
  * 网站类型检测器
  * 用于识别网站的类型和结构，以便选择合适的解析策略
  */
 class SiteDetector {
-  constructor() {
+  constructor(options = {}) {
+    // 站点规则优先于启发式检测器
+    this.siteRules = options.siteRules || null;
+    // 用于读取Web App Manifest和检查/favicon.ico，未设置时只使用页面中声明的图标
+    this.httpClient = options.httpClient || null;
+    this.structuredDataParser = new StructuredDataParser();
     this.detectors = [
       this.detectWordPress,
       this.detectMovableType,
@@ -23,13 +40,21 @@ class SiteDetector {
    */
   async detectSiteType(html, url) {
     const $ = cheerio.load(html);
+    const metadata = await this.extractMetadata($, url);
+
+    const rule = this.siteRules ? this.siteRules.match(url) : null;
+    if (rule) {
+      return { ...this.siteRules.toSiteInfo(rule, url), metadata };
+    }
+
     const siteInfo = {
       url: url,
       type: 'unknown',
       platform: 'unknown',
       confidence: 0,
       selectors: {},
-      features: []
+      features: [],
+      metadata
     };
 
     // 运行所有检测器
@@ -43,6 +68,140 @@ class SiteDetector {
     return siteInfo;
   }
 
+  /**
+   * 提取网站信息，用于订阅源的标题、描述、语言和图片
+   * html: HTML字符串或cheerio实例
+   * 返回 { title, description, language, icon }，页面中没有的字段为null
+   */
+  async extractMetadata(html, url) {
+    const $ = typeof html === 'string' ? cheerio.load(html) : html;
+    const meta = name => this.cleanText($(`meta[property="${name}"], meta[name="${name}"]`).first().attr('content'));
+
+    const title = meta('og:site_name') || meta('application-name') ||
+      this.cleanText($('head title').first().text() || $('title').first().text()) || meta('og:title');
+    const description = meta('og:description') || meta('description') || meta('twitter:description');
+    const language = this.normalizeLanguage($('html').attr('lang')) ||
+      this.normalizeLanguage($('meta[http-equiv="content-language" i]').attr('content')) ||
+      this.normalizeLanguage(meta('og:locale'));
+
+    return {
+      title: title || null,
+      description: description || null,
+      language: language || null,
+      icon: await this.findIcon($, url)
+    };
+  }
+
+  /**
+   * 选择网站图标：页面声明的icon/apple-touch-icon中最大的一个，
+   * 都较小时比较Manifest中的图标，都没有时检查/favicon.ico是否存在
+   */
+  async findIcon($, url) {
+    const icons = [];
+
+    $('link[rel][href]').each((index, element) => {
+      const $el = $(element);
+      const rels = ($el.attr('rel') || '').toLowerCase().split(/\s+/);
+      const rel = Object.keys(DEFAULT_ICON_SIZES).find(name => rels.includes(name));
+      if (!rel) return;
+
+      const icon = this.createIcon($el.attr('href'), url, $el.attr('sizes'), $el.attr('type'), DEFAULT_ICON_SIZES[rel]);
+      if (icon) icons.push(icon);
+    });
+
+    let best = this.largestIcon(icons);
+
+    const manifestHref = $('link[rel~="manifest"]').attr('href');
+    if (this.httpClient && manifestHref && (!best || best.size < MANIFEST_ICON_SIZE)) {
+      best = this.largestIcon(icons.concat(await this.fetchManifestIcons(this.resolveUrl(manifestHref, url))));
+    }
+
+    if (best) return best.url;
+    return this.httpClient ? await this.checkFavicon(url) : null;
+  }
+
+  /**
+   * 读取Web App Manifest中的图标，失败时返回空列表
+   */
+  async fetchManifestIcons(manifestUrl) {
+    if (!manifestUrl) return [];
+
+    try {
+      const manifest = await this.httpClient.fetchJSON(manifestUrl, { timeout: 5000, retries: 0 });
+      const icons = Array.isArray(manifest.icons) ? manifest.icons : [];
+      return icons
+        // 单色图标只有轮廓，不适合作为订阅源图片
+        .filter(icon => icon && icon.purpose !== 'monochrome')
+        .map(icon => this.createIcon(icon.src, manifestUrl, icon.sizes, icon.type, 0))
+        .filter(Boolean);
+    } catch (error) {
+      console.error(`Failed to read manifest ${manifestUrl}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * 检查/favicon.ico是否存在，存在时返回其地址
+   */
+  async checkFavicon(url) {
+    let faviconUrl;
+    try {
+      faviconUrl = new URL('/favicon.ico', url).toString();
+    } catch (error) {
+      return null;
+    }
+
+    try {
+      const response = await this.httpClient.request(faviconUrl, { method: 'HEAD', timeout: 5000, retries: 0 });
+      const type = response.headers.get('content-type') || '';
+      return response.ok && !type.startsWith('text/') ? faviconUrl : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 创建图标 { url, size }，SVG等订阅源阅读器通常不支持的格式返回null
+   */
+  createIcon(href, baseUrl, sizes, type, defaultSize) {
+    const iconUrl = this.resolveUrl(href, baseUrl);
+    if (!iconUrl || /svg/i.test(type || '') || /\.svg(?:$|\?)/i.test(iconUrl)) return null;
+
+    const size = String(sizes || '').split(/\s+/)
+      .map(value => parseInt(value.split(/x/i)[0], 10))
+      .filter(Number.isFinite)
+      .reduce((max, value) => Math.max(max, value), 0);
+
+    return { url: iconUrl, size: size || defaultSize };
+  }
+
+  largestIcon(icons) {
+    return icons.reduce((best, icon) => (!best || icon.size > best.size ? icon : best), null);
+  }
+
+  /**
+   * 规范化语言代码（如 en_US -> en-us），无效时返回null
+   */
+  normalizeLanguage(value) {
+    const language = String(value || '').trim().replace(/_/g, '-').toLowerCase();
+    return /^[a-z]{2,3}(?:-[a-z0-9]{2,8})*$/.test(language) ? language : null;
+  }
+
+  cleanText(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  resolveUrl(href, baseUrl) {
+    if (!href || /^data:/i.test(href.trim())) return null;
+
+    try {
+      const resolved = new URL(href.trim(), baseUrl);
+      return ['http:', 'https:'].includes(resolved.protocol) ? resolved.toString() : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * 检测WordPress网站
    */
@@ -102,10 +261,10 @@ class SiteDetector {
       features.push('sixapart-theme');
     }
 
-    // 检测阮一峰博客特有结构
-    if (url.includes('ruanyifeng.com') || $('.entry-asset').length > 0) {
+    // 检测Movable Type常见的文章结构
+    if ($('.entry-asset').length > 0) {
       confidence += 40;
-      features.push('ruanyifeng-blog-structure');
+      features.push('entry-asset-structure');
     }
 
     if ($('.asset-name.entry-title').length > 0) {
@@ -222,8 +381,9 @@ class SiteDetector {
       features.push('article-meta');
     }
 
-    // 检查JSON-LD结构化数据
-    if (html.includes('"@type":"NewsArticle"') || html.includes('"@type":"Article"')) {
+    // 检查JSON-LD和微数据中的新闻/文章类型
+    const schemaTypes = [...this.structuredDataParser.getTypes($)];
+    if (schemaTypes.some(type => type === 'Article' || type.endsWith('NewsArticle'))) {
       confidence += 40;
       features.push('structured-data');
     }
@@ -259,7 +419,7 @@ class SiteDetector {
       features.push('product-listings');
     }
 
-    if (html.includes('"@type":"Product"')) {
+    if (this.structuredDataParser.getTypes($).has('Product')) {
       confidence += 40;
       features.push('product-structured-data');
     }
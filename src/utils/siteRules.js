@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { URL } = require('url');
+
+// 规则文件默认目录
+const DEFAULT_RULES_DIR = path.join(__dirname, '../../rules');
+
+/**
+ * 站点规则管理器
+ * 从规则目录加载JSON/YAML格式的站点配置，优先于启发式检测器使用
+ */
+class SiteRules {
+  constructor(rulesDir = process.env.RSSOS_RULES_DIR || DEFAULT_RULES_DIR) {
+    this.rulesDir = rulesDir;
+    this.rules = [];
+  }
+
+  /**
+   * 加载规则目录中的所有规则文件
+   */
+  load() {
+    this.rules = [];
+
+    if (!fs.existsSync(this.rulesDir)) {
+      console.log(`Site rules directory not found: ${this.rulesDir}`);
+      return this.rules;
+    }
+
+    const files = fs.readdirSync(this.rulesDir)
+      .filter(file => /\.(json|ya?ml)$/i.test(file))
+      .sort();
+
+    for (const file of files) {
+      const filePath = path.join(this.rulesDir, file);
+      try {
+        const raw = fs.readFileSync(filePath, 'utf-8');
+        const data = /\.json$/i.test(file) ? JSON.parse(raw) : yaml.load(raw);
+
+        // 一个文件可以包含单条规则或规则数组
+        const rules = Array.isArray(data) ? data : [data];
+        rules.forEach((rule, index) => {
+          this.rules.push(this.compileRule(rule, `${file}#${index}`));
+        });
+      } catch (error) {
+        console.error(`Failed to load site rule ${file}:`, error.message);
+      }
+    }
+
+    console.log(`Loaded ${this.rules.length} site rules from ${this.rulesDir}`);
+    return this.rules;
+  }
+
+  /**
+   * 校验并预处理规则
+   */
+  compileRule(rule, source) {
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`Rule ${source} must be an object`);
+    }
+
+    const match = rule.match || {};
+    const hostnames = [].concat(match.hostname || []).map(hostname => hostname.toLowerCase());
+    if (hostnames.length === 0 && !match.urlPattern) {
+      throw new Error(`Rule ${source} must declare match.hostname or match.urlPattern`);
+    }
+
+    const selectors = rule.selectors || {};
+    if (!selectors.item || !selectors.title) {
+      throw new Error(`Rule ${source} must declare selectors.item and selectors.title`);
+    }
+
+    return {
+      ...rule,
+      name: rule.name || source,
+      source: source,
+      hostnames: hostnames,
+      urlPattern: match.urlPattern ? new RegExp(match.urlPattern, 'i') : null
+    };
+  }
+
+  /**
+   * 查找与URL匹配的第一条规则
+   */
+  match(url) {
+    let urlObj;
+    try {
+      urlObj = new URL(url);
+    } catch (error) {
+      return null;
+    }
+
+    const hostname = urlObj.hostname.toLowerCase();
+
+    return this.rules.find(rule => {
+      // 主机名匹配本身及其子域名
+      if (rule.hostnames.length > 0 &&
+          !rule.hostnames.some(name => hostname === name || hostname.endsWith(`.${name}`))) {
+        return false;
+      }
+      if (rule.urlPattern && !rule.urlPattern.test(url)) {
+        return false;
+      }
+      return true;
+    }) || null;
+  }
+
+  /**
+   * 将规则转换为网站信息
+   */
+  toSiteInfo(rule, url) {
+    const { item, ...selectors } = rule.selectors;
+
+    return {
+      url: url,
+      type: rule.type || 'generic',
+      platform: rule.platform || 'site-rule',
+      confidence: 100,
+      selectors: {
+        articles: item,
+        ...selectors
+      },
+      features: [`site-rule:${rule.name}`],
+      rule: {
+        name: rule.name,
+        dateFormat: rule.dateFormat || null,
+        timezone: rule.timezone || null,
+        dateOrder: rule.dateOrder || null,
+        author: rule.author || null,
+        category: rule.category || null,
+        limit: rule.limit || 20,
+        fullText: rule.fullText || null
+      }
+    };
+  }
+}
+
+module.exports = SiteRules;
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// 订阅文件默认路径
+const DEFAULT_SUBSCRIPTIONS_FILE = path.join(__dirname, '../../data/subscriptions.json');
+
+// 刷新间隔（分钟）：默认值和允许的范围
+// RSS缓存30分钟过期，间隔必须更短，保证请求总能命中缓存
+const DEFAULT_INTERVAL = 20;
+const MIN_INTERVAL = 5;
+const MAX_INTERVAL = 25;
+
+// 订阅可以保存的生成参数（与/api/generate的查询参数相同）
+const SUBSCRIPTION_OPTIONS = [
+  'format', 'mode', 'fulltext', 'pages', 'render', 'wait',
+  'item', 'title', 'link', 'date', 'content', 'image', 'next',
+  'include', 'exclude', 'limit', 'since', 'ignore', 'threshold'
+];
+
+/**
+ * 订阅注册表
+ * 保存需要定时刷新的网站及其生成参数和刷新状态，数据写入JSON文件。
+ * 每次读写都直接访问文件，手动编辑的文件在下次读取时生效
+ */
+class SubscriptionStore {
+  constructor(file = process.env.RSSOS_SUBSCRIPTIONS_FILE || DEFAULT_SUBSCRIPTIONS_FILE) {
+    this.file = file;
+  }
+
+  /**
+   * 读取所有订阅，文件不存在时返回空列表
+   */
+  list() {
+    if (!fs.existsSync(this.file)) {
+      return [];
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf-8'));
+      return [].concat(data.subscriptions || []).filter(subscription => subscription && subscription.url);
+    } catch (error) {
+      console.error(`Failed to read subscriptions from ${this.file}:`, error.message);
+      return [];
+    }
+  }
+
+  get(id) {
+    return this.list().find(subscription => subscription.id === id) || null;
+  }
+
+  /**
+   * 写入文件（先写临时文件再重命名，避免写入中断留下损坏的文件）
+   */
+  save(subscriptions) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ subscriptions }, null, 2));
+    fs.renameSync(tmp, this.file);
+  }
+
+  /**
+   * 添加订阅，相同URL和参数的订阅只更新刷新间隔
+   * options: 生成参数；interval: 刷新间隔（分钟）
+   * 参数无效时抛出错误
+   */
+  add(url, options = {}, interval = DEFAULT_INTERVAL) {
+    const normalized = this.validate(url, options, interval);
+    const id = this.generateId(normalized.url, normalized.options);
+    const subscriptions = this.list();
+    const existing = subscriptions.find(subscription => subscription.id === id);
+
+    if (existing) {
+      existing.interval = normalized.interval;
+      this.save(subscriptions);
+      return existing;
+    }
+
+    const subscription = {
+      id,
+      ...normalized,
+      createdAt: new Date().toISOString(),
+      lastRefreshAt: null,
+      lastSuccessAt: null,
+      lastError: null,
+      failures: 0,
+      nextRefreshAt: null
+    };
+    subscriptions.push(subscription);
+    this.save(subscriptions);
+    return subscription;
+  }
+
+  /**
+   * 更新订阅的字段，订阅不存在时返回null
+   */
+  update(id, changes) {
+    const subscriptions = this.list();
+    const subscription = subscriptions.find(item => item.id === id);
+    if (!subscription) return null;
+
+    Object.assign(subscription, changes);
+    this.save(subscriptions);
+    return subscription;
+  }
+
+  /**
+   * 删除订阅，返回是否存在
+   */
+  remove(id) {
+    const subscriptions = this.list();
+    const remaining = subscriptions.filter(subscription => subscription.id !== id);
+    if (remaining.length === subscriptions.length) return false;
+
+    this.save(remaining);
+    return true;
+  }
+
+  /**
+   * 校验并规范化订阅（只检查格式，参数值由FeedService.parseRequest校验）
+   */
+  validate(url, options, interval = DEFAULT_INTERVAL) {
+    let parsed;
+    try {
+      parsed = new URL(String(url || '').trim());
+    } catch (error) {
+      throw new Error(`Invalid subscription URL: ${url}`);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new Error(`Invalid subscription URL: ${url}`);
+    }
+
+    const minutes = Number(interval);
+    if (!Number.isInteger(minutes) || minutes < MIN_INTERVAL || minutes > MAX_INTERVAL) {
+      throw new Error(`Subscription interval must be an integer between ${MIN_INTERVAL} and ${MAX_INTERVAL} minutes`);
+    }
+
+    const normalizedOptions = {};
+    Object.entries(options || {}).forEach(([name, value]) => {
+      if (!SUBSCRIPTION_OPTIONS.includes(name)) {
+        throw new Error(`Unknown subscription option: ${name}`);
+      }
+      if (value === undefined || value === null || value === '') return;
+      normalizedOptions[name] = Array.isArray(value) ? value.map(String) : String(value);
+    });
+
+    return { url: parsed.toString(), options: normalizedOptions, interval: minutes };
+  }
+
+  generateId(url, options) {
+    const sorted = Object.keys(options).sort().map(name => [name, options[name]]);
+    return crypto.createHash('md5').update(`${url}\n${JSON.stringify(sorted)}`).digest('hex').substring(0, 12);
+  }
+
+  /**
+   * 订阅对应的/api/generate查询参数
+   */
+  toQuery(subscription) {
+    return { ...subscription.options, url: subscription.url };
+  }
+}
+
+module.exports = SubscriptionStore;
@@ -0,0 +1,376 @@
+/**
+ * XML工具
+ * 生成订阅源使用的序列化器（统一转义，避免手写模板遗漏），
+ * 以及检查生成结果是否为格式良好的XML的严格解析器
+ */
+
+// XML 1.0不允许出现的字符：控制字符、U+FFFE/U+FFFF和不成对的代理项
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g;
+
+// 未声明DTD时可以使用的实体
+const PREDEFINED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const NAME_PATTERN = /[\p{L}_:][\p{L}\p{N}_.:\-·]*/uy;
+
+const INDENT = '  ';
+
+/**
+ * 创建元素节点
+ * 子节点可以是字符串（转义后作为文本）、cdata()、元素或它们的数组；
+ * null、undefined、false和空字符串被忽略，便于按条件添加子元素
+ * 值为null、undefined或false的属性不输出
+ */
+function element(name, attributes = {}, ...children) {
+  return {
+    type: 'element',
+    name,
+    attributes: attributes || {},
+    children: children.flat(Infinity).filter(child =>
+      child !== null && child !== undefined && child !== false && child !== ''
+    )
+  };
+}
+
+/**
+ * 创建CDATA节点，内容中的"]]>"会被拆分到两个CDATA段中
+ */
+function cdata(text) {
+  return { type: 'cdata', text: String(text ?? '') };
+}
+
+/**
+ * 移除XML中不允许出现的字符
+ */
+function stripInvalidChars(text) {
+  return String(text ?? '').replace(INVALID_XML_CHARS, '');
+}
+
+function escapeText(text) {
+  return stripInvalidChars(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(value) {
+  return stripInvalidChars(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\t/g, '&#9;')
+    .replace(/\n/g, '&#10;')
+    .replace(/\r/g, '&#13;');
+}
+
+function serializeNode(node, depth) {
+  if (node.type === 'cdata') {
+    return `<![CDATA[${stripInvalidChars(node.text).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+  }
+  if (node.type !== 'element') {
+    return escapeText(node);
+  }
+
+  const attributes = Object.entries(node.attributes)
+    .filter(([, value]) => value !== null && value !== undefined && value !== false)
+    .map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`)
+    .join('');
+
+  if (node.children.length === 0) {
+    return `<${node.name}${attributes}/>`;
+  }
+
+  // 只包含文本的元素写在一行
+  if (node.children.every(child => child.type !== 'element')) {
+    return `<${node.name}${attributes}>${node.children.map(child => serializeNode(child, depth + 1)).join('')}</${node.name}>`;
+  }
+
+  const indent = INDENT.repeat(depth + 1);
+  const children = node.children.map(child => `\n${indent}${serializeNode(child, depth + 1)}`).join('');
+  return `<${node.name}${attributes}>${children}\n${INDENT.repeat(depth)}</${node.name}>`;
+}
+
+/**
+ * 将元素序列化为带XML声明的文档
+ */
+function serializeXml(root) {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${serializeNode(root, 0)}`;
+}
+
+/**
+ * XML解析错误，message中包含行号和列号
+ */
+class XmlParseError extends Error {
+  constructor(message, line, column) {
+    super(`${message} (line ${line}, column ${column})`);
+    this.name = 'XmlParseError';
+    this.line = line;
+    this.column = column;
+  }
+}
+
+/**
+ * 严格解析XML文档，不符合XML 1.0和命名空间规范时抛出XmlParseError
+ * 返回根元素 { type: 'element', name, attributes, children }，文本节点为 { type: 'text', text }
+ * 不支持DTD中声明的实体
+ */
+function parseXml(xml) {
+  const source = String(xml ?? '');
+  let pos = source.charCodeAt(0) === 0xFEFF ? 1 : 0;
+
+  const fail = (message, at = pos) => {
+    const before = source.slice(0, at).split('\n');
+    throw new XmlParseError(message, before.length, before[before.length - 1].length + 1);
+  };
+
+  INVALID_XML_CHARS.lastIndex = 0;
+  const invalid = INVALID_XML_CHARS.exec(source);
+  INVALID_XML_CHARS.lastIndex = 0;
+  if (invalid) {
+    fail(`Invalid character U+${invalid[0].charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')}`, invalid.index);
+  }
+
+  const startsWith = (text) => source.startsWith(text, pos);
+  const skipWhitespace = () => {
+    while (pos < source.length && /\s/.test(source[pos])) pos++;
+  };
+  const readUntil = (terminator, description) => {
+    const end = source.indexOf(terminator, pos);
+    if (end === -1) fail(`Unterminated ${description}`);
+    const text = source.slice(pos, end);
+    pos = end + terminator.length;
+    return text;
+  };
+  const readName = () => {
+    NAME_PATTERN.lastIndex = pos;
+    const match = NAME_PATTERN.exec(source);
+    if (!match) fail('Expected a name');
+    pos += match[0].length;
+    return match[0];
+  };
+  const decodeEntities = (text, start) => text.replace(/&([^;\s&<]*);?/g, (reference, name, offset) => {
+    if (!reference.endsWith(';')) {
+      fail('Unescaped "&" (use &amp;)', start + offset);
+    }
+    if (name.startsWith('#')) {
+      const code = /^#x[0-9a-f]+$/i.test(name) ? parseInt(name.slice(2), 16)
+        : /^#[0-9]+$/.test(name) ? parseInt(name.slice(1), 10) : NaN;
+      const char = Number.isNaN(code) || code > 0x10FFFF ? '' : String.fromCodePoint(code);
+      if (!char || stripInvalidChars(char) !== char) {
+        fail(`Invalid character reference &${name};`, start + offset);
+      }
+      return char;
+    }
+    if (!Object.prototype.hasOwnProperty.call(PREDEFINED_ENTITIES, name)) {
+      fail(`Undefined entity &${name};`, start + offset);
+    }
+    return PREDEFINED_ENTITIES[name];
+  });
+  const skipMisc = () => {
+    for (;;) {
+      skipWhitespace();
+      if (startsWith('<!--')) {
+        pos += 4;
+        if (readUntil('-->', 'comment').includes('--')) fail('"--" is not allowed inside comments');
+      } else if (startsWith('<?')) {
+        pos += 2;
+        if (/^xml\b/i.test(source.slice(pos, pos + 4))) fail('XML declaration must be at the start of the document', pos - 2);
+        readUntil('?>', 'processing instruction');
+      } else {
+        return;
+      }
+    }
+  };
+
+  // XML声明和序言
+  if (startsWith('<?xml')) {
+    pos += 5;
+    const declaration = readUntil('?>', 'XML declaration');
+    if (!/^\s+version\s*=\s*(["'])1\.[0-9]+\1/.test(declaration)) fail('XML declaration must specify a version', 0);
+  }
+  skipMisc();
+  if (startsWith('<!DOCTYPE')) {
+    let depth = 0;
+    while (pos < source.length && !(source[pos] === '>' && depth === 0)) {
+      if (source[pos] === '[') depth++;
+      if (source[pos] === ']') depth--;
+      pos++;
+    }
+    if (pos >= source.length) fail('Unterminated DOCTYPE');
+    pos++;
+    skipMisc();
+  }
+
+  if (!startsWith('<') || pos >= source.length) fail('Missing root element');
+
+  // 元素使用显式栈处理，避免深层嵌套导致递归过深
+  const stack = [];
+  let root = null;
+
+  const checkNamespace = (name, scope, at, isAttribute) => {
+    const colon = name.indexOf(':');
+    if (colon === -1) return;
+    const prefix = name.slice(0, colon);
+    if (prefix === 'xmlns' && isAttribute) return;
+    if (colon === 0 || colon === name.length - 1 || name.indexOf(':', colon + 1) !== -1) {
+      fail(`Invalid qualified name "${name}"`, at);
+    }
+    if (prefix !== 'xml' && !scope[prefix]) {
+      fail(`Namespace prefix "${prefix}" is not declared`, at);
+    }
+  };
+
+  while (root === null || stack.length > 0) {
+    if (stack.length > 0 && !startsWith('<')) {
+      const start = pos;
+      const next = source.indexOf('<', pos);
+      if (next === -1) fail(`Unclosed element <${stack[stack.length - 1].name}>`, source.length);
+      const raw = source.slice(pos, next);
+      const cdataEnd = raw.indexOf(']]>');
+      if (cdataEnd !== -1) fail('"]]>" is not allowed in text', start + cdataEnd);
+      stack[stack.length - 1].children.push({ type: 'text', text: decodeEntities(raw, start) });
+      pos = next;
+      continue;
+    }
+
+    if (startsWith('<!--')) {
+      if (stack.length === 0) fail('Missing root element');
+      pos += 4;
+      if (readUntil('-->', 'comment').includes('--')) fail('"--" is not allowed inside comments');
+    } else if (startsWith('<![CDATA[')) {
+      if (stack.length === 0) fail('Missing root element');
+      pos += 9;
+      stack[stack.length - 1].children.push({ type: 'text', text: readUntil(']]>', 'CDATA section') });
+    } else if (startsWith('<?')) {
+      if (stack.length === 0) fail('Missing root element');
+      pos += 2;
+      readUntil('?>', 'processing instruction');
+    } else if (startsWith('</')) {
+      const start = pos;
+      pos += 2;
+      const name = readName();
+      skipWhitespace();
+      if (!startsWith('>')) fail(`Expected ">" to close </${name}>`);
+      pos++;
+      const open = stack.pop();
+      if (!open) fail(`Unexpected closing tag </${name}>`, start);
+      if (open.name !== name) fail(`Closing tag </${name}> does not match <${open.name}>`, start);
+    } else if (startsWith('<')) {
+      const start = pos;
+      pos++;
+      const name = readName();
+      const attributes = {};
+      const attributePositions = {};
+
+      for (;;) {
+        const hadWhitespace = /\s/.test(source[pos] || '');
+        skipWhitespace();
+        if (startsWith('>') || startsWith('/>')) break;
+        if (pos >= source.length) fail(`Unterminated start tag <${name}>`, start);
+        if (!hadWhitespace) fail(`Expected whitespace before attribute in <${name}>`);
+
+        const attributeStart = pos;
+        const attributeName = readName();
+        skipWhitespace();
+        if (!startsWith('=')) fail(`Attribute "${attributeName}" has no value`);
+        pos++;
+        skipWhitespace();
+        const quote = source[pos];
+        if (quote !== '"' && quote !== "'") fail(`Attribute "${attributeName}" value must be quoted`);
+        pos++;
+        const valueStart = pos;
+        const value = readUntil(quote, `attribute "${attributeName}"`);
+        if (value.includes('<')) fail(`"<" is not allowed in attribute "${attributeName}"`, valueStart + value.indexOf('<'));
+        if (Object.prototype.hasOwnProperty.call(attributes, attributeName)) {
+          fail(`Duplicate attribute "${attributeName}"`, attributeStart);
+        }
+        attributes[attributeName] = decodeEntities(value, valueStart);
+        attributePositions[attributeName] = attributeStart;
+      }
+
+      // 命名空间作用域：继承父元素并加入本元素声明的前缀
+      const scope = { ...(stack.length > 0 ? stack[stack.length - 1].scope : {}) };
+      Object.keys(attributes).forEach(attributeName => {
+        if (attributeName.startsWith('xmlns:')) {
+          if (!attributes[attributeName]) fail(`Namespace prefix "${attributeName.slice(6)}" cannot be undeclared`, attributePositions[attributeName]);
+          scope[attributeName.slice(6)] = attributes[attributeName];
+        }
+      });
+      checkNamespace(name, scope, start, false);
+      Object.keys(attributes).forEach(attributeName =>
+        checkNamespace(attributeName, scope, attributePositions[attributeName], true)
+      );
+
+      const node = { type: 'element', name, attributes, children: [], scope };
+      if (stack.length > 0) {
+        stack[stack.length - 1].children.push(node);
+      } else if (root) {
+        fail('Document has more than one root element', start);
+      } else {
+        root = node;
+      }
+
+      if (startsWith('/>')) {
+        pos += 2;
+      } else {
+        pos++;
+        stack.push(node);
+      }
+    } else {
+      fail('Unexpected content');
+    }
+  }
+
+  skipMisc();
+  if (pos < source.length) fail('Content is not allowed after the root element');
+
+  return stripScopes(root);
+}
+
+function stripScopes(root) {
+  const stack = [root];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    delete node.scope;
+    node.children.forEach(child => {
+      if (child.type === 'element') stack.push(child);
+    });
+  }
+  return root;
+}
+
+/**
+ * 元素的直接子元素，name可选
+ */
+function childElements(node, name) {
+  return node.children.filter(child => child.type === 'element' && (!name || child.name === name));
+}
+
+/**
+ * 元素的文本内容（包括子元素的文本）
+ */
+function textContent(node) {
+  let text = '';
+  // 按文档顺序遍历，子节点逆序入栈
+  const stack = [...node.children].reverse();
+  while (stack.length > 0) {
+    const child = stack.pop();
+    if (child.type === 'element') {
+      for (let i = child.children.length - 1; i >= 0; i--) stack.push(child.children[i]);
+    } else {
+      text += child.text;
+    }
+  }
+  return text;
+}
+
+module.exports = {
+  element,
+  cdata,
+  serializeXml,
+  stripInvalidChars,
+  parseXml,
+  childElements,
+  textContent,
+  XmlParseError
+};
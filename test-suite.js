@@ -10,10 +10,37 @@ const SiteDetector = require('./src/utils/siteDetector');
 const ContentParser = require('./src/parsers/contentParser');
 const RSSGenerator = require('./src/utils/rssGenerator');
 const CacheManager = require('./src/utils/cacheManager');
+const FeedDiscovery = require('./src/utils/feedDiscovery');
+const SiteRules = require('./src/utils/siteRules');
+const DateParser = require('./src/utils/dateParser');
+const FullTextExtractor = require('./src/parsers/fullTextExtractor');
+const HtmlSanitizer = require('./src/utils/htmlSanitizer');
+const ContentPipeline = require('./src/utils/contentPipeline');
+const MediaService = require('./src/utils/mediaService');
+const ItemHistory = require('./src/utils/itemHistory');
+const Paginator = require('./src/utils/paginator');
+const ItemFilter = require('./src/utils/itemFilter');
+const FeedLists = require('./src/utils/feedLists');
+const FeedBuilder = require('./src/utils/feedBuilder');
+const PageRenderer = require('./src/utils/pageRenderer');
+const { safeFetch, assertSafeUrl, isPrivateAddress } = require('./src/utils/safeFetch');
+const HttpClient = require('./src/utils/httpClient');
+const RobotsTxt = require('./src/utils/robotsTxt');
+const CrawlPolicy = require('./src/utils/crawlPolicy');
+const ApiKeys = require('./src/utils/apiKeys');
+const RateLimiter = require('./src/utils/rateLimiter');
+const AccessControl = require('./src/utils/accessControl');
+const SubscriptionStore = require('./src/utils/subscriptionStore');
+const FeedScheduler = require('./src/utils/feedScheduler');
+const FeedService = require('./src/utils/feedService');
+const ChangeDetector = require('./src/utils/changeDetector');
+const RedisClient = require('./src/utils/cacheStores/redisClient');
 
 class TestSuite {
     constructor() {
-        this.detector = new SiteDetector();
+        this.siteRules = new SiteRules();
+        this.siteRules.load();
+        this.detector = new SiteDetector({ siteRules: this.siteRules });
         this.generator = new RSSGenerator();
         this.cache = new CacheManager();
         this.results = {
@@ -34,6 +61,8 @@ class TestSuite {
             { name: '单元测试', tests: this.getUnitTests() },
             { name: '网站检测测试', tests: this.getSiteDetectionTests() },
             { name: '内容解析测试', tests: this.getContentParsingTests() },
+            { name: '站点规则测试', tests: this.getSiteRuleTests() },
+            { name: '订阅源发现测试', tests: this.getFeedDiscoveryTests() },
             { name: 'RSS生成测试', tests: this.getRSSGenerationTests() },
             { name: '缓存系统测试', tests: this.getCacheTests() },
             { name: '实际网站测试', tests: this.getRealSiteTests() }
@@ -153,6 +182,759 @@ class TestSuite {
                     }
                 }
             },
+            {
+                name: '按规范化链接生成GUID',
+                category: 'unit',
+                fn: async () => {
+                    const siteInfo = { url: 'https://example.com/', type: 'blog' };
+                    const parser = new ContentParser(siteInfo);
+
+                    const plain = parser.generateGuid('https://example.com/post/1', 'Post');
+                    const tracked = parser.generateGuid('https://EXAMPLE.com/post/1?utm_source=rss&fbclid=x#comments', 'Post (updated)');
+
+                    if (plain !== tracked) {
+                        throw new Error('跟踪参数和fragment不应影响GUID');
+                    }
+
+                    // 链接指向首页时按标题区分
+                    const first = parser.generateGuid('https://example.com/', 'First');
+                    const second = parser.generateGuid('https://example.com/', 'Second');
+                    if (first === second || first !== parser.generateGuid(null, 'First')) {
+                        throw new Error('没有独立链接的条目应按标题生成GUID');
+                    }
+                }
+            },
+            {
+                name: '记录条目首次出现时间',
+                category: 'unit',
+                fn: async () => {
+                    const cache = new CacheManager({ env: { RSSOS_CACHE_STORE: 'memory' } });
+                    const history = new ItemHistory({ cacheManager: cache });
+                    const siteUrl = 'https://history.example.com';
+                    const firstSeen = Date.UTC(2024, 0, 1, 12, 0, 0);
+
+                    const first = await history.apply(siteUrl, [
+                        { guid: 'a', title: 'A', pubDate: null },
+                        { guid: 'b', title: 'B', pubDate: 'Mon, 01 Jan 2024 00:00:00 GMT' }
+                    ], firstSeen);
+
+                    if (first[0].pubDate !== 'Mon, 01 Jan 2024 12:00:00 GMT' || !first[0].dateEstimated) {
+                        throw new Error(`缺少日期的条目应使用首次出现时间: ${first[0].pubDate}`);
+                    }
+
+                    if (first[1].pubDate !== 'Mon, 01 Jan 2024 00:00:00 GMT') {
+                        throw new Error('已有日期的条目不应被修改');
+                    }
+
+                    // 一天后重新生成，旧条目保持原来的时间
+                    const second = await history.apply(siteUrl, [
+                        { guid: 'c', title: 'C', pubDate: null },
+                        { guid: 'a', title: 'A', pubDate: null }
+                    ], firstSeen + 24 * 60 * 60 * 1000);
+
+                    if (second[1].pubDate !== 'Mon, 01 Jan 2024 12:00:00 GMT') {
+                        throw new Error('重新生成后条目时间发生变化');
+                    }
+
+                    if (second[0].pubDate !== 'Tue, 02 Jan 2024 12:00:00 GMT') {
+                        throw new Error('新条目应使用本次出现时间');
+                    }
+                }
+            },
+            {
+                name: '分页抓取并去重',
+                category: 'unit',
+                fn: async () => {
+                    const paginator = new Paginator();
+
+                    const relNext = paginator.findNextPage('<html><head><link rel="next" href="/page/2/"></head></html>', 'https://blog.example.com/');
+                    if (relNext !== 'https://blog.example.com/page/2/') {
+                        throw new Error(`未识别rel="next": ${relNext}`);
+                    }
+
+                    const olderPosts = paginator.findNextPage('<a href="https://other.example.com/p2">下一页</a><a href="?page=3">Older posts »</a>', 'https://blog.example.com/?page=2');
+                    if (olderPosts !== 'https://blog.example.com/?page=3') {
+                        throw new Error(`未识别Older posts链接或跟随了外部链接: ${olderPosts}`);
+                    }
+
+                    const configured = paginator.findNextPage('<div class="more"><a href="/archive/2">更多</a></div>', 'https://blog.example.com/', '.more');
+                    if (configured !== 'https://blog.example.com/archive/2') {
+                        throw new Error(`未使用指定的下一页选择器: ${configured}`);
+                    }
+
+                    // 第三页重复第二页的条目，第四页不应被请求
+                    const pageHtml = {
+                        'https://blog.example.com/page/2': '<a rel="next" href="/page/3">next</a>',
+                        'https://blog.example.com/page/3': '<a rel="next" href="/page/4">next</a>'
+                    };
+                    const pageArticles = {
+                        'https://blog.example.com/page/2': [{ guid: 'b' }, { guid: 'c' }],
+                        'https://blog.example.com/page/3': [{ guid: 'c' }]
+                    };
+                    const fetched = [];
+
+                    const result = await paginator.crawl('https://blog.example.com/', '<a rel="next" href="/page/2">next</a>', [{ guid: 'a' }, { guid: 'b' }], {
+                        pages: 5,
+                        fetchPage: async (url) => {
+                            fetched.push(url);
+                            return pageHtml[url];
+                        },
+                        parsePage: async (html, url) => pageArticles[url]
+                    });
+
+                    if (result.articles.map(article => article.guid).join(',') !== 'a,b,c') {
+                        throw new Error(`合并结果不正确: ${result.articles.map(article => article.guid)}`);
+                    }
+
+                    if (fetched.length !== 2 || result.pages !== 3) {
+                        throw new Error(`没有新条目时应停止翻页: ${fetched.join(', ')}`);
+                    }
+
+                    const expired = await paginator.crawl('https://blog.example.com/', '<a rel="next" href="/page/2">next</a>', [], {
+                        pages: 5,
+                        deadline: Date.now() - 1,
+                        fetchPage: async () => { throw new Error('超出时间预算后不应再请求'); },
+                        parsePage: async () => []
+                    });
+
+                    if (expired.pages !== 1) {
+                        throw new Error('超出时间预算后应停止翻页');
+                    }
+                }
+            },
+            {
+                name: '按条件过滤条目',
+                category: 'unit',
+                fn: async () => {
+                    const now = Date.UTC(2024, 4, 10);
+                    const articles = [
+                        { title: 'Release 2.0', description: '<p>Big <b>news</b></p>', author: 'Alice', category: 'Product', pubDate: 'Thu, 09 May 2024 00:00:00 GMT' },
+                        { title: 'Sponsored: Buy now', description: 'Advertisement', author: 'Bob', category: 'Ads', pubDate: 'Wed, 08 May 2024 00:00:00 GMT' },
+                        { title: 'Weekly digest', description: 'Release notes inside', author: 'Alice', category: 'News', pubDate: 'Mon, 01 Jan 2024 00:00:00 GMT' }
+                    ];
+                    const titles = filter => filter.apply(articles, now).map(article => article.title).join(' | ');
+
+                    const cases = [
+                        [{ include: 'release' }, 'Release 2.0 | Weekly digest'],
+                        [{ include: 'title:release' }, 'Release 2.0'],
+                        [{ include: 'description:big news' }, 'Release 2.0'],
+                        [{ exclude: '/^sponsored:/i' }, 'Release 2.0 | Weekly digest'],
+                        [{ include: ['category:news', 'author:bob'] }, 'Sponsored: Buy now | Weekly digest'],
+                        [{ include: 'author:alice', exclude: 'category:/^news$/i' }, 'Release 2.0'],
+                        [{ since: '7d' }, 'Release 2.0 | Sponsored: Buy now'],
+                        [{ since: '2024-05-09' }, 'Release 2.0'],
+                        [{ limit: '2' }, 'Release 2.0 | Sponsored: Buy now']
+                    ];
+
+                    cases.forEach(([options, expected]) => {
+                        const result = titles(new ItemFilter(options));
+                        if (result !== expected) {
+                            throw new Error(`${JSON.stringify(options)} 结果为 "${result}"，期望 "${expected}"`);
+                        }
+                    });
+
+                    if (new ItemFilter({}).isActive()) {
+                        throw new Error('未设置条件时不应启用过滤');
+                    }
+
+                    [{ include: '/(/' }, { include: '/(a+)+$/' }, { exclude: '/(x|xx)*y/' }, { since: 'whenever' }, { limit: '0' }].forEach(options => {
+                        let rejected = false;
+                        try {
+                            new ItemFilter(options);
+                        } catch (error) {
+                            rejected = true;
+                        }
+                        if (!rejected) {
+                            throw new Error(`无效参数应被拒绝: ${JSON.stringify(options)}`);
+                        }
+                    });
+
+                    // 超时的正则视为不匹配，不会导致生成失败
+                    const slowStartedAt = Date.now();
+                    const slow = new ItemFilter({ include: `title:/${'a*'.repeat(8)}b/` })
+                        .apply(Array.from({ length: 20 }, () => ({ title: 'a'.repeat(3000) })));
+                    if (slow.length !== 0 || Date.now() - slowStartedAt > 1000) {
+                        throw new Error('超时的正则应视为不匹配');
+                    }
+                }
+            },
+            {
+                name: 'HTTP客户端重试和编码检测',
+                category: 'unit',
+                fn: async () => {
+                    const { Response } = fetch;
+                    const requests = [];
+                    const responses = [
+                        { status: 503, headers: { 'Retry-After': '0' } },
+                        { status: 429, headers: {} },
+                        { status: 200, headers: { 'Content-Type': 'text/html' }, body: Buffer.from([0xD6, 0xD0, 0xCE, 0xC4]) }
+                    ];
+                    const client = new HttpClient({
+                        retryDelay: 1,
+                        maxBodySize: 64,
+                        userAgent: 'TestAgent/1.0',
+                        fetch: async (url, options) => {
+                            requests.push(options);
+                            const next = responses.shift();
+                            return new Response(next.body || '', { status: next.status, headers: next.headers, size: options.size });
+                        }
+                    });
+
+                    // 先回退到<meta charset>
+                    responses[2].body = Buffer.concat([Buffer.from('<meta charset="gb2312">'), responses[2].body]);
+                    const text = await client.fetchText('https://example.com/');
+                    if (requests.length !== 3) {
+                        throw new Error(`应重试2次，实际请求${requests.length}次`);
+                    }
+                    if (requests[0].headers['User-Agent'] !== 'TestAgent/1.0') {
+                        throw new Error('未使用配置的User-Agent');
+                    }
+                    if (!text.endsWith('中文')) {
+                        throw new Error(`GBK解码错误: ${text}`);
+                    }
+
+                    const big5 = client.decode(Buffer.from([0xA4, 0xA4, 0xA4, 0xE5]), 'text/html; charset=Big5');
+                    const sjis = client.decode(Buffer.from([0x93, 0xFA, 0x96, 0x7B]), 'text/html; charset=Shift_JIS');
+                    if (big5 !== '中文' || sjis !== '日本') {
+                        throw new Error(`Big5/Shift_JIS解码错误: ${big5} ${sjis}`);
+                    }
+
+                    // Retry-After超过上限时不再等待
+                    if (client.getRetryDelay(new Response('', { status: 429, headers: { 'Retry-After': '3600' } }), 0) !== null) {
+                        throw new Error('过长的Retry-After应放弃重试');
+                    }
+
+                    // 超过大小上限
+                    responses.push({ status: 200, headers: {}, body: require('stream').Readable.from([Buffer.alloc(40), Buffer.alloc(60)]) });
+                    let tooLarge = false;
+                    try {
+                        await client.fetchText('https://example.com/large');
+                    } catch (error) {
+                        tooLarge = /exceeds 64 bytes/.test(error.message);
+                    }
+                    if (!tooLarge) throw new Error('应拒绝超过大小上限的响应');
+                }
+            },
+            {
+                name: '遵守robots.txt和抓取间隔',
+                category: 'unit',
+                fn: async () => {
+                    const robots = new RobotsTxt([
+                        'User-agent: *',
+                        'Disallow: /private',
+                        '',
+                        'User-agent: RSSOS',
+                        'Disallow: /search',
+                        'Disallow: /*.pdf$',
+                        'Allow: /search/about',
+                        'Crawl-delay: 2'
+                    ].join('\n'));
+
+                    const expectations = [
+                        ['/', true],
+                        ['/private/page', true], // RSSOS组覆盖 * 组
+                        ['/search?q=rss', false],
+                        ['/search/about', true],
+                        ['/files/report.pdf', false],
+                        ['/files/report.pdf?download=1', true]
+                    ];
+                    expectations.forEach(([path, allowed]) => {
+                        if (robots.isAllowed(path, 'RSSOS') !== allowed) {
+                            throw new Error(`${path} 应${allowed ? '允许' : '禁止'}访问`);
+                        }
+                    });
+                    if (robots.isAllowed('/private/page', 'OtherBot')) {
+                        throw new Error('其他爬虫应使用 * 组');
+                    }
+                    if (robots.getCrawlDelay('RSSOS') !== 2) {
+                        throw new Error('Crawl-delay解析错误');
+                    }
+
+                    // 禁止访问时抛出错误，robots.txt只获取一次
+                    let robotsRequests = 0;
+                    const request = async () => {
+                        robotsRequests++;
+                        return new fetch.Response('User-agent: *\nDisallow: /admin\nCrawl-delay: 0.05', { status: 200 });
+                    };
+                    const policy = new CrawlPolicy({ cacheManager: new CacheManager(), hostInterval: 0 });
+
+                    let disallowed = null;
+                    try {
+                        await policy.enforce('https://polite.example.com/admin/feed', { request });
+                    } catch (error) {
+                        disallowed = error;
+                    }
+                    if (!disallowed || disallowed.code !== 'ERR_ROBOTS_DISALLOWED') {
+                        throw new Error('robots.txt禁止的页面应被拒绝');
+                    }
+
+                    // 同一主机的请求按Crawl-delay间隔
+                    const startedAt = Date.now();
+                    await policy.enforce('https://polite.example.com/a', { request });
+                    await policy.enforce('https://polite.example.com/b', { request });
+                    await policy.enforce('https://polite.example.com/c', { request });
+                    if (Date.now() - startedAt < 90) {
+                        throw new Error('未按Crawl-delay限制请求频率');
+                    }
+                    if (robotsRequests !== 1) {
+                        throw new Error(`robots.txt应只获取一次，实际${robotsRequests}次`);
+                    }
+
+                    // 订阅源探测遵守请求时间预算，排队超过预算的路径直接跳过
+                    const probed = [];
+                    const slowClient = new HttpClient({
+                        crawlPolicy: new CrawlPolicy({ cacheManager: new CacheManager(), hostInterval: 1000 }),
+                        fetch: async (url) => {
+                            probed.push(url);
+                            return new fetch.Response('', { status: url.endsWith('/robots.txt') ? 200 : 404 });
+                        }
+                    });
+                    const probeStartedAt = Date.now();
+                    let budgetError = null;
+                    try {
+                        await new FeedDiscovery({ httpClient: slowClient }).discover('<html></html>', 'https://slow.example.com/', {
+                            deadline: Date.now() + 500
+                        });
+                    } catch (error) {
+                        budgetError = error;
+                    }
+                    if (!budgetError || budgetError.code !== 'ERR_REQUEST_BUDGET' || Date.now() - probeStartedAt > 1000) {
+                        throw new Error(`探测应在预算内停止: ${budgetError && budgetError.message}`);
+                    }
+                    if (probed.filter(url => !url.endsWith('/robots.txt')).length !== 1) {
+                        throw new Error(`超出预算的路径不应请求: ${probed.join(', ')}`);
+                    }
+
+                    // 站点规则可以忽略robots.txt
+                    const fs = require('fs');
+                    const os = require('os');
+                    const path = require('path');
+                    const rulesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rssos-rules-'));
+                    fs.writeFileSync(path.join(rulesDir, 'polite.json'), JSON.stringify({
+                        match: { hostname: 'polite.example.com' },
+                        selectors: { item: 'article', title: 'h2' },
+                        robots: false,
+                        crawlDelay: 0
+                    }));
+                    try {
+                        const siteRules = new SiteRules(rulesDir);
+                        siteRules.load();
+                        const overridden = new CrawlPolicy({ siteRules, cacheManager: new CacheManager() });
+                        await overridden.enforce('https://polite.example.com/admin/feed', { request });
+                    } finally {
+                        fs.rmSync(rulesDir, { recursive: true, force: true });
+                    }
+
+                    const errorFeed = new RSSGenerator().generateErrorFeed(disallowed, 'https://polite.example.com/admin/feed');
+                    if (!errorFeed.includes('Blocked by robots.txt') || !errorFeed.includes('rssos-robots-')) {
+                        throw new Error('错误订阅源应说明robots.txt禁止访问');
+                    }
+                }
+            },
+            {
+                name: 'API限流和API key',
+                category: 'unit',
+                fn: async () => {
+                    const fs = require('fs');
+                    const os = require('os');
+                    const path = require('path');
+
+                    const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rssos-keys-'));
+                    const configFile = path.join(configDir, 'api-keys.yaml');
+                    fs.writeFileSync(configFile, [
+                        'anonymous:',
+                        '  requests: 2',
+                        '  per: 60',
+                        'keys:',
+                        '  - name: reader',
+                        `    sha256: ${ApiKeys.hashApiKey('secret-key')}`,
+                        '    rateLimit:',
+                        '      requests: 10',
+                        '    quota:',
+                        '      daily: 3'
+                    ].join('\n'));
+
+                    try {
+                        const apiKeys = new ApiKeys(configFile);
+                        apiKeys.load();
+                        const accessControl = new AccessControl({
+                            apiKeys,
+                            rateLimiter: new RateLimiter({ env: { RSSOS_CACHE_STORE: 'memory' } }),
+                            env: {}
+                        });
+
+                        const makeRequest = (headers = {}, query = {}) => ({
+                            headers, query, socket: { remoteAddress: '198.51.100.7' }
+                        });
+                        const makeResponse = () => ({
+                            headers: {},
+                            setHeader(name, value) { this.headers[name] = value; }
+                        });
+
+                        // 匿名请求按IP限流
+                        const results = [];
+                        let res;
+                        for (let i = 0; i < 3; i++) {
+                            res = makeResponse();
+                            results.push(await accessControl.check(makeRequest(), res));
+                        }
+                        if (!results[0].allowed || !results[1].allowed || results[2].allowed || results[2].status !== 429) {
+                            throw new Error('匿名请求应在第3次被限流');
+                        }
+                        if (res.headers['RateLimit-Limit'] !== 2 || res.headers['RateLimit-Remaining'] !== 0 || !(res.headers['Retry-After'] > 0)) {
+                            throw new Error(`RateLimit响应头错误: ${JSON.stringify(res.headers)}`);
+                        }
+
+                        // 并发请求不会读到相同的剩余令牌数
+                        const limiter = new RateLimiter({ env: { RSSOS_CACHE_STORE: 'memory' } });
+                        const concurrent = await Promise.all(Array.from({ length: 8 }, () =>
+                            limiter.consume('ip:203.0.113.9', { requests: 5, per: 60 })
+                        ));
+                        if (concurrent.filter(result => result.allowed).length !== 5) {
+                            throw new Error('并发请求应按令牌数放行');
+                        }
+
+                        // 无效的key
+                        const invalid = await accessControl.check(makeRequest({ 'x-api-key': 'wrong' }), makeResponse());
+                        if (invalid.allowed || invalid.status !== 401) {
+                            throw new Error('无效的API key应返回401');
+                        }
+
+                        // 有效的key使用自己的限流和每日配额
+                        const keyed = [];
+                        for (let i = 0; i < 4; i++) {
+                            res = makeResponse();
+                            keyed.push(await accessControl.check(makeRequest({}, { key: 'secret-key' }), res));
+                        }
+                        if (!keyed.slice(0, 3).every(result => result.allowed && result.client.name === 'reader')) {
+                            throw new Error('有效的API key应通过');
+                        }
+                        if (keyed[3].allowed || keyed[3].body.error !== 'Daily quota exceeded') {
+                            throw new Error('超过每日配额应被拒绝');
+                        }
+                        if (res.headers['X-Quota-Remaining'] !== 0) {
+                            throw new Error('配额响应头错误');
+                        }
+
+                        // 配额用完的请求不消耗限流令牌
+                        const bucket = await accessControl.rateLimiter.consume('key:reader', { requests: 10, per: 60 });
+                        if (bucket.remaining !== 6) {
+                            throw new Error(`配额拒绝的请求不应消耗令牌，剩余${bucket.remaining}`);
+                        }
+
+                        // 要求API key时拒绝匿名请求
+                        apiKeys.required = true;
+                        const anonymous = await accessControl.check(makeRequest(), makeResponse());
+                        if (anonymous.allowed || anonymous.status !== 401) {
+                            throw new Error('要求API key时匿名请求应返回401');
+                        }
+
+                        // 配置文件无效时不加载部分key，并拒绝所有请求
+                        fs.writeFileSync(configFile, [
+                            'keys:',
+                            '  - name: reader',
+                            `    sha256: ${ApiKeys.hashApiKey('secret-key')}`,
+                            '  - name: broken'
+                        ].join('\n'));
+                        apiKeys.load();
+                        const rejected = await accessControl.check(makeRequest({}, { key: 'secret-key' }), makeResponse());
+                        if (apiKeys.keys.size !== 0 || rejected.allowed || rejected.status !== 503) {
+                            throw new Error('无效的API key配置应拒绝所有请求');
+                        }
+                    } finally {
+                        fs.rmSync(configDir, { recursive: true, force: true });
+                    }
+                }
+            },
+            {
+                name: '订阅定时刷新和缓存预热',
+                category: 'unit',
+                fn: async () => {
+                    const fs = require('fs');
+                    const os = require('os');
+                    const path = require('path');
+
+                    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rssos-subscriptions-'));
+                    try {
+                        const store = new SubscriptionStore(path.join(dataDir, 'subscriptions.json'));
+                        const ok = store.add('https://ok.example.com/', { format: 'atom' }, 10);
+                        const broken = store.add('https://broken.example.com/', {}, 10);
+
+                        // 相同URL和参数不重复添加
+                        store.add('https://ok.example.com/', { format: 'atom' }, 15);
+                        if (store.list().length !== 2 || store.get(ok.id).interval !== 15) {
+                            throw new Error('重复的订阅应只更新间隔');
+                        }
+
+                        // 间隔不能超过RSS缓存的有效期
+                        let tooLong = false;
+                        try {
+                            store.add('https://slow.example.com/', {}, 60);
+                        } catch (error) {
+                            tooLong = true;
+                        }
+                        if (!tooLong) throw new Error('超过RSS缓存有效期的间隔应被拒绝');
+
+                        const refreshed = [];
+                        const scheduler = new FeedScheduler({
+                            store,
+                            refresh: async (subscription) => {
+                                refreshed.push(subscription.url);
+                                if (subscription.id === broken.id) throw new Error('upstream down');
+                            }
+                        });
+
+                        const now = Date.now();
+                        const first = await scheduler.tick(now);
+                        if (first.refreshed !== 1 || first.failed !== 1) {
+                            throw new Error(`首次刷新结果错误: ${JSON.stringify(first)}`);
+                        }
+
+                        // 成功的订阅按间隔安排，失败的订阅退避
+                        const okState = store.get(ok.id);
+                        const brokenState = store.get(broken.id);
+                        if (Date.parse(okState.nextRefreshAt) - Date.parse(okState.lastRefreshAt) !== 15 * 60 * 1000) {
+                            throw new Error('成功后应按订阅间隔安排下次刷新');
+                        }
+                        if (brokenState.failures !== 1 || brokenState.lastError !== 'upstream down' ||
+                            Date.parse(brokenState.nextRefreshAt) - Date.parse(brokenState.lastRefreshAt) !== 20 * 60 * 1000) {
+                            throw new Error('失败后应记录错误并退避');
+                        }
+
+                        // 未到期的订阅不刷新
+                        refreshed.length = 0;
+                        await scheduler.tick(Date.now() + 16 * 60 * 1000);
+                        if (refreshed.length !== 1 || refreshed[0] !== 'https://ok.example.com/') {
+                            throw new Error(`到期判断错误: ${refreshed.join(', ')}`);
+                        }
+
+                        // 启动预热刷新缓存中没有的订阅并记录结果，之后的触发不再立即重复获取
+                        refreshed.length = 0;
+                        const startedAt = Date.now();
+                        await scheduler.warmup(async subscription => subscription.id === ok.id, startedAt);
+                        if (refreshed.length !== 1 || refreshed[0] !== 'https://broken.example.com/') {
+                            throw new Error(`预热应只刷新没有缓存的订阅: ${refreshed.join(', ')}`);
+                        }
+                        await scheduler.tick(startedAt);
+                        if (refreshed.length !== 1) {
+                            throw new Error('预热后的订阅不应立即再次刷新');
+                        }
+
+                        // 长间隔的订阅失败后的退避也要长于间隔
+                        const backoff = Date.parse(store.get(broken.id).nextRefreshAt) - Date.parse(store.get(broken.id).lastRefreshAt);
+                        if (store.get(broken.id).failures !== 2 || backoff !== 40 * 60 * 1000) {
+                            throw new Error(`连续失败后的退避错误: ${backoff}`);
+                        }
+                    } finally {
+                        fs.rmSync(dataDir, { recursive: true, force: true });
+                    }
+
+                    // 缓存预热只处理没有缓存的条目
+                    const cacheManager = new CacheManager({ env: { RSSOS_CACHE_STORE: 'memory' } });
+                    await cacheManager.cacheRSS('https://ok.example.com/', '<rss/>', 'format=atom');
+                    const warmed = [];
+                    const result = await cacheManager.warmupCache([
+                        { url: 'https://ok.example.com/', variant: 'format=atom' },
+                        'https://cold.example.com/'
+                    ], async (entry) => { warmed.push(entry.url); });
+                    if (result.warmed !== 1 || result.skipped !== 1 || warmed[0] !== 'https://cold.example.com/') {
+                        throw new Error(`缓存预热结果错误: ${JSON.stringify(result)}`);
+                    }
+                }
+            },
+            {
+                name: '定时刷新生成并缓存订阅源',
+                category: 'unit',
+                fn: async () => {
+                    const http = require('http');
+                    let title = 'First post';
+                    const server = http.createServer((req, res) => {
+                        if (req.url !== '/blog') {
+                            res.statusCode = 404;
+                            return res.end();
+                        }
+                        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+                        res.end(`<html><head><title>Local Blog</title></head><body>
+                            <article class="post"><h2><a href="/posts/1">${title}</a></h2><p>Hello world</p></article>
+                            <article class="post"><h2><a href="/posts/2">Second post</a></h2><p>More text</p></article>
+                        </body></html>`);
+                    });
+                    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+                    const savedEnv = {
+                        private: process.env.RSSOS_ALLOW_PRIVATE_NETWORKS,
+                        ports: process.env.RSSOS_ALLOWED_PORTS
+                    };
+                    process.env.RSSOS_ALLOW_PRIVATE_NETWORKS = '1';
+                    process.env.RSSOS_ALLOWED_PORTS = String(server.address().port);
+
+                    try {
+                        const cacheManager = new CacheManager({ env: { RSSOS_CACHE_STORE: 'memory' } });
+                        const feedService = new FeedService({ siteRules: this.siteRules, cacheManager });
+                        const url = `http://127.0.0.1:${server.address().port}/blog`;
+                        const query = { url, format: 'atom', item: 'article.post', title: 'h2 a', link: 'h2 a' };
+
+                        const first = await feedService.refresh(query);
+                        if (first.articles !== 2 || !first.changed) {
+                            throw new Error(`首次刷新结果错误: ${JSON.stringify(first)}`);
+                        }
+
+                        // 刷新结果写入请求使用的同一缓存键
+                        const parsed = await feedService.parseRequest(query, 'atom');
+                        const cached = await cacheManager.getCachedRSS(url, parsed.request.cacheVariant);
+                        if (!cached || !cached.content.includes('First post')) {
+                            throw new Error('刷新结果应写入RSS缓存');
+                        }
+
+                        title = 'Edited post';
+                        const second = await feedService.refresh(query);
+                        const updated = await cacheManager.getCachedRSS(url, parsed.request.cacheVariant);
+                        if (!second.changed || !updated.content.includes('Edited post')) {
+                            throw new Error('定时刷新应忽略缓存重新抓取');
+                        }
+
+                        let rejected = false;
+                        try {
+                            await feedService.refresh({ url, pages: '0' });
+                        } catch (error) {
+                            rejected = error.message.includes('Invalid pages parameter');
+                        }
+                        if (!rejected) throw new Error('无效参数应导致刷新失败');
+                    } finally {
+                        const restore = (name, value) => {
+                            if (value === undefined) delete process.env[name];
+                            else process.env[name] = value;
+                        };
+                        restore('RSSOS_ALLOW_PRIVATE_NETWORKS', savedEnv.private);
+                        restore('RSSOS_ALLOWED_PORTS', savedEnv.ports);
+                        server.close();
+                    }
+                }
+            },
+            {
+                name: '页面变化检测',
+                category: 'unit',
+                fn: async () => {
+                    const cacheManager = new CacheManager({ env: { RSSOS_CACHE_STORE: 'memory' } });
+                    const changeDetector = new ChangeDetector({ cacheManager });
+                    const url = 'https://example.com/pricing';
+                    const page = (price, updated) => `<html><body>
+                        <nav>Home | Pricing</nav>
+                        <main>
+                            <h1>Pricing</h1>
+                            <p>Last updated ${updated}</p>
+                            <div class="plan"><h2>Basic</h2><p>${price} per month</p></div>
+                            <div class="ad">Sponsored offer ${updated}</div>
+                            <div class="plan"><h2>Pro</h2><p>$30 per month</p></div>
+                        </main>
+                    </body></html>`;
+
+                    // 首次请求保存快照
+                    let items = await changeDetector.detect(url, page('$10', '2024-05-01 10:00'));
+                    if (items.length !== 1) {
+                        throw new Error('首次请求应生成一个开始监控的条目');
+                    }
+
+                    // 只有时间和广告变化时不生成新条目
+                    items = await changeDetector.detect(url, page('$10', 'May 2, 2024 11:30 am'));
+                    if (items.length !== 1) {
+                        throw new Error('时间戳和广告的变化应被忽略');
+                    }
+                    items = await changeDetector.detect(url, page('$10', '1714650600123'));
+                    if (items.length !== 1) {
+                        throw new Error('Unix时间戳的变化应被忽略');
+                    }
+
+                    // 低于阈值的变化被忽略
+                    items = await changeDetector.detect(url, page('$12', '2024-05-03'), { threshold: 3 });
+                    if (items.length !== 1) {
+                        throw new Error('低于阈值的变化应被忽略');
+                    }
+
+                    items = await changeDetector.detect(url, page('$12', '2024-05-03'));
+                    if (items.length !== 2) {
+                        throw new Error('价格变化应生成新条目');
+                    }
+                    const change = items[0];
+                    if (!change.content.includes('<del>$10 per month</del>') ||
+                        !change.content.includes('<ins>$12 per month</ins>') ||
+                        change.content.includes('Sponsored')) {
+                        throw new Error(`变化内容错误: ${change.content}`);
+                    }
+                    if (change.guid === items[1].guid || change.link !== url) {
+                        throw new Error('变化条目应有独立的GUID');
+                    }
+
+                    // 指定的区域不存在时报错而不是当作内容被删除
+                    try {
+                        await changeDetector.detect(url, page('$12', ''), { selector: '.missing' });
+                        throw new Error('应拒绝不存在的区域');
+                    } catch (error) {
+                        if (!error.message.includes('.missing')) throw error;
+                        if (error.status !== 400) throw new Error('选择器无匹配应作为请求错误（400）');
+                    }
+                }
+            },
+            {
+                name: '阻止访问内网地址',
+                category: 'unit',
+                fn: async () => {
+                    const privateAddresses = ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '::1', 'fe80::1', 'fd00::1', '::ffff:10.0.0.1'];
+                    const publicAddresses = ['8.8.8.8', '93.184.216.34', '2606:4700:4700::1111'];
+
+                    privateAddresses.forEach(address => {
+                        if (!isPrivateAddress(address)) throw new Error(`${address} 应被识别为内网地址`);
+                    });
+                    publicAddresses.forEach(address => {
+                        if (isPrivateAddress(address)) throw new Error(`${address} 不应被识别为内网地址`);
+                    });
+
+                    const blockedUrls = ['http://127.0.0.1/', 'http://[::1]/', 'http://2130706433/', 'http://169.254.169.254/latest/meta-data/', 'file:///etc/passwd', 'ftp://example.com/', 'http://example.com:22/'];
+                    for (const url of blockedUrls) {
+                        let blocked = false;
+                        try {
+                            await assertSafeUrl(url);
+                        } catch (error) {
+                            blocked = error.code === 'ERR_UNSAFE_URL';
+                        }
+                        if (!blocked) throw new Error(`${url} 应被拒绝`);
+                    }
+
+                    // 重定向到不允许的端口时同样拒绝
+                    const http = require('http');
+                    const server = http.createServer((req, res) => {
+                        res.statusCode = 302;
+                        res.setHeader('Location', 'http://127.0.0.1:22/');
+                        res.end();
+                    });
+                    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+                    const savedEnv = {
+                        private: process.env.RSSOS_ALLOW_PRIVATE_NETWORKS,
+                        ports: process.env.RSSOS_ALLOWED_PORTS
+                    };
+                    process.env.RSSOS_ALLOW_PRIVATE_NETWORKS = '1';
+                    process.env.RSSOS_ALLOWED_PORTS = String(server.address().port);
+
+                    try {
+                        let redirectBlocked = false;
+                        try {
+                            await safeFetch(`http://127.0.0.1:${server.address().port}/`);
+                        } catch (error) {
+                            redirectBlocked = error.code === 'ERR_UNSAFE_URL';
+                        }
+                        if (!redirectBlocked) throw new Error('重定向后的地址未经检查');
+                    } finally {
+                        const restore = (name, value) => {
+                            if (value === undefined) delete process.env[name];
+                            else process.env[name] = value;
+                        };
+                        restore('RSSOS_ALLOW_PRIVATE_NETWORKS', savedEnv.private);
+                        restore('RSSOS_ALLOWED_PORTS', savedEnv.ports);
+                        server.close();
+                    }
+                }
+            },
             {
                 name: '测试摘要生成',
                 category: 'unit',
@@ -370,14 +1152,812 @@ class TestSuite {
                     if (articles.length === 0) {
                         throw new Error('未解析到任何项目');
                     }
-                    
-                    const project = articles[0];
-                    if (project.title !== 'Design Project') {
-                        throw new Error(`项目标题解析错误: ${project.title}`);
+                    
+                    const project = articles[0];
+                    if (project.title !== 'Design Project') {
+                        throw new Error(`项目标题解析错误: ${project.title}`);
+                    }
+                    
+                    if (!project.image) {
+                        throw new Error('未解析到项目图片');
+                    }
+                }
+            },
+            {
+                name: '解析JSON-LD结构化数据',
+                category: 'parsing',
+                fn: async () => {
+                    const siteInfo = {
+                        url: 'https://news.example.com',
+                        type: 'news',
+                        platform: 'news',
+                        selectors: {
+                            articles: 'article',
+                            title: 'h2'
+                        }
+                    };
+
+                    const html = `
+                        <html>
+                            <head>
+                                <script type="application/ld+json">
+                                    {
+                                        "@context": "https://schema.org",
+                                        "@graph": [
+                                            { "@type": "WebSite", "name": "Example News" },
+                                            {
+                                                "@type": "ItemList",
+                                                "itemListElement": [
+                                                    {
+                                                        "@type": "ListItem",
+                                                        "position": 1,
+                                                        "item": {
+                                                            "@type": "NewsArticle",
+                                                            "headline": "Structured Headline",
+                                                            "url": "/news/1",
+                                                            "datePublished": "2024-03-01T08:00:00Z",
+                                                            "author": { "@type": "Person", "name": "Jane Reporter" },
+                                                            "image": { "@type": "ImageObject", "url": "/images/1.jpg" }
+                                                        }
+                                                    },
+                                                    {
+                                                        "@type": "ListItem",
+                                                        "position": 2,
+                                                        "url": "https://news.example.com/news/2",
+                                                        "name": "Second Headline"
+                                                    }
+                                                ]
+                                            }
+                                        ]
+                                    }
+                                </script>
+                            </head>
+                            <body>
+                                <article><h2>Selector Headline</h2></article>
+                            </body>
+                        </html>
+                    `;
+
+                    const parser = new ContentParser(siteInfo);
+                    const articles = await parser.parseContent(html);
+
+                    if (articles.length !== 2) {
+                        throw new Error(`期望解析到2篇结构化文章，实际为${articles.length}`);
+                    }
+
+                    const article = articles[0];
+                    if (article.title !== 'Structured Headline' || article.link !== 'https://news.example.com/news/1') {
+                        throw new Error(`结构化文章解析错误: ${article.title} ${article.link}`);
+                    }
+
+                    if (article.pubDate !== 'Fri, 01 Mar 2024 08:00:00 GMT') {
+                        throw new Error(`结构化文章日期错误: ${article.pubDate}`);
+                    }
+
+                    if (article.author !== 'Jane Reporter' || article.image !== 'https://news.example.com/images/1.jpg') {
+                        throw new Error('结构化文章作者或图片错误');
+                    }
+                }
+            },
+            {
+                name: '解析微数据文章',
+                category: 'parsing',
+                fn: async () => {
+                    const siteInfo = {
+                        url: 'https://blog.example.com',
+                        type: 'generic',
+                        platform: 'unknown',
+                        selectors: {}
+                    };
+
+                    const html = `
+                        <div itemscope itemtype="http://schema.org/BlogPosting">
+                            <h2 itemprop="headline">Microdata Post</h2>
+                            <a itemprop="url" href="/posts/micro">Read more</a>
+                            <time itemprop="datePublished" datetime="2024-02-02T00:00:00Z">Feb 2</time>
+                            <span itemprop="author" itemscope itemtype="http://schema.org/Person">
+                                <span itemprop="name">Carl Writer</span>
+                            </span>
+                        </div>
+                    `;
+
+                    const parser = new ContentParser(siteInfo);
+                    const articles = await parser.parseContent(html);
+
+                    if (articles.length !== 1) {
+                        throw new Error(`期望解析到1篇微数据文章，实际为${articles.length}`);
+                    }
+
+                    if (articles[0].link !== 'https://blog.example.com/posts/micro' || articles[0].author !== 'Carl Writer') {
+                        throw new Error(`微数据文章解析错误: ${JSON.stringify(articles[0])}`);
+                    }
+                }
+            },
+            {
+                name: '解析用户指定选择器',
+                category: 'parsing',
+                fn: async () => {
+                    const siteInfo = {
+                        url: 'https://custom.example.com',
+                        type: 'blog',
+                        platform: 'wordpress',
+                        selectors: {
+                            articles: 'li.entry',
+                            title: '.name',
+                            link: '.go',
+                            date: 'em',
+                            content: '.body',
+                            image: 'img'
+                        },
+                        customSelectors: true
+                    };
+
+                    const html = `
+                        <ul>
+                            <li class="entry">
+                                <b class="name">Custom Selected Item</b>
+                                <a class="go" href="/items/1">Open</a>
+                                <em>2024-01-02</em>
+                                <div class="body">Item <i>body</i></div>
+                                <img src="/items/1.png" />
+                            </li>
+                        </ul>
+                    `;
+
+                    const parser = new ContentParser(siteInfo);
+                    const articles = await parser.parseContent(html);
+
+                    if (articles.length !== 1 || articles[0].title !== 'Custom Selected Item') {
+                        throw new Error('用户选择器解析错误');
+                    }
+
+                    if (articles[0].link !== 'https://custom.example.com/items/1' || articles[0].image !== 'https://custom.example.com/items/1.png') {
+                        throw new Error('用户选择器链接或图片解析错误');
+                    }
+
+                    if (articles[0].content !== 'Item <i>body</i>' || articles[0].pubDate !== 'Tue, 02 Jan 2024 00:00:00 GMT') {
+                        throw new Error('用户选择器内容或日期解析错误');
+                    }
+                }
+            },
+            {
+                name: '渲染JavaScript页面后解析',
+                category: 'parsing',
+                fn: async () => {
+                    let running = 0;
+                    let maxRunning = 0;
+                    const visits = [];
+                    const timeouts = [];
+
+                    // 模拟浏览器：页面内容由脚本生成，渲染后才有文章列表
+                    const socketHandlers = [];
+                    const fakeBrowser = {
+                        newContext: async () => ({
+                            routeWebSocket: async (pattern, handler) => { socketHandlers.push(handler); },
+                            newPage: async () => {
+                                let currentUrl = null;
+                                return {
+                                    goto: async (url, options) => {
+                                        running++;
+                                        maxRunning = Math.max(maxRunning, running);
+                                        currentUrl = url;
+                                        visits.push(options.waitUntil);
+                                        timeouts.push(options.timeout);
+                                        await new Promise(resolve => setTimeout(resolve, 20));
+                                    },
+                                    route: async () => {},
+                                    waitForSelector: async (selector, options) => { timeouts.push(options.timeout); },
+                                    content: async () => `<html><body><article class="post"><h2><a href="${currentUrl}post-1">Rendered Post</a></h2><p>Rendered by script</p></article></body></html>`
+                                };
+                            },
+                            close: async () => { running--; }
+                        }),
+                        close: async () => {}
+                    };
+
+                    const renderer = new PageRenderer({ concurrency: 2, launcher: async () => fakeBrowser });
+                    await Promise.all(['a', 'b', 'c', 'd'].map(name => renderer.render(`https://${name}.example.com/`)));
+                    if (maxRunning > 2) {
+                        throw new Error(`同时渲染的页面数超过限制: ${maxRunning}`);
+                    }
+                    if (!visits.every(waitUntil => waitUntil === 'networkidle')) {
+                        throw new Error('未指定等待元素时应等待网络空闲');
+                    }
+
+                    const cacheManager = new CacheManager({ env: { RSSOS_CACHE_STORE: 'memory' } });
+                    const builder = new FeedBuilder({
+                        siteRules: new SiteRules('/nonexistent'),
+                        cacheManager,
+                        httpClient: new HttpClient(),
+                        pageRenderer: renderer
+                    });
+                    const result = await builder.build('https://spa.example.com/', {
+                        mode: 'scrape',
+                        render: { waitFor: 'article.post' },
+                        customSelectors: { articles: 'article.post', title: 'h2', link: 'h2 a', date: 'time', content: 'p', image: 'img' }
+                    });
+
+                    if (result.upstreamStatus !== 'rendered' || result.articles.length !== 1 || result.articles[0].title !== 'Rendered Post') {
+                        throw new Error(`渲染后的页面解析错误: ${result.upstreamStatus}, ${result.articles.length}`);
+                    }
+                    if (visits[visits.length - 1] !== 'domcontentloaded') {
+                        throw new Error('指定等待元素时不应等待网络空闲');
+                    }
+
+                    const cached = await cacheManager.getCachedRendered('https://spa.example.com/', 'article.post');
+                    if (!cached || !cached.html.includes('Rendered Post')) {
+                        throw new Error('渲染结果应写入独立的缓存命名空间');
+                    }
+
+                    // 加载页面和等待元素共用同一超时
+                    timeouts.length = 0;
+                    await renderer.render('https://timeout.example.com/', { waitFor: 'article', timeout: 1000 });
+                    if (timeouts[0] > 1000 || timeouts[1] > timeouts[0] - 15) {
+                        throw new Error(`等待元素应使用剩余时间: ${timeouts.join(', ')}`);
+                    }
+
+                    // 排队等待的时间计入调用方的截止时间
+                    const queuedRenderer = new PageRenderer({ concurrency: 1, launcher: async () => fakeBrowser });
+                    const [first, queued] = await Promise.allSettled([
+                        queuedRenderer.render('https://first.example.com/'),
+                        queuedRenderer.render('https://queued.example.com/', { deadline: Date.now() + 5 })
+                    ]);
+                    if (first.status !== 'fulfilled' || queued.status !== 'rejected' || !/waiting/.test(queued.reason.message)) {
+                        throw new Error(`排队超过截止时间的渲染应放弃: ${queued.status}`);
+                    }
+                    await queuedRenderer.close();
+
+                    // 页面的WebSocket连接全部被拒绝
+                    let socketClosed = false;
+                    socketHandlers[0]({ close: () => { socketClosed = true; } });
+                    if (!socketClosed) {
+                        throw new Error('渲染页面的WebSocket应被拒绝');
+                    }
+
+                    // 页面请求由safeFetch获取：内网地址和失败的请求被中止，成功的响应转发给浏览器
+                    const fakeRoute = (url, onFulfill = () => {}) => {
+                        const route = {
+                            aborted: null,
+                            request: () => ({
+                                resourceType: () => 'script',
+                                url: () => url,
+                                method: () => 'GET',
+                                headers: () => ({ accept: '*/*' }),
+                                postDataBuffer: () => null
+                            }),
+                            abort: async reason => { route.aborted = reason; },
+                            fulfill: async response => onFulfill(response)
+                        };
+                        return route;
+                    };
+                    const blockedRoute = fakeRoute('http://127.0.0.1/admin');
+                    await renderer.handleRoute(blockedRoute);
+                    if (blockedRoute.aborted !== 'blockedbyclient') {
+                        throw new Error('内网地址的请求应被阻止');
+                    }
+
+                    const failingRenderer = new PageRenderer({ fetch: async () => { throw new Error('connect ECONNREFUSED'); } });
+                    const failedRoute = fakeRoute('https://93.184.216.34/app.js');
+                    await failingRenderer.handleRoute(failedRoute);
+                    if (failedRoute.aborted !== 'failed') {
+                        throw new Error('请求失败时应中止请求');
+                    }
+
+                    let fulfilled = null;
+                    const proxyRenderer = new PageRenderer({
+                        fetch: async (url, options) => {
+                            if (options.redirect !== 'manual') throw new Error('不应跟随重定向');
+                            return new fetch.Response('console.log(1)', {
+                                status: 200,
+                                headers: { 'content-type': 'text/javascript', 'content-encoding': 'gzip' }
+                            });
+                        }
+                    });
+                    await proxyRenderer.handleRoute(fakeRoute('https://93.184.216.34/app.js', response => { fulfilled = response; }));
+                    if (!fulfilled || fulfilled.status !== 200 || fulfilled.body.toString() !== 'console.log(1)' ||
+                        fulfilled.headers['content-type'] !== 'text/javascript' || fulfilled.headers['content-encoding']) {
+                        throw new Error(`响应转发错误: ${JSON.stringify(fulfilled && fulfilled.headers)}`);
+                    }
+
+                    await renderer.close();
+                }
+            },
+            {
+                name: '提取文章正文',
+                category: 'parsing',
+                fn: async () => {
+                    const extractor = new FullTextExtractor();
+                    const paragraph = '这是一段足够长的正文内容，用于测试正文提取算法是否能够找到主要内容区域，并且忽略侧边栏、导航和评论区域中的文字。'.repeat(2);
+                    const html = `
+                        <html>
+                            <head><title>Full Text Page</title></head>
+                            <body>
+                                <nav><a href="/">Home</a><a href="/about">About</a></nav>
+                                <div class="sidebar"><p>${paragraph}</p></div>
+                                <div class="post-body">
+                                    <p>${paragraph}</p>
+                                    <p>${paragraph}</p>
+                                    <p>${paragraph}</p>
+                                </div>
+                                <div class="comments"><p>${paragraph}</p></div>
+                            </body>
+                        </html>
+                    `;
+
+                    const result = extractor.extract(html);
+
+                    if (!result || result.title !== 'Full Text Page') {
+                        throw new Error('未提取到正文');
+                    }
+
+                    if ((result.content.match(/<p>/g) || []).length !== 3 || result.content.includes('Home')) {
+                        throw new Error(`正文区域选择错误: ${result.content}`);
+                    }
+                }
+            },
+            {
+                name: '清理文章HTML',
+                category: 'parsing',
+                fn: async () => {
+                    const sanitizer = new HtmlSanitizer();
+                    const html = `
+                        <p onclick="steal()" class="x">Hello <a href="/post/2">next</a></p>
+                        <script>alert(1)</script>
+                        <img src="images/a.png" onerror="steal()" />
+                        <a href="javascript:alert(1)">bad</a>
+                        <custom-tag>kept text</custom-tag>
+                    `;
+
+                    const clean = sanitizer.sanitize(html, 'https://example.com/blog/post-1');
+
+                    if (clean.includes('script') || clean.includes('onclick') || clean.includes('onerror') || clean.includes('javascript:')) {
+                        throw new Error(`危险内容未被移除: ${clean}`);
+                    }
+
+                    if (!clean.includes('href="https://example.com/post/2"') || !clean.includes('src="https://example.com/blog/images/a.png"')) {
+                        throw new Error(`相对链接未转换: ${clean}`);
+                    }
+
+                    if (!clean.includes('kept text') || clean.includes('custom-tag')) {
+                        throw new Error('未知标签应保留文本');
+                    }
+                }
+            },
+            {
+                name: '条目内容清理流程',
+                category: 'parsing',
+                fn: async () => {
+                    const pipeline = new ContentPipeline();
+                    const [article] = pipeline.process([{
+                        title: 'Post',
+                        link: 'https://example.com/blog/post-1?utm_source=feed&id=7',
+                        image: 'images/cover.jpg',
+                        description: 'Plain summary',
+                        content: `
+                            <p style="color: red">Intro <a href="../about?utm_campaign=x&amp;ref=1">about</a></p>
+                            <img src="data:image/gif;base64,R0lGOD" data-src="/media/lazy.jpg"
+                                 data-srcset="lazy-300.jpg 300w, https://cdn.example.com/w_600,h_400/lazy.jpg 600w">
+                            <img src="/placeholder.png" data-original="/media/original.png">
+                            <img src="https://example.com/open.gif" width="1" height="1">
+                            <img src="https://stats.wp.com/b.gif?v=1">
+                            <iframe src="https://ads.example.net/"></iframe>
+                        `
+                    }], { baseUrl: 'https://example.com/blog/' });
+
+                    const content = article.content;
+                    if (content.includes('style=') || content.includes('iframe') || content.includes('data:') ||
+                        content.includes('open.gif') || content.includes('stats.wp.com')) {
+                        throw new Error(`内联样式、iframe或跟踪像素未被移除: ${content}`);
+                    }
+                    if (!content.includes('href="https://example.com/about?ref=1"')) {
+                        throw new Error(`链接未转换或跟踪参数未移除: ${content}`);
+                    }
+                    if (!content.includes('src="https://example.com/media/lazy.jpg"') ||
+                        !content.includes('src="https://example.com/media/original.png"')) {
+                        throw new Error(`延迟加载的图片未还原: ${content}`);
+                    }
+                    if (!content.includes('srcset="https://example.com/blog/lazy-300.jpg 300w, https://cdn.example.com/w_600,h_400/lazy.jpg 600w"')) {
+                        throw new Error(`srcset未转换为绝对地址: ${content}`);
+                    }
+                    if (article.link !== 'https://example.com/blog/post-1?id=7' ||
+                        article.image !== 'https://example.com/blog/images/cover.jpg' ||
+                        article.description !== 'Plain summary') {
+                        throw new Error(`条目字段处理错误: ${JSON.stringify(article)}`);
+                    }
+
+                    // 摘要和过滤条件只使用正文文本，不包括脚本和样式
+                    const scripted = '<p>Visible text</p><script>var secret = 1;</script><style>.x{color:red}</style>';
+                    const parser = new ContentParser({
+                        url: 'https://example.com/',
+                        type: 'blog',
+                        selectors: { articles: '.post', title: 'h2', link: 'a', content: '.body' }
+                    });
+                    const [parsed] = parser.parseGenericContent(
+                        require('cheerio').load(`<div class="post"><h2><a href="/p">Title here</a></h2><div class="body">${scripted}</div></div>`)
+                    );
+                    const summaries = [
+                        parsed.description,
+                        new FeedDiscovery().normalizeArticle({ title: 'Post', link: 'https://example.com/p', description: scripted }, 'https://example.com/').description
+                    ];
+                    if (summaries.some(summary => !summary.includes('Visible text') || /secret|color/.test(summary))) {
+                        throw new Error(`摘要包含脚本或样式: ${JSON.stringify(summaries)}`);
+                    }
+                    if (new ItemFilter({ include: 'description:secret' }).apply([{ title: 'Post', description: scripted }]).length !== 0) {
+                        throw new Error('过滤条件不应匹配脚本内容');
+                    }
+                }
+            },
+            {
+                name: '音视频附件和播客标签',
+                category: 'parsing',
+                fn: async () => {
+                    const [episode, video] = new ContentPipeline().process([
+                        {
+                            title: 'Episode 1',
+                            link: 'https://pod.example.com/ep1',
+                            content: '<p>Notes</p><a href="/files/ep1.mp3">Download</a><a href="/about">About</a>'
+                        },
+                        {
+                            title: 'Video',
+                            link: 'https://pod.example.com/v1',
+                            content: '<video poster="/v1.jpg"><source src="/stream/v1" type="video/mp4; codecs=avc1"></video>'
+                        }
+                    ], { itemBase: true });
+
+                    if (!episode.media || episode.media.length !== 1 || episode.media[0].url !== 'https://pod.example.com/files/ep1.mp3' ||
+                        episode.media[0].type !== 'audio/mpeg') {
+                        throw new Error(`下载链接未识别为音频: ${JSON.stringify(episode.media)}`);
+                    }
+                    if (!video.media || video.media[0].type !== 'video/mp4' || video.image !== 'https://pod.example.com/v1.jpg') {
+                        throw new Error(`视频或封面未识别: ${JSON.stringify(video)}`);
+                    }
+
+                    // HEAD失败时改用Range请求获取大小
+                    const requests = [];
+                    const headers = values => ({ get: name => values[name] || null });
+                    const mediaService = new MediaService({
+                        httpClient: {
+                            request: async (url, options) => {
+                                requests.push(options.method || 'GET');
+                                if (options.method === 'HEAD') {
+                                    return { ok: false, status: 405, headers: headers({}) };
+                                }
+                                return {
+                                    ok: true,
+                                    status: 206,
+                                    headers: headers({ 'content-type': 'application/octet-stream', 'content-range': 'bytes 0-0/48213' })
+                                };
+                            }
+                        }
+                    });
+                    await mediaService.enrich([episode]);
+                    if (requests.join(',') !== 'HEAD,GET' || episode.enclosure.length !== 48213 || episode.enclosure.type !== 'audio/mpeg') {
+                        throw new Error(`附件信息错误: ${requests.join(',')} ${JSON.stringify(episode.enclosure)}`);
+                    }
+
+                    const feed = new FeedDiscovery().parseFeed(`<?xml version="1.0"?>
+                        <rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd">
+                            <channel><title>Pod</title><link>https://pod.example.com/</link>
+                                <item><title>Native</title><link>https://pod.example.com/native</link>
+                                    <enclosure url="https://cdn.example.com/native.m4a" length="1024" type="audio/x-m4a"/>
+                                    <itunes:duration>1:02:03</itunes:duration>
+                                </item>
+                            </channel>
+                        </rss>`, 'https://pod.example.com/feed');
+                    const native = feed.articles[0];
+                    if (!native.media || native.media[0].length !== 1024 || native.media[0].duration !== 3723) {
+                        throw new Error(`原生订阅源的附件未保留: ${JSON.stringify(native.media)}`);
+                    }
+
+                    const rssXML = this.generator.generateRSS([episode, native], { url: 'https://pod.example.com/', type: 'blog' });
+                    const errors = this.generator.getRSSErrors(rssXML);
+                    if (errors.length > 0) {
+                        throw new Error(`播客RSS无效: ${errors.join('; ')}`);
+                    }
+                    if (!rssXML.includes('<enclosure url="https://pod.example.com/files/ep1.mp3" length="48213" type="audio/mpeg"/>') ||
+                        !rssXML.includes('<media:content url="https://cdn.example.com/native.m4a" type="audio/x-m4a" medium="audio" fileSize="1024" duration="3723"/>') ||
+                        !rssXML.includes('<itunes:duration>1:02:03</itunes:duration>') ||
+                        !rssXML.includes('<itunes:explicit>false</itunes:explicit>')) {
+                        throw new Error(`缺少附件、Media RSS或iTunes标签: ${rssXML}`);
+                    }
+                }
+            }
+        ];
+    }
+
+    /**
+     * 获取站点规则测试
+     */
+    getSiteRuleTests() {
+        return [
+            {
+                name: '站点规则优先于启发式检测',
+                category: 'rules',
+                fn: async () => {
+                    const html = '<html><head><meta name="generator" content="WordPress 6.0" /></head><body></body></html>';
+                    const result = await this.detector.detectSiteType(html, 'https://www.ruanyifeng.com/blog/');
+
+                    if (result.platform !== 'movable-type' || result.confidence !== 100) {
+                        throw new Error(`期望匹配阮一峰站点规则，实际为${result.platform}`);
+                    }
+
+                    if (!result.rule || result.rule.name !== 'ruanyifeng') {
+                        throw new Error('网站信息中缺少规则配置');
+                    }
+
+                    const other = await this.detector.detectSiteType(html, 'https://www.ruanyifeng.com/about');
+                    if (other.rule) {
+                        throw new Error('URL模式不匹配时不应使用规则');
+                    }
+                }
+            },
+            {
+                name: '按YAML规则解析内容',
+                category: 'rules',
+                fn: async () => {
+                    const fs = require('fs');
+                    const os = require('os');
+                    const path = require('path');
+
+                    const rulesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rssos-rules-'));
+                    fs.writeFileSync(path.join(rulesDir, 'example.yaml'), [
+                        'name: example-news',
+                        'match:',
+                        '  hostname: example.org',
+                        'selectors:',
+                        '  item: ".row"',
+                        '  title: ".headline"',
+                        '  link: ".headline a"',
+                        '  date: ".stamp"',
+                        '  content: ".teaser"',
+                        'dateFormat: "DD.MM.YYYY"',
+                        'author: Newsroom',
+                        'category: Local'
+                    ].join('\n'));
+
+                    try {
+                        const siteRules = new SiteRules(rulesDir);
+                        siteRules.load();
+
+                        const detector = new SiteDetector({ siteRules });
+                        const siteInfo = await detector.detectSiteType('<html></html>', 'https://news.example.org/');
+
+                        const html = `
+                            <div class="row">
+                                <h3 class="headline"><a href="/story/1">Rule Story</a></h3>
+                                <span class="stamp">03.05.2024</span>
+                                <p class="teaser">Story <b>teaser</b></p>
+                            </div>
+                        `;
+
+                        const parser = new ContentParser(siteInfo);
+                        const articles = await parser.parseContent(html);
+
+                        if (articles.length !== 1 || articles[0].title !== 'Rule Story') {
+                            throw new Error('规则选择器解析错误');
+                        }
+
+                        if (articles[0].link !== 'https://news.example.org/story/1') {
+                            throw new Error(`规则链接解析错误: ${articles[0].link}`);
+                        }
+
+                        if (articles[0].pubDate !== 'Fri, 03 May 2024 00:00:00 GMT') {
+                            throw new Error(`规则日期格式解析错误: ${articles[0].pubDate}`);
+                        }
+
+                        if (articles[0].author !== 'Newsroom' || articles[0].category !== 'Local') {
+                            throw new Error('规则作者或分类错误');
+                        }
+                    } finally {
+                        fs.rmSync(rulesDir, { recursive: true, force: true });
+                    }
+                }
+            },
+            {
+                name: '加载保存的订阅列表',
+                category: 'rules',
+                fn: async () => {
+                    const fs = require('fs');
+                    const os = require('os');
+                    const path = require('path');
+
+                    const listsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rssos-lists-'));
+                    fs.writeFileSync(path.join(listsDir, 'frontend.yaml'), [
+                        'title: Frontend Weekly',
+                        'urls:',
+                        '  - https://a.example.com/blog',
+                        '  - https://b.example.org'
+                    ].join('\n'));
+                    fs.writeFileSync(path.join(listsDir, 'broken.json'), JSON.stringify({ title: 'No URLs' }));
+
+                    try {
+                        const feedLists = new FeedLists(listsDir);
+                        feedLists.load();
+
+                        const list = feedLists.get('frontend');
+                        if (!list || list.title !== 'Frontend Weekly' || list.urls.length !== 2) {
+                            throw new Error('列表应以文件名命名并包含全部URL');
+                        }
+
+                        if (feedLists.get('broken')) {
+                            throw new Error('没有URL的列表不应被加载');
+                        }
+                    } finally {
+                        fs.rmSync(listsDir, { recursive: true, force: true });
+                    }
+                }
+            },
+            {
+                name: '按格式解析日期',
+                category: 'rules',
+                fn: async () => {
+                    const parser = new DateParser();
+
+                    const cjk = parser.parse('发布于 2024年5月3日 10:20', { format: ['YYYY-MM-DD', 'YYYY年M月D日 HH:mm'] });
+                    if (!cjk || cjk.toISOString() !== '2024-05-03T10:20:00.000Z') {
+                        throw new Error(`中文日期格式解析错误: ${cjk}`);
+                    }
+
+                    if (parser.parse('not a date', { format: 'YYYY-MM-DD' }) !== null) {
+                        throw new Error('无效日期应返回null');
+                    }
+                }
+            },
+            {
+                name: '解析多语言和相对日期',
+                category: 'rules',
+                fn: async () => {
+                    const now = Date.UTC(2024, 4, 10, 12, 0, 0);
+                    const parser = new DateParser({ now: () => now });
+
+                    const expectations = [
+                        ['3 hours ago', {}, '2024-05-10T09:00:00.000Z'],
+                        ['3小时前', {}, '2024-05-10T09:00:00.000Z'],
+                        ['vor 2 Tagen', {}, '2024-05-08T12:00:00.000Z'],
+                        ['昨天', {}, '2024-05-09T12:00:00.000Z'],
+                        ['2024年5月3日 下午3:20', {}, '2024-05-03T15:20:00.000Z'],
+                        ['2024년 5월 3일', {}, '2024-05-03T00:00:00.000Z'],
+                        ['03/05/2024', {}, '2024-03-05T00:00:00.000Z'],
+                        ['03/05/2024', { dateOrder: 'DMY' }, '2024-05-03T00:00:00.000Z'],
+                        ['03.05.2024', {}, '2024-05-03T00:00:00.000Z'],
+                        ['3. März 2024', {}, '2024-03-03T00:00:00.000Z'],
+                        ['3 de mayo de 2024', {}, '2024-05-03T00:00:00.000Z'],
+                        ['May 3rd, 2024 4:30 pm', {}, '2024-05-03T16:30:00.000Z'],
+                        ['2024-05-03 10:00', { timezone: 'Asia/Shanghai' }, '2024-05-03T02:00:00.000Z'],
+                        ['2024-07-01 10:00', { timezone: 'America/New_York' }, '2024-07-01T14:00:00.000Z'],
+                        ['Mon, 01 Jan 2024 10:00:00 GMT', { timezone: 'Asia/Shanghai' }, '2024-01-01T10:00:00.000Z']
+                    ];
+
+                    expectations.forEach(([text, options, expected]) => {
+                        const date = parser.parse(text, options);
+                        if (!date || date.toISOString() !== expected) {
+                            throw new Error(`"${text}" 解析为 ${date ? date.toISOString() : null}，期望 ${expected}`);
+                        }
+                    });
+                }
+            }
+        ];
+    }
+
+    /**
+     * 获取订阅源发现测试
+     */
+    getFeedDiscoveryTests() {
+        return [
+            {
+                name: '从HTML发现订阅源链接',
+                category: 'discovery',
+                fn: async () => {
+                    const discovery = new FeedDiscovery();
+                    const html = `
+                        <html>
+                            <head>
+                                <link rel="alternate" type="application/rss+xml" title="Comments Feed" href="/comments/feed" />
+                                <link rel="alternate" type="application/json" href="/wp-json/wp/v2/pages/2" />
+                                <link rel="alternate" type="application/atom+xml" title="Posts" href="/atom.xml" />
+                                <link rel="stylesheet" href="/style.css" />
+                            </head>
+                        </html>
+                    `;
+
+                    const feeds = discovery.discoverFromHTML(html, 'https://blog.example.com/posts/');
+
+                    if (feeds.length !== 1) {
+                        throw new Error(`期望发现1个订阅源，实际为${feeds.length}`);
+                    }
+
+                    if (feeds[0].url !== 'https://blog.example.com/atom.xml' || feeds[0].type !== 'atom') {
+                        throw new Error(`订阅源解析错误: ${JSON.stringify(feeds[0])}`);
+                    }
+                }
+            },
+            {
+                name: '规范化原生RSS订阅源',
+                category: 'discovery',
+                fn: async () => {
+                    const discovery = new FeedDiscovery();
+                    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+                        <rss version="2.0" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+                            <channel>
+                                <title>Example Blog</title>
+                                <link>https://blog.example.com/</link>
+                                <item>
+                                    <title>First Post</title>
+                                    <link>/first-post</link>
+                                    <description>&lt;p&gt;Short summary&lt;/p&gt;</description>
+                                    <content:encoded><![CDATA[<p>Full body</p>]]></content:encoded>
+                                    <pubDate>Wed, 01 May 2024 10:00:00 GMT</pubDate>
+                                    <guid>post-1</guid>
+                                    <dc:creator>Alice</dc:creator>
+                                </item>
+                            </channel>
+                        </rss>`;
+
+                    if (discovery.detectFeedType(xml) !== 'rss') {
+                        throw new Error('未识别RSS订阅源');
+                    }
+
+                    const feed = discovery.parseFeed(xml, 'https://blog.example.com/feed');
+                    const article = feed.articles[0];
+
+                    if (feed.title !== 'Example Blog' || feed.articles.length !== 1) {
+                        throw new Error('订阅源元数据解析错误');
                     }
-                    
-                    if (!project.image) {
-                        throw new Error('未解析到项目图片');
+
+                    if (article.link !== 'https://blog.example.com/first-post') {
+                        throw new Error(`文章链接解析错误: ${article.link}`);
+                    }
+
+                    if (article.description !== 'Short summary' || article.content !== '<p>Full body</p>') {
+                        throw new Error('文章内容解析错误');
+                    }
+
+                    if (article.guid !== 'post-1' || article.author !== 'Alice') {
+                        throw new Error('文章GUID或作者解析错误');
+                    }
+                }
+            },
+            {
+                name: '规范化原生Atom订阅源',
+                category: 'discovery',
+                fn: async () => {
+                    const discovery = new FeedDiscovery();
+                    const xml = `<?xml version="1.0" encoding="utf-8"?>
+                        <feed xmlns="http://www.w3.org/2005/Atom">
+                            <title>Atom Blog</title>
+                            <link href="https://atom.example.com/" />
+                            <entry>
+                                <title>Atom Entry</title>
+                                <link rel="alternate" href="https://atom.example.com/entry" />
+                                <id>tag:atom.example.com,2024:1</id>
+                                <updated>2024-01-01T00:00:00Z</updated>
+                                <summary>Entry summary</summary>
+                            </entry>
+                        </feed>`;
+
+                    const feed = discovery.parseFeed(xml, 'https://atom.example.com/atom.xml');
+                    const article = feed.articles[0];
+
+                    if (feed.type !== 'atom' || article.link !== 'https://atom.example.com/entry') {
+                        throw new Error('Atom条目解析错误');
+                    }
+
+                    if (article.pubDate !== 'Mon, 01 Jan 2024 00:00:00 GMT') {
+                        throw new Error(`Atom日期解析错误: ${article.pubDate}`);
+                    }
+
+                    if (discovery.detectFeedType('<html><body>Not a feed</body></html>') !== null) {
+                        throw new Error('HTML页面不应被识别为订阅源');
+                    }
+
+                    // JSON Feed的authors为对象、tags包含非字符串时不应出错
+                    const json = discovery.parseFeed(JSON.stringify({
+                        version: 'https://jsonfeed.org/version/1.1',
+                        title: 'JSON Blog',
+                        items: [{ id: 1, url: 'https://json.example.com/1', title: 'One', authors: { name: ' Ann ' }, tags: [42, 'news'] }]
+                    }), 'https://json.example.com/feed.json');
+                    if (json.articles[0].author !== 'Ann' || json.articles[0].category !== 'news') {
+                        throw new Error(`JSON Feed作者或分类解析错误: ${JSON.stringify(json.articles[0])}`);
                     }
                 }
             }
@@ -454,6 +2034,106 @@ class TestSuite {
                     }
                 }
             },
+            {
+                name: '使用网站信息生成频道标题和图片',
+                category: 'rss',
+                fn: async () => {
+                    const html = `
+                        <html lang="zh_CN">
+                            <head>
+                                <title>博客 | Acme</title>
+                                <meta property="og:site_name" content="Acme Inc">
+                                <meta property="og:description" content="Acme的产品动态">
+                                <link rel="shortcut icon" href="/favicon.ico">
+                                <link rel="icon" type="image/svg+xml" href="/icon.svg">
+                                <link rel="apple-touch-icon" href="/apple-touch-icon.png">
+                            </head>
+                            <body><article><h2><a href="/p1">Post</a></h2></article></body>
+                        </html>
+                    `;
+                    const siteInfo = await this.detector.detectSiteType(html, 'https://acme.example.com/blog/');
+                    const metadata = siteInfo.metadata;
+
+                    if (metadata.title !== 'Acme Inc' || metadata.description !== 'Acme的产品动态' || metadata.language !== 'zh-cn' ||
+                        metadata.icon !== 'https://acme.example.com/apple-touch-icon.png') {
+                        throw new Error(`网站信息提取错误: ${JSON.stringify(metadata)}`);
+                    }
+
+                    const rssXML = this.generator.generateRSS([], siteInfo);
+                    if (!rssXML.includes('<title><![CDATA[Acme Inc]]></title>') ||
+                        !rssXML.includes('<description><![CDATA[Acme的产品动态]]></description>') ||
+                        !rssXML.includes('<language>zh-cn</language>') ||
+                        !rssXML.includes('<url>https://acme.example.com/apple-touch-icon.png</url>')) {
+                        throw new Error(`频道信息未使用网站信息: ${rssXML}`);
+                    }
+
+                    // 没有网站信息时使用模板，不输出未经检查的图标
+                    const fallback = this.generator.generateRSS([], { url: 'https://www.example.com/', type: 'blog' });
+                    if (!fallback.includes('<title><![CDATA[Example - Blog Posts]]></title>') ||
+                        !fallback.includes('<language>en-us</language>') || fallback.includes('<image>')) {
+                        throw new Error(`缺少网站信息时的默认值错误: ${fallback}`);
+                    }
+                }
+            },
+            {
+                name: 'XML转义和RSS结构校验',
+                category: 'rss',
+                fn: async () => {
+                    const articles = [{
+                        title: 'Ends with ]]> & <b>',
+                        link: 'https://example.com/post?a=1&b=<2>',
+                        description: 'Summary',
+                        content: '<p>Code sample: a[b[0]]> c</p>',
+                        pubDate: '2024-05-01T10:00:00Z',
+                        guid: 'id&<1>',
+                        author: 'Tom & Jerry',
+                        category: 'C<D>'
+                    }];
+                    const siteInfo = { url: 'https://example.com', type: 'blog' };
+
+                    const rssXML = this.generator.generateRSS(articles, siteInfo);
+                    const errors = this.generator.getRSSErrors(rssXML);
+                    if (errors.length > 0) {
+                        throw new Error(`特殊字符导致RSS无效: ${errors.join('; ')}`);
+                    }
+                    if (!rssXML.includes('<author>Tom &amp; Jerry</author>') ||
+                        !rssXML.includes('<category>C&lt;D&gt;</category>')) {
+                        throw new Error('普通元素的特殊字符未被转义');
+                    }
+
+                    // 无法解析的地址不应导致错误订阅源生成失败
+                    const errorFeed = this.generator.generateErrorFeed(new Error('Invalid <url>'), 'unknown');
+                    if (this.generator.getRSSErrors(errorFeed).length > 0) {
+                        throw new Error('错误订阅源不是有效的RSS');
+                    }
+
+                    const problems = this.generator.getRSSErrors(`<rss version="2.0"><channel>
+                        <link>https://example.com</link>
+                        <description>Test</description>
+                        <item><title>A</title><pubDate>yesterday</pubDate></item>
+                    </channel></rss>`);
+                    if (!problems.includes('<channel> is missing required <title>') ||
+                        !problems.some(problem => problem.includes('<item> #1 <pubDate> must be an RFC 822 date'))) {
+                        throw new Error(`未报告具体的结构问题: ${problems.join('; ')}`);
+                    }
+
+                    const malformed = this.generator.getRSSErrors('<rss version="2.0"><channel><title>A & B</title></channel></rss>');
+                    if (malformed.length !== 1 || !malformed[0].startsWith('Malformed XML')) {
+                        throw new Error('未转义的&应被报告为格式错误');
+                    }
+
+                    // 深层嵌套的元素不会导致栈溢出
+                    const depth = 50000;
+                    const nested = this.generator.getRSSErrors(`<rss version="2.0"><channel>
+                        <title>${'<b>'.repeat(depth)}Deep${'</b>'.repeat(depth)}</title>
+                        <link>https://example.com</link>
+                        <description>Test</description>
+                    </channel></rss>`);
+                    if (nested.length > 0) {
+                        throw new Error(`深层嵌套的XML校验失败: ${nested.join('; ')}`);
+                    }
+                }
+            },
             {
                 name: '生成空RSS处理',
                 category: 'rss',
@@ -474,6 +2154,258 @@ class TestSuite {
                         throw new Error('空RSS不应包含item元素');
                     }
                 }
+            },
+            {
+                name: '生成Atom订阅源',
+                category: 'rss',
+                fn: async () => {
+                    const articles = [
+                        {
+                            title: 'Tom & Jerry',
+                            link: 'https://example.com/test?a=1&b=2',
+                            description: 'Test description',
+                            pubDate: 'Wed, 01 May 2024 10:00:00 GMT',
+                            guid: 'rssos-abc123'
+                        }
+                    ];
+                    const siteInfo = { url: 'https://example.com', type: 'blog', platform: 'test' };
+
+                    const atom = this.generator.generateFeed(articles, siteInfo, 'atom');
+
+                    if (!atom.includes('<feed xmlns="http://www.w3.org/2005/Atom"')) {
+                        throw new Error('Atom缺少feed根元素');
+                    }
+
+                    if (!atom.includes('rel="self" type="application/atom+xml"') || !atom.includes('format=atom')) {
+                        throw new Error('Atom缺少self链接');
+                    }
+
+                    if (!atom.includes('<id>urn:rssos:rssos-abc123</id>')) {
+                        throw new Error('Atom条目ID应由GUID生成');
+                    }
+
+                    if (!atom.includes('Tom &amp; Jerry') || !atom.includes('a=1&amp;b=2')) {
+                        throw new Error('Atom未正确转义特殊字符');
+                    }
+
+                    if (!atom.includes('<published>2024-05-01T10:00:00.000Z</published>')) {
+                        throw new Error('Atom日期应为ISO 8601格式');
+                    }
+                }
+            },
+            {
+                name: '生成带来源的合并订阅源',
+                category: 'rss',
+                fn: async () => {
+                    const source = {
+                        title: 'Example Blog',
+                        url: 'https://blog.example.com/',
+                        feedUrl: 'https://blog.example.com/feed.xml'
+                    };
+                    const articles = [
+                        {
+                            title: 'Merged Post',
+                            link: 'https://blog.example.com/post',
+                            description: 'Post description',
+                            pubDate: 'Wed, 01 May 2024 10:00:00 GMT',
+                            guid: 'rssos-merged1',
+                            category: 'Blog',
+                            source
+                        }
+                    ];
+                    const siteInfo = { url: 'http://localhost:3000/api/merge?list=team', type: 'merged', platform: 'merge' };
+                    const config = { title: 'Team Reading', selfUrl: 'http://localhost:3000/api/merge?list=team' };
+
+                    const rss = this.generator.generateFeed(articles, siteInfo, 'rss', config);
+                    if (!rss.includes('<title><![CDATA[Team Reading]]></title>') ||
+                        !rss.includes('<atom:link href="http://localhost:3000/api/merge?list=team"')) {
+                        throw new Error('合并订阅源应使用指定的标题和self链接');
+                    }
+                    if (!rss.includes('<source url="https://blog.example.com/feed.xml">Example Blog</source>') ||
+                        !rss.includes('<category domain="https://blog.example.com/">Example Blog</category>')) {
+                        throw new Error('RSS条目缺少来源标记');
+                    }
+
+                    const atom = this.generator.generateFeed(articles, siteInfo, 'atom', config);
+                    if (!atom.includes('<source>') || !atom.includes('<category term="Example Blog" scheme="https://blog.example.com/"/>')) {
+                        throw new Error('Atom条目缺少来源标记');
+                    }
+
+                    const json = JSON.parse(this.generator.generateFeed(articles, siteInfo, 'json', config));
+                    if (json.items[0].tags.join(',') !== 'Blog,Example Blog' || json.items[0]._source.url !== 'https://blog.example.com/') {
+                        throw new Error('JSON Feed条目缺少来源标记');
+                    }
+                }
+            },
+            {
+                name: '合并API校验参数并报告失败的网站',
+                category: 'rss',
+                fn: async () => {
+                    const fs = require('fs');
+                    const os = require('os');
+                    const path = require('path');
+                    const http = require('http');
+
+                    const server = http.createServer((req, res) => {
+                        if (req.url !== '/feed.xml') {
+                            res.statusCode = 404;
+                            return res.end();
+                        }
+                        res.setHeader('Content-Type', 'application/rss+xml');
+                        res.end(`<?xml version="1.0"?><rss version="2.0"><channel><title>Local Feed</title><link>http://127.0.0.1/</link>
+                            <item><title>Local Post</title><link>http://127.0.0.1/posts/1</link><guid>local-1</guid>
+                                <pubDate>Wed, 01 May 2024 10:00:00 GMT</pubDate></item>
+                        </channel></rss>`);
+                    });
+                    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+                    const origin = `http://127.0.0.1:${server.address().port}`;
+
+                    const listsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rssos-lists-'));
+                    fs.writeFileSync(path.join(listsDir, 'team.json'), JSON.stringify({
+                        title: 'Team Reading',
+                        urls: [`${origin}/feed.xml`, `${origin}/missing`]
+                    }));
+
+                    const names = ['RSSOS_ALLOW_PRIVATE_NETWORKS', 'RSSOS_ALLOWED_PORTS', 'RSSOS_LISTS_DIR', 'RSSOS_HOST_INTERVAL', 'RSSOS_RATE_LIMIT'];
+                    const savedEnv = names.map(name => process.env[name]);
+                    Object.assign(process.env, {
+                        RSSOS_ALLOW_PRIVATE_NETWORKS: '1',
+                        RSSOS_ALLOWED_PORTS: String(server.address().port),
+                        RSSOS_LISTS_DIR: listsDir,
+                        RSSOS_HOST_INTERVAL: '0',
+                        RSSOS_RATE_LIMIT: '0'
+                    });
+
+                    const makeResponse = () => {
+                        const res = { statusCode: null, headers: {}, body: null };
+                        res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+                        res.status = code => { res.statusCode = code; return res; };
+                        res.json = body => { res.body = body; return res; };
+                        res.send = body => { res.body = body; return res; };
+                        res.end = () => res;
+                        return res;
+                    };
+
+                    try {
+                        const handler = this.loadApiHandler('api/merge.js');
+                        const call = async (query, method = 'GET') => {
+                            const res = makeResponse();
+                            await handler({ method, query, headers: {}, socket: { remoteAddress: '127.0.0.1' } }, res);
+                            return res;
+                        };
+
+                        // 参数校验
+                        const expectations = [
+                            [await call({}, 'POST'), 405, 'Method not allowed'],
+                            [await call({}), 400, 'Missing URL parameter'],
+                            [await call({ url: 'not a url' }), 400, 'Invalid URL format'],
+                            [await call({ url: Array.from({ length: 11 }, (_, i) => `https://s${i}.example.com/`) }), 400, 'Too many sources'],
+                            [await call({ url: `${origin}/feed.xml`, format: 'yaml' }), 400, 'Unsupported feed format'],
+                            [await call({ list: 'unknown' }), 404, 'Unknown feed list']
+                        ];
+                        expectations.forEach(([res, status, error]) => {
+                            if (res.statusCode !== status || res.body.error !== error) {
+                                throw new Error(`期望${status} ${error}，实际${res.statusCode} ${JSON.stringify(res.body)}`);
+                            }
+                        });
+
+                        // 按列表名称合并，失败的网站以条目报告，其余网站照常返回
+                        const merged = await call({ list: 'team' });
+                        if (merged.statusCode !== 200 || merged.headers['x-merge-sources'] !== '1/2' ||
+                            merged.headers['x-merge-failed'] !== `${origin}/missing`) {
+                            throw new Error(`部分失败时的响应错误: ${merged.statusCode} ${JSON.stringify(merged.headers)}`);
+                        }
+                        if (!merged.body.includes('Team Reading') || !merged.body.includes('Local Post') ||
+                            !merged.body.includes('Failed to load 127.0.0.1')) {
+                            throw new Error('合并结果应包含列表标题、文章和失败说明');
+                        }
+
+                        // 所有网站都失败时返回502
+                        const failed = await call({ url: `${origin}/missing` });
+                        if (failed.statusCode !== 502 || failed.headers['x-merge-sources'] !== '0/1') {
+                            throw new Error(`全部失败时应返回502，实际${failed.statusCode}`);
+                        }
+                    } finally {
+                        names.forEach((name, index) => {
+                            if (savedEnv[index] === undefined) delete process.env[name];
+                            else process.env[name] = savedEnv[index];
+                        });
+                        fs.rmSync(listsDir, { recursive: true, force: true });
+                        server.close();
+                    }
+                }
+            },
+            {
+                name: '生成JSON Feed',
+                category: 'rss',
+                fn: async () => {
+                    const articles = [
+                        {
+                            title: 'Test Article',
+                            link: 'https://example.com/test',
+                            description: 'Test description',
+                            content: '<p>Test content</p>',
+                            pubDate: 'Wed, 01 May 2024 10:00:00 GMT',
+                            guid: 'rssos-abc123',
+                            author: 'Test Author'
+                        }
+                    ];
+                    const siteInfo = { url: 'https://example.com', type: 'blog', platform: 'test' };
+
+                    const feed = JSON.parse(this.generator.generateFeed(articles, siteInfo, 'json'));
+
+                    if (feed.version !== 'https://jsonfeed.org/version/1.1') {
+                        throw new Error(`JSON Feed版本错误: ${feed.version}`);
+                    }
+
+                    if (!feed.feed_url.includes('format=json')) {
+                        throw new Error('JSON Feed缺少feed_url');
+                    }
+
+                    const item = feed.items[0];
+                    if (item.id !== 'rssos-abc123' || item.content_html !== '<p>Test content</p>') {
+                        throw new Error('JSON Feed条目内容错误');
+                    }
+
+                    if (item.date_published !== '2024-05-01T10:00:00.000Z' || item.authors[0].name !== 'Test Author') {
+                        throw new Error('JSON Feed条目元数据错误');
+                    }
+
+                    if (this.generator.getContentType('json') !== 'application/feed+json; charset=utf-8') {
+                        throw new Error('JSON Feed Content-Type错误');
+                    }
+                }
+            },
+            {
+                name: '计算订阅源内容哈希',
+                category: 'rss',
+                fn: async () => {
+                    const articles = [
+                        { title: 'Stable', link: 'https://example.com/a', guid: 'a', pubDate: 'Wed, 01 May 2024 10:00:00 GMT' }
+                    ];
+
+                    const first = this.generator.getFeedHash(articles, 'rss');
+                    await new Promise(resolve => setTimeout(resolve, 1100));
+                    const second = this.generator.getFeedHash(articles.map(article => ({ ...article })), 'rss');
+
+                    if (first !== second) {
+                        throw new Error('相同条目的哈希应保持不变');
+                    }
+
+                    if (first === this.generator.getFeedHash([{ ...articles[0], title: 'Changed' }], 'rss')) {
+                        throw new Error('条目变化后哈希应改变');
+                    }
+
+                    if (first === this.generator.getFeedHash(articles, 'atom')) {
+                        throw new Error('不同格式应使用不同哈希');
+                    }
+
+                    await this.cache.cacheRSS('https://etag.example.com', '<rss/>', '', { hash: first, lastModified: 1714557600000 });
+                    const cached = await this.cache.getCachedRSS('https://etag.example.com');
+                    if (cached.hash !== first || cached.lastModified !== 1714557600000) {
+                        throw new Error('缓存中缺少内容哈希或修改时间');
+                    }
+                }
             }
         ];
     }
@@ -491,10 +2423,10 @@ class TestSuite {
                     const testContent = '<rss><channel><title>Test</title></channel></rss>';
                     
                     // 缓存内容
-                    this.cache.cacheRSS(testUrl, testContent);
+                    await this.cache.cacheRSS(testUrl, testContent);
                     
                     // 获取缓存
-                    const cached = this.cache.getCachedRSS(testUrl);
+                    const cached = await this.cache.getCachedRSS(testUrl);
                     
                     if (!cached) {
                         throw new Error('缓存内容未找到');
@@ -516,17 +2448,17 @@ class TestSuite {
                     const testUrl = 'https://test-expire.com';
                     
                     // 模拟过期检查
-                    const shouldRefresh = this.cache.shouldRefreshCache(testUrl, 100); // 100ms
+                    const shouldRefresh = await this.cache.shouldRefreshCache(testUrl, 100); // 100ms
                     
                     if (!shouldRefresh) {
                         throw new Error('不存在的缓存应需要刷新');
                     }
                     
                     // 添加缓存
-                    this.cache.cacheRSS(testUrl, 'test');
+                    await this.cache.cacheRSS(testUrl, 'test');
                     
                     // 立即检查（不应需要刷新）
-                    const shouldNotRefresh = this.cache.shouldRefreshCache(testUrl, 60000); // 1分钟
+                    const shouldNotRefresh = await this.cache.shouldRefreshCache(testUrl, 60000); // 1分钟
                     
                     if (shouldNotRefresh) {
                         throw new Error('新缓存不应需要刷新');
@@ -541,17 +2473,158 @@ class TestSuite {
                     const testError = new Error('Test error');
                     
                     // 添加到错误缓存
-                    this.cache.addToErrorCache(testUrl, testError);
+                    await this.cache.addToErrorCache(testUrl, testError);
                     
                     // 检查错误缓存
-                    const inErrorCache = this.cache.isInErrorCache(testUrl);
+                    const inErrorCache = await this.cache.isInErrorCache(testUrl);
                     
                     if (!inErrorCache) {
                         throw new Error('错误缓存未生效');
                     }
                     
                     // 清理测试
-                    this.cache.clearCache(testUrl);
+                    await this.cache.clearCache(testUrl);
+                }
+            },
+            {
+                name: '缓存源站验证器和解析结果',
+                category: 'cache',
+                fn: async () => {
+                    const testUrl = 'https://validators.example.com';
+
+                    await this.cache.cacheHTML(testUrl, '<html>v1</html>', {
+                        etag: '"abc"',
+                        lastModified: 'Wed, 01 May 2024 10:00:00 GMT'
+                    });
+
+                    const cachedHTML = await this.cache.getCachedHTML(testUrl);
+                    if (!cachedHTML || cachedHTML.etag !== '"abc"' || cachedHTML.lastModified !== 'Wed, 01 May 2024 10:00:00 GMT') {
+                        throw new Error('HTML缓存缺少源站验证器');
+                    }
+
+                    if (!cachedHTML.fresh) {
+                        throw new Error('刚缓存的HTML应处于新鲜期');
+                    }
+
+                    const siteInfo = { url: testUrl, type: 'blog', platform: 'test', selectors: {} };
+                    await this.cache.cacheParsed(testUrl, 'fulltext=1', 'hash-v1', siteInfo, [{ title: 'Parsed' }]);
+
+                    const parsed = await this.cache.getCachedParsed(testUrl, 'fulltext=1');
+                    if (!parsed || parsed.htmlHash !== 'hash-v1' || parsed.articles[0].title !== 'Parsed') {
+                        throw new Error('解析结果缓存错误');
+                    }
+
+                    await this.cache.clearCache(testUrl);
+                    if (await this.cache.getCachedParsed(testUrl, 'fulltext=1') || await this.cache.getCachedHTML(testUrl)) {
+                        throw new Error('清除缓存后解析结果仍存在');
+                    }
+                }
+            },
+            {
+                name: '文件缓存跨实例保留',
+                category: 'cache',
+                fn: async () => {
+                    const fs = require('fs');
+                    const os = require('os');
+                    const path = require('path');
+
+                    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rssos-cache-'));
+                    const env = { RSSOS_CACHE_STORE: 'file', RSSOS_CACHE_DIR: directory };
+
+                    try {
+                        const first = new CacheManager({ env });
+                        await first.cacheRSS('https://persist.example.com', '<rss>1</rss>', 'format=atom');
+                        await first.cacheHTML('https://persist.example.com', '<html></html>');
+
+                        // 模拟进程重启
+                        const second = new CacheManager({ env });
+
+                        const cached = await second.getCachedRSS('https://persist.example.com', 'format=atom');
+                        if (!cached || cached.content !== '<rss>1</rss>') {
+                            throw new Error('重启后文件缓存丢失');
+                        }
+
+                        await second.clearCache('https://persist.example.com');
+                        if (await second.getCachedRSS('https://persist.example.com', 'format=atom') || await second.getCachedHTML('https://persist.example.com')) {
+                            throw new Error('清除缓存后仍能读取');
+                        }
+
+                        // 同一毫秒内对同一键的并发写入不互相覆盖临时文件
+                        await Promise.all(['a', 'b', 'c', 'd'].map(n => second.store.set('rss', 'race', `<rss>${n}</rss>`)));
+                        if (!(await second.store.get('rss', 'race'))) {
+                            throw new Error('并发写入后缓存丢失');
+                        }
+
+                        second.setCacheExpiry('html', 1);
+                        await second.cacheHTML('https://expire.example.com', '<html></html>');
+                        await new Promise(resolve => setTimeout(resolve, 20));
+                        if (await second.getCachedHTML('https://expire.example.com')) {
+                            throw new Error('过期的文件缓存不应命中');
+                        }
+                    } finally {
+                        fs.rmSync(directory, { recursive: true, force: true });
+                    }
+                }
+            },
+            {
+                name: 'Redis缓存存储',
+                category: 'cache',
+                fn: async () => {
+                    const server = await this.startRedisStandIn();
+
+                    try {
+                        const env = { RSSOS_CACHE_STORE: 'redis', REDIS_URL: `redis://127.0.0.1:${server.address().port}/2` };
+                        const cache = new CacheManager({ env });
+
+                        await cache.cacheRSS('https://redis.example.com', '<rss>redis</rss>');
+                        await cache.cacheRSS('https://redis.example.com', '{"version":"json"}', 'format=json');
+                        await cache.addToErrorCache('https://broken.example.com', new Error('boom'));
+
+                        const cached = await cache.getCachedRSS('https://redis.example.com', 'format=json');
+                        if (!cached || cached.content !== '{"version":"json"}') {
+                            throw new Error('Redis缓存读取错误');
+                        }
+
+                        if (!await cache.isInErrorCache('https://broken.example.com')) {
+                            throw new Error('Redis错误缓存未生效');
+                        }
+
+                        const entry = server.data.get('rssos:rss:rss:https://redis.example.com/');
+                        if (!entry || entry.expiresAt - Date.now() > 30 * 60 * 1000 || server.database !== '2') {
+                            throw new Error('Redis键、TTL或数据库选择错误');
+                        }
+
+                        await cache.clearCache('https://redis.example.com');
+                        const stats = await cache.getCacheStats();
+                        if (stats.store !== 'redis' || stats.rss.size !== 0 || stats.error.size !== 1) {
+                            throw new Error(`Redis缓存统计错误: ${JSON.stringify(stats)}`);
+                        }
+
+                        await cache.close();
+
+                        // 握手完成前不发送其他命令
+                        server.commands.length = 0;
+                        const client = new RedisClient(`redis://127.0.0.1:${server.address().port}/3`);
+                        await Promise.all([client.command('SET', 'greeting', 'hello'), client.command('EXISTS', 'greeting')]);
+                        if (server.commands[0][0] !== 'SELECT' || server.commands[0][1] !== '3') {
+                            throw new Error(`连接后应先选择数据库: ${JSON.stringify(server.commands)}`);
+                        }
+
+                        // 无法解析的回复使命令失败并重新连接，不会导致进程崩溃
+                        server.corruptNextReply = true;
+                        let rejected = false;
+                        try {
+                            await client.command('GET', 'greeting');
+                        } catch (error) {
+                            rejected = /reply type/.test(error.message);
+                        }
+                        if (!rejected || await client.command('GET', 'greeting') !== 'hello') {
+                            throw new Error('无法解析的回复应使命令失败并重新连接');
+                        }
+                        await client.close();
+                    } finally {
+                        server.close();
+                    }
                 }
             }
         ];
@@ -616,6 +2689,107 @@ class TestSuite {
         ];
     }
 
+    /**
+     * 加载api目录中的处理函数
+     * 处理函数使用export default和require，部署时由Vercel转换为CommonJS；测试中同样转换后加载，
+     * 每次调用得到新的模块实例（重新读取环境变量和配置）
+     */
+    loadApiHandler(file) {
+        const fs = require('fs');
+        const path = require('path');
+        const Module = require('module');
+
+        const filename = path.join(__dirname, file);
+        const source = fs.readFileSync(filename, 'utf-8').replace(/^export default /m, 'module.exports = ');
+        const handlerModule = new Module(filename, module);
+        handlerModule.filename = filename;
+        handlerModule.paths = Module._nodeModulePaths(path.dirname(filename));
+        handlerModule._compile(source, filename);
+        return handlerModule.exports;
+    }
+
+    /**
+     * 启动一个实现部分Redis命令的本地服务，用于测试Redis存储
+     */
+    startRedisStandIn() {
+        const net = require('net');
+        const data = new Map();
+
+        const server = net.createServer(socket => {
+            let buffer = '';
+
+            socket.on('data', chunk => {
+                buffer += chunk.toString('utf-8');
+
+                // 解析完整的RESP命令数组
+                while (buffer.startsWith('*')) {
+                    const lines = buffer.split('\r\n');
+                    const count = parseInt(lines[0].substring(1), 10);
+                    if (lines.length < 1 + count * 2) return;
+
+                    const args = [];
+                    for (let i = 0; i < count; i++) {
+                        args.push(lines[2 + i * 2]);
+                    }
+                    buffer = lines.slice(1 + count * 2).join('\r\n');
+                    server.commands.push(args);
+                    // 模拟无法识别的回复类型（如RESP3的map）
+                    socket.write(server.corruptNextReply ? '%1\r\n' : this.handleRedisCommand(server, data, args));
+                    server.corruptNextReply = false;
+                }
+            });
+        });
+
+        server.data = data;
+        server.database = '0';
+        server.commands = [];
+        server.corruptNextReply = false;
+
+        return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+    }
+
+    handleRedisCommand(server, data, [command, ...args]) {
+        const bulk = value => value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+        const live = key => {
+            const entry = data.get(key);
+            if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+                data.delete(key);
+                return null;
+            }
+            return entry || null;
+        };
+
+        switch (command.toUpperCase()) {
+            case 'SELECT':
+                server.database = args[0];
+                return '+OK\r\n';
+            case 'SET':
+                data.set(args[0], {
+                    value: args[1],
+                    expiresAt: args[2] === 'PX' ? Date.now() + parseInt(args[3], 10) : null
+                });
+                return '+OK\r\n';
+            case 'GET':
+                return bulk(live(args[0]) ? live(args[0]).value : null);
+            case 'EXISTS':
+                return `:${live(args[0]) ? 1 : 0}\r\n`;
+            case 'PEXPIRE': {
+                const entry = live(args[0]);
+                if (entry) entry.expiresAt = Date.now() + parseInt(args[1], 10);
+                return `:${entry ? 1 : 0}\r\n`;
+            }
+            case 'DEL':
+                return `:${args.filter(key => data.delete(key)).length}\r\n`;
+            case 'SCAN': {
+                const prefix = args[2].replace(/\*$/, '').replace(/\\(.)/g, '$1');
+                const keys = [...data.keys()].filter(key => key.startsWith(prefix) && live(key));
+                return `*2\r\n${bulk('0')}*${keys.length}\r\n${keys.map(bulk).join('')}`;
+            }
+            default:
+                return `-ERR unknown command '${command}'\r\n`;
+        }
+    }
+
     /**
      * 打印测试总结
      */
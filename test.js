@@ -97,10 +97,10 @@ async function testCacheManager() {
   
   // 测试缓存操作
   console.log('  📝 缓存RSS内容...');
-  cache.cacheRSS(testUrl, testContent);
+  await cache.cacheRSS(testUrl, testContent);
   
   console.log('  🔍 获取缓存内容...');
-  const cached = cache.getCachedRSS(testUrl);
+  const cached = await cache.getCachedRSS(testUrl);
   
   if (cached && cached.content === testContent) {
     console.log('  ✅ 缓存功能正常');
@@ -109,11 +109,11 @@ async function testCacheManager() {
   }
   
   // 测试缓存统计
-  const stats = cache.getCacheStats();
+  const stats = await cache.getCacheStats();
   console.log('  📊 缓存统计:', stats);
   
   // 清除缓存
-  cache.clearCache(testUrl);
+  await cache.clearCache(testUrl);
   console.log('  🧹 缓存已清除');
 }
 